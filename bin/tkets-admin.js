@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// Factory administration: roles, key rotation, ownership and the commission rate. Run `tkets-admin --help` for the list of commands.
+const { run, ADMIN_COMMANDS } = require('../lib/cli');
+
+run(process.argv.slice(2), { commands: ADMIN_COMMANDS, name: 'tkets-admin' }).then(code => {
+  process.exit(code);
+});
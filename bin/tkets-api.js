@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Read-only HTTP/JSON API over the indexed factory data.
+//
+//   tkets-api --rpc http://localhost:8545 [--port 8080] [--factory 0x...] [--store index.json] [--start-block 0]
+const Web3 = require('web3');
+const { connect } = require('../lib/contracts');
+const { parseArgs } = require('../lib/cli');
+const { Indexer, JsonStore } = require('../lib/indexer');
+const { createApiServer } = require('../lib/api');
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.rpc) {
+    console.error('Usage: tkets-api --rpc <url> [--port <port>] [--factory <address>] [--store <file>] [--start-block <number>]');
+    process.exit(1);
+  }
+
+  const provider = new Web3.providers.HttpProvider(args.rpc);
+  const client = await connect({ provider, factoryAddress: args.factory });
+  const store = new JsonStore({ path: args.store }).load();
+  const indexer = Indexer.fromClient(client, { store, startBlock: Number(args['start-block'] || 0) });
+
+  await indexer.sync();
+  indexer.poll(Number(args.interval || 5000));
+
+  const port = Number(args.port || 8080);
+  createApiServer({ client, indexer }).listen(port, () => {
+    console.log('TKETS API listening on port ' + port + ', indexed up to block ' + store.data.lastBlock);
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Gas benchmark: deploys a factory, measures the gas of the ticket functions for 1/10/100 tickets and 1/5/10 tiers,
+// writes a JSON and a markdown report and fails when a function uses more gas than the baseline allows.
+//
+//   tkets-benchmark --rpc http://localhost:8545 [--network-name <label>]
+//   tkets-benchmark --network <name in truffle-config.js>
+//     [--gas-price <wei>] [--baseline gas-baseline.json] [--threshold 5] [--out gas-report]
+//     [--tickets 1,10,100] [--tiers 1,5,10] [--only Ticket.mintTicket,...] [--update-baseline]
+//
+// The contracts are read from build/contracts, run `truffle compile` first. The report prices the gas at --gas-price,
+// by default the one of the network or of Theta. --update-baseline stores the measurements as the new baseline.
+const Web3 = require('web3');
+const { parseArgs } = require('../lib/cli');
+const { loadContracts } = require('../lib/contracts');
+const { resolveNetwork, stopProvider } = require('../lib/networks');
+const { deployTkets, resolveDeployConfig } = require('../lib/deployment');
+const TketsClient = require('../lib/client');
+const { GasBenchmark, GasBaseline, DEFAULT_GAS_PRICE, createReport, formatMarkdown, writeReport } = require('../lib/benchmark');
+
+// commission is paid on every mint and refunded, the benchmark measures those transfers too
+const BENCHMARK_COMMISSION_RATE = 250;
+
+const parseList = (text, map = value => value) => {
+  return text ? text.split(',').filter(Boolean).map(map) : undefined;
+}
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.rpc && !args.network) {
+    console.error('Usage: tkets-benchmark (--rpc <url> | --network <name>) [--baseline <file>] [--threshold <percent>] [--out <file prefix>] [--tickets 1,10,100] [--tiers 1,5,10] [--only <function>,...] [--gas-price <wei>] [--update-baseline]');
+    process.exit(1);
+  }
+
+  const network = args.network ? resolveNetwork(args.network) : { name: args['network-name'] || args.rpc, provider: new Web3.providers.HttpProvider(args.rpc) };
+  // the transactions are sent at the gas price of the network, the report prices them at --gas-price
+  const gasPrice = args['gas-price'] || network.gasPrice || DEFAULT_GAS_PRICE;
+  try {
+    const contracts = loadContracts({ provider: network.provider, gasPrice: network.gasPrice });
+    const accounts = await new Web3(network.provider).eth.getAccounts();
+    const from = network.from || accounts[0];
+    const config = resolveDeployConfig({ defaults: { commissionRate: BENCHMARK_COMMISSION_RATE } }, network.name);
+    const { factory } = await deployTkets(contracts, config, { from });
+    const client = new TketsClient({ factory, Ticket: contracts.Ticket, AttendanceBadge: contracts.AttendanceBadge, from });
+
+    const benchmark = new GasBenchmark({
+      client,
+      holder: accounts[1] || from,
+      buyer: accounts[2] || accounts[1] || from,
+      sizes: { tickets: parseList(args.tickets, Number), tiers: parseList(args.tiers, Number) },
+      log: line => console.log(line)
+    });
+    const results = await benchmark.run({ only: parseList(args.only) });
+
+    const baseline = new GasBaseline({ path: args.baseline }).load();
+    if (args['update-baseline']) {
+      const { gasLimit } = await client.web3.eth.getBlock('latest');
+      baseline.update(results, { network: network.name, blockGasLimit: Number(gasLimit) });
+      console.log('Baseline ' + baseline.path + ' updated');
+    }
+    const threshold = Number(args.threshold || GasBaseline.DEFAULT_THRESHOLD);
+    const comparison = baseline.compare(results, { threshold });
+    const report = createReport({ results, comparison, gasPrice, threshold, network: network.name });
+    writeReport(report, args.out || 'gas-report');
+    console.log('\n' + formatMarkdown(report));
+
+    if (comparison.regressions.length > 0) {
+      console.error(comparison.regressions.length + ' measurements regressed more than ' + threshold + '% against ' + baseline.path);
+      return 1;
+    }
+    return 0;
+  } finally {
+    stopProvider(network.provider);
+  }
+}
+
+main().then(code => {
+  process.exit(code);
+}).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
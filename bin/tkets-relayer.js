@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Gasless relayer: submits holder-signed requests through the Forwarder and pays for them out of per-event budgets.
+//
+//   RELAYER_PRIVATE_KEY=<key> tkets-relayer --rpc http://localhost:18888/rpc --forwarder 0x... [--port 8081]
+//     [--factory 0x...] [--store budgets.json] [--budget <eventId>=<wei>,<eventId>=<wei>] [--sponsor-value]
+//
+// --budget sets the budgets of the listed events in the store, what was spent before still counts against them.
+// --sponsor-value also pays the sale price of mints, by default only gas is sponsored.
+const HDWalletProvider = require('@truffle/hdwallet-provider');
+const { connect, loadContracts } = require('../lib/contracts');
+const { parseArgs } = require('../lib/cli');
+const { Relayer, SponsorBudgets, createRelayerServer } = require('../lib/relayer');
+
+const parseBudgets = (text) => {
+  return text.split(',').filter(Boolean).map(entry => {
+    const [eventId, amount] = entry.split('=');
+    if (!eventId || !/^[0-9]+$/.test(amount || '')) {
+      throw new Error('Invalid --budget entry ' + entry + ', expected <eventId>=<wei>');
+    }
+    return [eventId, amount];
+  });
+}
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const privateKey = process.env.RELAYER_PRIVATE_KEY;
+  if (!args.rpc || !args.forwarder || !privateKey) {
+    console.error('Usage: RELAYER_PRIVATE_KEY=<key> tkets-relayer --rpc <url> --forwarder <address> [--port <port>] [--factory <address>] [--store <file>] [--budget <eventId>=<wei>,...] [--sponsor-value]');
+    process.exit(1);
+  }
+
+  const provider = new HDWalletProvider({ privateKeys: [privateKey.replace(/^0x/, '')], providerOrUrl: args.rpc });
+  const from = provider.getAddress(0);
+  const client = await connect({ provider, from, factoryAddress: args.factory });
+  const { Forwarder } = loadContracts({ provider, from });
+  const forwarder = await Forwarder.at(args.forwarder);
+  const budgets = new SponsorBudgets({ path: args.store }).load();
+  for (const [eventId, amount] of parseBudgets(args.budget || '')) {
+    budgets.setBudget(eventId, amount);
+  }
+
+  const relayer = new Relayer({ client, forwarder, budgets, from, sponsorValue: Boolean(args['sponsor-value']) });
+  const port = Number(args.port || 8081);
+  createRelayerServer({ relayer }).listen(port, () => {
+    console.log('TKETS relayer listening on port ' + port + ', sending from ' + from);
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Door scanner: reads one scanned QR payload per line from stdin and prints one JSON result per line.
+// A CHALLENGE line prints a new gate challenge for the holder app to sign into its entry pass.
+//
+//   STAMPER_PRIVATE_KEY=<key> tkets-scanner --rpc http://localhost:18888/rpc [--factory 0x...] [--reject-legacy]
+//
+// Without a connection, passes are checked against a snapshot from `tkets gate-snapshot` and admissions are
+// recorded in the log of the gate, `tkets gate-sync` stamps them later:
+//
+//   tkets-scanner --offline --snapshot snapshot.json --gate north-1 [--log north-1.json] [--reject-legacy]
+//
+// Barcode scanners in keyboard mode can be piped straight into this process.
+const fs = require('fs');
+const readline = require('readline');
+const HDWalletProvider = require('@truffle/hdwallet-provider');
+const { connect } = require('../lib/contracts');
+const { parseArgs } = require('../lib/cli');
+const { Scanner } = require('../lib/scanner');
+const { OfflineGate, AdmissionLog } = require('../lib/gate');
+
+const offlineScanner = (args) => {
+  if (!args.snapshot || !args.gate) {
+    console.error('Usage: tkets-scanner --offline --snapshot <file> --gate <name> [--log <file>] [--reject-legacy]');
+    process.exit(1);
+  }
+  const snapshot = JSON.parse(fs.readFileSync(args.snapshot, 'utf8'));
+  const log = new AdmissionLog({ path: args.log || args.gate + '.admissions.json', gate: args.gate }).load();
+  return new OfflineGate({ snapshot, log, acceptLegacyPasses: !args['reject-legacy'] });
+}
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const privateKey = process.env.STAMPER_PRIVATE_KEY;
+  let provider;
+  let scanner;
+  if (args.offline) {
+    scanner = offlineScanner(args);
+  } else {
+    if (!args.rpc || !privateKey) {
+      console.error('Usage: STAMPER_PRIVATE_KEY=<key> tkets-scanner --rpc <url> [--factory <address>] [--reject-legacy]');
+      process.exit(1);
+    }
+    provider = new HDWalletProvider({ privateKeys: [privateKey.replace(/^0x/, '')], providerOrUrl: args.rpc });
+    const client = await connect({ provider, from: provider.getAddress(0), factoryAddress: args.factory });
+    scanner = new Scanner({ client, acceptLegacyPasses: !args['reject-legacy'] });
+  }
+
+  const lines = readline.createInterface({ input: process.stdin });
+  const pending = [];
+  lines.on('line', (line) => {
+    const payload = line.trim();
+    if (!payload) {
+      return;
+    }
+    if (payload === 'CHALLENGE') {
+      pending.push(scanner.issueChallenge().then(challenge => console.log(JSON.stringify({ challenge }))));
+      return;
+    }
+    pending.push(scanner.scan(payload).then(result => {
+      console.log(JSON.stringify({ status: result.status, reason: result.reason, ticket: result.pass && result.pass.ticket, ticketId: result.pass && result.pass.ticketId, tx: result.tx }));
+    }).catch(err => {
+      console.log(JSON.stringify({ status: 'ERROR', reason: err.message }));
+    }));
+  });
+  lines.on('close', async () => {
+    await Promise.all(pending);
+    if (provider) {
+      provider.engine.stop();
+    }
+    process.exit(0);
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// Organizer CLI, run `tkets --help` for the list of commands.
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exit(code);
+});
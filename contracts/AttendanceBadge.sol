@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.0;
+
+import "./EventFactory.sol";
+
+/**
+* @dev Soulbound proof of attendance, minted to the ticket holder when a ticket of the factory is stamped.
+*
+* Organizers turn the badges on for their events with setEventBadge, which also sets the metadata URI of the badges
+* of the event. A holder gets one badge per event, however many of its tickets are stamped. Badges cannot be
+* transferred, they are locked in the sense of EIP-5192.
+*/
+contract AttendanceBadge is TNT721, IAttendanceBadge {
+    string public constant UNAUTHORIZED = "019001";
+    string public constant NOT_EXISTS = "019005";
+    string public constant INVALID_ACTION = "019007";
+
+    struct Badge {
+        uint160 eventId;
+        address holder;
+        Ticket ticket; // the ticket whose stamp minted the badge
+        uint256 ticketId;
+        uint256 timestamp;
+    }
+
+    EventFactory public immutable factory;
+    uint256 public lastBadgeId;
+    mapping(uint256 => Badge) public badges;
+    mapping(uint160 => bool) public override eventToBadgeEnabled;
+    mapping(uint160 => string) public eventToBadgeURI;
+    mapping(uint160 => mapping(address => uint256)) public badgeOf; // the badge of the holder for the event, 0 for none
+    mapping(uint160 => uint256[]) private _eventToBadges;
+
+    event EventBadgeChange(uint160 indexed eventId, bool enabled, string uri);
+    event BadgeMint(uint256 indexed badgeId, uint160 indexed eventId, address indexed holder, Ticket ticket, uint256 ticketId);
+    event Locked(uint256 tokenId); // EIP-5192
+
+    constructor(EventFactory _factory) TNT721("TKETS Attendance Badge", "TKETSPOA") {
+        factory = _factory;
+        _registerInterface(0xb45a3c0e); // EIP-5192 locked
+    }
+
+    /**
+    * @dev Turns the badges of the event on or off. Stamps while they are off mint no badge, also not later on.
+    * @param uri Metadata URI of all badges of the event, also of the ones minted before it changed
+    */
+    function setEventBadge(uint160 eventId, bool enabled, string calldata uri) external {
+        require(msg.sender == factory.eventToOwner(eventId), UNAUTHORIZED);
+        eventToBadgeEnabled[eventId] = enabled;
+        eventToBadgeURI[eventId] = uri;
+        emit EventBadgeChange(eventId, enabled, uri);
+    }
+
+    /**
+    * @dev Called by the tickets of the factory when they stamp ticketId of holder. Returns the new badge,
+    * or 0 if the event has no badges or the holder has one already.
+    */
+    function mintBadge(address holder, uint256 ticketId) external override returns (uint256 badgeId) {
+        Ticket ticket = Ticket(msg.sender);
+        uint160 eventId = ticket.eventId();
+        if (!eventToBadgeEnabled[eventId] || badgeOf[eventId][holder] != 0) {
+            return 0;
+        }
+        require(factory.isEventTicket(eventId, ticket), UNAUTHORIZED);
+
+        badgeId = ++lastBadgeId;
+        badges[badgeId] = Badge(eventId, holder, ticket, ticketId, block.timestamp);
+        badgeOf[eventId][holder] = badgeId;
+        _eventToBadges[eventId].push(badgeId);
+        _mint(holder, badgeId);
+        emit Locked(badgeId);
+        emit BadgeMint(badgeId, eventId, holder, ticket, ticketId);
+    }
+
+    function tokenURI(uint256 badgeId) public view override returns (string memory) {
+        require(_exists(badgeId), NOT_EXISTS);
+        return eventToBadgeURI[badges[badgeId].eventId];
+    }
+
+    // EIP-5192, badges are always locked
+    function locked(uint256 badgeId) external view returns (bool) {
+        require(_exists(badgeId), NOT_EXISTS);
+        return true;
+    }
+
+    /* Enumeration, paginated like the views of the factory */
+
+    // the badges of the event in the order they were minted
+    function getBadgesOfEvent(uint160 eventId, uint256 offset, uint256 limit) external view returns (uint256[] memory page, uint256 total) {
+        uint256[] storage eventBadges = _eventToBadges[eventId];
+        total = eventBadges.length;
+        page = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = eventBadges[offset + i];
+        }
+    }
+
+    // the badges of the holder in the order they were minted, they never move since they cannot be transferred
+    function getBadgesOfHolder(address holder, uint256 offset, uint256 limit) external view returns (uint256[] memory page, uint256 total) {
+        total = balanceOf(holder);
+        page = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = tokenOfOwnerByIndex(holder, offset + i);
+        }
+    }
+
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        return total - offset < limit ? total - offset : limit;
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        require(from == address(0), INVALID_ACTION);
+        super._beforeTokenTransfer(from, to, tokenId);
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity 0.8.0;
 
 import "./TNT721.sol";
+import "./MerkleProof.sol";
 
 library FactoryStructs {
     struct EventMetadata {
@@ -16,6 +17,41 @@ library FactoryStructs {
         uint256 ticketEndTime;
         bool acceptDonations;
     }
+
+    // EIP-712 typed entry pass, signed by the holder over a nonce (gate challenge) issued by the scanner
+    struct EntryPass {
+        uint160 eventId;
+        address holder;
+        address ticket;
+        uint256 ticketId;
+        uint256 timestamp;
+        bytes32 nonce;
+    }
+}
+
+/**
+* @dev Mints the proof of attendance of a stamped ticket, see contracts/AttendanceBadge.sol.
+*/
+interface IAttendanceBadge {
+    function eventToBadgeEnabled(uint160 eventId) external view returns (bool);
+    function mintBadge(address holder, uint256 ticketId) external returns (uint256 badgeId);
+}
+
+/**
+* @dev The account that pays the value of the request the forwarder executes, see contracts/Forwarder.sol.
+*/
+interface IForwarder {
+    function payer() external view returns (address);
+}
+
+/**
+* @dev Holds the Ticket creation code, which would not fit into the EventFactory bytecode.
+* Linked into EventFactory and delegatecalled, so the tickets are still created by the factory.
+*/
+library TicketDeployer {
+    function deploy(EventFactory factory, uint160 eventId, string calldata uri, bytes32 uriHash, bool useTokenIDInURI, FactoryStructs.TicketMetadata calldata _ticketMetadata) external returns (Ticket) {
+        return new Ticket(factory, eventId, uri, uriHash, useTokenIDInURI, _ticketMetadata);
+    }
 }
 
 contract EventFactory {
@@ -23,37 +59,81 @@ contract EventFactory {
     using EnumerableSet for EnumerableSet.UintSet;
 
     uint256 public constant VALIDATION_TIMEOUT = 60;
+    string public constant EIP712_NAME = "TKETS";
+    string public constant EIP712_VERSION = "1";
+    bytes32 public constant EIP712_DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant ENTRY_PASS_TYPEHASH = keccak256("EntryPass(uint160 eventId,address holder,address ticket,uint256 ticketId,uint256 timestamp,bytes32 nonce)");
     string public constant UNAUTHORIZED = "019001";
     string public constant INVALID_INPUT = "019002";
     string public constant INITIALIZATION_ERROR = "019003";
     string public constant CANNOT_TRANSFER_TO_ZERO_ADDRESS = "019004";
     string public constant NOT_EXISTS = "019005";
+    string public constant TICKET_SALE_ERROR = "019006";
+    string public constant INVALID_ACTION = "019007";
 
-    // keeps track of which tickets each holder has
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE"); // sets the commission rate and the attendance badge contract
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE"); // withdraws the commissions
+    bytes32 public constant MIGRATOR_ROLE = keccak256("MIGRATOR_ROLE"); // adds events and tickets with forceCreate*
+    uint256 public constant MAX_COMMISSION_RATE = 1000;
+    uint256 public constant COMMISSION_RATE_DELAY = 2 days;
+    uint256 public constant MIN_OPT_OUT_WINDOW = 1 days;
+
+    // keeps track of which tickets each holder has, updated by the tickets through setTicketHolder
     mapping(address => EnumerableSet.AddressSet) private _holderToTicket;
+    mapping(address => EnumerableSet.UintSet) private _ownerToEvents;
 
     mapping(uint160 => EnumerableSet.AddressSet) private _eventToTicket;
     mapping(uint160 => FactoryStructs.EventMetadata) public eventToMetadata;
     mapping(uint160 => address) public eventToOwner;
     mapping(uint160 => bool) public eventToStatus;
+    mapping(uint160 => uint256) public eventToOptOutEnd; // holders can opt out of a rescheduled event until then
     mapping(uint160 => EnumerableSet.AddressSet) private _eventToStampers;
+    mapping(address => mapping(address => bool)) public tierExchangeEnabled; // from tier => to tier, set by the event owner
 
     uint256 public currentEventCount;
-    address public TKETSOwner;
+    address public immutable trustedForwarder; // ERC-2771 forwarder of the tickets, the zero address for none
+    address public TKETSOwner; // grants and revokes the roles
+    address public pendingTKETSOwner; // becomes TKETSOwner once it accepts the ownership
+    mapping(bytes32 => EnumerableSet.AddressSet) private _roleMembers;
+
     uint256 public commissionRate; // commission = commissionRate / 10000 * ticket Price
+    uint256 public pendingCommissionRate;
+    uint256 public commissionRateChangeTime; // when pendingCommissionRate can be applied, 0 if no change is pending
+    IAttendanceBadge public attendanceBadge; // mints a badge when a ticket is stamped, the zero address for none
 
     event CommissionRateChange(uint256 indexed newCommissionRate);
+    event CommissionRateChangeSchedule(uint256 indexed newCommissionRate, uint256 effectiveTime);
+    event CommissionRateChangeCancel(uint256 indexed newCommissionRate);
+    event CommissionWithdraw(address indexed to, uint256 amount);
+    event AttendanceBadgeChange(address indexed attendanceBadge);
+    event RoleGrant(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoke(bytes32 indexed role, address indexed account, address indexed sender);
+    event TKETSOwnershipTransferStart(address indexed previousOwner, address indexed newOwner);
+    event TKETSOwnershipTransferCancel(address indexed pendingOwner);
+    event TKETSOwnershipTransfer(address indexed previousOwner, address indexed newOwner);
+    event EventForceCreate(address indexed ownerAddress, uint160 indexed eventId, uint256 timeStart, uint256 timeEnd);
+    event TicketForceCreate(uint160 indexed eventId, Ticket indexed ticketAddress);
     event EventCreate(address indexed ownerAddress, uint160 indexed eventId, uint256 timeStart, uint256 timeEnd);
     event EventCancel(uint160 indexed eventId);
+    event EventRescheduled(uint160 indexed eventId, uint256 timeStart, uint256 timeEnd, uint256 optOutEnd);
     event OwnershipTransferred(uint160 indexed eventId, address indexed previousOwner, address indexed newOwner);
     event StamperAdd(uint160 indexed eventId, address indexed stamperAddress);
     event StamperRemove(uint160 indexed eventId, address indexed stamperAddress);
+    event TierExchangeChange(uint160 indexed eventId, Ticket indexed from, Ticket indexed to, bool enabled);
+    event TicketExchange(uint160 indexed eventId, address indexed holder, Ticket from, uint256 fromTicketId, Ticket to, uint256 toTicketId, uint256 paid, uint256 credit);
     event TicketCreate(address indexed ownerAddress, uint160 indexed eventId, Ticket indexed ticketAddress, string uri, bytes32 uriHash, bool useTokenIDInURI, uint256 maxTickets, uint256 ticketPrice, uint256 ticketStartTime, uint256 ticketEndTime, bool acceptDonations);
     
-    constructor() {
+    // the initial commission rate applies right away, later increases are scheduled by setCommissionRate
+    constructor(address _trustedForwarder, uint256 _commissionRate) {
+        require(_commissionRate <= MAX_COMMISSION_RATE, INVALID_INPUT);
+        trustedForwarder = _trustedForwarder;
         currentEventCount = 0;
-        commissionRate = 0;
+        commissionRate = _commissionRate;
         TKETSOwner = msg.sender;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(MIGRATOR_ROLE, msg.sender);
+        emit CommissionRateChange(_commissionRate);
     }
 
     modifier onlyTKETSOwner() {
@@ -61,19 +141,122 @@ contract EventFactory {
         _;
     }
 
+    modifier onlyRole(bytes32 role) {
+        require (_roleMembers[role].contains(msg.sender), UNAUTHORIZED);
+        _;
+    }
+
     /* META */
 
-    function setCommissionRate(uint256 _rate) external onlyTKETSOwner {
+    /**
+    * @dev Lowering the commission rate applies right away. A higher rate is scheduled and can be applied with
+    * applyCommissionRate after COMMISSION_RATE_DELAY, so organizers see it coming before their buyers pay it.
+    */
+    function setCommissionRate(uint256 _rate) external onlyRole(ADMIN_ROLE) {
+        require(_rate <= MAX_COMMISSION_RATE, INVALID_INPUT);
+        if (_rate <= commissionRate) {
+            _setCommissionRate(_rate);
+            return;
+        }
+        pendingCommissionRate = _rate;
+        commissionRateChangeTime = SafeMath.add(block.timestamp, COMMISSION_RATE_DELAY);
+        emit CommissionRateChangeSchedule(_rate, commissionRateChangeTime);
+    }
+
+    // anyone can apply a scheduled change once it is due
+    function applyCommissionRate() external {
+        require(commissionRateChangeTime != 0 && block.timestamp >= commissionRateChangeTime, INVALID_ACTION);
+        _setCommissionRate(pendingCommissionRate);
+    }
+
+    function cancelCommissionRateChange() external onlyRole(ADMIN_ROLE) {
+        require(commissionRateChangeTime != 0, NOT_EXISTS);
+        emit CommissionRateChangeCancel(pendingCommissionRate);
+        delete pendingCommissionRate;
+        delete commissionRateChangeTime;
+    }
+
+    function _setCommissionRate(uint256 _rate) private {
+        delete pendingCommissionRate;
+        delete commissionRateChangeTime;
         commissionRate = _rate;
         emit CommissionRateChange(_rate);
     }
 
-    function withdrawCommissions() external onlyTKETSOwner{
-        payable(TKETSOwner).transfer(address(this).balance);
+    // the organizers turn the badges on per event in the badge contract, see AttendanceBadge.setEventBadge
+    function setAttendanceBadge(IAttendanceBadge _attendanceBadge) external onlyRole(ADMIN_ROLE) {
+        attendanceBadge = _attendanceBadge;
+        emit AttendanceBadgeChange(address(_attendanceBadge));
+    }
+
+    function withdrawCommissions() external onlyRole(TREASURER_ROLE) {
+        uint256 amount = address(this).balance;
+        emit CommissionWithdraw(msg.sender, amount);
+        payable(msg.sender).transfer(amount);
+    }
+
+    /**
+    * @dev Starts the transfer of the factory to newOwner, which has to call acceptTKETSOwnership.
+    * The roles stay with their members, the new owner grants and revokes them from then on.
+    */
+    function transferTKETSOwnership(address newOwner) external onlyTKETSOwner {
+        require(newOwner != address(0), CANNOT_TRANSFER_TO_ZERO_ADDRESS);
+        pendingTKETSOwner = newOwner;
+        emit TKETSOwnershipTransferStart(TKETSOwner, newOwner);
+    }
+
+    function cancelTKETSOwnershipTransfer() external onlyTKETSOwner {
+        require(pendingTKETSOwner != address(0), NOT_EXISTS);
+        emit TKETSOwnershipTransferCancel(pendingTKETSOwner);
+        delete pendingTKETSOwner;
+    }
+
+    function acceptTKETSOwnership() external {
+        require(msg.sender == pendingTKETSOwner, UNAUTHORIZED);
+        emit TKETSOwnershipTransfer(TKETSOwner, msg.sender);
+        TKETSOwner = msg.sender;
+        delete pendingTKETSOwner;
+    }
+
+    /* Roles */
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roleMembers[role].contains(account);
+    }
+
+    function getRoleMemberCount(bytes32 role) external view returns (uint256) {
+        return _roleMembers[role].length();
+    }
+
+    function getRoleMember(bytes32 role, uint256 index) external view returns (address) {
+        return _roleMembers[role].at(index);
+    }
+
+    function grantRole(bytes32 role, address account) external onlyTKETSOwner {
+        require(role == ADMIN_ROLE || role == TREASURER_ROLE || role == MIGRATOR_ROLE, INVALID_INPUT);
+        require(account != address(0), INVALID_INPUT);
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external onlyTKETSOwner {
+        _revokeRole(role, account);
+    }
+
+    // lets a compromised or retired key drop its role without the owner
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
     }
 
-    function transferTKETSOwnership(address newOwner) external onlyTKETSOwner{
-        TKETSOwner = newOwner;
+    function _grantRole(bytes32 role, address account) private {
+        if (_roleMembers[role].add(account)) {
+            emit RoleGrant(role, account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) private {
+        if (_roleMembers[role].remove(account)) {
+            emit RoleRevoke(role, account, msg.sender);
+        }
     }
 
     /* Event details */
@@ -83,12 +266,13 @@ contract EventFactory {
         _;
     }
 
-    function forceCreateEvent(uint160 eventId, address eventOwner, FactoryStructs.EventMetadata calldata _metadata) external onlyTKETSOwner returns(uint160 uid) {
+    function forceCreateEvent(uint160 eventId, address eventOwner, FactoryStructs.EventMetadata calldata _metadata) external onlyRole(MIGRATOR_ROLE) returns(uint160 uid) {
         uid = eventId;
         require (eventToOwner[uid] == address(0), INITIALIZATION_ERROR);
         eventToMetadata[uid] = _metadata;
         eventToOwner[uid] = eventOwner;
-        // emit EventCreate(eventOwner, uid, _metadata.timeStart, _metadata.timeEnd);
+        _ownerToEvents[eventOwner].add(uid);
+        emit EventForceCreate(eventOwner, uid, _metadata.timeStart, _metadata.timeEnd);
         currentEventCount++;
     }
 
@@ -97,6 +281,7 @@ contract EventFactory {
         require (eventToOwner[uid] == address(0), INITIALIZATION_ERROR);
         eventToMetadata[uid] = _metadata;
         eventToOwner[uid] = msg.sender;
+        _ownerToEvents[msg.sender].add(uid);
         emit EventCreate(msg.sender, uid, _metadata.timeStart, _metadata.timeEnd);
         currentEventCount++;
     }
@@ -108,11 +293,30 @@ contract EventFactory {
     function transferOwnership(uint160 eventId, address _newOwner) external onlyEventOwner(eventId) {
         require(_newOwner != address(0), CANNOT_TRANSFER_TO_ZERO_ADDRESS);
         eventToOwner[eventId] = _newOwner;
+        _ownerToEvents[msg.sender].remove(eventId);
+        _ownerToEvents[_newOwner].add(eventId);
         emit OwnershipTransferred(eventId, msg.sender, _newOwner);
     }
 
+    // the organizer can only withdraw once the holders can no longer opt out
     function isEventWithdrawable(uint160 eventId) public view returns(bool withdrawable) {
-        withdrawable = block.timestamp > eventToMetadata[eventId].timeEnd && !eventToStatus[eventId];
+        withdrawable = block.timestamp > eventToMetadata[eventId].timeEnd && block.timestamp >= eventToOptOutEnd[eventId] && !eventToStatus[eventId];
+    }
+
+    /**
+    * @dev Moves an event that is not over yet. For optOutWindow seconds from now, at least MIN_OPT_OUT_WINDOW,
+    * holders who cannot make it can return their tickets with Ticket.optOutTicket for a refund.
+    */
+    function rescheduleEvent(uint160 eventId, FactoryStructs.EventMetadata calldata _metadata, uint256 optOutWindow) external onlyEventOwner(eventId) {
+        require(!eventToStatus[eventId] && block.timestamp <= eventToMetadata[eventId].timeEnd, INVALID_ACTION);
+        require(_metadata.timeStart <= _metadata.timeEnd && optOutWindow >= MIN_OPT_OUT_WINDOW, INVALID_INPUT);
+        eventToMetadata[eventId] = _metadata;
+        eventToOptOutEnd[eventId] = SafeMath.add(block.timestamp, optOutWindow);
+        emit EventRescheduled(eventId, _metadata.timeStart, _metadata.timeEnd, eventToOptOutEnd[eventId]);
+    }
+
+    function isOptOutOpen(uint160 eventId) public view returns(bool open) {
+        open = block.timestamp < eventToOptOutEnd[eventId] && !eventToStatus[eventId];
     }
 
     function cancelEvent(uint160 eventId) external onlyEventOwner(eventId) {
@@ -123,28 +327,44 @@ contract EventFactory {
     /* Ticket minting and transfer */
 
     function createTicket(uint160 eventId, string calldata uri, bytes32 uriHash, bool useTokenIDInURI, FactoryStructs.TicketMetadata calldata _ticketMetadata) external onlyEventOwner(eventId)  {
-        Ticket t = new Ticket(this, eventId, uri, uriHash, useTokenIDInURI, _ticketMetadata);
+        Ticket t = TicketDeployer.deploy(this, eventId, uri, uriHash, useTokenIDInURI, _ticketMetadata);
         _eventToTicket[eventId].add(address(t));
         emit TicketCreate(msg.sender, eventId, t, uri, uriHash, useTokenIDInURI, _ticketMetadata.maxTickets, _ticketMetadata.ticketPrice, _ticketMetadata.ticketStartTime, _ticketMetadata.ticketEndTime, _ticketMetadata.acceptDonations);
     }
 
-    function forceCreateTicketFromAddress(uint160 eventId, Ticket ticket) external onlyTKETSOwner  {
+    function forceCreateTicketFromAddress(uint160 eventId, Ticket ticket) external onlyRole(MIGRATOR_ROLE)  {
         _eventToTicket[eventId].add(address(ticket));
-        // emit TicketCreate(msg.sender, eventId, ticket, uri, uriHash, useTokenIDInURI, _ticketMetadata.maxTickets, _ticketMetadata.ticketPrice, _ticketMetadata.ticketStartTime, _ticketMetadata.ticketEndTime, _ticketMetadata.acceptDonations);
+        emit TicketForceCreate(eventId, ticket);
+    }
+
+    function isEventTicket(uint160 eventId, Ticket ticket) public view returns (bool) {
+        return _eventToTicket[eventId].contains(address(ticket));
     }
 
     // use blocktime and read signed message to see if it is correct
     // reverts if ticket is invalid
     // returns true if ticket is not stamped, and false if ticket is stamped
+    // legacy personal_sign entry passes, new passes use validateEntryPass
     function validateTicket(uint160 eventId, address holder, Ticket ticket, uint256 ticketId, uint256 timestamp, uint8 v, bytes32 r, bytes32 s) public view returns(bool) {
+        bytes32 message = encodeMsg(eventId, holder, ticket, ticketId, timestamp);    
+        bytes32 prefixedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", message));
+        return _validateTicket(eventId, holder, ticket, ticketId, timestamp, prefixedHash, v, r, s);
+    }
+
+    /**
+    * @dev Same checks as validateTicket for an EIP-712 signed entry pass. The nonce is not checked here,
+    * the scanner that issued it as a challenge makes sure it is only used once.
+    */
+    function validateEntryPass(FactoryStructs.EntryPass calldata pass, uint8 v, bytes32 r, bytes32 s) external view returns(bool) {
+        return _validateTicket(pass.eventId, pass.holder, Ticket(pass.ticket), pass.ticketId, pass.timestamp, hashEntryPass(pass), v, r, s);
+    }
+
+    function _validateTicket(uint160 eventId, address holder, Ticket ticket, uint256 ticketId, uint256 timestamp, bytes32 digest, uint8 v, bytes32 r, bytes32 s) internal view returns(bool) {
         require(eventToOwner[eventId] != address(0), NOT_EXISTS);
-        require(_eventToTicket[eventId].contains(address(ticket)), NOT_EXISTS);
+        require(isEventTicket(eventId, ticket), NOT_EXISTS);
         require(block.timestamp < SafeMath.add(timestamp, VALIDATION_TIMEOUT) && block.timestamp >= SafeMath.sub(timestamp, 10)); // have some leeway for starting time
         require(ticket.ownerOf(ticketId) == holder);
-
-        bytes32 message = encodeMsg(eventId, holder, ticket, ticketId, timestamp);    
-        bytes32 prefixedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", message));
-        require(ecrecover(prefixedHash, v, r, s) == holder);
+        require(ecrecover(digest, v, r, s) == holder);
 
         return !ticket.tokenToStamped(ticketId);
     }
@@ -165,6 +385,104 @@ contract EventFactory {
         emit StamperRemove(eventId, stamper);
     }
 
+    /**
+    * @dev Stamps tickets of several tiers of the event in one transaction, ticketIds[i] are tickets of tickets[i].
+    * Skips tickets that are already stamped or no longer exist, see Ticket.stampTickets.
+    */
+    function stampTickets(uint160 eventId, Ticket[] calldata tickets, uint256[][] calldata ticketIds) external returns (uint256 stamped) {
+        require(msg.sender == eventToOwner[eventId] || isStamperAuthorized(msg.sender, eventId), UNAUTHORIZED);
+        require(tickets.length == ticketIds.length, INVALID_INPUT);
+        for (uint256 i = 0; i < tickets.length; i++) {
+            require(isEventTicket(eventId, tickets[i]), NOT_EXISTS);
+            stamped += tickets[i].stampTickets(ticketIds[i]);
+        }
+    }
+
+    /* Tier exchange */
+
+    // lets the holders of the tier `from` exchange their tickets for tickets of the tier `to`, not the other way around
+    function setTierExchange(uint160 eventId, Ticket from, Ticket to, bool enabled) external onlyEventOwner(eventId) {
+        require(from != to && isEventTicket(eventId, from) && isEventTicket(eventId, to), INVALID_INPUT);
+        tierExchangeEnabled[address(from)][address(to)] = enabled;
+        emit TierExchangeChange(eventId, from, to, enabled);
+    }
+
+    /**
+    * @dev Returns a ticket of the sender to the tier `from` and mints it one of the tier `to` of the same event.
+    * The old ticket is refunded what was paid for it, the new one costs the ticket price plus the commission at the
+    * current rate. An upgrade pays the difference as msg.value, a downgrade gets it back as credit.
+    */
+    function exchangeTicket(Ticket from, uint256 ticketId, Ticket to) external payable returns (uint256 newTicketId) {
+        uint160 eventId = from.eventId();
+        require(isEventTicket(eventId, from) && isEventTicket(eventId, to), NOT_EXISTS);
+        require(tierExchangeEnabled[address(from)][address(to)], INVALID_ACTION);
+        uint256 refund = from.exchangeOut(msg.sender, ticketId);
+
+        (, uint256 ticketPrice, , , ) = to.metadata();
+        uint256 ticketCommission = SafeMath.div(SafeMath.mul(ticketPrice, commissionRate), 10000);
+        uint256 salePrice = SafeMath.add(ticketPrice, ticketCommission);
+        uint256 credit = refund > salePrice ? refund - salePrice : 0;
+        require(msg.value == (credit > 0 ? 0 : salePrice - refund), TICKET_SALE_ERROR);
+
+        newTicketId = to.exchangeIn{value: salePrice}(msg.sender, ticketCommission);
+        emit TicketExchange(eventId, msg.sender, from, ticketId, to, newTicketId, msg.value, credit);
+        if (credit > 0) {
+            payable(msg.sender).transfer(credit);
+        }
+    }
+
+    /* Enumeration, paginated so large sets can be read in several calls */
+
+    function getTicketsOfEvent(uint160 eventId, uint256 offset, uint256 limit) external view returns (address[] memory page, uint256 total) {
+        return _page(_eventToTicket[eventId], offset, limit);
+    }
+
+    function getStampersOfEvent(uint160 eventId, uint256 offset, uint256 limit) external view returns (address[] memory page, uint256 total) {
+        return _page(_eventToStampers[eventId], offset, limit);
+    }
+
+    // the ticket contracts the holder has at least one ticket of
+    function getTicketContractsOfHolder(address holder, uint256 offset, uint256 limit) external view returns (address[] memory page, uint256 total) {
+        return _page(_holderToTicket[holder], offset, limit);
+    }
+
+    function getEventsOfOwner(address owner, uint256 offset, uint256 limit) external view returns (uint160[] memory page, uint256 total) {
+        EnumerableSet.UintSet storage set = _ownerToEvents[owner];
+        total = set.length();
+        page = new uint160[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = uint160(set.at(offset + i));
+        }
+    }
+
+    /**
+    * @dev Called by the tickets of the factory when holder gets its first or loses its last ticket of the tier.
+    */
+    function setTicketHolder(address holder, bool holding) external {
+        require(_eventToTicket[Ticket(msg.sender).eventId()].contains(msg.sender), UNAUTHORIZED);
+        if (holding) {
+            _holderToTicket[holder].add(msg.sender);
+        } else {
+            _holderToTicket[holder].remove(msg.sender);
+        }
+    }
+
+    function _page(EnumerableSet.AddressSet storage set, uint256 offset, uint256 limit) private view returns (address[] memory page, uint256 total) {
+        total = set.length();
+        page = new address[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = set.at(offset + i);
+        }
+    }
+
+    // sets are ordered by insertion, a removal moves the last member into the gap
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        return total - offset < limit ? total - offset : limit;
+    }
+
     /* Utils */
 
     /**
@@ -174,6 +492,23 @@ contract EventFactory {
         uid = uint160(uint256(keccak256(abi.encodePacked(msg.sender, currentEventCount, block.timestamp))));
     }
 
+    /**
+    * @dev EIP-5267, the domain wallets and lib/entrypass.js sign entry passes for.
+    */
+    function eip712Domain() external view returns (bytes1 fields, string memory name, string memory version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] memory extensions) {
+        return (hex"0f", EIP712_NAME, EIP712_VERSION, block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(EIP712_DOMAIN_TYPEHASH, keccak256(bytes(EIP712_NAME)), keccak256(bytes(EIP712_VERSION)), block.chainid, address(this)));
+    }
+
+    // EIP-712 digest of an entry pass, what the holder signs with eth_signTypedData_v4
+    function hashEntryPass(FactoryStructs.EntryPass calldata pass) public view returns (bytes32 digest) {
+        bytes32 structHash = keccak256(abi.encode(ENTRY_PASS_TYPEHASH, pass.eventId, pass.holder, pass.ticket, pass.ticketId, pass.timestamp, pass.nonce));
+        digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
     function encodeMsg(uint160 eventId, address holder, Ticket ticket, uint256 ticketId, uint256 timestamp) public pure returns (bytes32 message) {
         message = keccak256(abi.encodePacked(eventId, holder, ticket, ticketId, timestamp));    
     }
@@ -182,9 +517,11 @@ contract EventFactory {
  
 }
 
-contract Ticket is TNT721 {
+contract Ticket is ERC2771Context, TNT721 {
     string public constant UNAUTHORIZED = "019001";
+    string public constant INVALID_INPUT = "019002";
     string public constant CANNOT_TRANSFER_TO_ZERO_ADDRESS = "019004";
+    string public constant NOT_EXISTS = "019005";
     string public constant TICKET_SALE_ERROR = "019006";
     string public constant INVALID_ACTION = "019007";
 
@@ -197,53 +534,201 @@ contract Ticket is TNT721 {
     bool public useTokenIDInURI;
 
     mapping(uint256 => bool) public tokenToStamped;
+    bool public tierCancelled; // cancelled on its own, the other tiers of the event go ahead
+    uint256 public lastTicketId; // ids are not reused, opted out tickets are burnt while the sale goes on; at most maxTickets with useTokenIDInURI
+
+    // refunds pay back what was paid at the mint, the commission stays in the ticket until the event ends
+    mapping(uint256 => uint256) public tokenToPaid; // ticket price + commission at the rate of the mint
+    mapping(address => uint256) public addressToDonation; // refunded to the donor, not to the ticket holder
+    mapping(uint256 => address) public tokenToSponsor; // paid through the forwarder by another account than its holder, which gets its refund
+    uint256 public escrowedCommission;
+
+    bytes32 public presaleMerkleRoot;
+    uint256 public presaleEndTime; // only allowlisted addresses can mint between ticketStartTime and presaleEndTime
+    uint256 public maxTicketsPerAddress; // 0 for no limit, counts all tickets minted by an address
+    mapping(address => uint256) public addressToMintCount;
+
+    uint256 public maxResaleMarkup; // max resale price = (10000 + maxResaleMarkup) / 10000 * ticket Price
+    uint256 public royaltyRate; // royalty = royaltyRate / 10000 * resale price, paid to the event owner
+    mapping(uint256 => uint256) private _tokenToListingPrice;
 
     event TicketMint(address indexed mintedAddress, uint256 indexed ticketId);
     event TicketStamped(uint256 indexed ticketId);
-    event TicketRefund(address refundedAddress);
+    event TicketRefund(address refundedAddress, uint256 indexed ticketId, uint256 amount);
+    event TicketExchangeOut(address indexed holder, uint256 indexed ticketId, uint256 amount);
+    event DonationRefund(address indexed donor, uint256 amount);
+    event CommissionRelease(uint256 amount);
     event WithdrawBalance(); 
+    event TierCancel();
+    event TicketOptOut(uint256 indexed ticketId);
+    event PresaleChange(bytes32 merkleRoot, uint256 presaleEndTime);
+    event MaxTicketsPerAddressChange(uint256 maxTicketsPerAddress);
+    event ResaleTermsChange(uint256 maxResaleMarkup, uint256 royaltyRate);
+    event TicketList(uint256 indexed ticketId, uint256 price);
+    event TicketListingCancel(uint256 indexed ticketId);
+    event TicketResale(uint256 indexed ticketId, address indexed seller, address indexed buyer, uint256 price);
 
     using Strings for uint256;
 
-    constructor(EventFactory _factory, uint160 _eventId, string memory uri, bytes32 _uriHash, bool _useTokenIDInURI, FactoryStructs.TicketMetadata memory _ticketMetadata) TNT721("TKETS NFT", "TKET") {
+    constructor(EventFactory _factory, uint160 _eventId, string memory uri, bytes32 _uriHash, bool _useTokenIDInURI, FactoryStructs.TicketMetadata memory _ticketMetadata) ERC2771Context(_factory.trustedForwarder()) TNT721("TKETS NFT", "TKET") {
         metadata = _ticketMetadata;
         eventId = _eventId;
         uriHash = _uriHash;
         useTokenIDInURI = _useTokenIDInURI;
         factory = _factory;
         _setBaseURI(uri);
+        _registerInterface(0x2a55205a); // ERC-2981 royaltyInfo
+    }
+
+    // the holder who signed the request when relayed by the trusted forwarder, see contracts/Forwarder.sol
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address payable) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes memory) {
+        return ERC2771Context._msgData();
     }
     
     function mintTicket(uint256 numberOfTickets) external payable {
+        require(block.timestamp >= presaleEndTime, TICKET_SALE_ERROR);
+        _mintTickets(numberOfTickets);
+    }
+
+    /**
+    * @dev Mints during the presale, which runs from the ticket sale start until presaleEndTime.
+    * @param proof Merkle proof that the sender is on the presale allowlist, see lib/allowlist.js
+    */
+    function mintPresaleTicket(uint256 numberOfTickets, bytes32[] calldata proof) external payable {
+        require(block.timestamp < presaleEndTime, TICKET_SALE_ERROR);
+        require(MerkleProof.verify(proof, presaleMerkleRoot, keccak256(abi.encodePacked(_msgSender()))), UNAUTHORIZED);
+        _mintTickets(numberOfTickets);
+    }
+
+    function _mintTickets(uint256 numberOfTickets) private {
         require(numberOfTickets != 0, TICKET_SALE_ERROR);
         uint256 ticketCommission = SafeMath.div(SafeMath.mul(metadata.ticketPrice, factory.commissionRate()), 10000);
-        uint256 ticketSalePrice = SafeMath.add(metadata.ticketPrice, ticketCommission);
-        uint256 ticketSaleValue = SafeMath.mul(ticketSalePrice, numberOfTickets);
+        uint256 ticketSaleValue = SafeMath.mul(SafeMath.add(metadata.ticketPrice, ticketCommission), numberOfTickets);
         require(msg.value == ticketSaleValue || (metadata.acceptDonations && msg.value > ticketSaleValue), TICKET_SALE_ERROR);
-        require(!factory.eventToStatus(eventId), TICKET_SALE_ERROR);
+        _mintTo(_msgSender(), numberOfTickets, ticketCommission);
+        address payer = _msgSender();
+        if (msg.value > 0 && isTrustedForwarder(msg.sender) && IForwarder(msg.sender).payer() != payer) {
+            payer = IForwarder(msg.sender).payer();
+            for (uint256 i = 0; i < numberOfTickets; i++) {
+                tokenToSponsor[lastTicketId - i] = payer;
+            }
+        }
+        if (msg.value > ticketSaleValue) {
+            addressToDonation[payer] = SafeMath.add(addressToDonation[payer], msg.value - ticketSaleValue);
+        }
+    }
+
+    // checks the sale of the tier for `to`, the tickets are paid at the ticket price plus ticketCommission
+    function _mintTo(address to, uint256 numberOfTickets, uint256 ticketCommission) private {
+        require(!isCancelled(), TICKET_SALE_ERROR);
         require(block.timestamp > SafeMath.sub(metadata.ticketStartTime, 10) && block.timestamp < metadata.ticketEndTime, TICKET_SALE_ERROR); // have some leeway for starting time
-        uint256 currentTicketCount = totalSupply();
-        uint256 endTicketCount = SafeMath.add(currentTicketCount, numberOfTickets);
+        // the metadata of per-token tiers only covers the IDs 1 to maxTickets, so their IDs are not sold again
+        uint256 endTicketCount = SafeMath.add(useTokenIDInURI ? lastTicketId : totalSupply(), numberOfTickets);
         require(metadata.maxTickets == 0 || endTicketCount <= metadata.maxTickets, TICKET_SALE_ERROR);
+        addressToMintCount[to] = SafeMath.add(addressToMintCount[to], numberOfTickets);
+        require(maxTicketsPerAddress == 0 || addressToMintCount[to] <= maxTicketsPerAddress, TICKET_SALE_ERROR);
 
+        uint256 ticketSalePrice = SafeMath.add(metadata.ticketPrice, ticketCommission);
         for (uint256 i = 1; i <= numberOfTickets; i++) {
-            uint256 nextTokenId = currentTicketCount + i;
-            super._mint(msg.sender, nextTokenId);
-            emit TicketMint(msg.sender, nextTokenId);
+            uint256 nextTokenId = lastTicketId + i;
+            super._mint(to, nextTokenId);
+            tokenToPaid[nextTokenId] = ticketSalePrice;
+            emit TicketMint(to, nextTokenId);
         }
+        lastTicketId = SafeMath.add(lastTicketId, numberOfTickets);
 
-        if (ticketCommission > 0) {
-            payable(factory).transfer(SafeMath.mul(ticketCommission, numberOfTickets));
-        }
+        escrowedCommission = SafeMath.add(escrowedCommission, SafeMath.mul(ticketCommission, numberOfTickets));
+    }
+
+    /* Tier exchange, run by EventFactory.exchangeTicket */
+
+    /**
+    * @dev Mints the ticket the holder gets for one of another tier, as a mintTicket of one ticket at the current
+    * commission rate: the public sale window, maxTickets and the wallet limit apply, the value is the sale price.
+    */
+    function exchangeIn(address holder, uint256 ticketCommission) external payable returns (uint256 ticketId) {
+        require(msg.sender == address(factory), UNAUTHORIZED);
+        require(block.timestamp >= presaleEndTime, TICKET_SALE_ERROR);
+        require(msg.value == SafeMath.add(metadata.ticketPrice, ticketCommission), TICKET_SALE_ERROR);
+        _mintTo(holder, 1, ticketCommission);
+        return lastTicketId;
+    }
+
+    // returns the ticket of holder like refundTicket, the refund goes to the factory for the ticket of the other tier
+    function exchangeOut(address holder, uint256 ticketId) external returns (uint256 amount) {
+        require(msg.sender == address(factory), UNAUTHORIZED);
+        require(ownerOf(ticketId) == holder, UNAUTHORIZED);
+        require(!tokenToStamped[ticketId] && !isCancelled(), INVALID_ACTION);
+        address sponsor;
+        (amount, sponsor) = _burnPaid(ticketId);
+        emit TicketExchangeOut(holder, ticketId, amount);
+        amount = _paySponsor(sponsor, amount);
+        payable(msg.sender).transfer(amount);
+    }
+
+    /* Presale and purchase limits */
+
+    function setPresale(bytes32 merkleRoot, uint256 _presaleEndTime) external {
+        require(_msgSender() == factory.eventToOwner(eventId), UNAUTHORIZED);
+        require(_presaleEndTime <= metadata.ticketEndTime, INVALID_INPUT);
+        presaleMerkleRoot = merkleRoot;
+        presaleEndTime = _presaleEndTime;
+        emit PresaleChange(merkleRoot, _presaleEndTime);
+    }
+
+    function setMaxTicketsPerAddress(uint256 _maxTicketsPerAddress) external {
+        require(_msgSender() == factory.eventToOwner(eventId), UNAUTHORIZED);
+        maxTicketsPerAddress = _maxTicketsPerAddress;
+        emit MaxTicketsPerAddressChange(_maxTicketsPerAddress);
     }
 
     function stampTicket(uint256 ticketId) external {
-        require(msg.sender == factory.eventToOwner(eventId) || factory.isStamperAuthorized(msg.sender, eventId), UNAUTHORIZED);
+        require(_msgSender() == factory.eventToOwner(eventId) || factory.isStamperAuthorized(_msgSender(), eventId), UNAUTHORIZED);
         require(!tokenToStamped[ticketId]);
         tokenToStamped[ticketId] = true;
+        _cancelListing(ticketId);
         emit TicketStamped(ticketId);
+        IAttendanceBadge badge = _attendanceBadge();
+        if (address(badge) != address(0) && _exists(ticketId)) {
+            badge.mintBadge(ownerOf(ticketId), ticketId);
+        }
+    }
+
+    /**
+    * @dev Stamps a batch of tickets, e.g. the admissions of a gate that scanned offline.
+    * Tickets that are already stamped or no longer exist are skipped, so a batch can be submitted again.
+    * The factory calls this for the tiers of EventFactory.stampTickets once it has checked the stamper.
+    */
+    function stampTickets(uint256[] calldata ticketIds) external returns (uint256 stamped) {
+        require(_msgSender() == address(factory) || _msgSender() == factory.eventToOwner(eventId) || factory.isStamperAuthorized(_msgSender(), eventId), UNAUTHORIZED);
+        IAttendanceBadge badge = _attendanceBadge();
+        for (uint256 i = 0; i < ticketIds.length; i++) {
+            uint256 ticketId = ticketIds[i];
+            if (_exists(ticketId) && !tokenToStamped[ticketId]) {
+                tokenToStamped[ticketId] = true;
+                _cancelListing(ticketId);
+                emit TicketStamped(ticketId);
+                if (address(badge) != address(0)) {
+                    badge.mintBadge(ownerOf(ticketId), ticketId);
+                }
+                stamped++;
+            }
+        }
     }
 
+    // the badge contract if the event mints badges, the zero address otherwise, looked up once per stamping transaction
+    function _attendanceBadge() private view returns (IAttendanceBadge badge) {
+        badge = factory.attendanceBadge();
+        if (address(badge) != address(0) && !badge.eventToBadgeEnabled(eventId)) {
+            badge = IAttendanceBadge(address(0));
+        }
+    }
+
+    // not restricted by the resale terms, they only cap the native market, see setResaleTerms
     function transferFrom(address _from, address _to, uint256 tokenId) public override {
         require(_isApprovedOrOwner(_msgSender(), tokenId), "TNT721: transfer caller is not owner nor approved");
 
@@ -260,31 +745,220 @@ contract Ticket is TNT721 {
         return super.baseURI();
     }
 
+    // the escrowed commission goes to the factory first, the organizer gets the rest
     function withdrawBalance() external {
-        require(factory.isEventWithdrawable(eventId), INVALID_ACTION);
-        require(msg.sender == factory.eventToOwner(eventId), UNAUTHORIZED);
-        payable(msg.sender).transfer(address(this).balance);
+        require(factory.isEventWithdrawable(eventId) && !tierCancelled, INVALID_ACTION);
+        require(_msgSender() == factory.eventToOwner(eventId), UNAUTHORIZED);
+        _releaseCommission();
+        payable(_msgSender()).transfer(address(this).balance);
         emit WithdrawBalance();
     }
 
+    /**
+    * @dev Sends the escrowed commission to the factory once the event is over, so it cannot be refunded anymore.
+    * Anyone can call it, e.g. the factory treasurer when the organizer does not withdraw.
+    */
+    function releaseCommission() external {
+        require(factory.isEventWithdrawable(eventId) && !tierCancelled, INVALID_ACTION);
+        require(escrowedCommission > 0, INVALID_ACTION);
+        _releaseCommission();
+    }
+
+    function _releaseCommission() private {
+        uint256 amount = escrowedCommission;
+        if (amount > 0) {
+            escrowedCommission = 0;
+            payable(factory).transfer(amount);
+            emit CommissionRelease(amount);
+        }
+    }
+
+    // the event or only this tier
+    function isCancelled() public view returns (bool) {
+        return tierCancelled || factory.eventToStatus(eventId);
+    }
+
+    function cancelTier() external {
+        require(_msgSender() == factory.eventToOwner(eventId), UNAUTHORIZED);
+        require(!isCancelled(), INVALID_ACTION);
+        tierCancelled = true;
+        emit TierCancel();
+    }
+
+    /**
+    * @dev Returns a ticket of a rescheduled event while the opt-out window is open, with the same refund as refundTicket.
+    */
+    function optOutTicket(uint256 tokenId) external {
+        require(factory.isOptOutOpen(eventId) && !tierCancelled && !tokenToStamped[tokenId], INVALID_ACTION);
+        require(_isApprovedOrOwner(_msgSender(), tokenId), "TNT721: transfer caller is not owner nor approved");
+        emit TicketOptOut(tokenId);
+        payable(_msgSender()).transfer(_refund(tokenId));
+    }
+
+    // pays back the ticket price and the commission paid at the mint, to the holder of the ticket
     function refundTicket(uint256 tokenId) external {
-        require(factory.eventToStatus(eventId), INVALID_ACTION);
+        require(isCancelled(), INVALID_ACTION);
         require(_isApprovedOrOwner(_msgSender(), tokenId), "TNT721: transfer caller is not owner nor approved");
-        _burn(tokenId);
-        emit TicketRefund(msg.sender);
-        payable(msg.sender).transfer(metadata.ticketPrice);
+        payable(_msgSender()).transfer(_refund(tokenId));
     }
 
     function refundAll() external {
-        require(factory.eventToStatus(eventId), INVALID_ACTION);
-        uint256 balanceTickets = balanceOf(msg.sender);
+        require(isCancelled(), INVALID_ACTION);
+        uint256 balanceTickets = balanceOf(_msgSender());
         require(balanceTickets > 0, INVALID_ACTION);
+        uint256 amount = 0;
         for (uint256 i = 0; i < balanceTickets; i++) {
-            uint256 tokenId = tokenOfOwnerByIndex(msg.sender, 0);
-            _burn(tokenId);
-            emit TicketRefund(msg.sender);
+            amount = SafeMath.add(amount, _refund(tokenOfOwnerByIndex(_msgSender(), 0)));
+        }
+
+        payable(_msgSender()).transfer(amount);
+    }
+
+    // donations are paid back to the address that donated, whoever holds the tickets now
+    function refundDonation() external {
+        require(isCancelled(), INVALID_ACTION);
+        uint256 amount = addressToDonation[_msgSender()];
+        require(amount > 0, INVALID_ACTION);
+        delete addressToDonation[_msgSender()];
+        emit DonationRefund(_msgSender(), amount);
+        payable(_msgSender()).transfer(amount);
+    }
+
+    // burns the ticket, returns what the caller pays out: nothing for sponsored tickets, their refund goes to the sponsor
+    function _refund(uint256 tokenId) private returns (uint256) {
+        (uint256 amount, address sponsor) = _burnPaid(tokenId);
+        emit TicketRefund(sponsor != address(0) ? sponsor : _msgSender(), tokenId, amount);
+        return _paySponsor(sponsor, amount);
+    }
+
+    // burns the ticket, returns what it refunds and the sponsor that gets it if the holder did not pay for it
+    function _burnPaid(uint256 tokenId) private returns (uint256 amount, address sponsor) {
+        amount = tokenToPaid[tokenId];
+        uint256 commission = SafeMath.sub(amount, metadata.ticketPrice);
+        if (commission <= escrowedCommission) {
+            escrowedCommission -= commission;
+        } else {
+            // the commission was released to the factory before the event was cancelled
+            amount = metadata.ticketPrice;
         }
+        delete tokenToPaid[tokenId];
+        _burn(tokenId);
+        sponsor = tokenToSponsor[tokenId];
+        delete tokenToSponsor[tokenId];
+    }
+
+    // pays the refund of a sponsored ticket to its sponsor, returns what is left for the caller to pay out
+    function _paySponsor(address sponsor, uint256 amount) private returns (uint256) {
+        if (sponsor == address(0)) {
+            return amount;
+        }
+        payable(sponsor).transfer(amount);
+        return 0;
+    }
+
+    /* Resale */
+
+    /**
+    * @dev The cap and the royalty only apply to listings of this contract. Plain transfers stay open for gifts
+    * and wallets, a price paid outside the contract for them is neither capped nor subject to the royalty.
+    */
+    function setResaleTerms(uint256 _maxResaleMarkup, uint256 _royaltyRate) external {
+        require(_msgSender() == factory.eventToOwner(eventId), UNAUTHORIZED);
+        require(_royaltyRate <= 10000, INVALID_INPUT);
+        maxResaleMarkup = _maxResaleMarkup;
+        royaltyRate = _royaltyRate;
+        emit ResaleTermsChange(_maxResaleMarkup, _royaltyRate);
+    }
+
+    function maxResalePrice() public view returns (uint256) {
+        return SafeMath.div(SafeMath.mul(metadata.ticketPrice, SafeMath.add(10000, maxResaleMarkup)), 10000);
+    }
+
+    // resale is open until the event ends or the event or tier is cancelled
+    function isResaleOpen() public view returns (bool) {
+        (, uint256 timeEnd) = factory.eventToMetadata(eventId);
+        return block.timestamp <= timeEnd && !isCancelled();
+    }
 
-        payable(msg.sender).transfer(SafeMath.mul(metadata.ticketPrice, balanceTickets));
+    /**
+    * @dev Returns the price a ticket is listed at, or 0 if it is not listed or the listing can no longer be bought.
+    */
+    function listingPrice(uint256 tokenId) public view returns (uint256) {
+        uint256 price = _tokenToListingPrice[tokenId];
+        if (price > maxResalePrice() || !isResaleOpen()) {
+            return 0;
+        }
+        return price;
+    }
+
+    /**
+    * @dev Lists a ticket for resale. The buyer pays the price plus the factory commission, the event owner
+    * gets the royalty out of the price. Listings are cancelled when the ticket is transferred, stamped or burned.
+    */
+    function listTicket(uint256 tokenId, uint256 price) external {
+        require(_isApprovedOrOwner(_msgSender(), tokenId), "TNT721: transfer caller is not owner nor approved");
+        require(price > 0 && price <= maxResalePrice(), INVALID_INPUT);
+        require(!tokenToStamped[tokenId] && isResaleOpen(), INVALID_ACTION);
+        _tokenToListingPrice[tokenId] = price;
+        emit TicketList(tokenId, price);
+    }
+
+    function cancelListing(uint256 tokenId) external {
+        require(_isApprovedOrOwner(_msgSender(), tokenId), "TNT721: transfer caller is not owner nor approved");
+        require(_tokenToListingPrice[tokenId] > 0, NOT_EXISTS);
+        _cancelListing(tokenId);
+    }
+
+    function buyTicket(uint256 tokenId) external payable {
+        uint256 price = listingPrice(tokenId);
+        require(price > 0, TICKET_SALE_ERROR);
+        uint256 commission = SafeMath.div(SafeMath.mul(price, factory.commissionRate()), 10000);
+        require(msg.value == SafeMath.add(price, commission), TICKET_SALE_ERROR);
+
+        address seller = ownerOf(tokenId);
+        delete _tokenToListingPrice[tokenId];
+        // the buyer paid for the ticket, a refund is theirs
+        delete tokenToSponsor[tokenId];
+        _transfer(seller, _msgSender(), tokenId);
+        emit TicketResale(tokenId, seller, _msgSender(), price);
+
+        (address organizer, uint256 royalty) = royaltyInfo(tokenId, price);
+        if (commission > 0) {
+            payable(factory).transfer(commission);
+        }
+        if (royalty > 0) {
+            payable(organizer).transfer(royalty);
+        }
+        payable(seller).transfer(SafeMath.sub(price, royalty));
+    }
+
+    /**
+    * @dev ERC-2981, the royalty of a sale at salePrice goes to the event owner.
+    */
+    function royaltyInfo(uint256, uint256 salePrice) public view returns (address receiver, uint256 royaltyAmount) {
+        receiver = factory.eventToOwner(eventId);
+        royaltyAmount = SafeMath.div(SafeMath.mul(salePrice, royaltyRate), 10000);
+    }
+
+    function _cancelListing(uint256 tokenId) private {
+        if (_tokenToListingPrice[tokenId] > 0) {
+            delete _tokenToListingPrice[tokenId];
+            emit TicketListingCancel(tokenId);
+        }
+    }
+
+    // keeps the holder index of the factory up to date, balances are the ones before the transfer
+    function _beforeTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        super._beforeTokenTransfer(from, to, tokenId);
+        _cancelListing(tokenId);
+        if (from == to) {
+            return;
+        }
+        if (from != address(0) && balanceOf(from) == 1) {
+            factory.setTicketHolder(from, false);
+        }
+        if (to != address(0) && balanceOf(to) == 0) {
+            factory.setTicketHolder(to, true);
+        }
     }
 }
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.0;
+
+/**
+ * @dev ERC-2771 forwarder, along the lines of OpenZeppelin's MinimalForwarder.
+ *
+ * A relayer submits a request signed by its sender with eth_signTypedData_v4 and pays for the gas. The call to `to`
+ * carries the sender's address in its last 20 bytes, recipients that trust this forwarder read it with `_msgSender()`.
+ * lib/relayer builds, signs and relays requests in this format.
+ */
+contract Forwarder {
+    string public constant UNAUTHORIZED = "019001";
+    string public constant INVALID_INPUT = "019002";
+
+    string public constant EIP712_NAME = "TKETSForwarder";
+    string public constant EIP712_VERSION = "1";
+    bytes32 public constant EIP712_DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH = keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 validUntil,bytes data)");
+
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 validUntil; // timestamp after which the request can no longer be executed
+        bytes data;
+    }
+
+    mapping(address => uint256) private _nonces;
+    // the account that pays the value of the request being executed, recipients record it as the sponsor
+    address public payer;
+
+    event RequestForward(address indexed from, address indexed to, uint256 nonce);
+
+    function getNonce(address from) public view returns (uint256) {
+        return _nonces[from];
+    }
+
+    /**
+    * @dev EIP-5267, the domain senders sign their requests for.
+    */
+    function eip712Domain() external view returns (bytes1 fields, string memory name, string memory version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] memory extensions) {
+        return (hex"0f", EIP712_NAME, EIP712_VERSION, block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(EIP712_DOMAIN_TYPEHASH, keccak256(bytes(EIP712_NAME)), keccak256(bytes(EIP712_VERSION)), block.chainid, address(this)));
+    }
+
+    // EIP-712 digest of a request, what its sender signs
+    function hashRequest(ForwardRequest calldata req) public view returns (bytes32 digest) {
+        bytes32 structHash = keccak256(abi.encode(FORWARD_REQUEST_TYPEHASH, req.from, req.to, req.value, req.gas, req.nonce, req.validUntil, keccak256(req.data)));
+        digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    // true if the request is signed by its sender, uses the next nonce of the sender and has not expired
+    function verify(ForwardRequest calldata req, uint8 v, bytes32 r, bytes32 s) public view returns (bool) {
+        address signer = ecrecover(hashRequest(req), v, r, s);
+        return signer != address(0) && signer == req.from && _nonces[req.from] == req.nonce && block.timestamp <= req.validUntil;
+    }
+
+    /**
+    * @dev Executes a signed request. The relayer sends req.value along, e.g. the ticket price of a sponsored mint,
+    * and is the `payer` during the call. A reverting call reverts the whole transaction with its reason, so the
+    * nonce is not used up.
+    */
+    function execute(ForwardRequest calldata req, uint8 v, bytes32 r, bytes32 s) external payable returns (bytes memory returndata) {
+        require(verify(req, v, r, s), UNAUTHORIZED);
+        require(msg.value == req.value, INVALID_INPUT);
+        _nonces[req.from] = req.nonce + 1;
+
+        address previousPayer = payer;
+        if (msg.value > 0) {
+            payer = msg.sender;
+        }
+        bool success;
+        (success, returndata) = req.to.call{gas: req.gas, value: req.value}(abi.encodePacked(req.data, req.from));
+        if (msg.value > 0) {
+            payer = previousPayer;
+        }
+        // the relayer must not be able to make the call fail by giving too little gas, see EIP-150
+        if (gasleft() <= req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+        emit RequestForward(req.from, req.to, req.nonce);
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.0;
+
+/**
+ * @dev Merkle proof verification, as in OpenZeppelin's MerkleProof.
+ *
+ * The pairs of the tree are hashed sorted, so a proof does not need to say on which side each sibling is.
+ * lib/allowlist.js builds trees and proofs in this format.
+ */
+library MerkleProof {
+    /**
+     * @dev Returns true if `leaf` is part of the tree with the given `root`, `proof` holds the sibling hashes
+     * on the branch from the leaf to the root.
+     */
+    function verify(bytes32[] memory proof, bytes32 root, bytes32 leaf) internal pure returns (bool) {
+        bytes32 computedHash = leaf;
+
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 proofElement = proof[i];
+
+            if (computedHash <= proofElement) {
+                computedHash = keccak256(abi.encodePacked(computedHash, proofElement));
+            } else {
+                computedHash = keccak256(abi.encodePacked(proofElement, computedHash));
+            }
+        }
+
+        return computedHash == root;
+    }
+}
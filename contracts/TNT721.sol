@@ -12,6 +12,41 @@ abstract contract Context {
     }
 }
 
+/**
+ * @dev ERC-2771 recipient: calls relayed by the trusted forwarder carry the signer's address in their last 20 bytes,
+ * `_msgSender()` returns it instead of the forwarder. See contracts/Forwarder.sol.
+ */
+abstract contract ERC2771Context is Context {
+    address private immutable _trustedForwarder;
+
+    constructor(address trustedForwarder) {
+        _trustedForwarder = trustedForwarder;
+    }
+
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == _trustedForwarder;
+    }
+
+    function _msgSender() internal view virtual override returns (address payable sender) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            return super._msgSender();
+        }
+    }
+
+    function _msgData() internal view virtual override returns (bytes memory) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            bytes calldata data = msg.data[:msg.data.length - 20];
+            return data;
+        } else {
+            return super._msgData();
+        }
+    }
+}
+
 library SafeMath {
     function add(uint256 a, uint256 b) internal pure returns (uint256) {
         uint256 c = a + b;
@@ -389,10 +424,10 @@ library Strings {
             temp /= 10;
         }
         bytes memory buffer = new bytes(digits);
-        uint256 index = digits - 1;
         temp = value;
         while (temp != 0) {
-            buffer[index--] = bytes1(uint8(48 + temp % 10));
+            digits -= 1;
+            buffer[digits] = bytes1(uint8(48 + temp % 10));
             temp /= 10;
         }
         return string(buffer);
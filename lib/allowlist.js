@@ -0,0 +1,101 @@
+const fs = require('fs');
+const ethUtil = require('ethereumjs-util');
+const errors = require('./errors');
+
+const key = (address) => address.toLowerCase();
+
+const toHex = (buffer) => {
+  return '0x' + buffer.toString('hex');
+}
+
+// keccak256(abi.encodePacked(address)), the leaf Ticket.mintPresaleTicket checks for msg.sender
+const hashLeaf = (address) => {
+  return ethUtil.keccak256(ethUtil.toBuffer(address));
+}
+
+// pairs are hashed sorted, like contracts/MerkleProof.sol
+const hashPair = (a, b) => {
+  return ethUtil.keccak256(Buffer.compare(a, b) <= 0 ? Buffer.concat([a, b]) : Buffer.concat([b, a]));
+}
+
+/**
+* @dev Reads an allowlist file: addresses separated by newlines, commas or whitespace, `#` starts a comment.
+*/
+const parseAddresses = (text) => {
+  return text.split('\n')
+    .map(line => line.replace(/#.*$/, ''))
+    .join(' ')
+    .split(/[\s,]+/)
+    .filter(address => address.length > 0);
+}
+
+const loadAddresses = (file) => {
+  return parseAddresses(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+* @dev Builds the Merkle tree of a presale allowlist. Duplicates are dropped, an odd node is carried up a level as is.
+* Returns `{ root, proofs }`, proofs maps each checksummed address to the proof to pass to mintPresaleTicket.
+* Both are plain JSON, to hand the proofs to the holder apps.
+*/
+const buildAllowlist = (addresses) => {
+  const invalid = addresses.filter(address => !ethUtil.isValidAddress(address));
+  if (invalid.length > 0) {
+    throw new errors.InvalidInputError('Invalid addresses in allowlist: ' + invalid.join(', '));
+  }
+  const unique = [...new Map(addresses.map(address => [key(address), ethUtil.toChecksumAddress(address)])).values()];
+  if (unique.length === 0) {
+    throw new errors.InvalidInputError('Allowlist is empty');
+  }
+
+  // sorted leaves make the root independent of the order of the list
+  const leaves = unique.map(address => ({ address, hash: hashLeaf(address) })).sort((a, b) => Buffer.compare(a.hash, b.hash));
+  const proofs = new Map(leaves.map(leaf => [leaf.address, []]));
+  // the addresses below each node of the current level
+  let level = leaves.map(leaf => ({ hash: leaf.hash, addresses: [leaf.address] }));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1];
+      if (!right) {
+        next.push(left);
+        continue;
+      }
+      left.addresses.forEach(address => proofs.get(address).push(toHex(right.hash)));
+      right.addresses.forEach(address => proofs.get(address).push(toHex(left.hash)));
+      next.push({ hash: hashPair(left.hash, right.hash), addresses: left.addresses.concat(right.addresses) });
+    }
+    level = next;
+  }
+
+  return {
+    root: toHex(level[0].hash),
+    proofs: Object.fromEntries(unique.map(address => [address, proofs.get(address)]))
+  };
+}
+
+/**
+* @dev Looks up the proof of an address, case-insensitively. Throws NotExistsError if it is not on the allowlist.
+*/
+const getProof = (allowlist, address) => {
+  const found = Object.keys(allowlist.proofs).find(listed => key(listed) === key(address));
+  if (!found) {
+    throw new errors.NotExistsError(address + ' is not on the presale allowlist');
+  }
+  return allowlist.proofs[found];
+}
+
+// the same check as MerkleProof.verify, to test a proof without a transaction
+const verifyProof = (root, address, proof) => {
+  const computed = proof.reduce((hash, sibling) => hashPair(hash, ethUtil.toBuffer(sibling)), hashLeaf(address));
+  return toHex(computed) === root.toLowerCase();
+}
+
+module.exports = {
+  parseAddresses,
+  loadAddresses,
+  buildAllowlist,
+  getProof,
+  verifyProof
+};
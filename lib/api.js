@@ -0,0 +1,170 @@
+const http = require('http');
+const errors = require('./errors');
+const events = require('./events');
+const pagination = require('./pagination');
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const parseEventId = (text) => {
+  try {
+    return events.parseEventId(text).toString();
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+const parseAddress = (text) => {
+  if (!ADDRESS_PATTERN.test(text)) {
+    throw new HttpError(400, 'Invalid address ' + text);
+  }
+  return text;
+}
+
+const parseTokenId = (text) => {
+  if (!/^[0-9]{1,15}$/.test(text)) {
+    throw new HttpError(400, 'Invalid token ID ' + text);
+  }
+  return Number(text);
+}
+
+/**
+* @dev Builds the JSON responses from the indexer, adding the fields that depend on the current chain state.
+*/
+class TketsApi {
+
+  constructor({ client, indexer }) {
+    this.client = client;
+    this.indexer = indexer;
+  }
+
+  async _chainTime() {
+    const block = await this.client.web3.eth.getBlock('latest');
+    return Number(block.timestamp);
+  }
+
+  // maxTickets caps the tickets that are held, refunded, opted out and exchanged tickets can be sold again.
+  // Tiers with per-token metadata cap the token IDs instead, their tickets are not sold again
+  _ticketType(ticket, now, cancelled) {
+    const unlimited = ticket.maxTickets === 0;
+    const taken = ticket.useTokenIDInURI ? ticket.sold : ticket.outstanding;
+    return Object.assign({}, ticket, {
+      cancelled,
+      remaining: unlimited ? null : ticket.maxTickets - taken,
+      soldOut: !unlimited && taken >= ticket.maxTickets,
+      saleOpen: !cancelled && now > ticket.saleStart - 10 && now < ticket.saleEnd
+    });
+  }
+
+  async _token(token) {
+    const ticket = await this.client.ticketAt(token.ticketAddress);
+    return Object.assign({}, token, {
+      stamped: await ticket.tokenToStamped(token.ticketId),
+      // a reverting tokenURI should not fail the whole response
+      tokenURI: await ticket.tokenURI(token.ticketId).catch(err => {
+        if (!errors.isRevert(err)) {
+          throw err;
+        }
+        return null;
+      })
+    });
+  }
+
+  async getEvent(eventId) {
+    const event = this.indexer.getEvent(eventId);
+    if (!event) {
+      throw new HttpError(404, 'Event ' + eventId + ' not found');
+    }
+    return Object.assign({}, event, {
+      eventIdHex: events.formatEventId(event.eventId),
+      withdrawable: await this.client.factory.isEventWithdrawable(event.eventId)
+    });
+  }
+
+  async getEventTickets(eventId) {
+    const event = await this.getEvent(eventId);
+    const now = await this._chainTime();
+    return this.indexer.ticketTypesOfEvent(eventId).map(ticket => this._ticketType(ticket, now, event.cancelled || ticket.cancelled));
+  }
+
+  async getToken(ticketAddress, ticketId) {
+    const token = this.indexer.getToken(ticketAddress, ticketId);
+    if (!token) {
+      throw new HttpError(404, 'Token ' + ticketId + ' of ' + ticketAddress + ' not found');
+    }
+    return this._token(token);
+  }
+
+  async getHolderTickets(holder) {
+    return Promise.all(this.indexer.ticketsOfHolder(holder).map(token => this._token(token)));
+  }
+
+  // attendance is read from the badge contract, not from the indexer
+  _badge(badge) {
+    return Object.assign({}, badge, { eventId: badge.eventId.toString() });
+  }
+
+  async getEventAttendance(eventId) {
+    return (await pagination.collect(this.client.attendanceOfEvent(eventId))).map(badge => this._badge(badge));
+  }
+
+  async getHolderAttendance(holder) {
+    return (await pagination.collect(this.client.attendanceOfHolder(holder))).map(badge => this._badge(badge));
+  }
+
+  async route(method, url) {
+    if (method !== 'GET') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    const parts = url.split('?')[0].split('/').filter(Boolean);
+
+    if (parts[0] === 'events' && parts.length === 2) {
+      return this.getEvent(parseEventId(parts[1]));
+    }
+    if (parts[0] === 'events' && parts.length === 3 && parts[2] === 'tickets') {
+      return this.getEventTickets(parseEventId(parts[1]));
+    }
+    if (parts[0] === 'events' && parts.length === 3 && parts[2] === 'attendance') {
+      return this.getEventAttendance(parseEventId(parts[1]));
+    }
+    if (parts[0] === 'tickets' && parts.length === 4 && parts[2] === 'tokens') {
+      return this.getToken(parseAddress(parts[1]), parseTokenId(parts[3]));
+    }
+    if (parts[0] === 'holders' && parts.length === 3 && parts[2] === 'tickets') {
+      return this.getHolderTickets(parseAddress(parts[1]));
+    }
+    if (parts[0] === 'holders' && parts.length === 3 && parts[2] === 'attendance') {
+      return this.getHolderAttendance(parseAddress(parts[1]));
+    }
+    throw new HttpError(404, 'Not found');
+  }
+}
+
+/**
+* @dev Creates the read-only HTTP server. The indexer is not synced here, run `indexer.poll()` next to it.
+*/
+const createApiServer = ({ client, indexer }) => {
+  const api = new TketsApi({ client, indexer });
+  return http.createServer((req, res) => {
+    api.route(req.method, req.url).then(body => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }).catch(err => {
+      const decoded = errors.decodeError(err);
+      const status = err.status || (decoded instanceof errors.TketsError ? 400 : 500);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  });
+}
+
+module.exports = {
+  TketsApi,
+  createApiServer
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASELINE = path.join(__dirname, '..', '..', 'gas-baseline.json');
+// a function regresses when it uses more than this many percent more gas than the baseline
+const DEFAULT_THRESHOLD = 5;
+
+/**
+* @dev The gas each benchmarked function used when the baseline was last updated, `{ gas: { name: { size: gasUsed } } }`.
+* gasUsed is null for the measurements that failed then, e.g. because they did not fit into a block.
+* It is committed with the contracts, so a change that makes a function more expensive shows up in the benchmark.
+*/
+class GasBaseline {
+
+  constructor({ path = DEFAULT_BASELINE } = {}) {
+    this.path = path;
+    this.data = { gas: {} };
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    if (this.path) {
+      const tmpPath = this.path + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2) + '\n');
+      fs.renameSync(tmpPath, this.path);
+    }
+  }
+
+  // undefined if the function was not measured for this size
+  get(name, size) {
+    return (this.data.gas[name] || {})[size];
+  }
+
+  /**
+  * @dev Takes over the measurements, the entries of functions and sizes that were not measured are kept.
+  * @param measuredOn Describes the chain, e.g. `{ network, blockGasLimit }`
+  */
+  update(results, measuredOn = {}) {
+    for (const result of results) {
+      this.data.gas[result.name] = Object.assign({}, this.data.gas[result.name], { [result.size]: result.gasUsed });
+    }
+    Object.assign(this.data, { updatedAt: new Date().toISOString(), measuredOn });
+    this.save();
+  }
+
+  /**
+  * @dev Compares measurements with the baseline. Returns `{ regressions, improvements, unchanged, added }`
+  * with entries `{ name, size, gasUsed, baseline, change }`, change is in percent of the baseline.
+  * A function that cannot be measured anymore is a regression, one that can be measured again an improvement,
+  * one without a baseline is added.
+  */
+  compare(results, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const comparison = { regressions: [], improvements: [], unchanged: [], added: [] };
+    for (const result of results) {
+      const baseline = this.get(result.name, result.size);
+      const entry = { name: result.name, size: result.size, gasUsed: result.gasUsed, baseline: baseline === undefined ? null : baseline, change: null };
+      if (result.gasUsed === null) {
+        entry.error = result.error;
+      }
+      let group;
+      if (baseline === undefined) {
+        group = 'added';
+      } else if (result.gasUsed === null) {
+        group = baseline === null ? 'unchanged' : 'regressions';
+      } else if (baseline === null) {
+        group = 'improvements';
+      } else {
+        entry.change = Math.round((result.gasUsed - baseline) / baseline * 10000) / 100;
+        group = entry.change > threshold ? 'regressions' : entry.change < -threshold ? 'improvements' : 'unchanged';
+      }
+      comparison[group].push(entry);
+    }
+    return comparison;
+  }
+}
+
+GasBaseline.DEFAULT_BASELINE = DEFAULT_BASELINE;
+GasBaseline.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+
+module.exports = GasBaseline;
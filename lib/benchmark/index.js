@@ -0,0 +1,15 @@
+const GasBenchmark = require('./runner');
+const GasBaseline = require('./baseline');
+const { SCENARIOS, createFixture } = require('./scenarios');
+const { DEFAULT_GAS_PRICE, createReport, formatMarkdown, writeReport } = require('./report');
+
+module.exports = {
+  GasBenchmark,
+  GasBaseline,
+  SCENARIOS,
+  DEFAULT_GAS_PRICE,
+  createFixture,
+  createReport,
+  formatMarkdown,
+  writeReport
+};
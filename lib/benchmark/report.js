@@ -0,0 +1,81 @@
+const fs = require('fs');
+const BN = require('bn.js');
+const Web3 = require('web3');
+
+// the gas price of the Theta networks in truffle-config.js
+const DEFAULT_GAS_PRICE = '4000000000000';
+
+/**
+* @dev The benchmark report that is written as JSON: the measurements with what they cost at gasPrice, in wei,
+* and the comparison with the baseline.
+*/
+const createReport = ({ results, comparison, gasPrice = DEFAULT_GAS_PRICE, threshold, network }) => {
+  return {
+    generatedAt: new Date().toISOString(),
+    network,
+    gasPrice: String(gasPrice),
+    threshold,
+    results: results.map(result => Object.assign({}, result, {
+      cost: result.gasUsed === null ? null : new BN(gasPrice).muln(result.gasUsed).toString()
+    })),
+    comparison
+  };
+}
+
+// entries without a change failed to measure now or in the baseline, or have no baseline
+const formatChange = (entry, group) => {
+  if (entry.change !== null) {
+    return (entry.change > 0 ? '+' : '') + entry.change + '%';
+  }
+  return { added: 'new', regressions: 'failed', improvements: 'works again', unchanged: 'still failing' }[group];
+}
+
+/**
+* @dev A markdown table of the report, one row per function and size with the gas per ticket or tier,
+* the cost at the gas price of the report and the change against the baseline. Regressions are listed below it.
+*/
+const formatMarkdown = (report) => {
+  const changes = new Map();
+  for (const [group, entries] of Object.entries(report.comparison || {})) {
+    entries.forEach(entry => changes.set(entry.name + ':' + entry.size, { baseline: entry.baseline === null ? '' : entry.baseline, change: formatChange(entry, group) }));
+  }
+
+  const lines = [
+    '# Gas benchmark',
+    '',
+    'Cost at a gas price of ' + Web3.utils.fromWei(report.gasPrice, 'gwei') + ' gwei' + (report.network ? ' on ' + report.network : '') + ', ' + report.generatedAt + '.',
+    '',
+    '| Function | Size | Gas | Gas per item | Cost (TFuel) | Baseline | Change |',
+    '| --- | --- | ---: | ---: | ---: | ---: | ---: |'
+  ];
+  for (const result of report.results) {
+    const { baseline, change } = changes.get(result.name + ':' + result.size) || { baseline: '', change: '' };
+    const size = result.parameter ? result.size + ' ' + result.parameter : '';
+    if (result.gasUsed === null) {
+      lines.push('| ' + [result.name, size, 'failed: ' + result.error, '', '', baseline, change].join(' | ') + ' |');
+      continue;
+    }
+    const perItem = result.parameter ? Math.round(result.gasUsed / result.size) : '';
+    lines.push('| ' + [result.name, size, result.gasUsed, perItem, Web3.utils.fromWei(result.cost, 'ether'), baseline, change].join(' | ') + ' |');
+  }
+
+  const regressions = (report.comparison && report.comparison.regressions) || [];
+  if (regressions.length > 0) {
+    lines.push('', '## Regressions over ' + report.threshold + '%', '');
+    regressions.forEach(entry => lines.push('- ' + entry.name + ' (' + entry.size + '): ' + (entry.gasUsed === null ? 'failed, ' + entry.error : entry.baseline + ' -> ' + entry.gasUsed + ' gas, ' + formatChange(entry, 'regressions'))));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// writes `<out>.json` and `<out>.md`
+const writeReport = (report, out) => {
+  fs.writeFileSync(out + '.json', JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(out + '.md', formatMarkdown(report));
+}
+
+module.exports = {
+  DEFAULT_GAS_PRICE,
+  createReport,
+  formatMarkdown,
+  writeReport
+};
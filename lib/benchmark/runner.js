@@ -0,0 +1,78 @@
+const errors = require('../errors');
+const { SCENARIOS } = require('./scenarios');
+
+const DEFAULT_SIZES = {
+  tickets: [1, 10, 100],
+  tiers: [1, 5, 10]
+};
+
+/**
+* @dev Measures the gas of the benchmark scenarios on the chain of the client, once for every size of the parameter
+* they vary. Every measurement deploys its own event and tiers through the factory of the client, so run it against
+* a factory deployed for the benchmark.
+*/
+class GasBenchmark {
+
+  /**
+  * @param client TketsClient, its account creates the events
+  * @param holder Account that mints, defaults to the client account
+  * @param buyer Account that receives transfers and buys resales, defaults to the holder
+  * @param sizes `{ tickets, tiers }`, the sizes of each parameter
+  */
+  constructor({ client, holder, buyer, scenarios = SCENARIOS, sizes = {}, log = () => {} }) {
+    this.client = client;
+    this.holder = holder || client.from;
+    this.buyer = buyer || this.holder;
+    this.scenarios = scenarios;
+    this.sizes = Object.assign({}, DEFAULT_SIZES);
+    for (const [parameter, values] of Object.entries(sizes)) {
+      if (values) {
+        this.sizes[parameter] = values;
+      }
+    }
+    this.log = log;
+  }
+
+  async _gasUsed(txs) {
+    let gasUsed = 0;
+    for (const tx of txs) {
+      const receipt = await this.client.web3.eth.getTransactionReceipt(typeof tx === 'string' ? tx : tx.tx);
+      gasUsed += Number(receipt.gasUsed);
+    }
+    return gasUsed;
+  }
+
+  /**
+  * @dev Resolves to `{ name, parameter, size, gasUsed, transactions }` with the `size` of the scenario as parameter.
+  * A measurement that fails, e.g. because it exceeds the block gas limit, resolves to
+  * `{ name, parameter, size, gasUsed: null, error }` instead of stopping the benchmark.
+  */
+  async measure(scenario, size) {
+    try {
+      const txs = await scenario.run({ client: this.client, holder: this.holder, buyer: this.buyer }, size);
+      return { name: scenario.name, parameter: scenario.size || null, size, gasUsed: await this._gasUsed(txs), transactions: txs.length };
+    } catch (err) {
+      const decoded = errors.decodeError(err);
+      return { name: scenario.name, parameter: scenario.size || null, size, gasUsed: null, error: decoded.message + (decoded.code ? ' (' + decoded.code + ')' : '') };
+    }
+  }
+
+  /**
+  * @dev Runs the scenarios, or the ones named in `only`, for all of their sizes. Resolves to the measurements.
+  */
+  async run({ only } = {}) {
+    const results = [];
+    for (const scenario of this.scenarios.filter(scenario => !only || only.includes(scenario.name))) {
+      for (const size of scenario.size ? this.sizes[scenario.size] : [1]) {
+        const result = await this.measure(scenario, size);
+        this.log(scenario.name + (scenario.size ? ' (' + size + ' ' + scenario.size + ')' : '') + ': ' + (result.error ? 'failed, ' + result.error : result.gasUsed + ' gas'));
+        results.push(result);
+      }
+    }
+    return results;
+  }
+}
+
+GasBenchmark.DEFAULT_SIZES = DEFAULT_SIZES;
+
+module.exports = GasBenchmark;
@@ -0,0 +1,162 @@
+const BN = require('bn.js');
+
+// the tiers of the benchmark, the URI does not change the gas of anything measured
+const URI = 'ipfs://benchmark';
+const URI_HASH = '0x' + '00'.repeat(32);
+const PRICE = new BN(1000);
+// fixtures mint in chunks, a mintTicket of 100 tickets can exceed the block gas limit
+const MINT_CHUNK = 10;
+
+const blockTime = async (client) => {
+  return Number((await client.web3.eth.getBlock('latest')).timestamp);
+}
+
+const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+/**
+* @dev Creates an event of the client account with `tiers` ticket tiers and mints `tickets` tickets of each to the holder.
+* The event is over already unless `open` is set, so withdrawBalance works without waiting. The sales run for a day.
+* Resolves to `{ eventId, ticketAddress, ticketAddresses }` with the first tier as ticketAddress.
+*/
+const createFixture = async (client, { tiers = 1, tickets = 0, holder, open = false } = {}) => {
+  const now = await blockTime(client);
+  const { eventId } = await client.createEvent(open ? { start: now, end: now + 86400 } : { start: now - 2, end: now - 1 });
+  const ticketAddresses = [];
+  for (let tier = 0; tier < tiers; tier++) {
+    const { ticketAddress } = await client.createTicket(eventId, { uri: URI, uriHash: URI_HASH, maxTickets: 0, price: PRICE, saleStart: now - 10, saleEnd: now + 86400 });
+    ticketAddresses.push(ticketAddress);
+    for (let minted = 0; minted < tickets; minted += MINT_CHUNK) {
+      await client.mintTicket(ticketAddress, Math.min(MINT_CHUNK, tickets - minted), { from: holder });
+    }
+  }
+  return { eventId, ticketAddress: ticketAddresses[0], ticketAddresses };
+}
+
+/**
+* @dev The measured functions, `{ name, size, run(context, size) }`. run sets up its own fixture, sends the measured
+* transactions and resolves to them. `size` names the parameter that is varied, 'tickets' or 'tiers', functions
+* without one are measured once. The context is `{ client, holder, buyer }`, the client account is the organizer.
+*/
+const SCENARIOS = [
+  {
+    name: 'EventFactory.createEvent',
+    run: async ({ client }) => {
+      const now = await blockTime(client);
+      return [(await client.createEvent({ start: now, end: now + 86400 })).tx];
+    }
+  },
+  {
+    // every tier is a new Ticket contract
+    name: 'EventFactory.createTicket',
+    size: 'tiers',
+    run: async ({ client }, tiers) => {
+      const { eventId } = await createFixture(client, { tiers: 0 });
+      const now = await blockTime(client);
+      const txs = [];
+      for (let tier = 0; tier < tiers; tier++) {
+        txs.push((await client.createTicket(eventId, { uri: URI, uriHash: URI_HASH, maxTickets: 0, price: PRICE, saleStart: now, saleEnd: now + 86400 })).tx);
+      }
+      return txs;
+    }
+  },
+  {
+    name: 'Ticket.mintTicket',
+    size: 'tickets',
+    run: async ({ client, holder }, tickets) => {
+      const { ticketAddress } = await createFixture(client);
+      return [(await client.mintTicket(ticketAddress, tickets, { from: holder })).tx];
+    }
+  },
+  {
+    name: 'Ticket.transferFrom',
+    run: async ({ client, holder, buyer }) => {
+      const { ticketAddress } = await createFixture(client, { tickets: 1, holder });
+      const ticket = await client.ticketAt(ticketAddress);
+      return [(await ticket.transferFrom(holder, buyer, 1, { from: holder })).tx];
+    }
+  },
+  {
+    name: 'Ticket.stampTicket',
+    run: async ({ client, holder }) => {
+      const { ticketAddress } = await createFixture(client, { tickets: 1, holder });
+      return [(await client.stampTicket(ticketAddress, 1)).tx];
+    }
+  },
+  {
+    name: 'Ticket.stampTickets',
+    size: 'tickets',
+    run: async ({ client, holder }, tickets) => {
+      const { ticketAddress } = await createFixture(client, { tickets, holder });
+      return [(await client.stampTickets(ticketAddress, range(tickets))).tx];
+    }
+  },
+  {
+    // a stampTicket of an event with attendance badges, which mints the badge of the holder
+    name: 'AttendanceBadge.mintBadge',
+    run: async ({ client, holder }) => {
+      const { eventId, ticketAddress } = await createFixture(client, { tickets: 1, holder });
+      await client.setEventBadge(eventId, { uri: URI });
+      return [(await client.stampTicket(ticketAddress, 1)).tx];
+    }
+  },
+  {
+    // one ticket of each tier
+    name: 'EventFactory.stampTickets',
+    size: 'tiers',
+    run: async ({ client, holder }, tiers) => {
+      const { eventId, ticketAddresses } = await createFixture(client, { tiers, tickets: 1, holder });
+      return [(await client.stampTicketBatch(eventId, ticketAddresses.map(ticketAddress => ({ ticketAddress, ticketIds: [1] })))).tx];
+    }
+  },
+  {
+    name: 'Ticket.listTicket',
+    run: async ({ client, holder }) => {
+      const { ticketAddress } = await createFixture(client, { tickets: 1, holder, open: true });
+      return [(await client.listTicket(ticketAddress, 1, PRICE, { from: holder })).tx];
+    }
+  },
+  {
+    name: 'Ticket.buyTicket',
+    run: async ({ client, holder, buyer }) => {
+      const { ticketAddress } = await createFixture(client, { tickets: 1, holder, open: true });
+      await client.listTicket(ticketAddress, 1, PRICE, { from: holder });
+      return [(await client.buyTicket(ticketAddress, 1, { from: buyer })).tx];
+    }
+  },
+  {
+    name: 'EventFactory.cancelEvent',
+    run: async ({ client, holder }) => {
+      const { eventId } = await createFixture(client, { tickets: 1, holder });
+      return [(await client.cancelEvent(eventId)).tx];
+    }
+  },
+  {
+    name: 'Ticket.refundTicket',
+    run: async ({ client, holder }) => {
+      const { eventId, ticketAddress } = await createFixture(client, { tickets: 1, holder });
+      await client.cancelEvent(eventId);
+      return [(await client.refundTicket(ticketAddress, 1, { from: holder })).tx];
+    }
+  },
+  {
+    name: 'Ticket.refundAll',
+    size: 'tickets',
+    run: async ({ client, holder }, tickets) => {
+      const { eventId, ticketAddress } = await createFixture(client, { tickets, holder });
+      await client.cancelEvent(eventId);
+      return [(await client.refundAll(ticketAddress, { from: holder })).tx];
+    }
+  },
+  {
+    name: 'Ticket.withdrawBalance',
+    run: async ({ client, holder }) => {
+      const { ticketAddress } = await createFixture(client, { tickets: 1, holder });
+      return [(await client.withdrawBalance(ticketAddress)).tx];
+    }
+  }
+];
+
+module.exports = {
+  SCENARIOS,
+  createFixture
+};
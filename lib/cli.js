@@ -0,0 +1,678 @@
+const fs = require('fs');
+const path = require('path');
+const BN = require('bn.js');
+const events = require('./events');
+const errors = require('./errors');
+const TketsClient = require('./client');
+const importer = require('./importer');
+const allowlist = require('./allowlist');
+const { Indexer, JsonStore } = require('./indexer');
+const { Reconciler, formatReport } = require('./reconciliation');
+const gate = require('./gate');
+const { FactoryMigration } = require('./deployment');
+const { connect } = require('./contracts');
+const { resolveNetwork, stopProvider } = require('./networks');
+
+const DEFAULT_CONFIG_FILE = 'tkets.config.json';
+const BOOLEAN_FLAGS = ['dry-run', 'token-id-in-uri', 'donations', 'help', 'reject-legacy', 'offline', 'update-baseline', 'disable', 'sponsor-value'];
+
+/**
+* @dev Parses `--name value` pairs and the boolean flags above, everything else is positional.
+*/
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+    } else if (BOOLEAN_FLAGS.includes(argv[i].slice(2))) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const loadConfig = (configPath) => {
+  const resolved = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+  if (!fs.existsSync(resolved)) {
+    if (configPath) {
+      throw new Error('Config file ' + resolved + ' not found');
+    }
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+}
+
+const required = (args, name) => {
+  if (args[name] === undefined) {
+    throw new errors.InvalidInputError('Missing --' + name);
+  }
+  return args[name];
+}
+
+const formatTime = (timestamp) => {
+  return new Date(timestamp * 1000).toISOString() + ' (' + timestamp + ')';
+}
+
+/**
+* @dev Every command resolves its arguments into the contract call for --dry-run and the client call that sends it.
+* Commands that send more than one transaction have no `call` and describe their dry run themselves.
+*/
+const COMMANDS = {
+  'create-event': {
+    usage: '--start <time> --end <time>',
+    plan: async (client, args) => {
+      const start = events.parseTime(required(args, 'start'));
+      const end = events.parseTime(required(args, 'end'));
+      return {
+        call: [client.factory, 'createEvent', [[start, end]]],
+        dryRun: result => ['Event ID (depends on the block time): ' + events.formatEventId(result)],
+        send: async () => {
+          const created = await client.createEvent({ start, end });
+          return ['Event created: ' + events.formatEventId(created.eventId), '  start: ' + formatTime(created.timeStart), '  end:   ' + formatTime(created.timeEnd), '  tx:    ' + created.tx];
+        }
+      };
+    }
+  },
+
+  'create-ticket': {
+    usage: '--event <id> --uri <uri> --uri-hash <bytes32> --max <n> --price <wei> --sale-start <time> --sale-end <time> [--token-id-in-uri] [--donations]',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const ticket = {
+        uri: required(args, 'uri'),
+        uriHash: required(args, 'uri-hash'),
+        useTokenIDInURI: Boolean(args['token-id-in-uri']),
+        maxTickets: Number(required(args, 'max')),
+        price: new BN(required(args, 'price')),
+        saleStart: events.parseTime(required(args, 'sale-start')),
+        saleEnd: events.parseTime(required(args, 'sale-end')),
+        acceptDonations: Boolean(args.donations)
+      };
+      return {
+        call: [client.factory, 'createTicket', client.createTicketArgs(eventId, ticket)],
+        send: async () => {
+          const created = await client.createTicket(eventId, ticket);
+          return ['Ticket created: ' + created.ticketAddress, '  event: ' + events.formatEventId(created.eventId), '  price: ' + created.price.toString() + ' wei, max ' + (created.maxTickets || 'unlimited') + ' tickets', '  sale:  ' + formatTime(created.saleStart) + ' - ' + formatTime(created.saleEnd), '  tx:    ' + created.tx];
+        }
+      };
+    }
+  },
+
+  'add-stamper': {
+    usage: '--event <id> --stamper <address>',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const stamper = required(args, 'stamper');
+      return {
+        call: [client.factory, 'addStamperToEvent', [stamper, eventId]],
+        send: async () => {
+          const added = await client.addStamper(eventId, stamper);
+          return ['Stamper ' + stamper + ' added to event ' + events.formatEventId(eventId), '  tx: ' + added.tx];
+        }
+      };
+    }
+  },
+
+  'remove-stamper': {
+    usage: '--event <id> --stamper <address>',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const stamper = required(args, 'stamper');
+      return {
+        call: [client.factory, 'removeStamperFromEvent', [stamper, eventId]],
+        send: async () => {
+          const removed = await client.removeStamper(eventId, stamper);
+          return ['Stamper ' + stamper + ' removed from event ' + events.formatEventId(eventId), '  tx: ' + removed.tx];
+        }
+      };
+    }
+  },
+
+  'set-event-badge': {
+    usage: '--event <id> (--uri <metadata uri> | --disable)',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const enabled = !args.disable;
+      const uri = enabled ? required(args, 'uri') : (args.uri || '');
+      const badge = await client.attendanceBadge();
+      return {
+        call: [badge, 'setEventBadge', [eventId, enabled, uri]],
+        send: async () => {
+          const set = await client.setEventBadge(eventId, { enabled, uri });
+          const status = enabled ? 'minted on stamping, metadata ' + uri : 'no longer minted';
+          return ['Attendance badges of event ' + events.formatEventId(eventId) + ' ' + status, '  tx: ' + set.tx];
+        }
+      };
+    }
+  },
+
+  'set-tier-exchange': {
+    usage: '--event <id> --from <ticket address> --to <ticket address> [--disable]',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const from = required(args, 'from');
+      const to = required(args, 'to');
+      const enabled = !args.disable;
+      return {
+        call: [client.factory, 'setTierExchange', [eventId, from, to, enabled]],
+        send: async () => {
+          const set = await client.setTierExchange(eventId, from, to, enabled);
+          return ['Exchanges from ' + from + ' to ' + to + (enabled ? ' enabled' : ' disabled'), '  tx: ' + set.tx];
+        }
+      };
+    }
+  },
+
+  'cancel-event': {
+    usage: '--event <id>',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      return {
+        call: [client.factory, 'cancelEvent', [eventId]],
+        send: async () => {
+          const cancelled = await client.cancelEvent(eventId);
+          return ['Event cancelled: ' + events.formatEventId(cancelled.eventId), '  tx: ' + cancelled.tx];
+        }
+      };
+    }
+  },
+
+  'reschedule-event': {
+    usage: '--event <id> --start <time> --end <time> --opt-out-window <seconds>',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const start = events.parseTime(required(args, 'start'));
+      const end = events.parseTime(required(args, 'end'));
+      const optOutWindow = Number(required(args, 'opt-out-window'));
+      if (!Number.isInteger(optOutWindow) || optOutWindow < 0) {
+        throw new errors.InvalidInputError('--opt-out-window must be a number of seconds');
+      }
+      return {
+        call: [client.factory, 'rescheduleEvent', [eventId, [start, end], optOutWindow]],
+        send: async () => {
+          const rescheduled = await client.rescheduleEvent(eventId, { start, end, optOutWindow });
+          return ['Event rescheduled: ' + events.formatEventId(eventId), '  start:   ' + formatTime(rescheduled.timeStart), '  end:     ' + formatTime(rescheduled.timeEnd), '  opt-out: until ' + formatTime(rescheduled.optOutEnd), '  tx:      ' + rescheduled.tx];
+        }
+      };
+    }
+  },
+
+  'cancel-tier': {
+    usage: '--ticket <address>',
+    plan: async (client, args) => {
+      const ticketAddress = required(args, 'ticket');
+      return {
+        call: [await client.ticketAt(ticketAddress), 'cancelTier', []],
+        send: async () => {
+          const cancelled = await client.cancelTier(ticketAddress);
+          return ['Ticket tier cancelled: ' + ticketAddress, '  tx: ' + cancelled.tx];
+        }
+      };
+    }
+  },
+
+  'transfer-ownership': {
+    usage: '--event <id> --to <address>',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const newOwner = required(args, 'to');
+      return {
+        call: [client.factory, 'transferOwnership', [eventId, newOwner]],
+        send: async () => {
+          const transferred = await client.transferOwnership(eventId, newOwner);
+          return ['Event ' + events.formatEventId(eventId) + ' transferred to ' + newOwner, '  tx: ' + transferred.tx];
+        }
+      };
+    }
+  },
+
+  'set-presale': {
+    usage: '--ticket <address> --allowlist <file> --end <time> [--proofs <file>]',
+    plan: async (client, args) => {
+      const ticketAddress = required(args, 'ticket');
+      const allowlistPath = required(args, 'allowlist');
+      const built = allowlist.buildAllowlist(allowlist.loadAddresses(allowlistPath));
+      const end = events.parseTime(required(args, 'end'));
+      const proofsPath = args.proofs || allowlistPath + '.proofs.json';
+      const summary = ['root: ' + built.root + ', ' + Object.keys(built.proofs).length + ' addresses', 'end:  ' + formatTime(end)];
+      return {
+        call: [await client.ticketAt(ticketAddress), 'setPresale', [built.root, end]],
+        dryRun: () => summary,
+        send: async () => {
+          const set = await client.setPresale(ticketAddress, { root: built.root, end });
+          fs.writeFileSync(proofsPath, JSON.stringify(built, null, 2));
+          return ['Presale set for ' + ticketAddress].concat(summary.map(line => '  ' + line), ['  proofs written to ' + proofsPath, '  tx:   ' + set.tx]);
+        }
+      };
+    }
+  },
+
+  'set-wallet-limit': {
+    usage: '--ticket <address> --max <n>',
+    plan: async (client, args) => {
+      const ticketAddress = required(args, 'ticket');
+      const max = Number(required(args, 'max'));
+      if (!Number.isInteger(max) || max < 0) {
+        throw new errors.InvalidInputError('--max must be a non-negative integer, 0 removes the limit');
+      }
+      return {
+        call: [await client.ticketAt(ticketAddress), 'setMaxTicketsPerAddress', [max]],
+        send: async () => {
+          const set = await client.setMaxTicketsPerAddress(ticketAddress, max);
+          return ['Tickets per address of ' + ticketAddress + ' limited to ' + (max || 'unlimited'), '  tx: ' + set.tx];
+        }
+      };
+    }
+  },
+
+  'gate-snapshot': {
+    usage: '--event <id> --out <file>',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const out = required(args, 'out');
+      return {
+        dryRun: () => ['The snapshot only reads from the chain, nothing would be sent'],
+        send: async () => {
+          const snapshot = await gate.createSnapshot(client, eventId);
+          fs.writeFileSync(out, JSON.stringify(snapshot, null, 2));
+          const tickets = Object.values(snapshot.tickets).reduce((count, tokens) => count + Object.keys(tokens).length, 0);
+          return ['Snapshot of event ' + events.formatEventId(eventId) + ' at block ' + snapshot.blockNumber + ' written to ' + out, '  ' + Object.keys(snapshot.tickets).length + ' tiers, ' + tickets + ' tickets'];
+        }
+      };
+    }
+  },
+
+  'gate-sync': {
+    usage: '--event <id> --log <file> [--merge <file>,<file>] [--batch-size <n>]',
+    plan: async (client, args) => {
+      const eventId = events.parseEventId(required(args, 'event'));
+      const log = new gate.AdmissionLog({ path: required(args, 'log') }).load();
+      for (const other of (args.merge || '').split(',').filter(Boolean)) {
+        log.merge(new gate.AdmissionLog({ path: other }).load());
+      }
+      const batchSize = Number(args['batch-size'] || gate.DEFAULT_BATCH_SIZE);
+      const pending = new Set(log.admissions().filter(admission => !log.getSynced(admission.ticket, admission.ticketId)).map(admission => gate.AdmissionLog.ticketKey(admission.ticket, admission.ticketId)));
+      return {
+        dryRun: () => [pending.size + ' admitted tickets to stamp in ' + Math.ceil(pending.size / batchSize) + ' transactions', gate.findDoubleEntries(log).length + ' double entries so far'],
+        send: async () => {
+          const synced = await gate.syncAdmissions({ client, log, eventId, batchSize });
+          const lines = ['Stamped ' + synced.stamped.length + ' tickets in ' + synced.txs.length + ' transactions'];
+          synced.txs.forEach(tx => lines.push('  tx: ' + tx));
+          synced.missing.forEach(ticket => lines.push('  no longer exists: ' + ticket.ticket + ' #' + ticket.ticketId));
+          lines.push(synced.doubleEntries.length + ' double entries');
+          synced.doubleEntries.forEach(entry => lines.push('  ' + entry.reason + ' ' + entry.ticket + ' #' + entry.ticketId + ': ' + entry.admissions.map(admission => admission.gate + ' at ' + formatTime(admission.time)).join(', ')));
+          return lines;
+        }
+      };
+    }
+  },
+
+  'import': {
+    usage: '--manifest <file.csv|file.json> [--journal <file>] [--report <file>] [--concurrency <n>]',
+    plan: async (client, args, log) => {
+      const manifestPath = required(args, 'manifest');
+      const manifest = importer.loadManifest(manifestPath);
+      const journal = new importer.ImportJournal({ path: args.journal || manifestPath + '.journal.json' }).load();
+      const reportPath = args.report || manifestPath + '.report.csv';
+      const tiers = manifest.events.reduce((count, event) => count + event.tiers.length, 0);
+      return {
+        dryRun: () => ['Manifest is valid: ' + manifest.events.length + ' events, ' + tiers + ' tiers', 'Journal: ' + journal.path + ' (' + Object.keys(journal.data.events).length + ' events recorded)'],
+        send: async () => {
+          const report = await new importer.Importer({ client, journal, concurrency: Number(args.concurrency || 4), log: line => log('  ' + line) }).run(manifest);
+          fs.writeFileSync(reportPath, importer.formatReport(report));
+          const failed = report.filter(row => row.status === importer.IMPORT_STATUS.FAILED);
+          log('Imported ' + (report.length - failed.length) + ' of ' + report.length + ' tiers, report written to ' + reportPath);
+          if (failed.length > 0) {
+            failed.forEach(row => log('  ' + row.row + ' ' + row.event + '/' + row.tier + ': ' + row.error));
+            throw new errors.TketsError(failed.length + ' tiers failed, run the import again to resume');
+          }
+          return [];
+        }
+      };
+    }
+  },
+
+  'report': {
+    usage: '[--event <id>] [--start-block <n>] [--store <file>] [--csv <file>]',
+    plan: async (client, args) => {
+      const eventId = args.event === undefined ? undefined : events.parseEventId(args.event);
+      return {
+        dryRun: () => ['The report only reads from the chain, nothing would be sent'],
+        send: async () => {
+          const indexer = Indexer.fromClient(client, { store: new JsonStore({ path: args.store }).load(), startBlock: Number(args['start-block'] || 0) });
+          await indexer.sync();
+          const reconciler = new Reconciler({ client, indexer });
+
+          const reports = [];
+          for (const id of eventId ? [eventId.toString()] : [...indexer.state.events.keys()]) {
+            const report = await reconciler.reconcileEvent(id);
+            if (!report) {
+              throw new errors.NotExistsError('Event ' + events.formatEventId(id) + ' is not indexed, check --start-block');
+            }
+            reports.push(report);
+          }
+
+          const lines = [];
+          for (const report of reports) {
+            const totals = report.totals;
+            lines.push('Event ' + report.eventIdHex + (report.cancelled ? ' (cancelled)' : '') + ', ' + report.tiers.length + ' tiers');
+            lines.push('  gross sales ' + totals.grossSales + ', commission ' + totals.commission + ', donations ' + totals.donations + ', refunds ' + totals.refunds + ', withdrawn ' + totals.withdrawn + ', balance ' + totals.balance + ' wei');
+            report.discrepancies.forEach(discrepancy => lines.push('  ' + discrepancy.type + ' ' + discrepancy.ticketAddress + ': ' + discrepancy.message));
+          }
+          if (!eventId) {
+            const commissions = await reconciler.reconcileCommissions();
+            lines.push('Commissions: accrued ' + commissions.accrued + ', escrowed in tickets ' + commissions.escrowed + ', held by the factory ' + commissions.balance + ', withdrawn ' + commissions.withdrawn + ' wei');
+            commissions.discrepancies.forEach(discrepancy => lines.push('  ' + discrepancy.type + ': ' + discrepancy.message));
+          }
+          if (args.csv) {
+            fs.writeFileSync(args.csv, formatReport(reports));
+            lines.push('CSV written to ' + args.csv);
+          }
+          lines.push('As of block ' + indexer.store.data.lastBlock);
+          return lines;
+        }
+      };
+    }
+  },
+
+  'withdraw': {
+    usage: '--ticket <address>',
+    plan: async (client, args) => {
+      const ticketAddress = required(args, 'ticket');
+      const ticket = await client.ticketAt(ticketAddress);
+      return {
+        call: [ticket, 'withdrawBalance', []],
+        send: async () => {
+          const withdrawn = await client.withdrawBalance(ticketAddress);
+          return ['Withdrawn ' + withdrawn.amount.toString() + ' wei from ' + ticketAddress, '  tx: ' + withdrawn.tx];
+        }
+      };
+    }
+  }
+};
+
+const formatAdministration = (administration) => {
+  const lines = ['Owner: ' + administration.owner + (administration.pendingOwner ? ', transfer to ' + administration.pendingOwner + ' pending' : '')];
+  for (const [role, members] of Object.entries(administration.roles)) {
+    lines.push(role + ': ' + (members.join(', ') || 'none'));
+  }
+  const pending = administration.pendingCommissionRate;
+  lines.push('Commission rate: ' + administration.commissionRate + '/10000' + (pending ? ', ' + pending.rate + '/10000 from ' + formatTime(pending.effectiveTime) : ''));
+  return lines;
+}
+
+/**
+* @dev Commands of tkets-admin, for the holders of the factory roles and the factory owner.
+* Keys are rotated by granting the role to the new key before revoking it from the old one,
+* the ownership moves in two steps, the new owner runs accept-owner with its own key.
+*/
+const ADMIN_COMMANDS = {
+  'roles': {
+    usage: '',
+    plan: async (client) => {
+      return {
+        dryRun: () => ['roles only reads from the chain, nothing would be sent'],
+        send: async () => formatAdministration(await client.getAdministration())
+      };
+    }
+  },
+
+  'grant-role': {
+    usage: '--role <admin|treasurer|migrator> --account <address>',
+    plan: async (client, args) => {
+      const role = client.roleName(required(args, 'role'));
+      const account = required(args, 'account');
+      return {
+        call: [client.factory, 'grantRole', [client.roleId(role), account]],
+        send: async () => {
+          const granted = await client.grantRole(role, account);
+          return [role + ' granted to ' + account, '  tx: ' + granted.tx];
+        }
+      };
+    }
+  },
+
+  'revoke-role': {
+    usage: '--role <admin|treasurer|migrator> --account <address>',
+    plan: async (client, args) => {
+      const role = client.roleName(required(args, 'role'));
+      const account = required(args, 'account');
+      return {
+        call: [client.factory, 'revokeRole', [client.roleId(role), account]],
+        send: async () => {
+          const revoked = await client.revokeRole(role, account);
+          return [role + ' revoked from ' + account, '  tx: ' + revoked.tx];
+        }
+      };
+    }
+  },
+
+  'rotate-role': {
+    usage: '--role <admin|treasurer|migrator> --old <address> --new <address>',
+    plan: async (client, args) => {
+      const role = client.roleName(required(args, 'role'));
+      const oldAccount = required(args, 'old');
+      const newAccount = required(args, 'new');
+      if (!(await client.hasRole(role, oldAccount))) {
+        throw new errors.NotExistsError(oldAccount + ' does not have ' + role);
+      }
+      return {
+        dryRun: () => ['1. grant ' + role + ' to ' + newAccount, '2. check that ' + newAccount + ' has ' + role, '3. revoke ' + role + ' from ' + oldAccount],
+        send: async () => {
+          const rotated = await client.rotateRole(role, oldAccount, newAccount);
+          return [role + ' moved from ' + oldAccount + ' to ' + newAccount, '  grant tx:  ' + rotated.grantTx, '  revoke tx: ' + rotated.revokeTx];
+        }
+      };
+    }
+  },
+
+  'transfer-owner': {
+    usage: '--to <address>',
+    plan: async (client, args) => {
+      const newOwner = required(args, 'to');
+      return {
+        call: [client.factory, 'transferTKETSOwnership', [newOwner]],
+        send: async () => {
+          const transferred = await client.transferFactoryOwnership(newOwner);
+          return ['Ownership transfer to ' + newOwner + ' started, run accept-owner --from ' + newOwner + ' to complete it', '  tx: ' + transferred.tx];
+        }
+      };
+    }
+  },
+
+  'accept-owner': {
+    usage: '',
+    plan: async (client) => {
+      return {
+        call: [client.factory, 'acceptTKETSOwnership', []],
+        send: async () => {
+          const accepted = await client.acceptFactoryOwnership();
+          return ['Factory owner is now ' + accepted.owner + ', was ' + accepted.previousOwner, '  tx: ' + accepted.tx];
+        }
+      };
+    }
+  },
+
+  'cancel-owner-transfer': {
+    usage: '',
+    plan: async (client) => {
+      return {
+        call: [client.factory, 'cancelTKETSOwnershipTransfer', []],
+        send: async () => {
+          const cancelled = await client.cancelFactoryOwnershipTransfer();
+          return ['Ownership transfer cancelled', '  tx: ' + cancelled.tx];
+        }
+      };
+    }
+  },
+
+  'set-commission': {
+    usage: '--rate <n/10000>',
+    plan: async (client, args) => {
+      const rate = Number(required(args, 'rate'));
+      if (!Number.isInteger(rate) || rate < 0) {
+        throw new errors.InvalidInputError('--rate must be a non-negative integer, in 1/10000 of the ticket price');
+      }
+      return {
+        call: [client.factory, 'setCommissionRate', [rate]],
+        send: async () => {
+          const set = await client.setCommissionRate(rate);
+          const status = set.effectiveTime ? 'scheduled, run apply-commission from ' + formatTime(set.effectiveTime) : 'applied';
+          return ['Commission rate ' + rate + '/10000 ' + status, '  tx: ' + set.tx];
+        }
+      };
+    }
+  },
+
+  'apply-commission': {
+    usage: '',
+    plan: async (client) => {
+      return {
+        call: [client.factory, 'applyCommissionRate', []],
+        send: async () => {
+          const applied = await client.applyCommissionRate();
+          return ['Commission rate ' + applied.commissionRate + '/10000 applied', '  tx: ' + applied.tx];
+        }
+      };
+    }
+  },
+
+  'cancel-commission': {
+    usage: '',
+    plan: async (client) => {
+      return {
+        call: [client.factory, 'cancelCommissionRateChange', []],
+        send: async () => {
+          const cancelled = await client.cancelCommissionRateChange();
+          return ['Scheduled commission rate change cancelled', '  tx: ' + cancelled.tx];
+        }
+      };
+    }
+  },
+
+  'withdraw-commissions': {
+    usage: '',
+    plan: async (client) => {
+      return {
+        call: [client.factory, 'withdrawCommissions', []],
+        send: async () => {
+          const withdrawn = await client.withdrawCommissions();
+          return ['Withdrawn ' + withdrawn.amount.toString() + ' wei of commissions to ' + withdrawn.to, '  tx: ' + withdrawn.tx];
+        }
+      };
+    }
+  },
+
+  'set-attendance-badge': {
+    usage: '--badge <AttendanceBadge address>',
+    plan: async (client, args) => {
+      const badgeAddress = required(args, 'badge');
+      return {
+        call: [client.factory, 'setAttendanceBadge', [badgeAddress]],
+        send: async () => {
+          const set = await client.setAttendanceBadge(badgeAddress);
+          return ['Attendance badges are minted by ' + badgeAddress, '  tx: ' + set.tx];
+        }
+      };
+    }
+  },
+
+  'migrate-factory': {
+    usage: '--source <old factory address> [--start-block <n>]',
+    plan: async (client, args, log) => {
+      const source = new TketsClient({ factory: await client.factory.constructor.at(required(args, 'source')), Ticket: client.Ticket, AttendanceBadge: client.AttendanceBadge, from: client.from });
+      const migration = new FactoryMigration({ source, target: client, startBlock: Number(args['start-block'] || 0), log: line => log('  ' + line) });
+      const plan = await migration.plan();
+      const eventCount = plan.filter(event => event.create).length;
+      const ticketCount = plan.reduce((count, event) => count + event.tickets.filter(ticket => ticket.create).length, 0);
+      return {
+        dryRun: () => [eventCount + ' of ' + plan.length + ' events and ' + ticketCount + ' ticket contracts to create on ' + client.factory.address],
+        send: async () => {
+          const migrated = await migration.run();
+          const verified = await migration.verify();
+          const lines = ['Created ' + migrated.events + ' events and ' + migrated.tickets + ' ticket contracts, ' + verified.events + ' events and ' + verified.tickets + ' ticket contracts verified'];
+          verified.warnings.forEach(warning => lines.push('  warning: ' + warning));
+          if (verified.discrepancies.length > 0) {
+            verified.discrepancies.forEach(discrepancy => log('  ' + discrepancy.type + ': ' + discrepancy.message));
+            throw new errors.TketsError(verified.discrepancies.length + ' discrepancies between the factories');
+          }
+          return lines;
+        }
+      };
+    }
+  }
+};
+
+const usage = (commands, name) => {
+  const lines = ['Usage: ' + name + ' <command> [options] [--config <file>] [--network <name>] [--factory <address>] [--from <address>] [--dry-run]', '', 'Commands:'];
+  for (const command of Object.keys(commands)) {
+    lines.push('  ' + command + ' ' + commands[command].usage);
+  }
+  lines.push('', 'Options are read from ' + DEFAULT_CONFIG_FILE + ' (or --config), command line options take precedence.');
+  return lines;
+}
+
+/**
+* @dev Runs one CLI invocation and resolves to the process exit code.
+* A connected client can be passed in, otherwise it is created from the config file and truffle-config.js.
+* tkets-admin runs the same way with the ADMIN_COMMANDS.
+*/
+const run = async (argv, { client, log = console.log, commands = COMMANDS, name = 'tkets' } = {}) => {
+  const args = parseArgs(argv);
+  const command = commands[args._[0]];
+  if (!command || args.help) {
+    usage(commands, name).forEach(line => log(line));
+    return command || args.help ? 0 : 1;
+  }
+
+  let provider;
+  try {
+    if (!client) {
+      const config = Object.assign(loadConfig(args.config), args);
+      if (!config.network) {
+        throw new errors.InvalidInputError('No network given, use --network or set "network" in ' + DEFAULT_CONFIG_FILE);
+      }
+      const network = resolveNetwork(config.network, config.truffleConfig);
+      provider = network.provider;
+      client = await connect({ provider, from: config.from || network.from, gasPrice: network.gasPrice, factoryAddress: config.factory, buildDirectory: config.buildDirectory, registryPath: config.registry });
+      if (!client.from) {
+        client.from = (await client.web3.eth.getAccounts())[0];
+      }
+    }
+
+    const plan = await command.plan(client, args, log);
+    if (args['dry-run'] && !plan.call) {
+      log('Dry run of ' + args._[0] + ' from ' + client.from);
+      plan.dryRun().forEach(line => log('  ' + line));
+    } else if (args['dry-run']) {
+      const [instance, method, callArgs] = plan.call;
+      const simulated = await client.simulate(instance, method, callArgs);
+      log('Dry run of ' + method + ' from ' + client.from + ' succeeded');
+      log('  estimated gas: ' + simulated.gas);
+      if (plan.dryRun) {
+        plan.dryRun(simulated.result).forEach(line => log('  ' + line));
+      }
+    } else {
+      (await plan.send()).forEach(line => log(line));
+    }
+    return 0;
+  } catch (err) {
+    const decoded = errors.decodeError(err);
+    log('Error: ' + decoded.message + (decoded.code ? ' (' + decoded.code + ')' : ''));
+    return 1;
+  } finally {
+    stopProvider(provider);
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  ADMIN_COMMANDS,
+  parseArgs,
+  parseTime: events.parseTime,
+  loadConfig,
+  run
+};
@@ -0,0 +1,768 @@
+const BN = require('bn.js');
+const events = require('./events');
+const errors = require('./errors');
+const preflight = require('./preflight');
+const pagination = require('./pagination');
+
+const COMMISSION_DENOMINATOR = new BN(10000);
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// roles of the factory administration, granted and revoked by the TKETSOwner
+const ROLES = ['ADMIN_ROLE', 'TREASURER_ROLE', 'MIGRATOR_ROLE'];
+
+/**
+* @dev Thin wrapper around the EventFactory and Ticket truffle contract abstractions.
+* Takes care of the tuple encoding for the metadata structs and turns the emitted logs
+* into plain objects.
+*/
+class TketsClient {
+
+  /**
+  * @param factory A deployed EventFactory instance, e.g. `await EventFactory.deployed()`
+  * @param Ticket The Ticket contract abstraction, used to attach to ticket addresses
+  * @param AttendanceBadge The AttendanceBadge contract abstraction, only needed for the badge methods
+  * @param from Default sender for all transactions
+  */
+  constructor({ factory, Ticket, AttendanceBadge, from, web3 }) {
+    if (!factory || !Ticket) {
+      throw new Error('TketsClient requires an EventFactory instance and the Ticket abstraction');
+    }
+    this.factory = factory;
+    this.Ticket = Ticket;
+    this.AttendanceBadge = AttendanceBadge;
+    this.from = from;
+    this.web3 = web3 || factory.constructor.web3;
+  }
+
+  static async deployed({ EventFactory, Ticket, AttendanceBadge, from }) {
+    const factory = await EventFactory.deployed();
+    return new TketsClient({ factory, Ticket, AttendanceBadge, from });
+  }
+
+  ticketAt(ticketAddress) {
+    return this.Ticket.at(ticketAddress);
+  }
+
+  // without a sender of the client, the default account of the contracts is used
+  _txOptions(options = {}) {
+    return Object.assign({ from: this.from || this.factory.constructor.defaults().from }, options);
+  }
+
+  // rethrows contract reverts as the typed errors from ./errors
+  async _send(promise) {
+    try {
+      return await promise;
+    } catch (err) {
+      throw errors.decodeError(err);
+    }
+  }
+
+  /* Events */
+
+  async createEvent({ start, end }, options) {
+    const tx = await this._send(this.factory.createEvent([start, end], this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'EventCreate');
+    if (!log) {
+      throw new Error('No EventCreate event emitted in ' + tx.tx);
+    }
+    return Object.assign(events.parseEventCreate(log), { tx: tx.tx });
+  }
+
+  async getEvent(eventId) {
+    const metadata = await this.factory.eventToMetadata(eventId);
+    return {
+      eventId: events.toBN(eventId),
+      owner: await this.factory.eventToOwner(eventId),
+      timeStart: events.toNumber(metadata.timeStart),
+      timeEnd: events.toNumber(metadata.timeEnd),
+      optOutEnd: events.toNumber(await this.factory.eventToOptOutEnd(eventId)),
+      cancelled: await this.factory.eventToStatus(eventId)
+    };
+  }
+
+  // holders can opt out with optOutTicket for optOutWindow seconds, at least EventFactory.MIN_OPT_OUT_WINDOW
+  async rescheduleEvent(eventId, { start, end, optOutWindow }, options) {
+    const tx = await this._send(this.factory.rescheduleEvent(eventId, [start, end], optOutWindow, this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'EventRescheduled');
+    if (!log) {
+      throw new Error('No EventRescheduled event emitted in ' + tx.tx);
+    }
+    return { eventId: events.toBN(eventId), timeStart: events.toNumber(log.args.timeStart), timeEnd: events.toNumber(log.args.timeEnd), optOutEnd: events.toNumber(log.args.optOutEnd), tx: tx.tx };
+  }
+
+  async cancelEvent(eventId, options) {
+    const tx = await this._send(this.factory.cancelEvent(eventId, this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'EventCancel');
+    if (!log) {
+      throw new Error('No EventCancel event emitted in ' + tx.tx);
+    }
+    return Object.assign(events.parseEventCancel(log), { tx: tx.tx });
+  }
+
+  async transferOwnership(eventId, newOwner, options) {
+    const tx = await this._send(this.factory.transferOwnership(eventId, newOwner, this._txOptions(options)));
+    return { eventId: events.toBN(eventId), previousOwner: this._txOptions(options).from, newOwner, tx: tx.tx };
+  }
+
+  /* Stampers */
+
+  async addStamper(eventId, stamper, options) {
+    const tx = await this._send(this.factory.addStamperToEvent(stamper, eventId, this._txOptions(options)));
+    return { eventId: events.toBN(eventId), stamper, tx: tx.tx };
+  }
+
+  async removeStamper(eventId, stamper, options) {
+    const tx = await this._send(this.factory.removeStamperFromEvent(stamper, eventId, this._txOptions(options)));
+    return { eventId: events.toBN(eventId), stamper, tx: tx.tx };
+  }
+
+  /* Tickets */
+
+  // EventFactory.createTicket arguments, with the TicketMetadata struct as tuple
+  createTicketArgs(eventId, { uri, uriHash, useTokenIDInURI = false, maxTickets, price, saleStart, saleEnd, acceptDonations = false }) {
+    return [eventId, uri, uriHash, useTokenIDInURI, [maxTickets, price.toString(), saleStart, saleEnd, acceptDonations]];
+  }
+
+  async createTicket(eventId, ticket, options) {
+    const tx = await this._send(this.factory.createTicket(...this.createTicketArgs(eventId, ticket), this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'TicketCreate');
+    if (!log) {
+      throw new Error('No TicketCreate event emitted in ' + tx.tx);
+    }
+    return Object.assign(events.parseTicketCreate(log), { tx: tx.tx });
+  }
+
+  async getTicket(ticketAddress) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const metadata = await ticket.metadata();
+    return {
+      ticketAddress,
+      eventId: events.toBN(await ticket.eventId()),
+      maxTickets: events.toNumber(metadata.maxTickets),
+      price: events.toBN(metadata.ticketPrice),
+      saleStart: events.toNumber(metadata.ticketStartTime),
+      saleEnd: events.toNumber(metadata.ticketEndTime),
+      acceptDonations: metadata.acceptDonations,
+      presaleEnd: events.toNumber(await ticket.presaleEndTime()),
+      maxTicketsPerAddress: events.toNumber(await ticket.maxTicketsPerAddress()),
+      cancelled: await ticket.tierCancelled(),
+      sold: events.toNumber(await ticket.totalSupply())
+    };
+  }
+
+  // price of numberOfTickets including the factory commission, which is what mintTicket expects as msg.value
+  async quoteTickets(ticketAddress, numberOfTickets) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const metadata = await ticket.metadata();
+    const price = events.toBN(metadata.ticketPrice);
+    const commissionRate = events.toBN(await this.factory.commissionRate());
+    const commission = price.mul(commissionRate).div(COMMISSION_DENOMINATOR);
+    return price.add(commission).muln(numberOfTickets);
+  }
+
+  async mintTicket(ticketAddress, numberOfTickets, options) {
+    return this._mint(ticketAddress, numberOfTickets, 'mintTicket', [], options);
+  }
+
+  // during the presale, proof is the Merkle proof of the sender from lib/allowlist.js
+  async mintPresaleTicket(ticketAddress, numberOfTickets, { proof, ...options }) {
+    return this._mint(ticketAddress, numberOfTickets, 'mintPresaleTicket', [proof], options);
+  }
+
+  async _mint(ticketAddress, numberOfTickets, method, args, { donation = 0, ...options } = {}) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const value = (await this.quoteTickets(ticketAddress, numberOfTickets)).add(events.toBN(donation));
+    const tx = await this._send(ticket[method](numberOfTickets, ...args, this._txOptions(Object.assign({ value: value.toString() }, options))));
+    const mints = events.findLogs(tx.logs, 'TicketMint').map(events.parseTicketMint);
+    return {
+      ticketAddress,
+      holder: mints.length > 0 ? mints[0].holder : undefined,
+      tokenIds: mints.map(mint => mint.ticketId),
+      value,
+      tx: tx.tx
+    };
+  }
+
+  // the escrowed commission goes to the factory in the same transaction, `amount` is what the organizer gets
+  async withdrawBalance(ticketAddress, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const balance = events.toBN(await this.web3.eth.getBalance(ticketAddress));
+    const commission = events.toBN(await ticket.escrowedCommission());
+    const tx = await this._send(ticket.withdrawBalance(this._txOptions(options)));
+    return { ticketAddress, amount: balance.sub(commission), commission, tx: tx.tx };
+  }
+
+  /* Refunds */
+
+  // cancels one tier, its holders can refund their tickets like for a cancelled event
+  async cancelTier(ticketAddress, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.cancelTier(this._txOptions(options)));
+    return { ticketAddress, tx: tx.tx };
+  }
+
+  // returns a ticket of a rescheduled event during its opt-out window, for the same amount as refundTicket
+  async optOutTicket(ticketAddress, ticketId, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.optOutTicket(ticketId, this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'TicketRefund');
+    return Object.assign({ ticketAddress }, events.parseTicketRefund(log), { tx: tx.tx });
+  }
+
+  // what a refund of the ticket pays back: the price and the commission paid at the mint, to its sponsor for sponsored mints
+  async getRefund(ticketAddress, ticketId) {
+    const ticket = await this.ticketAt(ticketAddress);
+    return events.toBN(await ticket.tokenToPaid(ticketId));
+  }
+
+  async refundTicket(ticketAddress, ticketId, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.refundTicket(ticketId, this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'TicketRefund');
+    return Object.assign({ ticketAddress }, events.parseTicketRefund(log), { tx: tx.tx });
+  }
+
+  // refunds every ticket of the sender, resolves to the refunded token IDs and the total amount
+  async refundAll(ticketAddress, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.refundAll(this._txOptions(options)));
+    const refunds = events.findLogs(tx.logs, 'TicketRefund').map(events.parseTicketRefund);
+    // the refunds of sponsored mints went to their sponsor; the sender may be the default account of the provider
+    const received = refunds.filter(refund => refund.holder.toLowerCase() === tx.receipt.from.toLowerCase());
+    return {
+      ticketAddress,
+      tokenIds: refunds.map(refund => refund.ticketId),
+      amount: received.reduce((sum, refund) => sum.add(refund.amount), new BN(0)),
+      tx: tx.tx
+    };
+  }
+
+  async refundDonation(ticketAddress, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.refundDonation(this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'DonationRefund');
+    return { ticketAddress, donor: log.args.donor, amount: events.toBN(log.args.amount), tx: tx.tx };
+  }
+
+  // sends the commission escrowed in the ticket to the factory once the event is over
+  async releaseCommission(ticketAddress, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.releaseCommission(this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'CommissionRelease');
+    return { ticketAddress, amount: events.toBN(log.args.amount), tx: tx.tx };
+  }
+
+  /* Presale and purchase limits */
+
+  // only the addresses of the allowlist with this root can mint until presaleEnd, then the public sale starts
+  async setPresale(ticketAddress, { root, end }, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.setPresale(root, end, this._txOptions(options)));
+    return { ticketAddress, root, end: Number(end), tx: tx.tx };
+  }
+
+  // 0 removes the limit
+  async setMaxTicketsPerAddress(ticketAddress, maxTicketsPerAddress, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.setMaxTicketsPerAddress(maxTicketsPerAddress, this._txOptions(options)));
+    return { ticketAddress, maxTicketsPerAddress: Number(maxTicketsPerAddress), tx: tx.tx };
+  }
+
+  // how many more tickets an address can mint under the per-address limit, undefined without a limit
+  async remainingTicketsOf(ticketAddress, address) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const limit = events.toNumber(await ticket.maxTicketsPerAddress());
+    if (limit === 0) {
+      return undefined;
+    }
+    return Math.max(0, limit - events.toNumber(await ticket.addressToMintCount(address)));
+  }
+
+  /* Resale */
+
+  // maxMarkup and royaltyRate are in 1/10000 of the ticket price and the resale price, like the commission rate.
+  // They only apply to listTicket/buyTicket, plain transfers are not capped.
+  async setResaleTerms(ticketAddress, { maxMarkup, royaltyRate }, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.setResaleTerms(maxMarkup, royaltyRate, this._txOptions(options)));
+    return { ticketAddress, maxMarkup: Number(maxMarkup), royaltyRate: Number(royaltyRate), tx: tx.tx };
+  }
+
+  async getResaleTerms(ticketAddress) {
+    const ticket = await this.ticketAt(ticketAddress);
+    return {
+      ticketAddress,
+      maxMarkup: events.toNumber(await ticket.maxResaleMarkup()),
+      royaltyRate: events.toNumber(await ticket.royaltyRate()),
+      maxPrice: events.toBN(await ticket.maxResalePrice()),
+      open: await ticket.isResaleOpen()
+    };
+  }
+
+  async listTicket(ticketAddress, ticketId, price, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.listTicket(ticketId, events.toBN(price).toString(), this._txOptions(options)));
+    return { ticketAddress, ticketId: Number(ticketId), price: events.toBN(price), tx: tx.tx };
+  }
+
+  async cancelListing(ticketAddress, ticketId, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.cancelListing(ticketId, this._txOptions(options)));
+    return { ticketAddress, ticketId: Number(ticketId), tx: tx.tx };
+  }
+
+  // the listing price, 0 if the ticket is not listed or its listing can no longer be bought
+  async getListing(ticketAddress, ticketId) {
+    const ticket = await this.ticketAt(ticketAddress);
+    return {
+      ticketAddress,
+      ticketId: Number(ticketId),
+      seller: await ticket.ownerOf(ticketId),
+      price: events.toBN(await ticket.listingPrice(ticketId))
+    };
+  }
+
+  // listing price including the factory commission, which is what buyTicket expects as msg.value
+  async quoteResale(ticketAddress, ticketId) {
+    const { price } = await this.getListing(ticketAddress, ticketId);
+    if (price.isZero()) {
+      throw new errors.TicketSaleError('Ticket ' + ticketId + ' is not listed for resale', { code: errors.CODES.TICKET_SALE_ERROR });
+    }
+    const commissionRate = events.toBN(await this.factory.commissionRate());
+    return price.add(price.mul(commissionRate).div(COMMISSION_DENOMINATOR));
+  }
+
+  async buyTicket(ticketAddress, ticketId, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const value = await this.quoteResale(ticketAddress, ticketId);
+    const tx = await this._send(ticket.buyTicket(ticketId, this._txOptions(Object.assign({ value: value.toString() }, options))));
+    const [log] = events.findLogs(tx.logs, 'TicketResale');
+    return Object.assign({ ticketAddress }, events.parseTicketResale(log), { value, tx: tx.tx });
+  }
+
+  /* Tier exchange */
+
+  // sent by the event owner, lets the holders of fromAddress exchange their tickets for tickets of toAddress
+  async setTierExchange(eventId, fromAddress, toAddress, enabled = true, options) {
+    const tx = await this._send(this.factory.setTierExchange(eventId, fromAddress, toAddress, enabled, this._txOptions(options)));
+    return { eventId: events.toBN(eventId), from: fromAddress, to: toAddress, enabled, tx: tx.tx };
+  }
+
+  async isTierExchangeEnabled(fromAddress, toAddress) {
+    return this.factory.tierExchangeEnabled(fromAddress, toAddress);
+  }
+
+  /**
+  * @dev What exchanging ticketId of fromAddress for a ticket of toAddress costs at the current commission rate,
+  * `{ refund, salePrice, payment, credit }`: the old ticket is refunded like refundTicket, the new one costs the
+  * sale price, an upgrade pays the difference and a downgrade gets it back.
+  */
+  async quoteExchange(fromAddress, ticketId, toAddress) {
+    const from = await this.ticketAt(fromAddress);
+    const paid = events.toBN(await from.tokenToPaid(ticketId));
+    const price = events.toBN((await from.metadata()).ticketPrice);
+    // the commission cannot be refunded once it was released to the factory, see Ticket._refund
+    let refund = paid.sub(price).lte(events.toBN(await from.escrowedCommission())) ? paid : price;
+    if (await from.tokenToSponsor(ticketId) !== ZERO_ADDRESS) {
+      // refunded to the sponsor, the holder pays the whole new ticket
+      refund = new BN(0);
+    }
+
+    const to = await this.ticketAt(toAddress);
+    const toPrice = events.toBN((await to.metadata()).ticketPrice);
+    const commissionRate = events.toBN(await this.factory.commissionRate());
+    const salePrice = toPrice.add(toPrice.mul(commissionRate).div(COMMISSION_DENOMINATOR));
+    const payment = salePrice.gt(refund) ? salePrice.sub(refund) : new BN(0);
+    const credit = refund.gt(salePrice) ? refund.sub(salePrice) : new BN(0);
+    return { refund, salePrice, payment, credit };
+  }
+
+  /**
+  * @dev Exchanges a ticket of the sender for a ticket of another tier of the same event, paying the quoted difference.
+  * Resolves to `{ eventId, holder, from, fromTicketId, to, toTicketId, paid, credit, tx }`.
+  */
+  async exchangeTicket(fromAddress, ticketId, toAddress, options) {
+    const { payment } = await this.quoteExchange(fromAddress, ticketId, toAddress);
+    const tx = await this._send(this.factory.exchangeTicket(fromAddress, ticketId, toAddress, this._txOptions(Object.assign({ value: payment.toString() }, options))));
+    const [log] = events.findLogs(tx.logs, 'TicketExchange');
+    return Object.assign(events.parseTicketExchange(log), { tx: tx.tx });
+  }
+
+  /* Enumeration */
+
+  // one page of an enumeration view of the factory or of `instance`, `{ items, total }`, read at blockNumber if given
+  async _page(method, key, { offset = 0, limit = pagination.DEFAULT_PAGE_SIZE } = {}, blockNumber, instance = this.factory) {
+    const args = blockNumber === undefined ? [key, offset, limit] : [key, offset, limit, blockNumber];
+    const result = await instance[method](...args);
+    return { items: result.page, total: events.toNumber(result.total) };
+  }
+
+  // map may be async, e.g. to read the members the view returns the IDs of
+  _iterate(method, key, { pageSize, offset } = {}, map = item => item, instance = this.factory) {
+    const fetchPage = async (pageOffset, limit, blockNumber) => {
+      const { items, total } = await this._page(method, key, { offset: pageOffset, limit }, blockNumber, instance);
+      return { page: await Promise.all(items.map(map)), total };
+    }
+    return pagination.paginate(fetchPage, { web3: this.web3, pageSize, offset });
+  }
+
+  async getTicketsOfEvent(eventId, options) {
+    return this._page('getTicketsOfEvent', eventId, options);
+  }
+
+  async getStampersOfEvent(eventId, options) {
+    return this._page('getStampersOfEvent', eventId, options);
+  }
+
+  async getEventsOfOwner(owner, options) {
+    const { items, total } = await this._page('getEventsOfOwner', owner, options);
+    return { items: items.map(events.toBN), total };
+  }
+
+  async getTicketContractsOfHolder(holder, options) {
+    return this._page('getTicketContractsOfHolder', holder, options);
+  }
+
+  /**
+  * @dev Async iterators over all members, fetching `pageSize` members per call:
+  * `for await (const ticketAddress of client.ticketsOfEvent(eventId)) { ... }`
+  */
+  ticketsOfEvent(eventId, options) {
+    return this._iterate('getTicketsOfEvent', eventId, options);
+  }
+
+  stampersOfEvent(eventId, options) {
+    return this._iterate('getStampersOfEvent', eventId, options);
+  }
+
+  eventsOfOwner(owner, options) {
+    return this._iterate('getEventsOfOwner', owner, options, events.toBN);
+  }
+
+  ticketContractsOfHolder(holder, options) {
+    return this._iterate('getTicketContractsOfHolder', holder, options);
+  }
+
+  /* Attendance badges */
+
+  // the AttendanceBadge of the factory, looked up on every call since the admins can replace it
+  async attendanceBadge() {
+    if (!this.AttendanceBadge) {
+      throw new Error('TketsClient requires the AttendanceBadge abstraction for attendance badges');
+    }
+    const badgeAddress = await this.factory.attendanceBadge();
+    if (badgeAddress === ZERO_ADDRESS) {
+      throw new errors.NotExistsError('The factory has no attendance badge contract');
+    }
+    return this.AttendanceBadge.at(badgeAddress);
+  }
+
+  // sent by an ADMIN_ROLE account, the zero address turns the badges off for all events
+  async setAttendanceBadge(badgeAddress, options) {
+    const tx = await this._send(this.factory.setAttendanceBadge(badgeAddress, this._txOptions(options)));
+    return { attendanceBadge: badgeAddress, tx: tx.tx };
+  }
+
+  /**
+  * @dev Sent by the event owner. While the badges are enabled, every stamp mints a badge to the ticket holder
+  * unless it has one of the event already. uri is the metadata URI of all badges of the event.
+  */
+  async setEventBadge(eventId, { enabled = true, uri = '' }, options) {
+    const badge = await this.attendanceBadge();
+    const tx = await this._send(badge.setEventBadge(eventId, enabled, uri, this._txOptions(options)));
+    return { eventId: events.toBN(eventId), enabled, uri, tx: tx.tx };
+  }
+
+  async getEventBadge(eventId) {
+    const badge = await this.attendanceBadge();
+    return {
+      eventId: events.toBN(eventId),
+      enabled: await badge.eventToBadgeEnabled(eventId),
+      uri: await badge.eventToBadgeURI(eventId)
+    };
+  }
+
+  async _badge(badge, badgeId) {
+    const record = await badge.badges(badgeId);
+    return {
+      badgeId: events.toNumber(badgeId),
+      eventId: events.toBN(record.eventId),
+      holder: record.holder,
+      ticketAddress: record.ticket,
+      ticketId: events.toNumber(record.ticketId),
+      stampedAt: events.toNumber(record.timestamp),
+      tokenURI: await badge.tokenURI(badgeId)
+    };
+  }
+
+  async getBadge(badgeId) {
+    const badge = await this.attendanceBadge();
+    if (events.toNumber(await badge.badges(badgeId).then(record => record.timestamp)) === 0) {
+      throw new errors.NotExistsError('Badge ' + badgeId + ' does not exist');
+    }
+    return this._badge(badge, badgeId);
+  }
+
+  // the badge of the holder for the event, null if it has none
+  async badgeOf(eventId, holder) {
+    const badge = await this.attendanceBadge();
+    const badgeId = events.toNumber(await badge.badgeOf(eventId, holder));
+    return badgeId === 0 ? null : this._badge(badge, badgeId);
+  }
+
+  async getBadgesOfEvent(eventId, options) {
+    const { items, total } = await this._page('getBadgesOfEvent', eventId, options, undefined, await this.attendanceBadge());
+    return { items: items.map(events.toNumber), total };
+  }
+
+  async getBadgesOfHolder(holder, options) {
+    const { items, total } = await this._page('getBadgesOfHolder', holder, options, undefined, await this.attendanceBadge());
+    return { items: items.map(events.toNumber), total };
+  }
+
+  /**
+  * @dev Async iterators over the badges of an event or a holder, in the order they were minted,
+  * as `{ badgeId, eventId, holder, ticketAddress, ticketId, stampedAt, tokenURI }`.
+  */
+  async *attendanceOfEvent(eventId, options) {
+    const badge = await this.attendanceBadge();
+    yield* this._iterate('getBadgesOfEvent', eventId, options, badgeId => this._badge(badge, badgeId), badge);
+  }
+
+  async *attendanceOfHolder(holder, options) {
+    const badge = await this.attendanceBadge();
+    yield* this._iterate('getBadgesOfHolder', holder, options, badgeId => this._badge(badge, badgeId), badge);
+  }
+
+  /* Administration */
+
+  // accepts the role names of the contract, e.g. ADMIN_ROLE, or their short form, e.g. admin
+  roleName(role) {
+    const upper = String(role).toUpperCase();
+    const name = ROLES.find(candidate => candidate === upper || candidate === upper + '_ROLE');
+    if (!name) {
+      throw new errors.InvalidInputError('Unknown role ' + role + ', expected one of ' + ROLES.join(', '));
+    }
+    return name;
+  }
+
+  roleId(role) {
+    return this.web3.utils.keccak256(this.roleName(role));
+  }
+
+  // the factory owner, the members of each role and the commission rate with a scheduled change, if any
+  async getAdministration() {
+    const roles = {};
+    for (const name of ROLES) {
+      const count = events.toNumber(await this.factory.getRoleMemberCount(this.roleId(name)));
+      roles[name] = [];
+      for (let i = 0; i < count; i++) {
+        roles[name].push(await this.factory.getRoleMember(this.roleId(name), i));
+      }
+    }
+    const pendingOwner = await this.factory.pendingTKETSOwner();
+    const changeTime = events.toNumber(await this.factory.commissionRateChangeTime());
+    return {
+      owner: await this.factory.TKETSOwner(),
+      pendingOwner: pendingOwner === ZERO_ADDRESS ? null : pendingOwner,
+      roles,
+      commissionRate: events.toNumber(await this.factory.commissionRate()),
+      pendingCommissionRate: changeTime === 0 ? null : { rate: events.toNumber(await this.factory.pendingCommissionRate()), effectiveTime: changeTime }
+    };
+  }
+
+  async hasRole(role, account) {
+    return this.factory.hasRole(this.roleId(role), account);
+  }
+
+  async grantRole(role, account, options) {
+    const tx = await this._send(this.factory.grantRole(this.roleId(role), account, this._txOptions(options)));
+    return { role: this.roleName(role), account, tx: tx.tx };
+  }
+
+  async revokeRole(role, account, options) {
+    const tx = await this._send(this.factory.revokeRole(this.roleId(role), account, this._txOptions(options)));
+    return { role: this.roleName(role), account, tx: tx.tx };
+  }
+
+  async renounceRole(role, options) {
+    const tx = await this._send(this.factory.renounceRole(this.roleId(role), this._txOptions(options)));
+    return { role: this.roleName(role), account: this._txOptions(options).from, tx: tx.tx };
+  }
+
+  /**
+  * @dev Moves a role from one key to another. The new key is granted the role first and the old one is only
+  * revoked once the grant is confirmed, so the role is never left without the key that should hold it.
+  */
+  async rotateRole(role, oldAccount, newAccount, options) {
+    const name = this.roleName(role);
+    if (oldAccount.toLowerCase() === newAccount.toLowerCase()) {
+      throw new errors.InvalidInputError('The old and the new account are the same');
+    }
+    if (!(await this.hasRole(name, oldAccount))) {
+      throw new errors.NotExistsError(oldAccount + ' does not have ' + name);
+    }
+    const granted = await this.grantRole(name, newAccount, options);
+    if (!(await this.hasRole(name, newAccount))) {
+      throw new errors.TketsError(name + ' was not granted to ' + newAccount + ' in ' + granted.tx + ', ' + oldAccount + ' keeps it');
+    }
+    const revoked = await this.revokeRole(name, oldAccount, options);
+    return { role: name, oldAccount, newAccount, grantTx: granted.tx, revokeTx: revoked.tx };
+  }
+
+  // the new owner has to call acceptFactoryOwnership, until then the current owner stays in charge
+  async transferFactoryOwnership(newOwner, options) {
+    const tx = await this._send(this.factory.transferTKETSOwnership(newOwner, this._txOptions(options)));
+    return { owner: this._txOptions(options).from, pendingOwner: newOwner, tx: tx.tx };
+  }
+
+  async acceptFactoryOwnership(options) {
+    const tx = await this._send(this.factory.acceptTKETSOwnership(this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'TKETSOwnershipTransfer');
+    return { previousOwner: log.args.previousOwner, owner: log.args.newOwner, tx: tx.tx };
+  }
+
+  async cancelFactoryOwnershipTransfer(options) {
+    const tx = await this._send(this.factory.cancelTKETSOwnershipTransfer(this._txOptions(options)));
+    return { tx: tx.tx };
+  }
+
+  // lower rates apply right away, higher ones are scheduled and `effectiveTime` is when applyCommissionRate can apply them
+  async setCommissionRate(rate, options) {
+    const tx = await this._send(this.factory.setCommissionRate(rate, this._txOptions(options)));
+    const [scheduled] = events.findLogs(tx.logs, 'CommissionRateChangeSchedule');
+    return { commissionRate: Number(rate), effectiveTime: scheduled ? events.toNumber(scheduled.args.effectiveTime) : null, tx: tx.tx };
+  }
+
+  async applyCommissionRate(options) {
+    const tx = await this._send(this.factory.applyCommissionRate(this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'CommissionRateChange');
+    return { commissionRate: events.toNumber(log.args.newCommissionRate), tx: tx.tx };
+  }
+
+  async cancelCommissionRateChange(options) {
+    const tx = await this._send(this.factory.cancelCommissionRateChange(this._txOptions(options)));
+    return { tx: tx.tx };
+  }
+
+  // pays the whole factory balance to the sender, which needs the TREASURER_ROLE
+  async withdrawCommissions(options) {
+    const tx = await this._send(this.factory.withdrawCommissions(this._txOptions(options)));
+    const [log] = events.findLogs(tx.logs, 'CommissionWithdraw');
+    return { to: log.args.to, amount: events.toBN(log.args.amount), tx: tx.tx };
+  }
+
+  // MIGRATOR_ROLE: adds an event of another factory with its ID, owner and times
+  async forceCreateEvent(eventId, owner, { start, end }, options) {
+    const tx = await this._send(this.factory.forceCreateEvent(eventId.toString(), owner, [start, end], this._txOptions(options)));
+    return { eventId: events.toBN(eventId), owner, tx: tx.tx };
+  }
+
+  // MIGRATOR_ROLE: adds a ticket contract of another factory to an event
+  async forceCreateTicket(eventId, ticketAddress, options) {
+    const tx = await this._send(this.factory.forceCreateTicketFromAddress(eventId.toString(), ticketAddress, this._txOptions(options)));
+    return { eventId: events.toBN(eventId), ticketAddress, tx: tx.tx };
+  }
+
+  /**
+  * @dev Simulates a transaction with eth_call and estimates its gas without sending it.
+  * Resolves to the return value of the call and the gas estimate, reverts are thrown as typed errors.
+  */
+  async simulate(instance, method, args, options) {
+    const txOptions = this._txOptions(options);
+    const result = await this._send(instance[method].call(...args, txOptions));
+    const gas = await this._send(instance[method].estimateGas(...args, txOptions));
+    return { result, gas };
+  }
+
+  /* Validation and stamping */
+
+  /**
+  * @dev The EIP-712 domain of the factory, `{ name, version, chainId, verifyingContract }`.
+  * Read from the contract, the chain ID of the node can differ from the one the EVM reports (ganache).
+  */
+  async entryPassDomain() {
+    if (!this._entryPassDomain) {
+      const domain = await this.factory.eip712Domain();
+      this._entryPassDomain = { name: domain.name, version: domain.version, chainId: events.toNumber(domain.chainId), verifyingContract: domain.verifyingContract };
+    }
+    return this._entryPassDomain;
+  }
+
+  // returns true if the ticket is valid and not stamped yet, like EventFactory.validateTicket
+  // accepts a decoded entry pass, which names the ticket contract `ticket`
+  // passes with a nonce are EIP-712 passes and go through EventFactory.validateEntryPass
+  async validateTicket({ eventId, holder, ticketAddress, ticket: passTicket, ticketId, timestamp, nonce, v, r, s }) {
+    ticketAddress = ticketAddress || passTicket;
+    try {
+      if (nonce !== undefined) {
+        return await this.factory.validateEntryPass([eventId.toString(), holder, ticketAddress, ticketId.toString(), timestamp, nonce], v, r, s);
+      }
+      return await this.factory.validateTicket(eventId, holder, ticketAddress, ticketId, timestamp, v, r, s);
+    } catch (err) {
+      if (errors.getRevertReason(err) !== undefined) {
+        throw errors.decodeError(err);
+      }
+      // validateTicket has several requires without a reason, find out which one failed
+      const ticket = await this.ticketAt(ticketAddress);
+      throw (await preflight.explainValidateTicket({ factory: this.factory, ticket, web3: this.web3 }, { eventId, holder, ticketId, timestamp, nonce, v, r, s })) || errors.decodeError(err);
+    }
+  }
+
+  async stampTicket(ticketAddress, ticketId, options) {
+    const txOptions = this._txOptions(options);
+    const ticket = await this.ticketAt(ticketAddress);
+    const failure = await preflight.explainStampTicket({ factory: this.factory, ticket }, { stamper: txOptions.from, ticketId });
+    if (failure) {
+      throw failure;
+    }
+    const tx = await this._send(ticket.stampTicket(ticketId, txOptions));
+    return { ticketAddress, ticketId: Number(ticketId), badges: this._mintedBadges(tx.receipt), tx: tx.tx };
+  }
+
+  // the tickets a transaction stamped, read from the raw logs so batches through the factory are included
+  _stampedTickets(receipt) {
+    const topic = this.web3.utils.keccak256('TicketStamped(uint256)');
+    return receipt.rawLogs.filter(log => log.topics[0] === topic).map(log => {
+      return { ticketAddress: this.web3.utils.toChecksumAddress(log.address), ticketId: events.toNumber(this.web3.utils.hexToNumberString(log.topics[1])) };
+    });
+  }
+
+  // the attendance badges a stamp transaction minted, `{ badgeId, holder, ticketAddress, ticketId }`
+  _mintedBadges(receipt) {
+    const topic = this.web3.utils.keccak256('BadgeMint(uint256,uint160,address,address,uint256)');
+    return receipt.rawLogs.filter(log => log.topics[0] === topic).map(log => {
+      const data = this.web3.eth.abi.decodeParameters(['address', 'uint256'], log.data);
+      return {
+        badgeId: events.toNumber(this.web3.utils.hexToNumberString(log.topics[1])),
+        holder: this.web3.eth.abi.decodeParameter('address', log.topics[3]),
+        ticketAddress: data[0],
+        ticketId: events.toNumber(data[1])
+      };
+    });
+  }
+
+  /**
+  * @dev Stamps several tickets of a tier in one transaction. Tickets that are already stamped or no longer exist
+  * are skipped, resolves to `{ ticketAddress, stamped, badges, tx }` with the IDs this transaction stamped.
+  */
+  async stampTickets(ticketAddress, ticketIds, options) {
+    const ticket = await this.ticketAt(ticketAddress);
+    const tx = await this._send(ticket.stampTickets(ticketIds.map(String), this._txOptions(options)));
+    return { ticketAddress, stamped: this._stampedTickets(tx.receipt).map(stamped => stamped.ticketId), badges: this._mintedBadges(tx.receipt), tx: tx.tx };
+  }
+
+  /**
+  * @dev Stamps tickets of several tiers of an event in one transaction through the factory.
+  * @param batches `[{ ticketAddress, ticketIds }]`
+  * Resolves to `{ stamped, badges, tx }`, stamped lists the `{ ticketAddress, ticketId }` this transaction stamped.
+  */
+  async stampTicketBatch(eventId, batches, options) {
+    const tx = await this._send(this.factory.stampTickets(eventId.toString(), batches.map(batch => batch.ticketAddress), batches.map(batch => batch.ticketIds.map(String)), this._txOptions(options)));
+    return { stamped: this._stampedTickets(tx.receipt), badges: this._mintedBadges(tx.receipt), tx: tx.tx };
+  }
+}
+
+TketsClient.ROLES = ROLES;
+
+module.exports = TketsClient;
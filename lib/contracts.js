@@ -0,0 +1,54 @@
+const path = require('path');
+const contract = require('@truffle/contract');
+const TketsClient = require('./client');
+const AddressRegistry = require('./deployment/registry');
+
+// truffle compile/migrate writes the artifacts, including the deployed addresses per network, here
+const DEFAULT_BUILD_DIRECTORY = path.join(__dirname, '..', 'build', 'contracts');
+
+/**
+* @dev Creates the EventFactory, Ticket, Forwarder, TicketDeployer and AttendanceBadge abstractions from the truffle build artifacts,
+* for use outside of `truffle test` / `truffle exec` where `artifacts.require` is not available.
+*/
+const loadContracts = ({ provider, from, gasPrice, buildDirectory = DEFAULT_BUILD_DIRECTORY }) => {
+  const load = (name) => {
+    const abstraction = contract(require(path.join(buildDirectory, name + '.json')));
+    abstraction.setProvider(provider);
+    const defaults = {};
+    if (from) {
+      defaults.from = from;
+    }
+    if (gasPrice) {
+      defaults.gasPrice = gasPrice;
+    }
+    abstraction.defaults(defaults);
+    return abstraction;
+  }
+  return {
+    EventFactory: load('EventFactory'),
+    Ticket: load('Ticket'),
+    Forwarder: load('Forwarder'),
+    TicketDeployer: load('TicketDeployer'),
+    AttendanceBadge: load('AttendanceBadge')
+  };
+}
+
+/**
+* @dev Connects a TketsClient to the factory at factoryAddress, or else to the one the AddressRegistry at
+* registryPath has for the network of the provider, or else to the one recorded in the build artifacts.
+*/
+const connect = async ({ provider, from, gasPrice, factoryAddress, buildDirectory, registryPath }) => {
+  const { EventFactory, Ticket, AttendanceBadge } = loadContracts({ provider, from, gasPrice, buildDirectory });
+  if (!factoryAddress) {
+    const registered = new AddressRegistry({ path: registryPath }).load().findByNetworkId(await EventFactory.web3.eth.net.getId());
+    factoryAddress = registered && registered.contracts.EventFactory;
+  }
+  const factory = factoryAddress ? await EventFactory.at(factoryAddress) : await EventFactory.deployed();
+  return new TketsClient({ factory, Ticket, AttendanceBadge, from });
+}
+
+module.exports = {
+  DEFAULT_BUILD_DIRECTORY,
+  loadContracts,
+  connect
+};
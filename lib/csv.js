@@ -0,0 +1,85 @@
+/**
+* @dev Minimal RFC 4180 CSV support for the manifests and reports, fields may be quoted with "" as escaped quote.
+*/
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+* @dev Parses a CSV with a header line into one object per line, keyed by the trimmed header names.
+* Empty lines are skipped, `line` is the 1-based line number of each object for error messages.
+*/
+const parseCsvObjects = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(name => name.trim());
+  const objects = [];
+  records.forEach((record, index) => {
+    if (record.length === 1 && record[0].trim() === '') {
+      return;
+    }
+    const object = { line: index + 2 };
+    columns.forEach((name, column) => {
+      object[name] = record[column] === undefined ? '' : record[column].trim();
+    });
+    objects.push(object);
+  });
+  return objects;
+}
+
+const formatField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+const formatCsv = (rows, columns) => {
+  const lines = [columns.map(formatField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(name => formatField(row[name])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  formatCsv
+};
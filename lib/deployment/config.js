@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const errors = require('../errors');
+const TketsClient = require('../client');
+
+const DEFAULT_DEPLOY_CONFIG = path.join(__dirname, '..', '..', 'deploy.config.json');
+// EventFactory.MAX_COMMISSION_RATE, checked before anything is deployed
+const MAX_COMMISSION_RATE = 1000;
+
+const DEFAULTS = {
+  commissionRate: 0,
+  forwarder: null,
+  roles: {},
+  owner: null,
+  record: false
+};
+
+const isAddress = (value) => {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+const checkAddress = (value, name) => {
+  if (!isAddress(value)) {
+    throw new errors.InvalidInputError('Invalid ' + name + ' ' + value + ' in the deployment config');
+  }
+  return value;
+}
+
+/**
+* @dev The deployment settings of a network, the `defaults` of the config with the entry of the network on top:
+*   commissionRate  initial commission rate of the factory, in 1/10000 of the ticket price
+*   forwarder       address of a deployed Forwarder for the tickets to trust, a new one is deployed if not set
+*   roles           `{ admin: [address], treasurer: [address], migrator: [address] }`, granted after the deployment
+*   owner           the factory ownership is transferred to this address, which has to accept it
+*   record          whether the addresses are written to the AddressRegistry
+*/
+const resolveDeployConfig = (config, network) => {
+  const resolved = Object.assign({}, DEFAULTS, config.defaults, (config.networks || {})[network]);
+
+  if (!Number.isInteger(resolved.commissionRate) || resolved.commissionRate < 0 || resolved.commissionRate > MAX_COMMISSION_RATE) {
+    throw new errors.InvalidInputError('commissionRate of ' + network + ' must be an integer between 0 and ' + MAX_COMMISSION_RATE);
+  }
+  if (resolved.forwarder) {
+    checkAddress(resolved.forwarder, 'forwarder');
+  }
+  if (resolved.owner) {
+    checkAddress(resolved.owner, 'owner');
+  }
+  const roles = {};
+  for (const [role, accounts] of Object.entries(resolved.roles || {})) {
+    const upper = role.toUpperCase();
+    const name = TketsClient.ROLES.find(candidate => candidate === upper || candidate === upper + '_ROLE');
+    if (!name || !Array.isArray(accounts)) {
+      throw new errors.InvalidInputError('Invalid role ' + role + ' in the deployment config, expected one of ' + TketsClient.ROLES.join(', ') + ' with a list of addresses');
+    }
+    roles[name] = accounts.map(account => checkAddress(account, role + ' account'));
+  }
+  return Object.assign(resolved, { network, roles, record: Boolean(resolved.record) });
+}
+
+const loadDeployConfig = (network, configPath = DEFAULT_DEPLOY_CONFIG) => {
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  return resolveDeployConfig(config, network);
+}
+
+module.exports = {
+  DEFAULT_DEPLOY_CONFIG,
+  resolveDeployConfig,
+  loadDeployConfig
+};
@@ -0,0 +1,88 @@
+const TketsClient = require('../client');
+const AddressRegistry = require('./registry');
+const FactoryMigration = require('./migration');
+const { DEFAULT_DEPLOY_CONFIG, resolveDeployConfig, loadDeployConfig } = require('./config');
+
+/**
+* @dev Sets up a freshly deployed factory from the deployment config: grants the configured roles and starts
+* the transfer of the factory ownership. Roles that are held already and a transfer that is already pending
+* are left alone, so it can be run again. Resolves to `{ granted, pendingOwner }`.
+*/
+const initializeFactory = async (client, config, { log = () => {} } = {}) => {
+  const granted = [];
+  for (const [role, accounts] of Object.entries(config.roles)) {
+    for (const account of accounts) {
+      if (!(await client.factory.hasRole(client.roleId(role), account))) {
+        await client.grantRole(role, account);
+        granted.push({ role, account });
+        log(role + ' granted to ' + account);
+      }
+    }
+  }
+
+  let pendingOwner = null;
+  if (config.owner && config.owner.toLowerCase() !== (await client.factory.TKETSOwner()).toLowerCase()) {
+    if ((await client.factory.pendingTKETSOwner()).toLowerCase() !== config.owner.toLowerCase()) {
+      await client.transferFactoryOwnership(config.owner);
+      log('Factory ownership transfer to ' + config.owner + ' started, it has to run tkets-admin accept-owner');
+    }
+    pendingOwner = config.owner;
+  }
+  return { granted, pendingOwner };
+}
+
+/**
+* @dev Deploys the Forwarder, unless the config names one, the TicketDeployer library, the EventFactory
+* linked to it with the configured commission rate and its AttendanceBadge, then runs initializeFactory.
+* @param contracts `{ EventFactory, TicketDeployer, Forwarder, Ticket, AttendanceBadge }`, the artifacts in a truffle
+* migration or the abstractions of loadContracts
+* Resolves to `{ factory, forwarder, ticketDeployer, attendanceBadge, blockNumber, networkId }` with the block of the
+* factory deployment.
+*/
+const deployTkets = async ({ EventFactory, TicketDeployer, Forwarder, Ticket, AttendanceBadge }, config, { from, log = () => {} } = {}) => {
+  const txOptions = from ? { from } : {};
+  const forwarder = config.forwarder ? await Forwarder.at(config.forwarder) : await Forwarder.new(txOptions);
+  log('Forwarder: ' + forwarder.address + (config.forwarder ? ' (existing)' : ''));
+  const ticketDeployer = await TicketDeployer.new(txOptions);
+  log('TicketDeployer: ' + ticketDeployer.address);
+
+  await EventFactory.detectNetwork();
+  EventFactory.link('TicketDeployer', ticketDeployer.address);
+  const factory = await EventFactory.new(forwarder.address, config.commissionRate, txOptions);
+  log('EventFactory: ' + factory.address + ', commission rate ' + config.commissionRate + '/10000');
+
+  // set while the deployer still holds ADMIN_ROLE, before initializeFactory hands the factory over
+  const client = new TketsClient({ factory, Ticket, AttendanceBadge, from });
+  const attendanceBadge = await AttendanceBadge.new(factory.address, txOptions);
+  await client.setAttendanceBadge(attendanceBadge.address);
+  log('AttendanceBadge: ' + attendanceBadge.address);
+  await initializeFactory(client, config, { log });
+
+  const receipt = await client.web3.eth.getTransactionReceipt(factory.transactionHash);
+  return { factory, forwarder, ticketDeployer, attendanceBadge, blockNumber: receipt.blockNumber, networkId: await client.web3.eth.net.getId() };
+}
+
+// records the addresses of a deployTkets result in the registry
+const recordDeployment = (registry, network, deployed) => {
+  return registry.record(network, {
+    networkId: deployed.networkId,
+    blockNumber: deployed.blockNumber,
+    contracts: {
+      EventFactory: deployed.factory.address,
+      Forwarder: deployed.forwarder.address,
+      TicketDeployer: deployed.ticketDeployer.address,
+      AttendanceBadge: deployed.attendanceBadge.address
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_DEPLOY_CONFIG,
+  AddressRegistry,
+  FactoryMigration,
+  resolveDeployConfig,
+  loadDeployConfig,
+  initializeFactory,
+  deployTkets,
+  recordDeployment
+};
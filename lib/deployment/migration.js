@@ -0,0 +1,173 @@
+const events = require('../events');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const MIGRATION_DISCREPANCIES = {
+  MISSING_EVENT: 'MISSING_EVENT',
+  OWNER_MISMATCH: 'OWNER_MISMATCH',
+  TIME_MISMATCH: 'TIME_MISMATCH',
+  MISSING_TICKET: 'MISSING_TICKET',
+  // the ticket contract names another event than the one it was created for
+  TICKET_EVENT_MISMATCH: 'TICKET_EVENT_MISMATCH'
+};
+
+const argsOf = (log) => log.args || log.returnValues;
+const key = (address) => address.toLowerCase();
+
+/**
+* @dev Moves the events and ticket contracts of an old factory onto a new one with forceCreateEvent and
+* forceCreateTicketFromAddress, sent by a MIGRATOR_ROLE account of the new factory. Events keep their IDs, current
+* owners and times. Ticket contracts are not redeployed: they keep their holders and funds, and go on asking the
+* old factory for the owner, stampers, commission and status of their event.
+* Whatever is on the new factory already is skipped, an interrupted migration is resumed by running it again.
+*/
+class FactoryMigration {
+
+  /**
+  * @param source TketsClient of the old factory
+  * @param target TketsClient of the new factory, its `from` account holds MIGRATOR_ROLE
+  * @param startBlock Block the old factory was deployed in, its logs are read from there in `batchSize` blocks
+  */
+  constructor({ source, target, startBlock = 0, batchSize = 5000, log = () => {} }) {
+    this.source = source;
+    this.target = target;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.log = log;
+  }
+
+  async _logs(name, fromBlock, toBlock) {
+    const logs = [];
+    for (let from = fromBlock; from <= toBlock; from += this.batchSize) {
+      logs.push(...await this.source.factory.getPastEvents(name, { fromBlock: from, toBlock: Math.min(from + this.batchSize - 1, toBlock) }));
+    }
+    return logs;
+  }
+
+  /**
+  * @dev The events of the old factory with their ticket contracts, in the order they were created, read from the
+  * creation logs, including the events and tickets the old factory was migrated from itself.
+  */
+  async collect() {
+    const toBlock = await this.source.web3.eth.getBlockNumber();
+    const created = new Map();
+    for (const name of ['EventCreate', 'EventForceCreate']) {
+      for (const log of await this._logs(name, this.startBlock, toBlock)) {
+        created.set(argsOf(log).eventId.toString(), { eventId: events.toBN(argsOf(log).eventId), tickets: [], order: [log.blockNumber, log.logIndex] });
+      }
+    }
+    for (const name of ['TicketCreate', 'TicketForceCreate']) {
+      for (const log of await this._logs(name, this.startBlock, toBlock)) {
+        const event = created.get(argsOf(log).eventId.toString());
+        if (event && !event.tickets.includes(argsOf(log).ticketAddress)) {
+          event.tickets.push(argsOf(log).ticketAddress);
+        }
+      }
+    }
+    return [...created.values()]
+      .sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1])
+      .map(({ eventId, tickets }) => ({ eventId, tickets }));
+  }
+
+  // the event as the old factory has it now
+  async _sourceEvent(eventId) {
+    const metadata = await this.source.factory.eventToMetadata(eventId.toString());
+    return {
+      owner: await this.source.factory.eventToOwner(eventId.toString()),
+      timeStart: events.toNumber(metadata.timeStart),
+      timeEnd: events.toNumber(metadata.timeEnd),
+      cancelled: await this.source.factory.eventToStatus(eventId.toString())
+    };
+  }
+
+  /**
+  * @dev What run() would send: `[{ eventId, owner, timeStart, timeEnd, cancelled, create, tickets: [{ ticketAddress, create }] }]`
+  */
+  async plan() {
+    const plan = [];
+    for (const { eventId, tickets } of await this.collect()) {
+      const exists = (await this.target.factory.eventToOwner(eventId.toString())) !== ZERO_ADDRESS;
+      const ticketPlan = [];
+      for (const ticketAddress of tickets) {
+        ticketPlan.push({ ticketAddress, create: !exists || !(await this.target.factory.isEventTicket(eventId.toString(), ticketAddress)) });
+      }
+      plan.push(Object.assign({ eventId, create: !exists, tickets: ticketPlan }, await this._sourceEvent(eventId)));
+    }
+    return plan;
+  }
+
+  /**
+  * @dev Creates the missing events and tickets on the new factory.
+  * Resolves to `{ events, tickets, txs }` with the number of events and tickets created.
+  */
+  async run() {
+    const result = { events: 0, tickets: 0, txs: [] };
+    for (const event of await this.plan()) {
+      if (event.create) {
+        const created = await this.target.forceCreateEvent(event.eventId, event.owner, { start: event.timeStart, end: event.timeEnd });
+        result.events++;
+        result.txs.push(created.tx);
+        this.log('Event ' + events.formatEventId(event.eventId) + ' of ' + event.owner + ' created');
+      }
+      for (const { ticketAddress, create } of event.tickets) {
+        if (create) {
+          const created = await this.target.forceCreateTicket(event.eventId, ticketAddress);
+          result.tickets++;
+          result.txs.push(created.tx);
+          this.log('  ticket ' + ticketAddress + ' added');
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+  * @dev Compares the new factory with the old one. Resolves to `{ events, tickets, discrepancies, warnings }`,
+  * discrepancies are `{ type, eventId, ticketAddress, message }` with a MIGRATION_DISCREPANCIES type.
+  * Warnings name the cancelled events, the new factory has no way to cancel them without their owner.
+  */
+  async verify() {
+    const discrepancies = [];
+    const warnings = [];
+    const add = (type, eventId, ticketAddress, message) => {
+      discrepancies.push({ type, eventId, ticketAddress, message });
+    }
+
+    const collected = await this.collect();
+    let tickets = 0;
+    for (const { eventId, tickets: ticketAddresses } of collected) {
+      const id = eventId.toString();
+      const label = 'Event ' + events.formatEventId(eventId);
+      const source = await this._sourceEvent(eventId);
+      const owner = await this.target.factory.eventToOwner(id);
+      if (owner === ZERO_ADDRESS) {
+        add(MIGRATION_DISCREPANCIES.MISSING_EVENT, eventId, null, label + ' is not on the new factory');
+        continue;
+      }
+      if (key(owner) !== key(source.owner)) {
+        add(MIGRATION_DISCREPANCIES.OWNER_MISMATCH, eventId, null, label + ' is owned by ' + owner + ' on the new factory and by ' + source.owner + ' on the old one');
+      }
+      const metadata = await this.target.factory.eventToMetadata(id);
+      if (events.toNumber(metadata.timeStart) !== source.timeStart || events.toNumber(metadata.timeEnd) !== source.timeEnd) {
+        add(MIGRATION_DISCREPANCIES.TIME_MISMATCH, eventId, null, label + ' runs ' + metadata.timeStart + '-' + metadata.timeEnd + ' on the new factory and ' + source.timeStart + '-' + source.timeEnd + ' on the old one');
+      }
+      if (source.cancelled) {
+        warnings.push(label + ' is cancelled on the old factory, its tickets still refund through it');
+      }
+
+      for (const ticketAddress of ticketAddresses) {
+        tickets++;
+        if (!(await this.target.factory.isEventTicket(id, ticketAddress))) {
+          add(MIGRATION_DISCREPANCIES.MISSING_TICKET, eventId, ticketAddress, 'Ticket ' + ticketAddress + ' of ' + label + ' is not on the new factory');
+        } else if ((await (await this.source.ticketAt(ticketAddress)).eventId()).toString() !== id) {
+          add(MIGRATION_DISCREPANCIES.TICKET_EVENT_MISMATCH, eventId, ticketAddress, 'Ticket ' + ticketAddress + ' belongs to another event than ' + label);
+        }
+      }
+    }
+    return { events: collected.length, tickets, discrepancies, warnings };
+  }
+}
+
+FactoryMigration.MIGRATION_DISCREPANCIES = MIGRATION_DISCREPANCIES;
+
+module.exports = FactoryMigration;
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const errors = require('../errors');
+
+const DEFAULT_REGISTRY = path.join(__dirname, '..', '..', 'deployments.json');
+
+/**
+* @dev The deployed contract addresses per network, written by the migration and read by connect().
+* A new deployment on a network keeps the entries it replaces under `previous`, newest first, so the
+* factory events were migrated from can still be found.
+*/
+class AddressRegistry {
+
+  constructor({ path = DEFAULT_REGISTRY } = {}) {
+    this.path = path;
+    this.data = { networks: {} };
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    if (this.path) {
+      const tmpPath = this.path + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2) + '\n');
+      fs.renameSync(tmpPath, this.path);
+    }
+  }
+
+  // `{ networkId, blockNumber, deployedAt, contracts: { EventFactory, Forwarder, TicketDeployer, AttendanceBadge }, previous }`
+  get(network) {
+    return this.data.networks[network];
+  }
+
+  // the entry of the network with this network ID, for callers that only have a provider
+  findByNetworkId(networkId) {
+    const found = Object.entries(this.data.networks).find(([, entry]) => String(entry.networkId) === String(networkId));
+    return found && Object.assign({ network: found[0] }, found[1]);
+  }
+
+  getAddress(network, contractName) {
+    const entry = this.get(network);
+    if (!entry || !entry.contracts[contractName]) {
+      throw new errors.NotExistsError('No ' + contractName + ' deployed on ' + network + ' in ' + this.path);
+    }
+    return entry.contracts[contractName];
+  }
+
+  /**
+  * @param deployment `{ networkId, blockNumber, contracts }`, blockNumber is the block of the factory deployment,
+  * where an Indexer of the factory starts
+  */
+  record(network, { networkId, blockNumber, contracts }) {
+    const previous = this.data.networks[network];
+    const entry = { networkId, blockNumber, deployedAt: new Date().toISOString(), contracts, previous: [] };
+    if (previous) {
+      const { previous: older, ...replaced } = previous;
+      entry.previous = [replaced].concat(older || []);
+    }
+    this.data.networks[network] = entry;
+    this.save();
+    return entry;
+  }
+}
+
+AddressRegistry.DEFAULT_REGISTRY = DEFAULT_REGISTRY;
+
+module.exports = AddressRegistry;
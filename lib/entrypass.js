@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const ethUtil = require('ethereumjs-util');
+const BN = require('bn.js');
+const errors = require('./errors');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const PAYLOAD_PREFIX = 'TKETS:';
+// version 1 carries a personal_sign pass, version 2 an EIP-712 pass with its nonce
+const PAYLOAD_VERSION = 2;
+const LEGACY_PAYLOAD_VERSION = 1;
+
+// version | eventId | holder | ticket | ticketId | timestamp | [nonce] | v | r | s | checksum
+const LAYOUTS = {
+  1: [['version', 1], ['eventId', 20], ['holder', 20], ['ticket', 20], ['ticketId', 32], ['timestamp', 8], ['v', 1], ['r', 32], ['s', 32]],
+  2: [['version', 1], ['eventId', 20], ['holder', 20], ['ticket', 20], ['ticketId', 32], ['timestamp', 8], ['nonce', 32], ['v', 1], ['r', 32], ['s', 32]]
+};
+const CHECKSUM_LENGTH = 4;
+
+const payloadLength = (layout) => {
+  return layout.reduce((total, [, length]) => total + length, 0) + CHECKSUM_LENGTH;
+}
+
+// EIP-712 types, see EventFactory.ENTRY_PASS_TYPEHASH
+const EIP712_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  EntryPass: [
+    { name: 'eventId', type: 'uint160' },
+    { name: 'holder', type: 'address' },
+    { name: 'ticket', type: 'address' },
+    { name: 'ticketId', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// the uint fields are wider than JS numbers, a crafted payload must not make BN.toNumber throw
+const toSafeNumber = (buffer, name) => {
+  const value = new BN(buffer);
+  if (value.bitLength() > 53) {
+    throw new errors.InvalidPayloadError('Entry pass ' + name + ' ' + value.toString() + ' is out of range');
+  }
+  return value.toNumber();
+}
+
+const uintToBuffer = (value, length) => {
+  if (typeof value === 'string' && value.startsWith('0x')) {
+    return new BN(value.slice(2), 16).toArrayLike(Buffer, 'be', length);
+  }
+  return new BN(value.toString()).toArrayLike(Buffer, 'be', length);
+}
+
+const addressToBuffer = (address) => {
+  if (!ethUtil.isValidAddress(address)) {
+    throw new errors.InvalidInputError('Invalid address ' + address);
+  }
+  return ethUtil.toBuffer(address);
+}
+
+/**
+* @dev Same as EventFactory.encodeMsg: keccak256(abi.encodePacked(eventId, holder, ticket, ticketId, timestamp))
+*/
+const encodeMsg = ({ eventId, holder, ticket, ticketId, timestamp }) => {
+  const packed = Buffer.concat([
+    uintToBuffer(eventId, 20),
+    addressToBuffer(holder),
+    addressToBuffer(ticket),
+    uintToBuffer(ticketId, 32),
+    uintToBuffer(timestamp, 32)
+  ]);
+  return ethUtil.bufferToHex(ethUtil.keccak256(packed));
+}
+
+// splits a 65 byte eth_sign signature, some nodes return the recovery id (0/1) as v which ecrecover rejects
+const splitSignature = (signature) => {
+  const sig = ethUtil.toBuffer(signature);
+  if (sig.length !== 65) {
+    throw new errors.InvalidInputError('Signature must be 65 bytes long');
+  }
+  let v = sig[64];
+  if (v < 27) {
+    v += 27;
+  }
+  return { r: ethUtil.bufferToHex(sig.slice(0, 32)), s: ethUtil.bufferToHex(sig.slice(32, 64)), v };
+}
+
+// like ecrecover, returns the zero address for invalid signatures
+const recoverDigestSigner = (digest, v, r, s) => {
+  try {
+    const publicKey = ethUtil.ecrecover(ethUtil.toBuffer(digest), Number(v), ethUtil.toBuffer(r), ethUtil.toBuffer(s));
+    return ethUtil.toChecksumAddress(ethUtil.bufferToHex(ethUtil.pubToAddress(publicKey)));
+  } catch (err) {
+    return ZERO_ADDRESS;
+  }
+}
+
+// signer of a personal_sign over message
+const recoverSigner = (message, v, r, s) => {
+  return recoverDigestSigner(ethUtil.hashPersonalMessage(ethUtil.toBuffer(message)), v, r, s);
+}
+
+/* EIP-712 */
+
+const typeHash = (types, primaryType) => {
+  return ethUtil.keccak256(Buffer.from(primaryType + '(' + types[primaryType].map(field => field.type + ' ' + field.name).join(',') + ')'));
+}
+
+// only atomic types are needed, no nested structs or arrays
+const encodeField = (type, value) => {
+  if (type === 'string') {
+    return ethUtil.keccak256(Buffer.from(value));
+  }
+  if (type === 'bytes') {
+    return ethUtil.keccak256(ethUtil.toBuffer(value));
+  }
+  if (type === 'address') {
+    return ethUtil.setLengthLeft(addressToBuffer(value), 32);
+  }
+  if (type === 'bytes32') {
+    const buffer = ethUtil.toBuffer(value);
+    if (buffer.length !== 32) {
+      throw new errors.InvalidInputError('Expected 32 bytes, got ' + value);
+    }
+    return buffer;
+  }
+  return uintToBuffer(value, 32);
+}
+
+const hashStruct = (types, primaryType, data) => {
+  return ethUtil.keccak256(Buffer.concat([typeHash(types, primaryType)].concat(types[primaryType].map(field => encodeField(field.type, data[field.name])))));
+}
+
+/**
+* @dev EIP-712 digest of message, `types` has to include EIP712Domain.
+*/
+const hashTypedData = (types, primaryType, message, domain) => {
+  return ethUtil.bufferToHex(ethUtil.keccak256(Buffer.concat([Buffer.from('1901', 'hex'), hashStruct(types, 'EIP712Domain', domain), hashStruct(types, primaryType, message)])));
+}
+
+/**
+* @dev Same as EventFactory.hashEntryPass, the digest the holder signs.
+* @param domain `{ name, version, chainId, verifyingContract }`, see TketsClient.entryPassDomain
+*/
+const hashEntryPass = (pass, domain) => {
+  if (!domain) {
+    throw new errors.InvalidInputError('An EIP-712 domain is required for entry passes with a nonce');
+  }
+  return hashTypedData(EIP712_TYPES, 'EntryPass', pass, domain);
+}
+
+/**
+* @dev The eth_signTypedData_v4 request for an entry pass, wallets show its fields instead of a hash.
+*/
+const entryPassTypedData = ({ eventId, holder, ticket, ticketId, timestamp, nonce }, domain) => {
+  return {
+    types: EIP712_TYPES,
+    primaryType: 'EntryPass',
+    domain: { name: domain.name, version: domain.version, chainId: Number(domain.chainId), verifyingContract: domain.verifyingContract },
+    message: {
+      eventId: new BN(uintToBuffer(eventId, 20)).toString(),
+      holder: ethUtil.toChecksumAddress(holder),
+      ticket: ethUtil.toChecksumAddress(ticket),
+      ticketId: ticketId.toString(),
+      timestamp: Number(timestamp),
+      nonce
+    }
+  };
+}
+
+// a random gate challenge for the nonce of an entry pass
+const createNonce = () => {
+  return ethUtil.bufferToHex(crypto.randomBytes(32));
+}
+
+/**
+* @dev Signs the legacy entry message as the holder, see signTypedEntryPass for EIP-712 passes.
+* @param signer Either the holder's private key, or an async function that personal-signs the
+* 32 byte message and returns the signature, e.g. `msg => web3.eth.sign(msg, holder)`
+*/
+const signEntryPass = async ({ eventId, holder, ticket, ticketId, timestamp }, signer) => {
+  const message = encodeMsg({ eventId, holder, ticket, ticketId, timestamp });
+  let sig;
+  if (typeof signer === 'function') {
+    sig = splitSignature(await signer(message));
+  } else {
+    const signed = ethUtil.ecsign(ethUtil.hashPersonalMessage(ethUtil.toBuffer(message)), ethUtil.toBuffer(signer));
+    sig = { v: signed.v, r: ethUtil.bufferToHex(signed.r), s: ethUtil.bufferToHex(signed.s) };
+  }
+  return {
+    eventId: new BN(eventId.toString()),
+    holder: ethUtil.toChecksumAddress(holder),
+    ticket: ethUtil.toChecksumAddress(ticket),
+    ticketId: Number(ticketId),
+    timestamp: Number(timestamp),
+    v: sig.v,
+    r: sig.r,
+    s: sig.s
+  };
+}
+
+/**
+* @dev Signs an EIP-712 entry pass as the holder.
+* @param signer Either the holder's private key, or an async function that signs the typed data from
+* entryPassTypedData and returns the signature, e.g. a call to eth_signTypedData_v4
+* @param domain `{ name, version, chainId, verifyingContract }`, see TketsClient.entryPassDomain
+*/
+const signTypedEntryPass = async ({ eventId, holder, ticket, ticketId, timestamp, nonce }, signer, domain) => {
+  const fields = { eventId, holder, ticket, ticketId, timestamp, nonce };
+  let sig;
+  if (typeof signer === 'function') {
+    sig = splitSignature(await signer(entryPassTypedData(fields, domain)));
+  } else {
+    const signed = ethUtil.ecsign(ethUtil.toBuffer(hashEntryPass(fields, domain)), ethUtil.toBuffer(signer));
+    sig = { v: signed.v, r: ethUtil.bufferToHex(signed.r), s: ethUtil.bufferToHex(signed.s) };
+  }
+  return {
+    eventId: new BN(eventId.toString()),
+    holder: ethUtil.toChecksumAddress(holder),
+    ticket: ethUtil.toChecksumAddress(ticket),
+    ticketId: Number(ticketId),
+    timestamp: Number(timestamp),
+    nonce: ethUtil.bufferToHex(ethUtil.toBuffer(nonce)),
+    v: sig.v,
+    r: sig.r,
+    s: sig.s
+  };
+}
+
+// true if the pass is signed by its holder; does not check the time window, the nonce or ownership
+// passes with a nonce are EIP-712 signed and need the domain, passes without are legacy personal_sign passes
+const verifyEntryPass = (pass, domain) => {
+  const signer = pass.nonce === undefined ? recoverSigner(encodeMsg(pass), pass.v, pass.r, pass.s) : recoverDigestSigner(hashEntryPass(pass, domain), pass.v, pass.r, pass.s);
+  return signer.toLowerCase() === pass.holder.toLowerCase();
+}
+
+const checksum = (buffer) => {
+  return ethUtil.keccak256(buffer).slice(0, CHECKSUM_LENGTH);
+}
+
+const toBase64Url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const fromBase64Url = (text) => {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+* @dev Serializes a signed pass into the string that goes into the QR code.
+*/
+const encodeEntryPass = (pass) => {
+  const version = pass.nonce === undefined ? LEGACY_PAYLOAD_VERSION : PAYLOAD_VERSION;
+  const fields = {
+    version: uintToBuffer(version, 1),
+    eventId: uintToBuffer(pass.eventId, 20),
+    holder: addressToBuffer(pass.holder),
+    ticket: addressToBuffer(pass.ticket),
+    ticketId: uintToBuffer(pass.ticketId, 32),
+    timestamp: uintToBuffer(pass.timestamp, 8),
+    nonce: pass.nonce === undefined ? undefined : ethUtil.setLengthLeft(ethUtil.toBuffer(pass.nonce), 32),
+    v: uintToBuffer(pass.v, 1),
+    r: ethUtil.setLengthLeft(ethUtil.toBuffer(pass.r), 32),
+    s: ethUtil.setLengthLeft(ethUtil.toBuffer(pass.s), 32)
+  };
+  const body = Buffer.concat(LAYOUTS[version].map(([name]) => fields[name]));
+  return PAYLOAD_PREFIX + toBase64Url(Buffer.concat([body, checksum(body)]));
+}
+
+/**
+* @dev Parses a scanned QR payload. Throws InvalidPayloadError on a wrong prefix, version, length or checksum.
+*/
+const decodeEntryPass = (payload) => {
+  if (typeof payload !== 'string' || !payload.startsWith(PAYLOAD_PREFIX)) {
+    throw new errors.InvalidPayloadError('Not a TKETS entry pass');
+  }
+  const data = fromBase64Url(payload.slice(PAYLOAD_PREFIX.length));
+  const layout = data.length > 0 && LAYOUTS[data[0]];
+  if (!layout) {
+    throw new errors.InvalidPayloadError('Unsupported entry pass version ' + data[0]);
+  }
+  const length = payloadLength(layout);
+  if (data.length !== length) {
+    throw new errors.InvalidPayloadError('Entry pass has the wrong length');
+  }
+  const body = data.slice(0, length - CHECKSUM_LENGTH);
+  if (!checksum(body).equals(data.slice(length - CHECKSUM_LENGTH))) {
+    throw new errors.InvalidPayloadError('Entry pass checksum mismatch');
+  }
+
+  const fields = {};
+  let offset = 0;
+  for (const [name, length] of layout) {
+    fields[name] = body.slice(offset, offset + length);
+    offset += length;
+  }
+  const pass = {
+    eventId: new BN(fields.eventId),
+    holder: ethUtil.toChecksumAddress(ethUtil.bufferToHex(fields.holder)),
+    ticket: ethUtil.toChecksumAddress(ethUtil.bufferToHex(fields.ticket)),
+    ticketId: toSafeNumber(fields.ticketId, 'ticket ID'),
+    timestamp: toSafeNumber(fields.timestamp, 'timestamp'),
+    v: fields.v[0],
+    r: ethUtil.bufferToHex(fields.r),
+    s: ethUtil.bufferToHex(fields.s)
+  };
+  if (fields.nonce) {
+    pass.nonce = ethUtil.bufferToHex(fields.nonce);
+  }
+  return pass;
+}
+
+module.exports = {
+  PAYLOAD_PREFIX,
+  PAYLOAD_VERSION,
+  LEGACY_PAYLOAD_VERSION,
+  EIP712_TYPES,
+  encodeMsg,
+  splitSignature,
+  recoverSigner,
+  recoverDigestSigner,
+  hashTypedData,
+  hashEntryPass,
+  entryPassTypedData,
+  createNonce,
+  signEntryPass,
+  signTypedEntryPass,
+  verifyEntryPass,
+  encodeEntryPass,
+  decodeEntryPass
+};
@@ -0,0 +1,151 @@
+// Revert codes used by EventFactory and Ticket, see the string constants in contracts/EventFactory.sol
+const CODES = {
+  UNAUTHORIZED: '019001',
+  INVALID_INPUT: '019002',
+  INITIALIZATION_ERROR: '019003',
+  CANNOT_TRANSFER_TO_ZERO_ADDRESS: '019004',
+  NOT_EXISTS: '019005',
+  TICKET_SALE_ERROR: '019006',
+  INVALID_ACTION: '019007'
+};
+
+class TketsError extends Error {
+  constructor(message, { code, reason, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+class UnauthorizedError extends TketsError { }
+class InvalidInputError extends TketsError { }
+class InitializationError extends TketsError { }
+class ZeroAddressError extends TketsError { }
+class NotExistsError extends TketsError { }
+class TicketSaleError extends TketsError { }
+class InvalidActionError extends TketsError { }
+
+// raised for the reason-less requires in validateTicket, reason is one of INVALID_TICKET_REASONS
+class InvalidTicketError extends TketsError { }
+class AlreadyStampedError extends TketsError { }
+
+// raised when decoding a malformed entry pass payload
+class InvalidPayloadError extends TketsError { }
+
+const INVALID_TICKET_REASONS = {
+  SIGNATURE_EXPIRED: 'SIGNATURE_EXPIRED',
+  SIGNATURE_NOT_YET_VALID: 'SIGNATURE_NOT_YET_VALID',
+  NOT_HOLDER: 'NOT_HOLDER',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE'
+};
+
+const ERRORS_BY_CODE = {
+  [CODES.UNAUTHORIZED]: [UnauthorizedError, 'Sender is not authorized for this action'],
+  [CODES.INVALID_INPUT]: [InvalidInputError, 'Invalid input'],
+  [CODES.INITIALIZATION_ERROR]: [InitializationError, 'Event with this ID already exists'],
+  [CODES.CANNOT_TRANSFER_TO_ZERO_ADDRESS]: [ZeroAddressError, 'Cannot transfer to the zero address'],
+  [CODES.NOT_EXISTS]: [NotExistsError, 'Event or ticket does not exist'],
+  [CODES.TICKET_SALE_ERROR]: [TicketSaleError, 'Ticket sale not possible: wrong value, sale closed, event cancelled or sold out'],
+  [CODES.INVALID_ACTION]: [InvalidActionError, 'Action not possible in the current event state']
+};
+
+// reasons thrown by TNT721 itself
+const TNT721_REASONS = [
+  [/nonexistent token/, NotExistsError],
+  [/not owner nor approved/, UnauthorizedError],
+  [/zero address/, ZeroAddressError]
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+const decodeErrorData = (data) => {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR)) {
+    return undefined;
+  }
+  // Error(string): selector, offset, length, utf8 bytes
+  const body = data.slice(ERROR_STRING_SELECTOR.length);
+  const length = parseInt(body.slice(64, 128), 16);
+  return Buffer.from(body.slice(128, 128 + length * 2), 'hex').toString('utf8');
+}
+
+/**
+* @dev Extracts the revert reason from the different error shapes thrown by truffle, web3 and ganache.
+* Returns undefined for reason-less reverts and '' if the error is not a revert at all.
+*/
+const getRevertReason = (err) => {
+  if (!err) {
+    return '';
+  }
+  if (err.reason) {
+    return err.reason;
+  }
+  const fromData = decodeErrorData(err.data) || decodeErrorData(err.data && err.data.result);
+  if (fromData) {
+    return fromData;
+  }
+  if (err.data && typeof err.data === 'object') {
+    const nested = Object.values(err.data).find(entry => entry && entry.reason);
+    if (nested) {
+      return nested.reason;
+    }
+  }
+  const message = err.message || '';
+  if (/Transaction has been reverted by the EVM/.test(message)) {
+    return undefined;
+  }
+  const match = /VM Exception while processing transaction: revert ?([^\s]*)/.exec(message);
+  if (!match) {
+    return '';
+  }
+  return match[1] ? match[1].replace(/[.,]$/, '') : undefined;
+}
+
+const isRevert = (err) => {
+  return getRevertReason(err) !== '';
+}
+
+/**
+* @dev Maps a revert into one of the typed errors above. Errors that are not reverts are returned untouched.
+*/
+const decodeError = (err) => {
+  if (err instanceof TketsError) {
+    return err;
+  }
+  const reason = getRevertReason(err);
+  if (reason === '') {
+    return err;
+  }
+  if (reason === undefined) {
+    return new TketsError('Transaction reverted without a reason', { cause: err });
+  }
+  if (ERRORS_BY_CODE[reason]) {
+    const [ErrorClass, message] = ERRORS_BY_CODE[reason];
+    return new ErrorClass(message, { code: reason, reason, cause: err });
+  }
+  const tnt721 = TNT721_REASONS.find(([pattern]) => pattern.test(reason));
+  if (tnt721) {
+    return new tnt721[1](reason, { reason, cause: err });
+  }
+  return new TketsError(reason, { reason, cause: err });
+}
+
+module.exports = {
+  CODES,
+  INVALID_TICKET_REASONS,
+  TketsError,
+  UnauthorizedError,
+  InvalidInputError,
+  InitializationError,
+  ZeroAddressError,
+  NotExistsError,
+  TicketSaleError,
+  InvalidActionError,
+  InvalidTicketError,
+  AlreadyStampedError,
+  InvalidPayloadError,
+  getRevertReason,
+  isRevert,
+  decodeError
+};
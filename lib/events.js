@@ -0,0 +1,135 @@
+const BN = require('bn.js');
+const errors = require('./errors');
+
+// Converts a uint256 value returned by truffle/web3 (BN, BigNumber or string) into a BN
+const toBN = (value) => {
+  if (BN.isBN(value)) {
+    return value;
+  }
+  return new BN(value.toString());
+}
+
+// Timestamps, token IDs and ticket counts all fit into a JS number
+const toNumber = (value) => {
+  return toBN(value).toNumber();
+}
+
+// event IDs are uint160, accepted in decimal or as 0x prefixed hex like the tests log them
+const parseEventId = (text) => {
+  text = String(text);
+  if (/^0x[0-9a-fA-F]{1,40}$/.test(text)) {
+    return new BN(text.slice(2), 16);
+  }
+  if (/^[0-9]{1,49}$/.test(text)) {
+    return new BN(text);
+  }
+  throw new errors.InvalidInputError('Invalid event ID ' + text);
+}
+
+// unix seconds or anything Date.parse understands, e.g. 2022-06-01T18:00:00Z
+const parseTime = (text) => {
+  if (typeof text === 'number') {
+    text = String(text);
+  }
+  if (/^[0-9]+$/.test(text)) {
+    return Number(text);
+  }
+  // plain numbers that are not unix seconds, Date.parse would read e.g. 1.5 as a date
+  const millis = /^[-+]?[0-9.]+$/.test(text) ? NaN : Date.parse(text);
+  if (isNaN(millis)) {
+    throw new errors.InvalidInputError('Invalid time ' + text);
+  }
+  return Math.floor(millis / 1000);
+}
+
+const formatEventId = (eventId) => {
+  return '0x' + toBN(eventId).toString(16);
+}
+
+const findLogs = (logs, eventName) => {
+  return (logs || []).filter(log => log.event === eventName);
+}
+
+const parseEventCreate = (log) => {
+  return {
+    owner: log.args.ownerAddress,
+    eventId: toBN(log.args.eventId),
+    timeStart: toNumber(log.args.timeStart),
+    timeEnd: toNumber(log.args.timeEnd)
+  };
+}
+
+const parseTicketCreate = (log) => {
+  return {
+    owner: log.args.ownerAddress,
+    eventId: toBN(log.args.eventId),
+    ticketAddress: log.args.ticketAddress,
+    uri: log.args.uri,
+    uriHash: log.args.uriHash,
+    useTokenIDInURI: log.args.useTokenIDInURI,
+    maxTickets: toNumber(log.args.maxTickets),
+    price: toBN(log.args.ticketPrice),
+    saleStart: toNumber(log.args.ticketStartTime),
+    saleEnd: toNumber(log.args.ticketEndTime),
+    acceptDonations: log.args.acceptDonations
+  };
+}
+
+const parseTicketMint = (log) => {
+  return {
+    holder: log.args.mintedAddress,
+    ticketId: toNumber(log.args.ticketId)
+  };
+}
+
+const parseTicketResale = (log) => {
+  return {
+    ticketId: toNumber(log.args.ticketId),
+    seller: log.args.seller,
+    buyer: log.args.buyer,
+    price: toBN(log.args.price)
+  };
+}
+
+const parseTicketExchange = (log) => {
+  return {
+    eventId: toBN(log.args.eventId),
+    holder: log.args.holder,
+    from: log.args.from,
+    fromTicketId: toNumber(log.args.fromTicketId),
+    to: log.args.to,
+    toTicketId: toNumber(log.args.toTicketId),
+    paid: toBN(log.args.paid),
+    credit: toBN(log.args.credit)
+  };
+}
+
+const parseTicketRefund = (log) => {
+  return {
+    holder: log.args.refundedAddress,
+    ticketId: toNumber(log.args.ticketId),
+    amount: toBN(log.args.amount)
+  };
+}
+
+const parseEventCancel = (log) => {
+  return {
+    eventId: toBN(log.args.eventId)
+  };
+}
+
+module.exports = {
+  toBN,
+  toNumber,
+  parseEventId,
+  formatEventId,
+  parseTime,
+  findLogs,
+  parseEventCreate,
+  parseTicketCreate,
+  parseTicketMint,
+  parseTicketResale,
+  parseTicketExchange,
+  parseTicketRefund,
+  parseEventCancel
+};
@@ -0,0 +1,157 @@
+const errors = require('../errors');
+const events = require('../events');
+const { Scanner, STATUS } = require('../scanner');
+const AdmissionLog = require('./log');
+const snapshots = require('./snapshot');
+
+const DOUBLE_ENTRY = {
+  // admitted more than once by the offline gates, at one gate or at several
+  ADMITTED_TWICE: 'ADMITTED_TWICE',
+  // stamped on chain before the sync, e.g. by an online scanner or by the sync of a log that was not merged
+  STAMPED_ELSEWHERE: 'STAMPED_ELSEWHERE'
+};
+
+// tickets stamped per transaction of a sync
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+* @dev A Scanner that works without the chain. Entry passes are checked against a snapshot of the event,
+* see createSnapshot, and admitted tickets are recorded in an AdmissionLog to be stamped later by syncAdmissions.
+* A ticket is admitted once per log, gates that merge their logs while the doors are open also reject the
+* tickets admitted at the others. Tickets that change hands after the snapshot are rejected until the next one.
+*/
+class OfflineGate extends Scanner {
+
+  /**
+  * @param snapshot From createSnapshot
+  * @param log The AdmissionLog of this gate
+  */
+  constructor({ snapshot, log, clock, acceptLegacyPasses }) {
+    super({ client: null, clock, acceptLegacyPasses });
+    if (!snapshot || snapshot.version !== snapshots.SNAPSHOT_VERSION) {
+      throw new errors.InvalidInputError('Unsupported gate snapshot, expected version ' + snapshots.SNAPSHOT_VERSION);
+    }
+    this.snapshot = snapshot;
+    this.log = log;
+  }
+
+  async validationTimeout() {
+    return this.snapshot.validationTimeout;
+  }
+
+  async entryPassDomain() {
+    return this.snapshot.domain;
+  }
+
+  async _scanPass(pass) {
+    const rejected = await this._checkLocally(pass);
+    if (rejected) {
+      return rejected;
+    }
+
+    if (events.toBN(pass.eventId).toString() !== this.snapshot.eventId) {
+      return { status: STATUS.INVALID, reason: 'Entry pass is for event ' + events.formatEventId(pass.eventId) + ', not this one' };
+    }
+    const token = snapshots.getToken(this.snapshot, pass.ticket, pass.ticketId);
+    if (!token) {
+      return { status: STATUS.INVALID, reason: 'Ticket ' + pass.ticketId + ' of ' + pass.ticket + ' is not a ticket of this event' };
+    }
+    if (token.holder.toLowerCase() !== pass.holder.toLowerCase()) {
+      return { status: STATUS.INVALID, reason: 'Ticket ' + pass.ticketId + ' is not held by ' + pass.holder };
+    }
+    if (token.stamped) {
+      return { status: STATUS.ALREADY_STAMPED, reason: 'Ticket ' + pass.ticketId + ' is already stamped' };
+    }
+    const [previous] = this.log.admissionsOf(pass.ticket, pass.ticketId);
+    if (previous) {
+      return { status: STATUS.ALREADY_STAMPED, reason: 'Ticket ' + pass.ticketId + ' was admitted at gate ' + previous.gate };
+    }
+
+    const admission = this.log.record({ ticket: pass.ticket, ticketId: pass.ticketId, holder: pass.holder, time: this.clock() });
+    return { status: STATUS.ADMIT, reason: null, admission };
+  }
+}
+
+/**
+* @dev The double entries of a log, one `{ ticket, ticketId, reason, admissions }` per ticket. Reasons are
+* DOUBLE_ENTRY values, STAMPED_ELSEWHERE is only known once the log is synced.
+*/
+const findDoubleEntries = (log) => {
+  const byTicket = new Map();
+  for (const admission of log.admissions()) {
+    const key = AdmissionLog.ticketKey(admission.ticket, admission.ticketId);
+    byTicket.set(key, (byTicket.get(key) || []).concat([admission]));
+  }
+
+  const doubleEntries = [];
+  for (const admissions of byTicket.values()) {
+    const { ticket, ticketId } = admissions[0];
+    const synced = log.getSynced(ticket, ticketId);
+    if (admissions.length > 1) {
+      doubleEntries.push({ ticket, ticketId, reason: DOUBLE_ENTRY.ADMITTED_TWICE, admissions });
+    } else if (synced && synced.alreadyStamped) {
+      doubleEntries.push({ ticket, ticketId, reason: DOUBLE_ENTRY.STAMPED_ELSEWHERE, admissions });
+    }
+  }
+  return doubleEntries;
+}
+
+/**
+* @dev Stamps the tickets admitted in the log that are not synced yet, `batchSize` per transaction of
+* EventFactory.stampTickets, and records the outcome of each in the log so an interrupted sync can be resumed.
+* Resolves to `{ stamped, missing, txs, doubleEntries }`: the tickets this sync stamped, the admitted tickets
+* that no longer exist, e.g. refunded after the snapshot, and the double entries of the log.
+*/
+const syncAdmissions = async ({ client, log, eventId, batchSize = DEFAULT_BATCH_SIZE, options }) => {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new errors.InvalidInputError('Batch size must be a positive integer');
+  }
+  const pending = new Map();
+  for (const admission of log.admissions()) {
+    const key = AdmissionLog.ticketKey(admission.ticket, admission.ticketId);
+    if (!pending.has(key) && !log.getSynced(admission.ticket, admission.ticketId)) {
+      pending.set(key, admission);
+    }
+  }
+
+  const admitted = [...pending.values()];
+  const stamped = [];
+  const txs = [];
+  for (let i = 0; i < admitted.length; i += batchSize) {
+    const chunk = admitted.slice(i, i + batchSize);
+    const tiers = new Map();
+    for (const { ticket, ticketId } of chunk) {
+      const tier = tiers.get(ticket.toLowerCase()) || { ticketAddress: ticket, ticketIds: [] };
+      tier.ticketIds.push(ticketId);
+      tiers.set(ticket.toLowerCase(), tier);
+    }
+
+    const result = await client.stampTicketBatch(eventId, [...tiers.values()], options);
+    txs.push(result.tx);
+    const stampedKeys = new Set(result.stamped.map(ticket => AdmissionLog.ticketKey(ticket.ticketAddress, ticket.ticketId)));
+    for (const { ticket, ticketId } of chunk) {
+      if (stampedKeys.has(AdmissionLog.ticketKey(ticket, ticketId))) {
+        log.markSynced(ticket, ticketId, { tx: result.tx });
+        stamped.push({ ticket, ticketId, tx: result.tx });
+      } else if (await (await client.ticketAt(ticket)).tokenToStamped(ticketId)) {
+        log.markSynced(ticket, ticketId, { alreadyStamped: true });
+      } else {
+        log.markSynced(ticket, ticketId, { missing: true });
+      }
+    }
+    log.save();
+  }
+
+  const missing = Object.values(log.data.synced).filter(synced => synced.missing).map(({ ticket, ticketId }) => ({ ticket, ticketId }));
+  return { stamped, missing, txs, doubleEntries: findDoubleEntries(log) };
+}
+
+module.exports = {
+  DOUBLE_ENTRY,
+  DEFAULT_BATCH_SIZE,
+  OfflineGate,
+  AdmissionLog,
+  createSnapshot: snapshots.createSnapshot,
+  findDoubleEntries,
+  syncAdmissions
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const errors = require('../errors');
+
+const ticketKey = (ticketAddress, ticketId) => {
+  return ticketAddress.toLowerCase() + ':' + ticketId;
+}
+
+const byAdmission = (a, b) => {
+  return a.time - b.time || a.gate.localeCompare(b.gate) || a.id.localeCompare(b.id, undefined, { numeric: true });
+}
+
+/**
+* @dev The admissions of offline gates and how they were synced on chain. Admissions are keyed by the gate that
+* recorded them and a sequence number of that gate, and never change. Sync results are keyed by ticket, the
+* result of the sync that stamped a ticket takes precedence over any other.
+* Logs of several gates therefore merge by union, in any order and as often as they meet, without conflicts.
+* Kept in memory, and in a JSON file if a path is given, so a restarted gate keeps its admissions.
+*/
+class AdmissionLog {
+
+  /**
+  * @param gate Name of the gate recording into this log, unique among the gates of the event
+  */
+  constructor({ path, gate } = {}) {
+    this.path = path;
+    this.gate = gate;
+    this.data = { admissions: {}, synced: {} };
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    if (this.path) {
+      const tmpPath = this.path + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.path);
+    }
+  }
+
+  _nextSequence() {
+    const prefix = this.gate + ':';
+    const used = Object.keys(this.data.admissions).filter(id => id.startsWith(prefix)).map(id => Number(id.slice(prefix.length)));
+    return used.length === 0 ? 1 : Math.max(...used) + 1;
+  }
+
+  // `{ id, gate, ticket, ticketId, holder, time }`
+  record({ ticket, ticketId, holder, time }) {
+    if (!this.gate) {
+      throw new errors.InvalidInputError('The log needs a gate name to record admissions');
+    }
+    const id = this.gate + ':' + this._nextSequence();
+    const admission = { id, gate: this.gate, ticket, ticketId: Number(ticketId), holder, time };
+    this.data.admissions[id] = admission;
+    this.save();
+    return admission;
+  }
+
+  /**
+  * @dev Adds the admissions and sync results of another log, an AdmissionLog or its data.
+  * Returns the number of entries that were new to this log.
+  */
+  merge(other) {
+    const data = other instanceof AdmissionLog ? other.data : other;
+    let added = 0;
+    for (const [id, admission] of Object.entries(data.admissions || {})) {
+      if (!this.data.admissions[id]) {
+        this.data.admissions[id] = admission;
+        added++;
+      }
+    }
+    for (const [key, synced] of Object.entries(data.synced || {})) {
+      const known = this.data.synced[key];
+      // a log that saw the ticket stamped by another sync learns which transaction it was
+      if (!known || (synced.tx && !known.tx)) {
+        this.data.synced[key] = synced;
+        added++;
+      }
+    }
+    this.save();
+    return added;
+  }
+
+  // in the order they were admitted, admissions at the same second by gate and sequence
+  admissions() {
+    return Object.values(this.data.admissions).sort(byAdmission);
+  }
+
+  admissionsOf(ticket, ticketId) {
+    const key = ticketKey(ticket, ticketId);
+    return Object.values(this.data.admissions).filter(admission => ticketKey(admission.ticket, admission.ticketId) === key).sort(byAdmission);
+  }
+
+  isAdmitted(ticket, ticketId) {
+    return this.admissionsOf(ticket, ticketId).length > 0;
+  }
+
+  /**
+  * @dev Records the outcome of submitting a ticket on chain: `{ tx }` if the sync stamped it, `{ alreadyStamped: true }`
+  * if it was stamped before, e.g. by an online scanner, and `{ missing: true }` if it no longer exists.
+  * Not saved until the next save(), a sync saves once per batch.
+  */
+  markSynced(ticket, ticketId, result) {
+    this.data.synced[ticketKey(ticket, ticketId)] = Object.assign({ ticket, ticketId: Number(ticketId) }, result);
+  }
+
+  getSynced(ticket, ticketId) {
+    return this.data.synced[ticketKey(ticket, ticketId)];
+  }
+}
+
+AdmissionLog.ticketKey = ticketKey;
+
+module.exports = AdmissionLog;
@@ -0,0 +1,68 @@
+const errors = require('../errors');
+const events = require('../events');
+const pagination = require('../pagination');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const SNAPSHOT_VERSION = 1;
+
+const ticketKey = (ticketAddress) => {
+  return ticketAddress.toLowerCase();
+}
+
+/**
+* @dev Reads what a gate needs to check the entry passes of an event without the chain: the EIP-712 domain,
+* the validation timeout, and the holder and stamp of every ticket of every tier, all at one block.
+* The snapshot is plain JSON, it is copied onto the scanning devices before the doors open.
+*/
+const createSnapshot = async (client, eventId) => {
+  eventId = events.toBN(eventId);
+  if (await client.factory.eventToOwner(eventId.toString()) === ZERO_ADDRESS) {
+    throw new errors.NotExistsError('Event ' + events.formatEventId(eventId) + ' does not exist');
+  }
+  const tiers = await pagination.collect(client.ticketsOfEvent(eventId));
+  const blockNumber = await client.web3.eth.getBlockNumber();
+  const block = await client.web3.eth.getBlock(blockNumber);
+
+  const tickets = {};
+  for (const ticketAddress of tiers) {
+    const ticket = await client.ticketAt(ticketAddress);
+    const lastTicketId = events.toNumber(await ticket.lastTicketId(blockNumber));
+    const tokens = {};
+    for (let ticketId = 1; ticketId <= lastTicketId; ticketId++) {
+      let holder;
+      try {
+        holder = await ticket.ownerOf(ticketId, blockNumber);
+      } catch (err) {
+        // refunded and opted out tickets are burnt, a failing node must not drop valid tickets
+        if (!errors.isRevert(err)) {
+          throw err;
+        }
+        continue;
+      }
+      tokens[ticketId] = { holder, stamped: await ticket.tokenToStamped(ticketId, blockNumber) };
+    }
+    tickets[ticketKey(ticketAddress)] = tokens;
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    eventId: eventId.toString(),
+    blockNumber,
+    timestamp: Number(block.timestamp),
+    domain: await client.entryPassDomain(),
+    validationTimeout: events.toNumber(await client.factory.VALIDATION_TIMEOUT()),
+    tickets
+  };
+}
+
+// `{ holder, stamped }` of a ticket in the snapshot, undefined if it did not exist
+const getToken = (snapshot, ticketAddress, ticketId) => {
+  const tokens = snapshot.tickets[ticketKey(ticketAddress)];
+  return tokens && tokens[ticketId];
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  getToken
+};
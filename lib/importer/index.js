@@ -0,0 +1,207 @@
+const events = require('../events');
+const errors = require('../errors');
+const csv = require('../csv');
+const ImportJournal = require('./journal');
+const { CSV_COLUMNS, parseManifest, loadManifest } = require('./manifest');
+
+const IMPORT_STATUS = {
+  CREATED: 'CREATED',
+  EXISTING: 'EXISTING',
+  RECOVERED: 'RECOVERED',
+  FAILED: 'FAILED'
+};
+
+const REPORT_COLUMNS = ['row', 'event', 'tier', 'eventId', 'ticketAddress', 'status', 'tx', 'error'];
+
+const argsOf = (log) => log.args || log.returnValues;
+
+const sameTier = (created, tier) => {
+  return created.uri === tier.uri &&
+    created.uriHash.toLowerCase() === tier.uriHash.toLowerCase() &&
+    created.useTokenIDInURI === tier.useTokenIDInURI &&
+    created.maxTickets === tier.maxTickets &&
+    created.price.eq(tier.price) &&
+    created.saleStart === tier.saleStart &&
+    created.saleEnd === tier.saleEnd &&
+    created.acceptDonations === tier.acceptDonations;
+}
+
+/**
+* @dev Creates the events and ticket tiers of a manifest and records them in an ImportJournal.
+* The transactions of an event's tiers are sent `concurrency` at a time with consecutive nonces.
+* Running again with the same journal skips everything recorded in it. Events and tiers that were created
+* but not recorded are recovered from the EventCreate and TicketCreate logs since the first run,
+* so they are not created twice.
+*/
+class Importer {
+
+  /**
+  * @param client TketsClient whose `from` account becomes the owner of the imported events
+  * @param journal An ImportJournal, load() it before passing it in to resume a previous run
+  * @param concurrency Number of createTicket transactions in flight at once
+  * @param log Progress output, one line per call
+  */
+  constructor({ client, journal = new ImportJournal(), concurrency = 4, log = () => {} }) {
+    this.client = client;
+    this.journal = journal;
+    this.concurrency = concurrency;
+    this.log = log;
+    this._nonce = undefined;
+  }
+
+  async _nextNonce() {
+    if (this._nonce === undefined) {
+      this._nonce = await this.client.web3.eth.getTransactionCount(this.client.from, 'pending');
+    }
+    return this._nonce++;
+  }
+
+  // after a failed transaction the node is asked again, a rejected transaction did not use its nonce
+  _resetNonce() {
+    this._nonce = undefined;
+  }
+
+  _claimedEventIds() {
+    return new Set(Object.values(this.journal.data.events).map(entry => entry.eventId).filter(Boolean));
+  }
+
+  async _recoverEvent(event) {
+    const claimed = this._claimedEventIds();
+    const logs = await this.client.factory.getPastEvents('EventCreate', { filter: { ownerAddress: this.client.from }, fromBlock: this.journal.data.startBlock });
+    return logs.map(log => Object.assign(events.parseEventCreate({ args: argsOf(log) }), { tx: log.transactionHash }))
+      .find(created => created.timeStart === event.start && created.timeEnd === event.end && !claimed.has(created.eventId.toString()));
+  }
+
+  async _recoverTickets(entry) {
+    const claimed = new Set(Object.values(entry.tickets).map(ticket => ticket.ticketAddress.toLowerCase()));
+    const logs = await this.client.factory.getPastEvents('TicketCreate', { filter: { eventId: entry.eventId }, fromBlock: this.journal.data.startBlock });
+    return logs.map(log => Object.assign(events.parseTicketCreate({ args: argsOf(log) }), { tx: log.transactionHash }))
+      .filter(created => !claimed.has(created.ticketAddress.toLowerCase()));
+  }
+
+  async _ensureEvent(event, entry) {
+    if (entry.eventId) {
+      if (entry.start !== event.start || entry.end !== event.end) {
+        throw new errors.InvalidInputError('Event ' + event.name + ' was already created with different times');
+      }
+      return IMPORT_STATUS.EXISTING;
+    }
+    let status = IMPORT_STATUS.RECOVERED;
+    let created = await this._recoverEvent(event);
+    if (!created) {
+      const nonce = await this._nextNonce();
+      created = await this.client.createEvent({ start: event.start, end: event.end }, { nonce }).catch(err => {
+        this._resetNonce();
+        throw err;
+      });
+      status = IMPORT_STATUS.CREATED;
+    }
+    Object.assign(entry, { eventId: created.eventId.toString(), start: event.start, end: event.end, tx: created.tx });
+    this.journal.save();
+    this.log(status.toLowerCase() + ' event ' + event.name + ': ' + events.formatEventId(created.eventId));
+    return status;
+  }
+
+  _record(entry, tier, row, created, status) {
+    entry.tickets[tier.name] = { ticketAddress: created.ticketAddress, tx: created.tx };
+    this.journal.save();
+    Object.assign(row, { ticketAddress: created.ticketAddress, status, tx: created.tx });
+    this.log(status.toLowerCase() + ' tier ' + row.event + '/' + tier.name + ': ' + created.ticketAddress);
+  }
+
+  async _importEvent(event) {
+    const entry = this.journal.event(event.name);
+    const rows = event.tiers.map(tier => ({ row: tier.row, event: event.name, tier: tier.name }));
+    const fail = (row, err) => Object.assign(row, { status: IMPORT_STATUS.FAILED, error: errors.decodeError(err).message });
+
+    try {
+      await this._ensureEvent(event, entry);
+    } catch (err) {
+      rows.forEach(row => fail(row, err));
+      return rows;
+    }
+    rows.forEach(row => { row.eventId = events.formatEventId(entry.eventId); });
+
+    let pending = [];
+    event.tiers.forEach((tier, i) => {
+      const recorded = entry.tickets[tier.name];
+      if (recorded) {
+        Object.assign(rows[i], { ticketAddress: recorded.ticketAddress, status: IMPORT_STATUS.EXISTING, tx: recorded.tx });
+      } else {
+        pending.push(i);
+      }
+    });
+
+    if (pending.length > 0) {
+      const recoverable = await this._recoverTickets(entry);
+      pending = pending.filter(i => {
+        const index = recoverable.findIndex(created => sameTier(created, event.tiers[i]));
+        if (index === -1) {
+          return true;
+        }
+        this._record(entry, event.tiers[i], rows[i], recoverable.splice(index, 1)[0], IMPORT_STATUS.RECOVERED);
+        return false;
+      });
+    }
+
+    for (let start = 0; start < pending.length; start += this.concurrency) {
+      const batch = pending.slice(start, start + this.concurrency);
+      const sends = [];
+      for (const i of batch) {
+        // a transaction that fails before it is sent would leave a gap in the nonces of the batch
+        const simulated = await this.client.simulate(this.client.factory, 'createTicket', this.client.createTicketArgs(entry.eventId, event.tiers[i])).catch(err => err);
+        if (simulated instanceof Error) {
+          sends.push({ error: simulated });
+        } else {
+          const nonce = await this._nextNonce();
+          // settled right away, the next simulation is awaited before the batch is
+          sends.push(this.client.createTicket(entry.eventId, event.tiers[i], { nonce }).then(created => ({ created }), error => ({ error })));
+        }
+      }
+      const results = await Promise.all(sends);
+      results.forEach((result, j) => {
+        const i = batch[j];
+        if (result.created) {
+          this._record(entry, event.tiers[i], rows[i], result.created, IMPORT_STATUS.CREATED);
+        } else {
+          this._resetNonce();
+          fail(rows[i], result.error);
+          this.log('failed tier ' + event.name + '/' + event.tiers[i].name + ': ' + rows[i].error);
+        }
+      });
+    }
+    return rows;
+  }
+
+  /**
+  * @dev Imports a manifest from parseManifest or loadManifest.
+  * Resolves to the report, one row per tier: `{ row, event, tier, eventId, ticketAddress, status, tx, error }`.
+  * Failed rows do not stop the import, run it again with the same journal once the cause is fixed.
+  */
+  async run(manifest) {
+    if (this.journal.data.startBlock === undefined) {
+      this.journal.data.startBlock = await this.client.web3.eth.getBlockNumber();
+      this.journal.save();
+    }
+    const report = [];
+    for (const event of manifest.events) {
+      report.push(...await this._importEvent(event));
+    }
+    return report;
+  }
+}
+
+const formatReport = (report) => {
+  return csv.formatCsv(report, REPORT_COLUMNS);
+}
+
+module.exports = {
+  IMPORT_STATUS,
+  REPORT_COLUMNS,
+  CSV_COLUMNS,
+  Importer,
+  ImportJournal,
+  parseManifest,
+  loadManifest,
+  formatReport
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+
+/**
+* @dev Records what an import has created on chain, keyed by event and tier name, so a failed import can be resumed.
+* Kept in memory, and in a JSON file if a path is given.
+*/
+class ImportJournal {
+
+  constructor({ path } = {}) {
+    this.path = path;
+    this.data = { startBlock: undefined, events: {} };
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    if (this.path) {
+      const tmpPath = this.path + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.path);
+    }
+  }
+
+  event(name) {
+    if (!this.data.events[name]) {
+      this.data.events[name] = { eventId: undefined, tx: undefined, tickets: {} };
+    }
+    return this.data.events[name];
+  }
+}
+
+module.exports = ImportJournal;
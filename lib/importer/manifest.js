@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const BN = require('bn.js');
+const csv = require('../csv');
+const events = require('../events');
+const errors = require('../errors');
+
+const MAX_UINT256 = new BN(2).pow(new BN(256)).subn(1);
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// one line per tier, the event columns are repeated (or left empty) on the following tiers of the same event
+const CSV_COLUMNS = ['event', 'start', 'end', 'tier', 'uri', 'uriHash', 'useTokenIDInURI', 'maxTickets', 'price', 'saleStart', 'saleEnd', 'acceptDonations'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const parseBool = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = isEmpty(value) ? 'false' : String(value).toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) {
+    return true;
+  }
+  if (['false', '0', 'no'].includes(text)) {
+    return false;
+  }
+  throw new errors.InvalidInputError('must be true or false');
+}
+
+const parseUint = (value) => {
+  const text = String(value);
+  if (!/^[0-9]+$/.test(text)) {
+    throw new errors.InvalidInputError('must be a non-negative integer');
+  }
+  const number = new BN(text);
+  if (number.gt(MAX_UINT256)) {
+    throw new errors.InvalidInputError('does not fit into uint256');
+  }
+  return number;
+}
+
+const parseCount = (value) => {
+  const number = parseUint(value);
+  if (number.bitLength() > 53) {
+    throw new errors.InvalidInputError('is too large');
+  }
+  return number.toNumber();
+}
+
+const parseBytes32 = (value) => {
+  if (!BYTES32_PATTERN.test(value)) {
+    throw new errors.InvalidInputError('must be a 0x prefixed 32 byte hex string');
+  }
+  return value;
+}
+
+const parseText = (value) => {
+  if (isEmpty(value) || String(value).trim() === '') {
+    throw new errors.InvalidInputError('must not be empty');
+  }
+  return String(value);
+}
+
+/**
+* @dev Collects the problems of one manifest row instead of stopping at the first one.
+*/
+class RowReader {
+
+  constructor(problems, row, raw) {
+    this.problems = problems;
+    this.row = row;
+    this.raw = raw;
+  }
+
+  problem(message) {
+    this.problems.push({ row: this.row, message });
+  }
+
+  read(name, parse) {
+    if (isEmpty(this.raw[name]) && parse !== parseBool) {
+      this.problem(name + ' is missing');
+      return undefined;
+    }
+    try {
+      return parse(this.raw[name]);
+    } catch (err) {
+      this.problem(name + ' ' + err.message);
+      return undefined;
+    }
+  }
+}
+
+const readTier = (problems, event, raw) => {
+  const reader = new RowReader(problems, raw.row, raw);
+  const tier = {
+    row: raw.row,
+    name: reader.read('tier', parseText),
+    uri: reader.read('uri', parseText),
+    uriHash: reader.read('uriHash', parseBytes32),
+    useTokenIDInURI: reader.read('useTokenIDInURI', parseBool),
+    maxTickets: reader.read('maxTickets', parseCount),
+    price: reader.read('price', parseUint),
+    saleStart: reader.read('saleStart', events.parseTime),
+    saleEnd: reader.read('saleEnd', events.parseTime),
+    acceptDonations: reader.read('acceptDonations', parseBool)
+  };
+  if (tier.saleStart !== undefined && tier.saleEnd !== undefined && tier.saleStart >= tier.saleEnd) {
+    reader.problem('saleStart must be before saleEnd');
+  }
+  // the event becomes withdrawable at its end, sales after that could not be refunded
+  if (tier.saleEnd !== undefined && event.end !== undefined && tier.saleEnd > event.end) {
+    reader.problem('saleEnd must not be after the end of event ' + event.name);
+  }
+  // Ticket.mintTicket opens the sale 10 seconds early and underflows below that
+  if (tier.saleStart !== undefined && tier.saleStart < 10) {
+    reader.problem('saleStart must be a unix time');
+  }
+  return tier;
+}
+
+const readEvent = (problems, raw) => {
+  const reader = new RowReader(problems, raw.row, raw);
+  const event = {
+    row: raw.row,
+    name: reader.read('event', parseText),
+    start: reader.read('start', events.parseTime),
+    end: reader.read('end', events.parseTime)
+  };
+  if (event.start !== undefined && event.end !== undefined && event.start >= event.end) {
+    reader.problem('start must be before end');
+  }
+
+  const names = new Set();
+  event.tiers = raw.tiers.map(rawTier => {
+    const tier = readTier(problems, event, rawTier);
+    if (tier.name !== undefined && names.has(tier.name)) {
+      problems.push({ row: tier.row, message: 'Duplicate tier ' + tier.name + ' in event ' + event.name });
+    }
+    names.add(tier.name);
+    return tier;
+  });
+  return event;
+}
+
+// groups the tier lines by the event column, the event times are taken from the first line of each event
+const rawEventsFromCsv = (text, problems) => {
+  const rawEvents = [];
+  const byName = new Map();
+  for (const line of csv.parseCsvObjects(text)) {
+    const unknown = Object.keys(line).filter(name => name !== 'line' && !CSV_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+      problems.push({ row: line.line, message: 'Unknown columns ' + unknown.join(', ') });
+    }
+    let rawEvent = byName.get(line.event);
+    if (!rawEvent) {
+      rawEvent = { row: line.line, event: line.event, start: line.start, end: line.end, tiers: [] };
+      byName.set(line.event, rawEvent);
+      rawEvents.push(rawEvent);
+    } else if ((line.start && line.start !== rawEvent.start) || (line.end && line.end !== rawEvent.end)) {
+      problems.push({ row: line.line, message: 'Times of event ' + line.event + ' differ from line ' + rawEvent.row });
+    }
+    rawEvent.tiers.push(Object.assign({}, line, { row: line.line }));
+  }
+  return rawEvents;
+}
+
+// { events: [{ name, start, end, tiers: [{ name, uri, uriHash, ... }] }] }, rows are the JSON paths
+const rawEventsFromJson = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new errors.InvalidInputError('Invalid JSON manifest: ' + err.message);
+  }
+  return (json.events || []).map((event, i) => Object.assign({}, event, {
+    row: 'events[' + i + ']',
+    event: event.name,
+    tiers: (event.tiers || []).map((tier, j) => Object.assign({}, tier, { row: 'events[' + i + '].tiers[' + j + ']', tier: tier.name }))
+  }));
+}
+
+/**
+* @dev Parses and validates a CSV or JSON manifest.
+* Throws an InvalidInputError listing every problem, its `problems` are `{ row, message }` with the CSV line or JSON path.
+*/
+const parseManifest = (text, format) => {
+  const problems = [];
+  const rawEvents = format === 'csv' ? rawEventsFromCsv(text, problems) : rawEventsFromJson(text);
+
+  const names = new Set();
+  const manifest = { events: rawEvents.map(rawEvent => {
+    const event = readEvent(problems, rawEvent);
+    if (event.name !== undefined && names.has(event.name)) {
+      problems.push({ row: event.row, message: 'Duplicate event ' + event.name });
+    }
+    names.add(event.name);
+    return event;
+  }) };
+  if (manifest.events.length === 0) {
+    problems.push({ row: null, message: 'Manifest contains no events' });
+  }
+
+  if (problems.length > 0) {
+    const error = new errors.InvalidInputError('Invalid manifest:\n' + problems.map(problem => '  ' + (problem.row === null ? '' : problem.row + ': ') + problem.message).join('\n'));
+    error.problems = problems;
+    throw error;
+  }
+  return manifest;
+}
+
+const loadManifest = (file) => {
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  return parseManifest(fs.readFileSync(file, 'utf8'), format);
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  parseManifest,
+  loadManifest
+};
@@ -0,0 +1,61 @@
+const TketsClient = require('./client');
+const events = require('./events');
+const errors = require('./errors');
+const preflight = require('./preflight');
+const entrypass = require('./entrypass');
+const metadata = require('./metadata');
+const allowlist = require('./allowlist');
+const pagination = require('./pagination');
+const contracts = require('./contracts');
+const networks = require('./networks');
+const cli = require('./cli');
+const { Scanner, STATUS } = require('./scanner');
+const { Indexer, IndexState, JsonStore } = require('./indexer');
+const { TketsApi, createApiServer } = require('./api');
+const { Importer, ImportJournal } = require('./importer');
+const { Reconciler } = require('./reconciliation');
+const relayer = require('./relayer');
+const { Relayer, SponsorBudgets, createRelayerServer } = relayer;
+const gate = require('./gate');
+const deployment = require('./deployment');
+const { AddressRegistry, FactoryMigration } = deployment;
+const benchmark = require('./benchmark');
+const { GasBenchmark, GasBaseline } = benchmark;
+const { OfflineGate, AdmissionLog } = gate;
+
+module.exports = {
+  TketsClient,
+  Scanner,
+  STATUS,
+  OfflineGate,
+  AdmissionLog,
+  Indexer,
+  IndexState,
+  JsonStore,
+  TketsApi,
+  createApiServer,
+  Importer,
+  ImportJournal,
+  Reconciler,
+  Relayer,
+  SponsorBudgets,
+  createRelayerServer,
+  relayer,
+  gate,
+  AddressRegistry,
+  FactoryMigration,
+  deployment,
+  GasBenchmark,
+  GasBaseline,
+  benchmark,
+  events,
+  errors,
+  preflight,
+  entrypass,
+  metadata,
+  allowlist,
+  pagination,
+  contracts,
+  networks,
+  cli
+};
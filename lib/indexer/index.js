@@ -0,0 +1,245 @@
+const IndexState = require('./state');
+const JsonStore = require('./store');
+
+const compareLogs = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+
+/**
+* @dev Replays the EventFactory and Ticket logs into a store and keeps a queryable IndexState up to date.
+* Every batch ends in a checkpoint (block number and hash); when the hash of a checkpoint no longer
+* matches the chain the indexer rolls back to the newest matching checkpoint and replays from there.
+*/
+class Indexer {
+
+  /**
+  * @param web3 web3 instance connected to the chain
+  * @param factoryAddress Address of the EventFactory to index
+  * @param factoryAbi, ticketAbi ABIs from the truffle artifacts
+  * @param store A JsonStore, load() it before passing it in to resume a previous run
+  * @param startBlock First block to index, usually the block the factory was deployed in
+  * @param confirmations Number of blocks to stay behind the chain head
+  */
+  constructor({ web3, factoryAddress, factoryAbi, ticketAbi, store = new JsonStore(), startBlock = 0, batchSize = 1000, confirmations = 0, checkpointDepth = 64 }) {
+    this.web3 = web3;
+    this.factoryAddress = factoryAddress;
+    this.store = store;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.checkpointDepth = checkpointDepth;
+
+    if (this.store.data.startBlock === undefined) {
+      this.store.data.startBlock = startBlock;
+    }
+    this.ticketAbi = ticketAbi;
+    this._eventsByTopic = new Map();
+    for (const item of [...factoryAbi, ...ticketAbi]) {
+      if (item.type === 'event') {
+        this._eventsByTopic.set(web3.eth.abi.encodeEventSignature(item), item);
+      }
+    }
+    this.state = IndexState.fromLogs(this.store.data.logs);
+  }
+
+  static fromClient(client, options = {}) {
+    return new Indexer(Object.assign({
+      web3: client.web3,
+      factoryAddress: client.factory.address,
+      factoryAbi: client.factory.abi,
+      ticketAbi: client.Ticket.abi
+    }, options));
+  }
+
+  _decode(log) {
+    const item = this._eventsByTopic.get(log.topics[0]);
+    if (!item) {
+      return undefined;
+    }
+    const decoded = this.web3.eth.abi.decodeLog(item.inputs, log.data, log.topics.slice(1));
+    const args = {};
+    item.inputs.forEach(input => { args[input.name] = decoded[input.name]; });
+    return {
+      event: item.name,
+      address: log.address,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+      args
+    };
+  }
+
+  // the tier of a migrated ticket, which only logs TicketForceCreate on this factory; its uriHash is not public
+  async _readTier(ticketAddress) {
+    const ticket = new this.web3.eth.Contract(this.ticketAbi, ticketAddress);
+    const metadata = await ticket.methods.metadata().call();
+    return {
+      uri: await ticket.methods.baseURI().call(),
+      uriHash: null,
+      useTokenIDInURI: await ticket.methods.useTokenIDInURI().call(),
+      maxTickets: metadata.maxTickets,
+      ticketPrice: metadata.ticketPrice,
+      ticketStartTime: metadata.ticketStartTime,
+      ticketEndTime: metadata.ticketEndTime,
+      acceptDonations: metadata.acceptDonations
+    };
+  }
+
+  async _fetchLogs(fromBlock, toBlock) {
+    const factoryLogs = await this.web3.eth.getPastLogs({ address: this.factoryAddress, fromBlock, toBlock });
+    const decoded = factoryLogs.map(log => this._decode(log)).filter(Boolean);
+    const forced = decoded.filter(log => log.event === 'TicketForceCreate');
+    for (const log of forced) {
+      Object.assign(log.args, await this._readTier(log.args.ticketAddress));
+    }
+
+    // tickets created in this range can only emit logs after their creation, so one pass is enough
+    const ticketAddresses = [...this.state.tickets.values()].map(ticket => ticket.ticketAddress)
+      .concat(decoded.filter(log => log.event === 'TicketCreate' || log.event === 'TicketForceCreate').map(log => log.args.ticketAddress));
+    if (ticketAddresses.length > 0) {
+      const ticketLogs = await this.web3.eth.getPastLogs({ address: ticketAddresses, fromBlock, toBlock });
+      decoded.push(...ticketLogs.map(log => this._decode(log)).filter(Boolean));
+    }
+    let logs = decoded.sort(compareLogs);
+
+    // a migrated ticket was created on another factory, the logs it emitted before its TicketForceCreate are
+    // replayed right after it and rolled back with it
+    for (const log of forced) {
+      const address = log.args.ticketAddress.toLowerCase();
+      const isEarlier = (ticketLog) => ticketLog.address.toLowerCase() === address && compareLogs(ticketLog, log) < 0;
+      const earlier = (await this.web3.eth.getPastLogs({ address: log.args.ticketAddress, fromBlock: 0, toBlock: log.blockNumber }))
+        .map(ticketLog => this._decode(ticketLog)).filter(Boolean).filter(isEarlier)
+        .map(ticketLog => Object.assign(ticketLog, { replayedIn: log.blockNumber }));
+      logs = logs.filter(ticketLog => !isEarlier(ticketLog));
+      logs.splice(logs.indexOf(log) + 1, 0, ...earlier);
+    }
+    return logs;
+  }
+
+  // returns the newest checkpoint that is still part of the chain, or undefined if there is none
+  async _findCommonAncestor() {
+    const checkpoints = this.store.data.checkpoints;
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.web3.eth.getBlock(checkpoints[i].number);
+      if (block && block.hash === checkpoints[i].hash) {
+        return checkpoints[i].number;
+      }
+    }
+    return undefined;
+  }
+
+  _rollback(blockNumber) {
+    const data = this.store.data;
+    if (blockNumber === undefined) {
+      data.logs = [];
+      data.checkpoints = [];
+      data.lastBlock = undefined;
+    } else {
+      data.logs = data.logs.filter(log => (log.replayedIn === undefined ? log.blockNumber : log.replayedIn) <= blockNumber);
+      data.checkpoints = data.checkpoints.filter(checkpoint => checkpoint.number <= blockNumber);
+      data.lastBlock = blockNumber;
+    }
+    this.state = IndexState.fromLogs(data.logs);
+    this.store.save();
+  }
+
+  async _checkReorg() {
+    const data = this.store.data;
+    if (data.lastBlock === undefined) {
+      return false;
+    }
+    const ancestor = await this._findCommonAncestor();
+    if (ancestor === data.lastBlock) {
+      return false;
+    }
+    this._rollback(ancestor);
+    return true;
+  }
+
+  /**
+  * @dev Indexes all blocks up to the chain head minus confirmations.
+  * Resolves to the number of new logs and whether a reorg was rolled back.
+  */
+  async sync() {
+    const data = this.store.data;
+    const reorg = await this._checkReorg();
+    const head = (await this.web3.eth.getBlockNumber()) - this.confirmations;
+    let indexed = 0;
+
+    let fromBlock = data.lastBlock === undefined ? data.startBlock : data.lastBlock + 1;
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      const logs = await this._fetchLogs(fromBlock, toBlock);
+      const block = await this.web3.eth.getBlock(toBlock);
+
+      logs.forEach(log => this.state.apply(log));
+      data.logs.push(...logs);
+      data.checkpoints.push({ number: toBlock, hash: block.hash });
+      data.checkpoints = data.checkpoints.slice(-this.checkpointDepth);
+      data.lastBlock = toBlock;
+      this.store.save();
+
+      indexed += logs.length;
+      fromBlock = toBlock + 1;
+    }
+
+    return { indexed, reorg, lastBlock: data.lastBlock };
+  }
+
+  /**
+  * @dev Calls sync every interval milliseconds until the returned function is called.
+  */
+  poll(interval = 5000, onError = console.error) {
+    let stopped = false;
+    let timer;
+    const run = async () => {
+      try {
+        await this.sync();
+      } catch (err) {
+        onError(err);
+      }
+      if (!stopped) {
+        timer = setTimeout(run, interval);
+      }
+    };
+    run();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  /* Queries, see IndexState */
+
+  getEvent(eventId) {
+    return this.state.getEvent(eventId);
+  }
+
+  eventsOfOwner(owner) {
+    return this.state.eventsOfOwner(owner);
+  }
+
+  getTicket(ticketAddress) {
+    return this.state.getTicket(ticketAddress);
+  }
+
+  getToken(ticketAddress, ticketId) {
+    return this.state.getToken(ticketAddress, ticketId);
+  }
+
+  ticketsOfHolder(holder) {
+    return this.state.ticketsOfHolder(holder);
+  }
+
+  ticketTypesOfEvent(eventId) {
+    return this.state.ticketTypesOfEvent(eventId);
+  }
+
+  stampersOfEvent(eventId) {
+    return this.state.stampersOfEvent(eventId);
+  }
+}
+
+module.exports = {
+  Indexer,
+  IndexState,
+  JsonStore
+};
@@ -0,0 +1,273 @@
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const key = (address) => address.toLowerCase();
+
+/**
+* @dev In-memory view of the factory and its tickets, built by folding the indexed logs in chain order.
+* Events and tickets migrated with forceCreateEvent / forceCreateTicketFromAddress are part of it: the indexer reads
+* the tier of a TicketForceCreate from the ticket and replays the logs the ticket emitted before right after it.
+*/
+class IndexState {
+
+  constructor() {
+    this.events = new Map();
+    this.tickets = new Map();
+    this.holders = new Map();
+  }
+
+  static fromLogs(logs) {
+    const state = new IndexState();
+    logs.forEach(log => state.apply(log));
+    return state;
+  }
+
+  apply(log) {
+    const handler = this['_on' + log.event];
+    if (handler) {
+      handler.call(this, log.args, log);
+    }
+  }
+
+  /* EventFactory */
+
+  _onEventCreate(args, log) {
+    this.events.set(args.eventId, {
+      eventId: args.eventId,
+      owner: args.ownerAddress,
+      timeStart: Number(args.timeStart),
+      timeEnd: Number(args.timeEnd),
+      optOutEnd: 0,
+      cancelled: false,
+      tickets: [],
+      stampers: [],
+      createdAt: log.blockNumber
+    });
+  }
+
+  // a migrated event, see lib/deployment/migration.js
+  _onEventForceCreate(args, log) {
+    this._onEventCreate(args, log);
+  }
+
+  _onEventCancel(args) {
+    const event = this.events.get(args.eventId);
+    if (event) {
+      event.cancelled = true;
+    }
+  }
+
+  _onEventRescheduled(args) {
+    const event = this.events.get(args.eventId);
+    if (event) {
+      event.timeStart = Number(args.timeStart);
+      event.timeEnd = Number(args.timeEnd);
+      event.optOutEnd = Number(args.optOutEnd);
+    }
+  }
+
+  _onOwnershipTransferred(args) {
+    const event = this.events.get(args.eventId);
+    if (event) {
+      event.owner = args.newOwner;
+    }
+  }
+
+  _onStamperAdd(args) {
+    const event = this.events.get(args.eventId);
+    if (event && !event.stampers.some(stamper => key(stamper) === key(args.stamperAddress))) {
+      event.stampers.push(args.stamperAddress);
+    }
+  }
+
+  _onStamperRemove(args) {
+    const event = this.events.get(args.eventId);
+    if (event) {
+      event.stampers = event.stampers.filter(stamper => key(stamper) !== key(args.stamperAddress));
+    }
+  }
+
+  _onTicketCreate(args, log) {
+    this.tickets.set(key(args.ticketAddress), {
+      ticketAddress: args.ticketAddress,
+      eventId: args.eventId,
+      owner: args.ownerAddress,
+      uri: args.uri,
+      uriHash: args.uriHash,
+      useTokenIDInURI: args.useTokenIDInURI,
+      maxTickets: Number(args.maxTickets),
+      price: args.ticketPrice,
+      saleStart: Number(args.ticketStartTime),
+      saleEnd: Number(args.ticketEndTime),
+      acceptDonations: args.acceptDonations,
+      cancelled: false,
+      tokens: new Map(),
+      minted: 0,
+      burned: 0,
+      stamped: 0,
+      refunds: 0,
+      optOuts: 0,
+      exchanges: 0,
+      withdrawals: 0,
+      resales: 0,
+      createdAt: log.blockNumber
+    });
+    const event = this.events.get(args.eventId);
+    if (event) {
+      event.tickets.push(args.ticketAddress);
+    }
+  }
+
+  // a migrated ticket, its tier was read from the ticket by the indexer and its uriHash is null
+  _onTicketForceCreate(args, log) {
+    const event = this.events.get(args.eventId);
+    this._onTicketCreate(Object.assign({ ownerAddress: event ? event.owner : ZERO_ADDRESS }, args), log);
+  }
+
+  /* Ticket */
+
+  _holderTokens(holder) {
+    if (!this.holders.has(key(holder))) {
+      this.holders.set(key(holder), new Set());
+    }
+    return this.holders.get(key(holder));
+  }
+
+  _onTransfer(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (!ticket) {
+      return;
+    }
+    const tokenKey = key(log.address) + ':' + args.tokenId;
+    if (args.from === ZERO_ADDRESS) {
+      ticket.tokens.set(args.tokenId, { ticketId: Number(args.tokenId), owner: args.to, stamped: false, listingPrice: null });
+      ticket.minted++;
+    } else {
+      this._holderTokens(args.from).delete(tokenKey);
+    }
+    if (args.to === ZERO_ADDRESS) {
+      ticket.tokens.delete(args.tokenId);
+      ticket.burned++;
+    } else {
+      ticket.tokens.get(args.tokenId).owner = args.to;
+      this._holderTokens(args.to).add(tokenKey);
+    }
+  }
+
+  _onTicketStamped(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    const token = ticket && ticket.tokens.get(args.ticketId);
+    if (token) {
+      token.stamped = true;
+      ticket.stamped++;
+    }
+  }
+
+  _onTicketRefund(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (ticket) {
+      ticket.refunds++;
+    }
+  }
+
+  // the ticket of holder was returned for one of another tier, see EventFactory.exchangeTicket
+  _onTicketExchangeOut(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (ticket) {
+      ticket.exchanges++;
+    }
+  }
+
+  _onTierCancel(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (ticket) {
+      ticket.cancelled = true;
+    }
+  }
+
+  // followed by the TicketRefund of the returned ticket
+  _onTicketOptOut(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (ticket) {
+      ticket.optOuts++;
+    }
+  }
+
+  _onTicketList(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    const token = ticket && ticket.tokens.get(args.ticketId);
+    if (token) {
+      token.listingPrice = args.price;
+    }
+  }
+
+  _onTicketListingCancel(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    const token = ticket && ticket.tokens.get(args.ticketId);
+    if (token) {
+      token.listingPrice = null;
+    }
+  }
+
+  // buyTicket removes the listing without a TicketListingCancel log
+  _onTicketResale(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (ticket) {
+      ticket.resales++;
+      this._onTicketListingCancel(args, log);
+    }
+  }
+
+  _onWithdrawBalance(args, log) {
+    const ticket = this.tickets.get(key(log.address));
+    if (ticket) {
+      ticket.withdrawals++;
+    }
+  }
+
+  /* Queries */
+
+  _ticketSummary(ticket) {
+    const { tokens, ...summary } = ticket;
+    return Object.assign(summary, { sold: ticket.minted, outstanding: tokens.size });
+  }
+
+  getEvent(eventId) {
+    const event = this.events.get(eventId.toString());
+    return event ? Object.assign({}, event, { tickets: [...event.tickets], stampers: [...event.stampers] }) : undefined;
+  }
+
+  eventsOfOwner(owner) {
+    return [...this.events.values()].filter(event => key(event.owner) === key(owner)).map(event => this.getEvent(event.eventId));
+  }
+
+  getTicket(ticketAddress) {
+    const ticket = this.tickets.get(key(ticketAddress));
+    return ticket ? this._ticketSummary(ticket) : undefined;
+  }
+
+  getToken(ticketAddress, ticketId) {
+    const ticket = this.tickets.get(key(ticketAddress));
+    const token = ticket && ticket.tokens.get(ticketId.toString());
+    return token ? Object.assign({ ticketAddress: ticket.ticketAddress, eventId: ticket.eventId }, token) : undefined;
+  }
+
+  ticketTypesOfEvent(eventId) {
+    const event = this.events.get(eventId.toString());
+    return event ? event.tickets.map(ticketAddress => this.getTicket(ticketAddress)) : [];
+  }
+
+  ticketsOfHolder(holder) {
+    const tokens = this.holders.get(key(holder)) || new Set();
+    return [...tokens].map(tokenKey => {
+      const [ticketAddress, ticketId] = tokenKey.split(':');
+      return this.getToken(ticketAddress, ticketId);
+    });
+  }
+
+  stampersOfEvent(eventId) {
+    const event = this.events.get(eventId.toString());
+    return event ? [...event.stampers] : [];
+  }
+}
+
+module.exports = IndexState;
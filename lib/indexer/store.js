@@ -0,0 +1,30 @@
+const fs = require('fs');
+
+/**
+* @dev Keeps the indexed logs and the sync cursor in memory, and in a JSON file if a path is given.
+* The derived state is not persisted, it is rebuilt from the logs on load.
+*/
+class JsonStore {
+
+  constructor({ path } = {}) {
+    this.path = path;
+    this.data = { startBlock: undefined, lastBlock: undefined, checkpoints: [], logs: [] };
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    if (this.path) {
+      const tmpPath = this.path + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+      fs.renameSync(tmpPath, this.path);
+    }
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const ethUtil = require('ethereumjs-util');
+const events = require('./events');
+const errors = require('./errors');
+
+/**
+* @dev JSON with sorted keys and without whitespace. The metadata files are written in exactly this form,
+* so the uriHash covers the raw bytes that are served at the ticket URI.
+*/
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']';
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(name => value[name] !== undefined).sort();
+    return '{' + keys.map(name => JSON.stringify(name) + ':' + canonicalize(value[name])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+const hashContent = (content) => {
+  return '0x' + ethUtil.keccak256(Buffer.from(content)).toString('hex');
+}
+
+/**
+* @dev The uriHash passed to createTicket. A single document is hashed directly, the per-token documents
+* of a `useTokenIDInURI` tier are hashed in token ID order and the concatenated hashes are hashed again.
+*/
+const computeUriHash = (contents, useTokenIDInURI) => {
+  if (!useTokenIDInURI) {
+    return hashContent(contents[0]);
+  }
+  return hashContent(Buffer.concat(contents.map(content => ethUtil.keccak256(Buffer.from(content)))));
+}
+
+// mirrors Ticket.tokenURI
+const tokenURIOf = (uri, useTokenIDInURI, tokenId) => {
+  return useTokenIDInURI ? uri + '/' + tokenId : uri;
+}
+
+const required = (object, name, label) => {
+  if (!object || object[name] === undefined || object[name] === '') {
+    throw new errors.InvalidInputError('Missing ' + label + '.' + name);
+  }
+  return object[name];
+}
+
+const buildDocument = (event, tier, tokenId) => {
+  const title = required(event, 'name', 'event') + ' - ' + required(tier, 'name', 'tier');
+  const attributes = [
+    { trait_type: 'Event', value: event.name },
+    { trait_type: 'Tier', value: tier.name }
+  ];
+  if (event.eventId !== undefined) {
+    attributes.push({ trait_type: 'Event ID', value: events.formatEventId(event.eventId) });
+  }
+  if (event.venue) {
+    attributes.push({ trait_type: 'Venue', value: event.venue });
+  }
+  attributes.push(
+    { display_type: 'date', trait_type: 'Event start', value: required(event, 'start', 'event') },
+    { display_type: 'date', trait_type: 'Event end', value: required(event, 'end', 'event') },
+    { trait_type: 'Price (wei)', value: events.toBN(required(tier, 'price', 'tier')).toString() }
+  );
+  if (tokenId !== undefined) {
+    attributes.push({ display_type: 'number', trait_type: 'Ticket number', value: tokenId, max_value: tier.maxTickets });
+  }
+  return {
+    name: tokenId !== undefined ? title + ' #' + tokenId : title,
+    description: tier.description || event.description,
+    image: tier.image || event.image,
+    external_url: event.url,
+    attributes
+  };
+}
+
+/**
+* @dev Builds the ERC-721 metadata of one ticket tier.
+* With `useTokenIDInURI` there is one document per token ID from 1 to `tier.maxTickets`, otherwise a single document.
+* Such tiers never mint higher token IDs, refunded and opted out tickets are not sold again.
+* Returns `{ useTokenIDInURI, files: [{ tokenId, content }], uriHash }`, pass the uriHash to createTicket.
+*
+* @param event `{ name, start, end, description, image, venue, url, eventId }`, start and end in unix seconds
+* @param tier `{ name, price, maxTickets, description, image }`, description and image default to the event ones
+*/
+const buildTicketMetadata = ({ event, tier, useTokenIDInURI = false }) => {
+  let files;
+  if (useTokenIDInURI) {
+    if (!(tier.maxTickets > 0)) {
+      throw new errors.InvalidInputError('Per-token metadata needs a limited tier, set tier.maxTickets');
+    }
+    files = [];
+    for (let tokenId = 1; tokenId <= tier.maxTickets; tokenId++) {
+      files.push({ tokenId, content: canonicalize(buildDocument(event, tier, tokenId)) });
+    }
+  } else {
+    files = [{ tokenId: null, content: canonicalize(buildDocument(event, tier)) }];
+  }
+  return {
+    useTokenIDInURI,
+    files,
+    uriHash: computeUriHash(files.map(file => file.content), useTokenIDInURI)
+  };
+}
+
+/**
+* @dev Writes built metadata for upload. A single document is written to the file `target`,
+* per-token documents are written to `target/<tokenId>` to match the `uri/<tokenId>` token URIs.
+*/
+const writeTicketMetadata = (target, metadata) => {
+  if (!metadata.useTokenIDInURI) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, metadata.files[0].content);
+    return [target];
+  }
+  fs.mkdirSync(target, { recursive: true });
+  return metadata.files.map(file => {
+    const written = path.join(target, String(file.tokenId));
+    fs.writeFileSync(written, file.content);
+    return written;
+  });
+}
+
+/**
+* @dev Serves the URIs below `uri` from the files written by writeTicketMetadata to `target`.
+*/
+const localFetcher = (uri, target) => async (tokenURI) => {
+  if (tokenURI === uri) {
+    return fs.readFileSync(target);
+  }
+  if (!tokenURI.startsWith(uri + '/')) {
+    throw new errors.InvalidInputError('URI ' + tokenURI + ' is not below ' + uri);
+  }
+  return fs.readFileSync(path.join(target, path.basename(tokenURI.slice(uri.length + 1))));
+}
+
+const httpFetcher = () => (tokenURI) => {
+  const transport = tokenURI.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    transport.get(tokenURI, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error('GET ' + tokenURI + ' failed with status ' + res.statusCode));
+        } else {
+          resolve(Buffer.concat(chunks));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+const findTicketCreate = async (client, ticketAddress) => {
+  const logs = await client.factory.getPastEvents('TicketCreate', { filter: { ticketAddress }, fromBlock: 0 });
+  if (logs.length === 0) {
+    throw new errors.NotExistsError('No TicketCreate event for ' + ticketAddress);
+  }
+  return events.parseTicketCreate({ args: logs[0].args || logs[0].returnValues });
+}
+
+/**
+* @dev Fetches the metadata of a ticket tier and checks it against the uriHash emitted in TicketCreate.
+* Minted tokens are fetched from their on-chain tokenURI, the rest of a per-token tier from the same URI scheme.
+* Resolves to `{ valid, uriHash, computedHash, uris }`.
+*
+* @param fetch Resolves a URI to its raw content, e.g. localFetcher or httpFetcher (the default)
+* @param created The TicketCreate fields (events.parseTicketCreate or Indexer.getTicket), looked up when omitted
+*/
+const verifyTicketMetadata = async ({ client, ticketAddress, fetch = httpFetcher(), created }) => {
+  created = created || await findTicketCreate(client, ticketAddress);
+  if (created.useTokenIDInURI && !(created.maxTickets > 0)) {
+    throw new errors.InvalidInputError('Cannot verify per-token metadata of an unlimited tier');
+  }
+  const ticket = await client.ticketAt(ticketAddress);
+  const tokenIds = created.useTokenIDInURI ? Array.from({ length: created.maxTickets }, (_, i) => i + 1) : [1];
+
+  const uris = [];
+  for (const tokenId of tokenIds) {
+    // unminted and refunded tokens revert
+    uris.push(await ticket.tokenURI(tokenId).catch(err => {
+      if (!errors.isRevert(err)) {
+        throw err;
+      }
+      return tokenURIOf(created.uri, created.useTokenIDInURI, tokenId);
+    }));
+  }
+
+  const contents = [];
+  for (const uri of uris) {
+    contents.push(await fetch(uri));
+  }
+  const computedHash = computeUriHash(contents, created.useTokenIDInURI);
+  return {
+    valid: computedHash === created.uriHash.toLowerCase(),
+    uriHash: created.uriHash,
+    computedHash,
+    uris
+  };
+}
+
+module.exports = {
+  canonicalize,
+  computeUriHash,
+  tokenURIOf,
+  buildTicketMetadata,
+  writeTicketMetadata,
+  localFetcher,
+  httpFetcher,
+  findTicketCreate,
+  verifyTicketMetadata
+};
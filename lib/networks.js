@@ -0,0 +1,44 @@
+const path = require('path');
+const Web3 = require('web3');
+
+const DEFAULT_TRUFFLE_CONFIG = path.join(__dirname, '..', 'truffle-config.js');
+
+/**
+* @dev Resolves a network from truffle-config.js into a provider, the same way `truffle migrate --network` does.
+* Networks either define a provider function (e.g. HDWalletProvider with the deployer key) or host and port.
+*/
+const resolveNetwork = (name, truffleConfigPath = DEFAULT_TRUFFLE_CONFIG) => {
+  const truffleConfig = require(path.resolve(truffleConfigPath));
+  const network = (truffleConfig.networks || {})[name];
+  if (!network) {
+    throw new Error('Network ' + name + ' not found in ' + truffleConfigPath + ', available: ' + Object.keys(truffleConfig.networks || {}).join(', '));
+  }
+
+  let provider;
+  if (network.provider) {
+    provider = typeof network.provider === 'function' ? network.provider() : network.provider;
+  } else {
+    provider = new Web3.providers.HttpProvider('http://' + (network.host || '127.0.0.1') + ':' + (network.port || 8545));
+  }
+
+  return {
+    name,
+    provider,
+    networkId: network.network_id,
+    gasPrice: network.gasPrice,
+    from: network.from
+  };
+}
+
+// HDWalletProvider keeps polling for blocks until it is stopped
+const stopProvider = (provider) => {
+  if (provider && provider.engine && typeof provider.engine.stop === 'function') {
+    provider.engine.stop();
+  }
+}
+
+module.exports = {
+  DEFAULT_TRUFFLE_CONFIG,
+  resolveNetwork,
+  stopProvider
+};
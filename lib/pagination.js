@@ -0,0 +1,45 @@
+const errors = require('./errors');
+const events = require('./events');
+
+// members read per call of a paginated view
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+* @dev Iterates over all members of a paginated EventFactory view, one call per page.
+* @param fetchPage `(offset, limit, blockNumber) => { page, total }`
+* All pages are read at the block of the first one, so members added or removed in the meantime
+* cannot shift the pages and make the iterator skip or repeat a member.
+*/
+async function* paginate(fetchPage, { web3, pageSize = DEFAULT_PAGE_SIZE, offset = 0 }) {
+  if (!Number.isInteger(pageSize) || pageSize <= 0) {
+    throw new errors.InvalidInputError('Page size must be a positive integer');
+  }
+  const blockNumber = await web3.eth.getBlockNumber();
+  let total;
+  do {
+    const { page, total: pageTotal } = await fetchPage(offset, pageSize, blockNumber);
+    total = events.toNumber(pageTotal);
+    for (const member of page) {
+      yield member;
+    }
+    offset += page.length;
+    if (page.length === 0) {
+      break;
+    }
+  } while (offset < total);
+}
+
+// reads an async iterator into an array
+const collect = async (iterator) => {
+  const members = [];
+  for await (const member of iterator) {
+    members.push(member);
+  }
+  return members;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  paginate,
+  collect
+};
@@ -0,0 +1,78 @@
+const errors = require('./errors');
+const { recoverSigner, recoverDigestSigner } = require('./entrypass');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const getLatestTimestamp = async (web3) => {
+  const block = await web3.eth.getBlock('latest');
+  return Number(block.timestamp);
+}
+
+const sameAddress = (a, b) => {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+* @dev Replays the checks of EventFactory.validateTicket with eth_calls, in the same order as the contract.
+* Returns the error validateTicket would revert with, or null if the ticket is valid.
+* With a nonce the signature is checked like EventFactory.validateEntryPass.
+*/
+const explainValidateTicket = async ({ factory, ticket, web3 }, { eventId, holder, ticketId, timestamp, nonce, v, r, s }) => {
+  if ((await factory.eventToOwner(eventId)) === ZERO_ADDRESS) {
+    return new errors.NotExistsError('Event ' + eventId.toString(16) + ' does not exist', { code: errors.CODES.NOT_EXISTS });
+  }
+  if ((await ticket.eventId()).toString() !== eventId.toString()) {
+    return new errors.NotExistsError('Ticket ' + ticket.address + ' does not belong to event ' + eventId.toString(16), { code: errors.CODES.NOT_EXISTS });
+  }
+
+  const now = await getLatestTimestamp(web3);
+  const validationTimeout = Number(await factory.VALIDATION_TIMEOUT());
+  if (now >= Number(timestamp) + validationTimeout) {
+    return new errors.InvalidTicketError('Signature expired ' + (now - Number(timestamp)) + 's ago, it is only valid for ' + validationTimeout + 's', { reason: errors.INVALID_TICKET_REASONS.SIGNATURE_EXPIRED });
+  }
+  if (now < Number(timestamp) - 10) {
+    return new errors.InvalidTicketError('Signature timestamp is ahead of the chain time', { reason: errors.INVALID_TICKET_REASONS.SIGNATURE_NOT_YET_VALID });
+  }
+
+  let owner;
+  try {
+    owner = await ticket.ownerOf(ticketId);
+  } catch (err) {
+    return errors.decodeError(err);
+  }
+  if (!sameAddress(owner, holder)) {
+    return new errors.InvalidTicketError('Ticket ' + ticketId + ' is not held by ' + holder, { reason: errors.INVALID_TICKET_REASONS.NOT_HOLDER });
+  }
+
+  let signer;
+  if (nonce === undefined) {
+    signer = recoverSigner(await factory.encodeMsg(eventId, holder, ticket.address, ticketId, timestamp), v, r, s);
+  } else {
+    signer = recoverDigestSigner(await factory.hashEntryPass([eventId.toString(), holder, ticket.address, ticketId.toString(), timestamp, nonce]), v, r, s);
+  }
+  if (!sameAddress(signer, holder)) {
+    return new errors.InvalidTicketError('Signature was not made by the ticket holder', { reason: errors.INVALID_TICKET_REASONS.INVALID_SIGNATURE });
+  }
+
+  return null;
+}
+
+/**
+* @dev Replays the checks of Ticket.stampTicket. Returns the error it would revert with, or null.
+*/
+const explainStampTicket = async ({ factory, ticket }, { stamper, ticketId }) => {
+  const eventId = await ticket.eventId();
+  const eventOwner = await factory.eventToOwner(eventId);
+  if (!sameAddress(eventOwner, stamper) && !(await factory.isStamperAuthorized(stamper, eventId))) {
+    return new errors.UnauthorizedError(stamper + ' is neither the event owner nor an authorized stamper', { code: errors.CODES.UNAUTHORIZED });
+  }
+  if (await ticket.tokenToStamped(ticketId)) {
+    return new errors.AlreadyStampedError('Ticket ' + ticketId + ' is already stamped');
+  }
+  return null;
+}
+
+module.exports = {
+  explainValidateTicket,
+  explainStampTicket
+};
@@ -0,0 +1,291 @@
+const BN = require('bn.js');
+const events = require('./events');
+const csv = require('./csv');
+const { decodeExecuteCall } = require('./relayer/request');
+
+const COMMISSION_DENOMINATOR = new BN(10000);
+
+const DISCREPANCY = {
+  // the ticket contract does not hold what its logs add up to
+  BALANCE_MISMATCH: 'BALANCE_MISMATCH',
+  // a mint that was sent neither to the ticket nor through its forwarder, e.g. by a wallet contract, its donation is unknown
+  UNATTRIBUTED_MINT: 'UNATTRIBUTED_MINT',
+  // a cancelled event or tier that cannot pay back all outstanding tickets and donations
+  REFUND_SHORTFALL: 'REFUND_SHORTFALL',
+  // the factory holds more than the indexed commissions
+  COMMISSION_MISMATCH: 'COMMISSION_MISMATCH'
+};
+
+const AMOUNTS = ['grossSales', 'commission', 'donations', 'refunds', 'withdrawn', 'expectedBalance', 'balance'];
+
+const REPORT_COLUMNS = ['eventId', 'tier', 'ticketAddress', 'price', 'sold', 'refunded', 'outstanding', ...AMOUNTS, 'discrepancies'];
+
+const key = (address) => address.toLowerCase();
+
+const sumAmounts = (rows) => {
+  const totals = {};
+  AMOUNTS.forEach(name => { totals[name] = rows.reduce((sum, row) => sum.add(row[name]), new BN(0)); });
+  return totals;
+}
+
+/**
+* @dev Reconciles the money of events from the logs of an Indexer and the chain balances at its last synced block.
+*
+* Per tier: gross sales are the ticket prices of all minted tickets, commission is what the factory earns at the
+* commission rate of the mint or resale, donations are the rest of the mint value. The commission of a mint stays
+* in the ticket until it is released at the end of the event, refunds pay it back with the price. Resales do not
+* touch the ticket balance. Refunds also pay back donations, a withdrawal takes the whole balance after the commission
+* is released. What is left is compared with the actual ticket balance.
+*/
+class Reconciler {
+
+  /**
+  * @param client TketsClient, used for the transaction values and balances
+  * @param indexer A synced Indexer whose startBlock is at or before the factory deployment
+  */
+  constructor({ client, indexer }) {
+    this.client = client;
+    this.indexer = indexer;
+  }
+
+  get _block() {
+    return this.indexer.store.data.lastBlock;
+  }
+
+  async _balance(address) {
+    return events.toBN(await this.client.web3.eth.getBalance(address, this._block));
+  }
+
+  // the rate before the first indexed block, later changes come from the CommissionRateChange logs
+  async _initialCommissionRate() {
+    const startBlock = this.indexer.store.data.startBlock;
+    if (!startBlock) {
+      return new BN(0);
+    }
+    return events.toBN(await this.client.factory.contract.methods.commissionRate().call({}, startBlock - 1));
+  }
+
+  _newLedger(ticket) {
+    return {
+      ticketAddress: ticket.ticketAddress,
+      price: events.toBN(ticket.price),
+      sold: 0,
+      refunded: 0,
+      resales: 0,
+      grossSales: new BN(0),
+      commission: new BN(0),
+      donations: new BN(0),
+      refunds: new BN(0),
+      withdrawn: new BN(0),
+      expectedBalance: new BN(0),
+      // still in the ticket and paid back by refunds
+      escrowedCommission: new BN(0),
+      refundableDonations: new BN(0),
+      discrepancies: []
+    };
+  }
+
+  // the request of a gasless mint, sent through the forwarder the ticket trusts, its value paid for the tickets
+  async _relayedRequest(ledger, tx) {
+    if (!tx.to || key(tx.to) === key(ledger.ticketAddress)) {
+      return undefined;
+    }
+    const request = decodeExecuteCall(this.client.web3.eth.abi, tx.input);
+    if (!request || !await (await this.client.ticketAt(ledger.ticketAddress)).isTrustedForwarder(tx.to)) {
+      return undefined;
+    }
+    return request;
+  }
+
+  async _mint(ledger, logs, commissionRate) {
+    const count = logs.length;
+    const commission = ledger.price.mul(commissionRate).div(COMMISSION_DENOMINATOR).muln(count);
+    const grossSales = ledger.price.muln(count);
+    const tx = await this.client.web3.eth.getTransaction(logs[0].transactionHash);
+    const relayed = await this._relayedRequest(ledger, tx);
+    let donations = new BN(0);
+    if (tx.to && key(tx.to) === key(ledger.ticketAddress)) {
+      donations = events.toBN(tx.value).sub(grossSales).sub(commission);
+    } else if (tx.to && key(tx.to) === key(this.client.factory.address)) {
+      // the ticket of a tier exchange, the factory pays exactly its sale price
+    } else if (relayed && key(relayed.to) === key(ledger.ticketAddress)) {
+      donations = events.toBN(relayed.value).sub(grossSales).sub(commission);
+    } else {
+      ledger.discrepancies.push({ type: DISCREPANCY.UNATTRIBUTED_MINT, ticketAddress: ledger.ticketAddress, message: 'Mint in ' + logs[0].transactionHash + ' was not sent to the ticket, its donation is not counted' });
+    }
+    ledger.sold += count;
+    ledger.grossSales.iadd(grossSales);
+    ledger.commission.iadd(commission);
+    ledger.escrowedCommission.iadd(commission);
+    ledger.donations.iadd(donations);
+    ledger.refundableDonations.iadd(donations);
+    ledger.expectedBalance.iadd(grossSales).iadd(commission).iadd(donations);
+  }
+
+  /**
+  * @dev Walks the indexed logs once and returns a ledger per ticket address.
+  */
+  async _ledgers(tickets) {
+    const ledgers = new Map(tickets.map(ticket => [key(ticket.ticketAddress), this._newLedger(ticket)]));
+    let commissionRate = await this._initialCommissionRate();
+
+    // all tickets of one mintTicket call share the msg.value, their TicketMint logs are accounted together
+    const mints = new Map();
+    const logs = this.indexer.store.data.logs;
+    logs.filter(log => log.event === 'TicketMint').forEach(log => {
+      const mintKey = log.transactionHash + ':' + key(log.address);
+      mints.set(mintKey, (mints.get(mintKey) || []).concat(log));
+    });
+
+    for (const log of logs) {
+      if (log.event === 'CommissionRateChange') {
+        commissionRate = events.toBN(log.args.newCommissionRate);
+        continue;
+      }
+      const ledger = ledgers.get(key(log.address));
+      if (!ledger) {
+        continue;
+      }
+      const mintKey = log.transactionHash + ':' + key(log.address);
+      if (log.event === 'TicketMint' && mints.get(mintKey)[0] === log) {
+        await this._mint(ledger, mints.get(mintKey), commissionRate);
+      } else if (log.event === 'TicketResale') {
+        // the buyer pays the commission on top of the price, the royalty and the rest go out directly
+        ledger.resales++;
+        ledger.commission.iadd(events.toBN(log.args.price).mul(commissionRate).div(COMMISSION_DENOMINATOR));
+      } else if (log.event === 'TicketRefund' || log.event === 'TicketExchangeOut') {
+        // the commission paid at the mint is clawed back from the escrow, an exchanged ticket pays for the new one
+        const amount = events.toBN(log.args.amount);
+        const commission = amount.sub(ledger.price);
+        ledger.refunded++;
+        ledger.refunds.iadd(amount);
+        ledger.commission.isub(commission);
+        ledger.escrowedCommission.isub(commission);
+        ledger.expectedBalance.isub(amount);
+      } else if (log.event === 'DonationRefund') {
+        const amount = events.toBN(log.args.amount);
+        ledger.refunds.iadd(amount);
+        ledger.refundableDonations.isub(amount);
+        ledger.expectedBalance.isub(amount);
+      } else if (log.event === 'CommissionRelease') {
+        ledger.escrowedCommission.isub(events.toBN(log.args.amount));
+        ledger.expectedBalance.isub(events.toBN(log.args.amount));
+      } else if (log.event === 'WithdrawBalance') {
+        ledger.withdrawn.iadd(ledger.expectedBalance);
+        ledger.expectedBalance = new BN(0);
+        ledger.refundableDonations = new BN(0);
+      }
+    }
+    return ledgers;
+  }
+
+  async _reconcileTier(ledger, cancelled) {
+    const balance = await this._balance(ledger.ticketAddress);
+    const outstanding = ledger.sold - ledger.refunded;
+    const tier = Object.assign({}, ledger, { outstanding, balance });
+    if (!balance.eq(ledger.expectedBalance)) {
+      tier.discrepancies.push({ type: DISCREPANCY.BALANCE_MISMATCH, ticketAddress: ledger.ticketAddress, message: 'Balance is ' + balance.toString() + ' wei, the logs add up to ' + ledger.expectedBalance.toString() + ' wei' });
+    }
+    const owed = ledger.price.muln(outstanding).add(ledger.escrowedCommission).add(ledger.refundableDonations);
+    if (cancelled && balance.lt(owed)) {
+      tier.discrepancies.push({ type: DISCREPANCY.REFUND_SHORTFALL, ticketAddress: ledger.ticketAddress, message: outstanding + ' outstanding tickets and the donations are owed ' + owed.toString() + ' wei, the ticket holds ' + balance.toString() + ' wei' });
+    }
+    return tier;
+  }
+
+  /**
+  * @dev Resolves to `{ eventId, eventIdHex, owner, cancelled, block, tiers, totals, discrepancies }`.
+  * Every tier and the totals carry the amounts in wei as BN: grossSales, commission, donations, refunds,
+  * withdrawn, expectedBalance and balance. Resolves to undefined for events that are not indexed.
+  */
+  async reconcileEvent(eventId) {
+    const event = this.indexer.getEvent(events.toBN(eventId).toString());
+    if (!event) {
+      return undefined;
+    }
+    const tickets = this.indexer.ticketTypesOfEvent(event.eventId);
+    const ledgers = await this._ledgers(tickets);
+    const tiers = [];
+    for (const ticket of tickets) {
+      tiers.push(await this._reconcileTier(ledgers.get(key(ticket.ticketAddress)), event.cancelled || ticket.cancelled));
+    }
+    return {
+      eventId: event.eventId,
+      eventIdHex: events.formatEventId(event.eventId),
+      owner: event.owner,
+      cancelled: event.cancelled,
+      block: this._block,
+      tiers,
+      totals: sumAmounts(tiers),
+      discrepancies: [].concat(...tiers.map(tier => tier.discrepancies))
+    };
+  }
+
+  /**
+  * @dev Reconciles the factory balance with the commissions of all indexed tickets.
+  * `escrowed` is the commission the tickets still hold until their events end, the factory should hold the rest.
+  * `withdrawn` is what was released to the factory but is no longer held, so it also covers withdrawals before the first indexed block.
+  */
+  async reconcileCommissions() {
+    const ledgers = [...(await this._ledgers([...this.indexer.state.tickets.values()])).values()];
+    const accrued = ledgers.reduce((sum, ledger) => sum.add(ledger.commission), new BN(0));
+    const escrowed = ledgers.reduce((sum, ledger) => sum.add(ledger.escrowedCommission), new BN(0));
+    const released = accrued.sub(escrowed);
+    const balance = await this._balance(this.client.factory.address);
+    const discrepancies = [];
+    if (balance.gt(released)) {
+      discrepancies.push({ type: DISCREPANCY.COMMISSION_MISMATCH, ticketAddress: null, message: 'Factory holds ' + balance.toString() + ' wei, only ' + released.toString() + ' wei of commission is indexed as released' });
+    }
+    return {
+      block: this._block,
+      accrued,
+      escrowed,
+      balance,
+      withdrawn: balance.gt(released) ? new BN(0) : released.sub(balance),
+      discrepancies
+    };
+  }
+}
+
+const formatAmounts = (row) => {
+  const formatted = {};
+  AMOUNTS.forEach(name => { formatted[name] = row[name].toString(); });
+  return formatted;
+}
+
+/**
+* @dev One CSV line per tier and a totals line per event, amounts in wei.
+*/
+const formatReport = (reports) => {
+  const rows = [];
+  for (const report of reports) {
+    report.tiers.forEach((tier, i) => {
+      rows.push(Object.assign(formatAmounts(tier), {
+        eventId: report.eventIdHex,
+        tier: i + 1,
+        ticketAddress: tier.ticketAddress,
+        price: tier.price.toString(),
+        sold: tier.sold,
+        refunded: tier.refunded,
+        outstanding: tier.outstanding,
+        discrepancies: tier.discrepancies.map(discrepancy => discrepancy.type).join(' ')
+      }));
+    });
+    rows.push(Object.assign(formatAmounts(report.totals), {
+      eventId: report.eventIdHex,
+      tier: 'total',
+      sold: report.tiers.reduce((sum, tier) => sum + tier.sold, 0),
+      refunded: report.tiers.reduce((sum, tier) => sum + tier.refunded, 0),
+      outstanding: report.tiers.reduce((sum, tier) => sum + tier.outstanding, 0),
+      discrepancies: report.discrepancies.length
+    }));
+  }
+  return csv.formatCsv(rows, REPORT_COLUMNS);
+}
+
+module.exports = {
+  DISCREPANCY,
+  REPORT_COLUMNS,
+  Reconciler,
+  formatReport
+};
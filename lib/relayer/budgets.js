@@ -0,0 +1,60 @@
+const fs = require('fs');
+const BN = require('bn.js');
+const events = require('../events');
+
+/**
+* @dev The sponsorship budget of each event and what the relayer has spent of it, gas and value, in wei.
+* Kept in memory, and in a JSON file if a path is given, so a restarted relayer does not spend a budget twice.
+*/
+class SponsorBudgets {
+
+  constructor({ path } = {}) {
+    this.path = path;
+    this.data = { events: {} };
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    if (this.path) {
+      const tmpPath = this.path + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.path);
+    }
+  }
+
+  _entry(eventId) {
+    const key = events.parseEventId(eventId.toString()).toString();
+    if (!this.data.events[key]) {
+      this.data.events[key] = { budget: '0', spent: '0', relayed: 0 };
+    }
+    return this.data.events[key];
+  }
+
+  // replaces the budget, what was spent so far still counts against it
+  setBudget(eventId, amount) {
+    this._entry(eventId).budget = new BN(amount.toString()).toString();
+    this.save();
+  }
+
+  get(eventId) {
+    const entry = this._entry(eventId);
+    const budget = new BN(entry.budget);
+    const spent = new BN(entry.spent);
+    return { budget, spent, remaining: BN.max(budget.sub(spent), new BN(0)), relayed: entry.relayed };
+  }
+
+  charge(eventId, amount) {
+    const entry = this._entry(eventId);
+    entry.spent = new BN(entry.spent).add(new BN(amount.toString())).toString();
+    entry.relayed++;
+    this.save();
+  }
+}
+
+module.exports = SponsorBudgets;
@@ -0,0 +1,253 @@
+const http = require('http');
+const BN = require('bn.js');
+const errors = require('../errors');
+const events = require('../events');
+const SponsorBudgets = require('./budgets');
+const request = require('./request');
+
+// Ticket methods the relayer pays for by default: buying, moving and returning tickets, and stamping them at the gate
+const DEFAULT_METHODS = ['mintTicket', 'mintPresaleTicket', 'transferFrom', 'safeTransferFrom', 'refundTicket', 'refundAll', 'refundDonation', 'optOutTicket', 'stampTicket', 'stampTickets'];
+// the only methods the relayer sends value to, with sponsorValue, their first argument is the number of tickets
+const VALUE_METHODS = ['mintTicket', 'mintPresaleTicket'];
+// upper bound of the gas a request may ask for
+const DEFAULT_MAX_GAS = 1000000;
+// bodies of POST /relay are small, anything bigger is not a request
+const MAX_BODY_LENGTH = 64 * 1024;
+
+/**
+* @dev Submits requests signed by holders through the Forwarder and pays for them out of the sponsorship budget
+* of the event of the ticket. A request is only sent if it calls a sponsored method of a ticket of the factory
+* that trusts the forwarder, is signed by its sender and succeeds in a simulation. The gas and value it may
+* cost are reserved while it is pending, what it did cost is charged once it is mined.
+*
+* Only gas is sponsored by default. With sponsorValue the relayer also pays the sale price of mints, never more,
+* so nothing is left over as a donation. The forwarder names the relayer account as the payer, and the ticket
+* refunds such mints to it, not to the holder.
+*/
+class Relayer {
+
+  /**
+  * @param client A TketsClient, the relayer account sends from `from` or the client's default sender
+  * @param forwarder A deployed Forwarder instance
+  * @param budgets A SponsorBudgets, in memory by default
+  * @param sponsorValue Whether requests of VALUE_METHODS may carry value, up to the sale price of their tickets
+  */
+  constructor({ client, forwarder, budgets = new SponsorBudgets(), from, gasPrice, maxGas = DEFAULT_MAX_GAS, methods = DEFAULT_METHODS, sponsorValue = false }) {
+    this.client = client;
+    this.forwarder = forwarder;
+    this.budgets = budgets;
+    this.from = from || client.from;
+    this.gasPrice = gasPrice;
+    this.maxGas = maxGas;
+    this.methods = methods;
+    this.sponsorValue = sponsorValue;
+    // eventId => wei reserved for requests that are not mined yet
+    this._reserved = new Map();
+  }
+
+  async domain() {
+    if (!this._domain) {
+      this._domain = await request.forwarderDomain(this.forwarder);
+    }
+    return this._domain;
+  }
+
+  setBudget(eventId, amount) {
+    this.budgets.setBudget(eventId, amount);
+  }
+
+  // `{ budget, spent, reserved, remaining, relayed }`, remaining is what is left after the pending requests
+  getBudget(eventId) {
+    const { budget, spent, remaining, relayed } = this.budgets.get(eventId);
+    eventId = events.parseEventId(eventId.toString());
+    const reserved = this._reserved.get(eventId.toString()) || new BN(0);
+    return { eventId, budget, spent, reserved, remaining: BN.max(remaining.sub(reserved), new BN(0)), relayed };
+  }
+
+  _reserve(key, amount) {
+    this._reserved.set(key, (this._reserved.get(key) || new BN(0)).add(amount));
+  }
+
+  _release(key, amount) {
+    const left = this._reserved.get(key).sub(amount);
+    if (left.isZero()) {
+      this._reserved.delete(key);
+    } else {
+      this._reserved.set(key, left);
+    }
+  }
+
+  // the sponsored ticket method the request calls, and the event that pays for it
+  async _inspect(req) {
+    let ticket;
+    let eventId;
+    try {
+      ticket = await this.client.ticketAt(req.to);
+      eventId = events.toBN(await ticket.eventId());
+    } catch (err) {
+      throw new errors.NotExistsError(req.to + ' is not a ticket', { cause: err });
+    }
+    if (!await this.client.factory.isEventTicket(eventId, req.to)) {
+      throw new errors.NotExistsError(req.to + ' is not a ticket of the factory');
+    }
+    if (!await ticket.isTrustedForwarder(this.forwarder.address)) {
+      throw new errors.InvalidActionError('Ticket ' + req.to + ' does not trust the forwarder ' + this.forwarder.address);
+    }
+    const selector = req.data.slice(0, 10);
+    const method = ticket.abi.find(item => item.type === 'function' && this.client.web3.eth.abi.encodeFunctionSignature(item) === selector);
+    if (!method || !this.methods.includes(method.name)) {
+      throw new errors.UnauthorizedError('Method ' + (method ? method.name : selector) + ' is not sponsored');
+    }
+    return { eventId, method: method.name, args: this.client.web3.eth.abi.decodeParameters(method.inputs, '0x' + req.data.slice(10)) };
+  }
+
+  // value is only paid for mints and only up to what their tickets cost, a donation is not the relayer's to make
+  async _checkValue(req, method, args) {
+    const value = new BN(req.value);
+    if (value.isZero()) {
+      return;
+    }
+    if (!this.sponsorValue || !VALUE_METHODS.includes(method)) {
+      throw new errors.UnauthorizedError('Value of ' + method + ' requests is not sponsored, only gas');
+    }
+    const salePrice = await this.client.quoteTickets(req.to, Number(args[0]));
+    if (value.gt(salePrice)) {
+      throw new errors.UnauthorizedError('Request value ' + value.toString() + ' is above the sale price of ' + salePrice.toString());
+    }
+  }
+
+  /**
+  * @dev Relays a signed request. Throws InvalidInputError for malformed requests, UnauthorizedError for bad
+  * signatures, used nonces, expired requests or methods that are not sponsored, InvalidActionError when the
+  * budget of the event is exhausted, and the typed error of the revert when the call itself would fail.
+  * Resolves to `{ tx, from, to, eventId, method, gasUsed, cost }`.
+  */
+  async relay({ request: body, signature }) {
+    const req = request.normalizeRequest(body || {});
+    const { v, r, s } = request.normalizeSignature(signature);
+    if (req.gas > this.maxGas) {
+      throw new errors.InvalidInputError('Request gas ' + req.gas + ' is above the limit of ' + this.maxGas);
+    }
+    const { eventId, method, args: callArgs } = await this._inspect(req);
+    if (!request.verifyForwardRequest(req, { v, r, s }, await this.domain())) {
+      throw new errors.UnauthorizedError('Request is not signed by ' + req.from);
+    }
+    await this._checkValue(req, method, callArgs);
+
+    const args = [request.toTuple(req), v, r, s];
+    const web3 = this.client.web3;
+    const gasPrice = new BN(this.gasPrice || await web3.eth.getGasPrice());
+    const txOptions = { from: this.from, value: req.value, gasPrice: gasPrice.toString() };
+    // the simulation rejects used nonces, expired requests and failing calls before anything is spent
+    const gas = await this.client._send(this.forwarder.execute.estimateGas(...args, txOptions));
+
+    const key = eventId.toString();
+    const maxCost = gasPrice.muln(gas).add(new BN(req.value));
+    if (maxCost.gt(this.getBudget(eventId).remaining)) {
+      throw new errors.InvalidActionError('Sponsorship budget of event ' + events.formatEventId(eventId) + ' is exhausted');
+    }
+    this._reserve(key, maxCost);
+    try {
+      const tx = await this.client._send(this.forwarder.execute(...args, Object.assign({ gas }, txOptions)));
+      const cost = gasPrice.muln(tx.receipt.gasUsed).add(new BN(req.value));
+      this.budgets.charge(eventId, cost);
+      return { tx: tx.tx, from: req.from, to: req.to, eventId, method, gasUsed: tx.receipt.gasUsed, cost };
+    } catch (err) {
+      // a transaction that was mined and reverted still used gas
+      const receipt = err.cause && err.cause.receipt;
+      if (receipt) {
+        this.budgets.charge(eventId, gasPrice.muln(receipt.gasUsed));
+      }
+      throw err;
+    } finally {
+      this._release(key, maxCost);
+    }
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// BN values as decimal strings, BN.toJSON would give hex
+const toPlain = (value) => {
+  if (BN.isBN(value)) {
+    return value.toString();
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlain(entry)]));
+  }
+  return value;
+}
+
+const toJson = (value) => {
+  return JSON.stringify(toPlain(value));
+}
+
+/**
+* @dev HTTP/JSON front of a Relayer:
+*   POST /relay              `{ request, signature }` => `{ tx, from, to, eventId, method, gasUsed, cost }`
+*   GET  /events/<id>/budget  => `{ budget, spent, reserved, remaining, relayed }`
+*   GET  /domain              => the EIP-712 domain to sign requests for
+*/
+const createRelayerServer = ({ relayer }) => {
+  const route = async (req) => {
+    const parts = req.url.split('?')[0].split('/').filter(Boolean);
+    if (req.method === 'POST' && parts.length === 1 && parts[0] === 'relay') {
+      const body = await readBody(req);
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (err) {
+        throw new HttpError(400, 'Invalid JSON');
+      }
+      return relayer.relay(parsed);
+    }
+    if (req.method === 'GET' && parts.length === 3 && parts[0] === 'events' && parts[2] === 'budget') {
+      return relayer.getBudget(events.parseEventId(parts[1]));
+    }
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'domain') {
+      return relayer.domain();
+    }
+    throw new HttpError(404, 'Not found');
+  }
+
+  return http.createServer((req, res) => {
+    route(req).then(body => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(toJson(body));
+    }).catch(err => {
+      const decoded = errors.decodeError(err);
+      const status = err.status || (decoded instanceof errors.TketsError ? 400 : 500);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(toJson({ error: decoded.message, code: decoded.code }));
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_METHODS,
+  VALUE_METHODS,
+  Relayer,
+  SponsorBudgets,
+  createRelayerServer,
+  request
+};
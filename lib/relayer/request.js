@@ -0,0 +1,184 @@
+const ethUtil = require('ethereumjs-util');
+const BN = require('bn.js');
+const errors = require('../errors');
+const events = require('../events');
+const { hashTypedData, splitSignature, recoverDigestSigner } = require('../entrypass');
+
+// EIP-712 types, see Forwarder.FORWARD_REQUEST_TYPEHASH
+const EIP712_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Forwarder.execute, the transaction a relayed call is sent in
+const EXECUTE_SIGNATURE = 'execute((address,address,uint256,uint256,uint256,uint256,bytes),uint8,bytes32,bytes32)';
+
+// gas of the relayed call, enough to mint a few tickets
+const DEFAULT_GAS = 500000;
+// requests expire after an hour unless validFor says otherwise
+const DEFAULT_VALID_FOR = 60 * 60;
+
+const isUint = (value) => {
+  return /^[0-9]+$/.test(value.toString());
+}
+
+/**
+* @dev Checks the fields of a request received from a holder app and returns them in a canonical form:
+* checksummed addresses, value and nonce as decimal strings, gas and validUntil as numbers.
+*/
+const normalizeRequest = ({ from, to, value = '0', gas, nonce, validUntil, data }) => {
+  for (const [name, address] of [['from', from], ['to', to]]) {
+    if (typeof address !== 'string' || !ethUtil.isValidAddress(address)) {
+      throw new errors.InvalidInputError('Invalid request ' + name + ' address ' + address);
+    }
+  }
+  for (const [name, number] of [['value', value], ['gas', gas], ['nonce', nonce], ['validUntil', validUntil]]) {
+    if (number === undefined || number === null || !isUint(number)) {
+      throw new errors.InvalidInputError('Invalid request ' + name + ' ' + number);
+    }
+  }
+  if (typeof data !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(data) || data.length < 10) {
+    throw new errors.InvalidInputError('Invalid request data');
+  }
+  return {
+    from: ethUtil.toChecksumAddress(from),
+    to: ethUtil.toChecksumAddress(to),
+    value: value.toString(),
+    gas: Number(gas),
+    nonce: nonce.toString(),
+    validUntil: Number(validUntil),
+    data: data.toLowerCase()
+  };
+}
+
+// Forwarder.ForwardRequest as tuple
+const toTuple = (request) => {
+  return [request.from, request.to, request.value, request.gas, request.nonce, request.validUntil, request.data];
+}
+
+/**
+* @dev The EIP-712 domain of the forwarder, `{ name, version, chainId, verifyingContract }`.
+* Read from the contract, the chain ID of the node can differ from the one the EVM reports (ganache).
+*/
+const forwarderDomain = async (forwarder) => {
+  const domain = await forwarder.eip712Domain();
+  return { name: domain.name, version: domain.version, chainId: events.toNumber(domain.chainId), verifyingContract: domain.verifyingContract };
+}
+
+/**
+* @dev Same as Forwarder.hashRequest, the digest the sender signs.
+*/
+const hashForwardRequest = (request, domain) => {
+  return hashTypedData(EIP712_TYPES, 'ForwardRequest', normalizeRequest(request), domain);
+}
+
+/**
+* @dev The eth_signTypedData_v4 request for a forward request.
+*/
+const forwardRequestTypedData = (request, domain) => {
+  const normalized = normalizeRequest(request);
+  return {
+    types: EIP712_TYPES,
+    primaryType: 'ForwardRequest',
+    domain: { name: domain.name, version: domain.version, chainId: Number(domain.chainId), verifyingContract: domain.verifyingContract },
+    message: Object.assign({}, normalized, { gas: normalized.gas.toString(), validUntil: normalized.validUntil.toString() })
+  };
+}
+
+/**
+* @dev Builds the request for a call of a Ticket method by `from`, with the next forwarder nonce of `from`.
+* @param ticket A Ticket instance, e.g. `await client.ticketAt(ticketAddress)`
+* @param value Paid by the relayer along with the call, e.g. the price of a sponsored free or paid mint
+*/
+const buildTicketRequest = async ({ forwarder, ticket, from, method, args = [], value = 0, gas = DEFAULT_GAS, validFor = DEFAULT_VALID_FOR }) => {
+  if (!ticket.contract.methods[method]) {
+    throw new errors.InvalidInputError('Ticket has no method ' + method);
+  }
+  const web3 = forwarder.constructor.web3;
+  const latest = await web3.eth.getBlock('latest');
+  return normalizeRequest({
+    from,
+    to: ticket.address,
+    value: new BN(value.toString()).toString(),
+    gas,
+    nonce: (await forwarder.getNonce(from)).toString(),
+    validUntil: Number(latest.timestamp) + validFor,
+    data: ticket.contract.methods[method](...args).encodeABI()
+  });
+}
+
+/**
+* @dev Signs a request as its sender.
+* @param signer Either the sender's private key, or an async function that signs the typed data from
+* forwardRequestTypedData and returns the signature, e.g. a call to eth_signTypedData_v4
+* @param domain See forwarderDomain
+* Resolves to `{ v, r, s }`.
+*/
+const signForwardRequest = async (request, signer, domain) => {
+  if (typeof signer === 'function') {
+    return splitSignature(await signer(forwardRequestTypedData(request, domain)));
+  }
+  const signed = ethUtil.ecsign(ethUtil.toBuffer(hashForwardRequest(request, domain)), ethUtil.toBuffer(signer));
+  return { v: signed.v, r: ethUtil.bufferToHex(signed.r), s: ethUtil.bufferToHex(signed.s) };
+}
+
+// accepts `{ v, r, s }` or a 65 byte signature
+const normalizeSignature = (signature) => {
+  if (typeof signature === 'string') {
+    return splitSignature(signature);
+  }
+  if (!signature || signature.v === undefined || !signature.r || !signature.s) {
+    throw new errors.InvalidInputError('Invalid request signature');
+  }
+  return { v: Number(signature.v), r: signature.r, s: signature.s };
+}
+
+/**
+* @dev The request a Forwarder.execute transaction relayed, in the form of normalizeRequest.
+* Returns undefined if `input` is not a call of execute.
+* @param abi The ABI coder of web3, `web3.eth.abi`
+*/
+const decodeExecuteCall = (abi, input) => {
+  if (!input || input.slice(0, 10) !== abi.encodeFunctionSignature(EXECUTE_SIGNATURE)) {
+    return undefined;
+  }
+  const decoded = abi.decodeParameters(['tuple(address,address,uint256,uint256,uint256,uint256,bytes)', 'uint8', 'bytes32', 'bytes32'], '0x' + input.slice(10));
+  const [from, to, value, gas, nonce, validUntil, data] = decoded[0];
+  return normalizeRequest({ from, to, value, gas, nonce, validUntil, data });
+}
+
+// true if the request is signed by its sender; does not check the nonce or the expiry
+const verifyForwardRequest = (request, signature, domain) => {
+  const { v, r, s } = normalizeSignature(signature);
+  return recoverDigestSigner(hashForwardRequest(request, domain), v, r, s).toLowerCase() === request.from.toLowerCase();
+}
+
+module.exports = {
+  EIP712_TYPES,
+  EXECUTE_SIGNATURE,
+  DEFAULT_GAS,
+  DEFAULT_VALID_FOR,
+  normalizeRequest,
+  normalizeSignature,
+  toTuple,
+  forwarderDomain,
+  hashForwardRequest,
+  forwardRequestTypedData,
+  buildTicketRequest,
+  signForwardRequest,
+  verifyForwardRequest,
+  decodeExecuteCall
+};
@@ -0,0 +1,153 @@
+const entrypass = require('./entrypass');
+const errors = require('./errors');
+
+const STATUS = {
+  ADMIT: 'ADMIT',
+  ALREADY_STAMPED: 'ALREADY_STAMPED',
+  EXPIRED: 'EXPIRED',
+  // the nonce of the pass is not an open challenge of this scanner, e.g. a captured QR code shown again
+  REPLAYED: 'REPLAYED',
+  INVALID: 'INVALID'
+};
+
+// EventFactory.validateTicket accepts timestamps up to 10 seconds in the future
+const VALIDATION_LEEWAY = 10;
+
+const systemClock = () => Math.floor(Date.now() / 1000);
+
+/**
+* @dev Validates scanned entry passes and stamps them with the stamper account of the client.
+* Several gates can share one Scanner, a ticket that is being stamped at one gate is rejected at the others.
+*
+* EIP-712 passes must answer a challenge from issueChallenge, which can be used once. Legacy passes
+* without a nonce are accepted until `acceptLegacyPasses` is turned off.
+*/
+class Scanner {
+
+  /**
+  * @param client TketsClient whose `from` account is the event owner or an authorized stamper
+  * @param clock Returns the current unix time in seconds, used for the local expiry check
+  * @param acceptLegacyPasses Whether personal_sign passes without a nonce are still admitted
+  */
+  constructor({ client, clock = systemClock, acceptLegacyPasses = true }) {
+    this.client = client;
+    this.clock = clock;
+    this.acceptLegacyPasses = acceptLegacyPasses;
+    this._inFlight = new Set();
+    this._challenges = new Map();
+    this._validationTimeout = undefined;
+  }
+
+  async validationTimeout() {
+    if (this._validationTimeout === undefined) {
+      this._validationTimeout = Number(await this.client.factory.VALIDATION_TIMEOUT());
+    }
+    return this._validationTimeout;
+  }
+
+  async entryPassDomain() {
+    return this.client.entryPassDomain();
+  }
+
+  /**
+  * @dev Creates a nonce for the holder app to sign into its next entry pass, e.g. shown as a QR code at the gate.
+  * It expires with the validation timeout and is used up by the first pass that answers it.
+  */
+  async issueChallenge() {
+    const now = this.clock();
+    for (const [nonce, expiry] of this._challenges) {
+      if (expiry <= now) {
+        this._challenges.delete(nonce);
+      }
+    }
+    const nonce = entrypass.createNonce();
+    this._challenges.set(nonce, now + await this.validationTimeout());
+    return nonce;
+  }
+
+  // checks that can be done without the chain, returns a result for rejected passes and null otherwise
+  async _checkLocally(pass) {
+    const now = this.clock();
+    if (now >= pass.timestamp + await this.validationTimeout()) {
+      return { status: STATUS.EXPIRED, reason: 'Entry pass was created ' + (now - pass.timestamp) + 's ago, ask the holder to refresh it' };
+    }
+    if (now < pass.timestamp - VALIDATION_LEEWAY) {
+      return { status: STATUS.INVALID, reason: 'Entry pass timestamp is in the future, check the clock of the holder device' };
+    }
+    if (pass.nonce === undefined && !this.acceptLegacyPasses) {
+      return { status: STATUS.INVALID, reason: 'Entry passes without a challenge are no longer accepted, ask the holder to update the app' };
+    }
+    const domain = pass.nonce === undefined ? undefined : await this.entryPassDomain();
+    if (!entrypass.verifyEntryPass(pass, domain)) {
+      return { status: STATUS.INVALID, reason: 'Entry pass is not signed by the ticket holder' };
+    }
+    if (pass.nonce !== undefined) {
+      const expiry = this._challenges.get(pass.nonce.toLowerCase());
+      if (expiry === undefined || expiry <= now) {
+        return { status: STATUS.REPLAYED, reason: 'Entry pass does not answer an open challenge of this gate, ask the holder to scan the challenge again' };
+      }
+      this._challenges.delete(pass.nonce.toLowerCase());
+    }
+    return null;
+  }
+
+  _fromError(err) {
+    if (err instanceof errors.AlreadyStampedError) {
+      return { status: STATUS.ALREADY_STAMPED, reason: err.message };
+    }
+    if (err instanceof errors.InvalidTicketError && err.reason === errors.INVALID_TICKET_REASONS.SIGNATURE_EXPIRED) {
+      return { status: STATUS.EXPIRED, reason: err.message };
+    }
+    if (err instanceof errors.TketsError) {
+      return { status: STATUS.INVALID, reason: err.message };
+    }
+    throw err;
+  }
+
+  /**
+  * @dev Validates and stamps the ticket behind a scanned QR payload.
+  * Resolves to `{ status, reason, pass, tx }`; only network and node errors are thrown.
+  */
+  async scan(payload) {
+    let pass;
+    try {
+      pass = entrypass.decodeEntryPass(payload);
+    } catch (err) {
+      return this._fromError(err);
+    }
+
+    const result = await this._scanPass(pass);
+    return Object.assign({ pass }, result);
+  }
+
+  async _scanPass(pass) {
+    const rejected = await this._checkLocally(pass);
+    if (rejected) {
+      return rejected;
+    }
+
+    const key = pass.ticket.toLowerCase() + ':' + pass.ticketId;
+    if (this._inFlight.has(key)) {
+      return { status: STATUS.ALREADY_STAMPED, reason: 'Ticket ' + pass.ticketId + ' is being stamped at another gate' };
+    }
+    this._inFlight.add(key);
+
+    try {
+      if (!(await this.client.validateTicket(pass))) {
+        return { status: STATUS.ALREADY_STAMPED, reason: 'Ticket ' + pass.ticketId + ' is already stamped' };
+      }
+      const stamped = await this.client.stampTicket(pass.ticket, pass.ticketId);
+      return { status: STATUS.ADMIT, reason: null, tx: stamped.tx };
+    } catch (err) {
+      return this._fromError(err);
+    } finally {
+      this._inFlight.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  STATUS,
+  VALIDATION_LEEWAY,
+  Scanner
+};
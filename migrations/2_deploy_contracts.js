@@ -1,5 +1,26 @@
 const EventFactory = artifacts.require("EventFactory");
+const TicketDeployer = artifacts.require("TicketDeployer");
+const Forwarder = artifacts.require("Forwarder");
+const Ticket = artifacts.require("Ticket");
+const AttendanceBadge = artifacts.require("AttendanceBadge");
 
-module.exports = function(deployer) {
-  deployer.deploy(EventFactory);
+const { loadDeployConfig, deployTkets, recordDeployment, AddressRegistry } = require('../lib/deployment');
+
+// settings per network in deploy.config.json, networks set to record are written to deployments.json
+module.exports = function(deployer, network, accounts) {
+  deployer.then(async () => {
+    const config = loadDeployConfig(network);
+    const deployed = await deployTkets({ EventFactory, TicketDeployer, Forwarder, Ticket, AttendanceBadge }, config, { from: accounts[0], log: line => console.log('   > ' + line) });
+
+    // saved into the build artifacts, where EventFactory.deployed() finds them
+    Forwarder.address = deployed.forwarder.address;
+    TicketDeployer.address = deployed.ticketDeployer.address;
+    EventFactory.address = deployed.factory.address;
+    AttendanceBadge.address = deployed.attendanceBadge.address;
+
+    if (config.record) {
+      recordDeployment(new AddressRegistry().load(), network, deployed);
+      console.log('   > Addresses recorded in ' + AddressRegistry.DEFAULT_REGISTRY);
+    }
+  });
 };
@@ -0,0 +1,218 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, cli, errors } = require('../lib');
+const { getCurrentBlockTimestamp, increaseTime, isolateTests, createEventFixture } = require('./helpers');
+
+contract('Administration', (accounts) => {
+
+  let owner       = accounts[0];
+  let admin       = accounts[1];
+  let treasurer   = accounts[2];
+  let migrator    = accounts[3];
+  let newOwner    = accounts[4];
+  let stranger    = accounts[5];
+
+  const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  var client;
+  var factory;
+  var ADMIN_ROLE;
+  var TREASURER_ROLE;
+  var MIGRATOR_ROLE;
+  var delay;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+    ADMIN_ROLE = await factory.ADMIN_ROLE();
+    TREASURER_ROLE = await factory.TREASURER_ROLE();
+    MIGRATOR_ROLE = await factory.MIGRATOR_ROLE();
+    delay = (await factory.COMMISSION_RATE_DELAY()).toNumber();
+  });
+
+  isolateTests();
+
+  const tketsAdmin = async (argv, from = owner) => {
+    const output = [];
+    const code = await cli.run(argv, { client: new TketsClient({ factory, Ticket, from }), log: line => output.push(line), commands: cli.ADMIN_COMMANDS, name: 'tkets-admin' });
+    return { code, output: output.join('\n') };
+  }
+
+  it('the deployer should hold every role, only the owner should grant and revoke them', async () => {
+    for (const role of [ADMIN_ROLE, TREASURER_ROLE, MIGRATOR_ROLE]) {
+      assert.isTrue(await factory.hasRole(role, owner));
+    }
+    assert.equal(client.roleId('admin'), ADMIN_ROLE);
+    assert.equal(client.roleId('TREASURER_ROLE'), TREASURER_ROLE);
+    assert.throws(() => client.roleId('superuser'), errors.InvalidInputError);
+
+    const tx = await factory.grantRole(ADMIN_ROLE, admin, { from: owner });
+    truffleAssert.eventEmitted(tx, 'RoleGrant', ev => ev.role === ADMIN_ROLE && ev.account === admin && ev.sender === owner);
+    assert.isTrue(await client.hasRole('admin', admin));
+
+    await truffleAssert.reverts(factory.grantRole(ADMIN_ROLE, stranger, { from: admin }), '019001');
+    await truffleAssert.reverts(factory.revokeRole(ADMIN_ROLE, owner, { from: admin }), '019001');
+    await truffleAssert.reverts(factory.grantRole(ADMIN_ROLE, ZERO_ADDRESS, { from: owner }), '019002');
+    await truffleAssert.reverts(factory.grantRole(web3.utils.keccak256('OTHER_ROLE'), stranger, { from: owner }), '019002');
+
+    const revokeTx = await factory.revokeRole(ADMIN_ROLE, admin, { from: owner });
+    truffleAssert.eventEmitted(revokeTx, 'RoleRevoke', ev => ev.role === ADMIN_ROLE && ev.account === admin);
+    assert.isFalse(await factory.hasRole(ADMIN_ROLE, admin));
+
+    // a key can give up its own role, e.g. when it is suspected to be compromised
+    await client.grantRole('treasurer', treasurer);
+    const renounced = await client.renounceRole('treasurer', { from: treasurer });
+    assert.equal(renounced.account, treasurer);
+    assert.isFalse(await client.hasRole('treasurer', treasurer));
+  });
+
+  it('each admin action should require its role', async () => {
+    await client.grantRole('treasurer', treasurer);
+    await client.grantRole('migrator', migrator);
+    for (const role of ['admin', 'treasurer', 'migrator']) {
+      await client.revokeRole(role, owner);
+    }
+
+    await truffleAssert.reverts(factory.setCommissionRate(100, { from: owner }), '019001');
+    await truffleAssert.reverts(factory.withdrawCommissions({ from: owner }), '019001');
+    await truffleAssert.reverts(factory.forceCreateEvent(1234, stranger, [0, 1], { from: owner }), '019001');
+
+    const now = await getCurrentBlockTimestamp();
+    const forced = await factory.forceCreateEvent(1234, stranger, [now, now + 100], { from: migrator });
+    truffleAssert.eventEmitted(forced, 'EventForceCreate', ev => ev.eventId.toNumber() === 1234 && ev.ownerAddress === stranger);
+    const { ticketAddress } = await createEventFixture(factory, { owner });
+    const forcedTicket = await factory.forceCreateTicketFromAddress(1234, ticketAddress, { from: migrator });
+    truffleAssert.eventEmitted(forcedTicket, 'TicketForceCreate', ev => ev.eventId.toNumber() === 1234 && ev.ticketAddress === ticketAddress);
+
+    await web3.eth.sendTransaction({ from: stranger, to: factory.address, value: 1000 });
+    const withdrawn = await client.withdrawCommissions({ from: treasurer });
+    assert.equal(withdrawn.to, treasurer);
+    assert.equal(withdrawn.amount.toString(), '1000');
+    assert.equal(await web3.eth.getBalance(factory.address), '0');
+  });
+
+  it('the ownership should only move once the new owner accepts it', async () => {
+    await truffleAssert.reverts(factory.transferTKETSOwnership(ZERO_ADDRESS, { from: owner }), '019004');
+    await truffleAssert.reverts(factory.transferTKETSOwnership(newOwner, { from: stranger }), '019001');
+
+    const tx = await factory.transferTKETSOwnership(newOwner, { from: owner });
+    truffleAssert.eventEmitted(tx, 'TKETSOwnershipTransferStart', ev => ev.previousOwner === owner && ev.newOwner === newOwner);
+    assert.equal(await factory.TKETSOwner(), owner);
+    assert.equal((await client.getAdministration()).pendingOwner, newOwner);
+
+    await truffleAssert.reverts(factory.acceptTKETSOwnership({ from: stranger }), '019001');
+    const accepted = await client.acceptFactoryOwnership({ from: newOwner });
+    assert.equal(accepted.previousOwner, owner);
+    assert.equal(accepted.owner, newOwner);
+    assert.equal(await factory.TKETSOwner(), newOwner);
+    assert.equal(await factory.pendingTKETSOwner(), ZERO_ADDRESS);
+
+    // the roles stay with their members, only the new owner manages them
+    assert.isTrue(await factory.hasRole(ADMIN_ROLE, owner));
+    await truffleAssert.reverts(factory.grantRole(ADMIN_ROLE, admin, { from: owner }), '019001');
+    await client.grantRole('admin', admin, { from: newOwner });
+
+    await client.transferFactoryOwnership(stranger, { from: newOwner });
+    const cancelTx = await factory.cancelTKETSOwnershipTransfer({ from: newOwner });
+    truffleAssert.eventEmitted(cancelTx, 'TKETSOwnershipTransferCancel', ev => ev.pendingOwner === stranger);
+    await truffleAssert.reverts(factory.acceptTKETSOwnership({ from: stranger }), '019001');
+    await truffleAssert.reverts(factory.cancelTKETSOwnershipTransfer({ from: newOwner }), '019005');
+  });
+
+  it('commission rate increases should wait for the timelock, decreases should apply at once', async () => {
+    const max = (await factory.MAX_COMMISSION_RATE()).toNumber();
+    await truffleAssert.reverts(factory.setCommissionRate(max + 1, { from: owner }), '019002');
+
+    const scheduled = await client.setCommissionRate(500);
+    const now = await getCurrentBlockTimestamp();
+    assert.isAtLeast(scheduled.effectiveTime, now + delay - 5);
+    assert.equal((await factory.commissionRate()).toNumber(), 0);
+    assert.deepEqual((await client.getAdministration()).pendingCommissionRate, { rate: 500, effectiveTime: scheduled.effectiveTime });
+    await truffleAssert.reverts(factory.applyCommissionRate({ from: stranger }), '019007');
+
+    await increaseTime(delay);
+    const applied = await client.applyCommissionRate({ from: stranger });
+    assert.equal(applied.commissionRate, 500);
+    assert.isNull((await client.getAdministration()).pendingCommissionRate);
+    await truffleAssert.reverts(factory.applyCommissionRate({ from: stranger }), '019007');
+
+    // lowering applies at once and drops a scheduled increase
+    await client.setCommissionRate(max);
+    const lowered = await factory.setCommissionRate(100, { from: owner });
+    truffleAssert.eventEmitted(lowered, 'CommissionRateChange', ev => ev.newCommissionRate.toNumber() === 100);
+    assert.equal((await factory.commissionRate()).toNumber(), 100);
+    assert.equal((await factory.commissionRateChangeTime()).toNumber(), 0);
+
+    await client.setCommissionRate(200);
+    const cancelTx = await factory.cancelCommissionRateChange({ from: owner });
+    truffleAssert.eventEmitted(cancelTx, 'CommissionRateChangeCancel', ev => ev.newCommissionRate.toNumber() === 200);
+    await truffleAssert.reverts(factory.cancelCommissionRateChange({ from: owner }), '019005');
+    await increaseTime(delay);
+    await truffleAssert.reverts(factory.applyCommissionRate({ from: owner }), '019007');
+    assert.equal((await factory.commissionRate()).toNumber(), 100);
+  });
+
+  it('rotateRole should grant the new key before revoking the old one', async () => {
+    await client.grantRole('treasurer', treasurer);
+
+    const rotated = await client.rotateRole('treasurer', treasurer, stranger);
+    assert.isFalse(await client.hasRole('treasurer', treasurer));
+    assert.isTrue(await client.hasRole('treasurer', stranger));
+    const grantBlock = (await web3.eth.getTransactionReceipt(rotated.grantTx)).blockNumber;
+    const revokeBlock = (await web3.eth.getTransactionReceipt(rotated.revokeTx)).blockNumber;
+    assert.isBelow(grantBlock, revokeBlock);
+
+    let error;
+    try {
+      await client.rotateRole('treasurer', treasurer, admin);
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, errors.NotExistsError);
+    assert.isFalse(await client.hasRole('treasurer', admin));
+
+    // only the owner can rotate keys
+    await client.grantRole('admin', admin);
+    let unauthorized;
+    try {
+      await client.rotateRole('admin', admin, stranger, { from: admin });
+    } catch (err) {
+      unauthorized = err;
+    }
+    assert.instanceOf(unauthorized, errors.UnauthorizedError);
+    assert.isFalse(await client.hasRole('admin', stranger));
+  });
+
+  it('tkets-admin should list the roles and rotate keys, owner transfers should need the new key', async () => {
+    await client.grantRole('migrator', migrator);
+
+    const roles = await tketsAdmin(['roles']);
+    assert.equal(roles.code, 0, roles.output);
+    assert.include(roles.output, 'Owner: ' + owner);
+    assert.include(roles.output, 'MIGRATOR_ROLE: ' + owner + ', ' + migrator);
+
+    const dryRun = await tketsAdmin(['rotate-role', '--role', 'migrator', '--old', migrator, '--new', stranger, '--dry-run']);
+    assert.equal(dryRun.code, 0, dryRun.output);
+    assert.include(dryRun.output, '1. grant MIGRATOR_ROLE to ' + stranger);
+    assert.isFalse(await client.hasRole('migrator', stranger));
+
+    const rotate = await tketsAdmin(['rotate-role', '--role', 'migrator', '--old', migrator, '--new', stranger]);
+    assert.equal(rotate.code, 0, rotate.output);
+    assert.isTrue(await client.hasRole('migrator', stranger));
+    assert.isFalse(await client.hasRole('migrator', migrator));
+    assert.equal((await tketsAdmin(['rotate-role', '--role', 'migrator', '--old', migrator, '--new', stranger])).code, 1);
+
+    const commission = await tketsAdmin(['set-commission', '--rate', '250']);
+    assert.equal(commission.code, 0, commission.output);
+    assert.include(commission.output, 'scheduled, run apply-commission from');
+
+    const transfer = await tketsAdmin(['transfer-owner', '--to', newOwner]);
+    assert.equal(transfer.code, 0, transfer.output);
+    assert.equal((await tketsAdmin(['accept-owner'], stranger)).code, 1);
+    const accept = await tketsAdmin(['accept-owner'], newOwner);
+    assert.equal(accept.code, 0, accept.output);
+    assert.equal(await factory.TKETSOwner(), newOwner);
+  });
+});
@@ -0,0 +1,145 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const http = require('http');
+const BN = require('bn.js');
+const { TketsClient, Indexer, createApiServer } = require('../lib');
+const { getCurrentBlockTimestamp, increaseTime } = require('./helpers');
+
+contract('API', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+
+  var client;
+  var indexer;
+  var server;
+  var eventId;
+  var openAddress;
+  var upcomingAddress;
+
+  const get = (path) => {
+    return new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      }).on('error', reject);
+    });
+  }
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    indexer = Indexer.fromClient(client, { startBlock: await web3.eth.getBlockNumber() });
+
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    ({ eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 100 }));
+    ({ ticketAddress: openAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 4, price: new BN('1000'), saleStart: currentTimestamp, saleEnd: currentTimestamp + 50 }));
+    ({ ticketAddress: upcomingAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 0, price: new BN('2000'), saleStart: currentTimestamp + 1000, saleEnd: currentTimestamp + 2000 }));
+    await client.mintTicket(openAddress, 4, { from: holder });
+    await client.stampTicket(openAddress, 2);
+
+    await indexer.sync();
+    server = createApiServer({ client, indexer });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('GET /events/:eventId should return the event in decimal and hex notation', async () => {
+    const res = await get('/events/' + eventId.toString());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.owner, owner);
+    assert.equal(res.body.eventIdHex, '0x' + eventId.toString(16));
+    assert.equal(res.body.cancelled, false);
+    assert.equal(res.body.withdrawable, false);
+    assert.equal(res.body.tickets.length, 2);
+
+    const resHex = await get('/events/0x' + eventId.toString(16));
+    assert.equal(resHex.body.eventId, eventId.toString());
+  });
+
+  it('GET /events/:eventId/tickets should include sold counts and sale status', async () => {
+    const res = await get('/events/' + eventId.toString() + '/tickets');
+    assert.equal(res.status, 200);
+
+    const [open, upcoming] = res.body;
+    assert.equal(open.ticketAddress, openAddress);
+    assert.equal(open.sold, 4);
+    assert.equal(open.remaining, 0);
+    assert.equal(open.soldOut, true);
+    assert.equal(open.saleOpen, true);
+
+    assert.equal(upcoming.remaining, null, "maxTickets 0 means unlimited!");
+    assert.equal(upcoming.soldOut, false);
+    assert.equal(upcoming.saleOpen, false);
+  });
+
+  it('GET /tickets/:address/tokens/:id should return owner, stamped status and URI', async () => {
+    const stamped = await get('/tickets/' + openAddress + '/tokens/2');
+    assert.equal(stamped.status, 200);
+    assert.equal(stamped.body.owner, holder);
+    assert.equal(stamped.body.stamped, true);
+    assert.equal(stamped.body.tokenURI, uri);
+
+    const notStamped = await get('/tickets/' + openAddress + '/tokens/3');
+    assert.equal(notStamped.body.stamped, false);
+
+    const missing = await get('/tickets/' + openAddress + '/tokens/9');
+    assert.equal(missing.status, 404);
+  });
+
+  it('GET /holders/:address/tickets should list the holder tokens', async () => {
+    const res = await get('/holders/' + holder + '/tickets');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(token => token.ticketId).sort(), [1, 2, 3, 4]);
+    assert.deepEqual(res.body.filter(token => token.stamped).map(token => token.ticketId), [2]);
+  });
+
+  it('events should become withdrawable after their end time and report cancellation', async () => {
+    await increaseTime(200);
+
+    const ended = await get('/events/' + eventId.toString());
+    assert.equal(ended.body.withdrawable, true);
+
+    const ticketsAfterSale = await get('/events/' + eventId.toString() + '/tickets');
+    assert.equal(ticketsAfterSale.body[0].saleOpen, false);
+
+    await client.cancelEvent(eventId);
+    await indexer.sync();
+
+    const cancelled = await get('/events/' + eventId.toString());
+    assert.equal(cancelled.body.cancelled, true);
+    assert.equal(cancelled.body.withdrawable, false);
+  });
+
+  it('tickets given back while the sale is open should be on sale again, cancelled tiers should not', async () => {
+    const now = await getCurrentBlockTimestamp();
+    const { eventId: rescheduledId } = await client.createEvent({ start: now, end: now + 10000 });
+    const { ticketAddress } = await client.createTicket(rescheduledId, { uri, uriHash, maxTickets: 2, price: new BN('1000'), saleStart: now, saleEnd: now + 5000 });
+    await client.mintTicket(ticketAddress, 2, { from: holder });
+    await client.rescheduleEvent(rescheduledId, { start: now + 20000, end: now + 30000, optOutWindow: 86400 });
+    await client.optOutTicket(ticketAddress, 1, { from: holder });
+    await indexer.sync();
+
+    let [tier] = (await get('/events/' + rescheduledId.toString() + '/tickets')).body;
+    assert.deepEqual([tier.sold, tier.outstanding, tier.remaining, tier.soldOut, tier.saleOpen], [2, 1, 1, false, true]);
+
+    await client.cancelTier(ticketAddress);
+    await indexer.sync();
+    [tier] = (await get('/events/' + rescheduledId.toString() + '/tickets')).body;
+    assert.deepEqual([tier.cancelled, tier.saleOpen], [true, false]);
+  });
+
+  it('unknown routes and malformed parameters should be rejected', async () => {
+    assert.equal((await get('/events/not-an-id')).status, 400);
+    assert.equal((await get('/holders/0x1234/tickets')).status, 400);
+    assert.equal((await get('/events/12345')).status, 404);
+    assert.equal((await get('/stampers')).status, 404);
+  });
+
+});
@@ -0,0 +1,153 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+const AttendanceBadge = artifacts.require("AttendanceBadge");
+
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, TketsApi, pagination, errors } = require('../lib');
+const { getCurrentBlockTimestamp, isolateTests, createEventFixture } = require('./helpers');
+
+contract('AttendanceBadge', (accounts) => {
+
+  let owner       = accounts[0];
+  let organizer   = accounts[1];
+  let holder      = accounts[2];
+  let friend      = accounts[3];
+  let stamper     = accounts[4];
+  let nonStamper  = accounts[5];
+
+  const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+  const badgeURI = 'ipfs://attendance.json';
+
+  var client;
+  var factory;
+  var badge;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, AttendanceBadge, from: organizer });
+    factory = client.factory;
+    badge = await client.attendanceBadge();
+  });
+
+  isolateTests();
+
+  const expectError = async (promise, errorClass) => {
+    try {
+      await promise;
+    } catch (err) {
+      assert.instanceOf(err, errorClass, err.message);
+      return err;
+    }
+    assert.fail('Expected ' + errorClass.name);
+  }
+
+  const eventWithBadges = async (options = {}) => {
+    const fixture = await createEventFixture(factory, Object.assign({ owner: organizer, holders: [holder, friend], mint: 2, ticket: { price: 1000 } }, options));
+    await client.setEventBadge(fixture.eventId, { uri: badgeURI });
+    return fixture;
+  }
+
+  it('should mint a locked badge to the holder when the event owner stamps', async () => {
+    const { eventId, ticketAddress, tokenIds } = await eventWithBadges();
+    const configured = await client.getEventBadge(eventId);
+    assert.deepEqual([configured.eventId.toString(), configured.enabled, configured.uri], [eventId.toString(), true, badgeURI]);
+    await expectError(client.setEventBadge(eventId, { uri: 'ipfs://other' }, { from: holder }), errors.UnauthorizedError);
+
+    const stamped = await client.stampTicket(ticketAddress, tokenIds[holder][0]);
+    assert.deepEqual(stamped.badges, [{ badgeId: 1, holder, ticketAddress, ticketId: tokenIds[holder][0] }]);
+
+    const minted = await client.badgeOf(eventId, holder);
+    assert.equal(minted.badgeId, 1);
+    assert.equal(minted.eventId.toString(), eventId.toString());
+    assert.equal(minted.ticketAddress, ticketAddress);
+    assert.equal(minted.tokenURI, badgeURI);
+    assert.isAbove(minted.stampedAt, 0);
+    assert.isNull(await client.badgeOf(eventId, friend));
+    assert.isTrue(await badge.locked(1));
+    assert.isTrue(await badge.supportsInterface('0xb45a3c0e'));
+
+    // soulbound: neither the holder nor an approved operator can move it
+    await truffleAssert.reverts(badge.transferFrom(holder, friend, 1, { from: holder }), '019007');
+    await badge.approve(friend, 1, { from: holder });
+    await truffleAssert.reverts(badge.safeTransferFrom(holder, friend, 1, { from: friend }), '019007');
+    assert.equal(await badge.ownerOf(1), holder);
+
+    // one badge per holder and event, the second ticket of the holder mints none
+    assert.deepEqual((await client.stampTicket(ticketAddress, tokenIds[holder][1])).badges, []);
+    assert.equal((await badge.balanceOf(holder)).toString(), '1');
+  });
+
+  it('should mint badges when authorized stampers stamp, one at a time and in batches', async () => {
+    const { eventId, ticketAddress, tokenIds } = await eventWithBadges({ holders: [holder, friend, nonStamper], mint: 1 });
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: secondTier } = await client.createTicket(eventId, { uri: 'ipfs://vip', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price: 1000, saleStart: now, saleEnd: now + 1000 });
+    await client.mintTicket(secondTier, 1, { from: owner });
+
+    assert.isFalse(await factory.isStamperAuthorized(stamper, eventId));
+    await expectError(client.stampTicket(ticketAddress, tokenIds[holder][0], { from: stamper }), errors.UnauthorizedError);
+    await client.addStamper(eventId, stamper);
+    assert.isTrue(await factory.isStamperAuthorized(stamper, eventId));
+
+    const single = await client.stampTicket(ticketAddress, tokenIds[holder][0], { from: stamper });
+    assert.deepEqual(single.badges.map(minted => minted.holder), [holder]);
+
+    const batch = await client.stampTickets(ticketAddress, [tokenIds[holder][0], tokenIds[friend][0], 99], { from: stamper });
+    assert.deepEqual(batch.stamped, [tokenIds[friend][0]]);
+    assert.deepEqual(batch.badges, [{ badgeId: 2, holder: friend, ticketAddress, ticketId: tokenIds[friend][0] }]);
+
+    const throughFactory = await client.stampTicketBatch(eventId, [{ ticketAddress, ticketIds: tokenIds[nonStamper] }, { ticketAddress: secondTier, ticketIds: [1] }], { from: stamper });
+    assert.deepEqual(throughFactory.badges.map(minted => [minted.holder, minted.ticketAddress]), [[nonStamper, ticketAddress], [owner, secondTier]]);
+
+    assert.deepEqual(await client.getBadgesOfEvent(eventId, { offset: 1, limit: 2 }), { items: [2, 3], total: 4 });
+    const attendance = await pagination.collect(client.attendanceOfEvent(eventId, { pageSize: 3 }));
+    assert.deepEqual(attendance.map(attended => attended.holder), [holder, friend, nonStamper, owner]);
+
+    // a removed stamper no longer stamps, so it no longer mints either
+    await client.removeStamper(eventId, stamper);
+    await truffleAssert.reverts(factory.stampTickets(eventId, [ticketAddress], [[1]], { from: stamper }), '019001');
+  });
+
+  it('should mint nothing for events without badges or after they were turned off', async () => {
+    const { eventId, ticketAddress, tokenIds } = await createEventFixture(factory, { owner: organizer, holders: [holder, friend], mint: 1, ticket: { price: 1000 } });
+    assert.deepEqual((await client.stampTicket(ticketAddress, tokenIds[holder][0])).badges, []);
+
+    // stamps while the badges were off are not made up for
+    await client.setEventBadge(eventId, { uri: badgeURI });
+    assert.isNull(await client.badgeOf(eventId, holder));
+    await client.setEventBadge(eventId, { enabled: false });
+    assert.deepEqual((await client.stampTickets(ticketAddress, tokenIds[friend])).badges, []);
+    assert.deepEqual(await client.getBadgesOfEvent(eventId), { items: [], total: 0 });
+
+    // without a badge contract stamping goes on as before
+    await client.setAttendanceBadge(ZERO_ADDRESS, { from: owner });
+    const { ticketAddress: other, tokenIds: otherIds } = await createEventFixture(factory, { owner: organizer, holders: [holder], mint: 1, ticket: { price: 1000 } });
+    assert.deepEqual((await client.stampTicket(other, otherIds[holder][0])).badges, []);
+    await expectError(client.attendanceBadge(), errors.NotExistsError);
+  });
+
+  it('should list the attendance of a holder across events', async () => {
+    const first = await eventWithBadges({ holders: [holder], mint: 1 });
+    const second = await eventWithBadges({ holders: [holder, friend], mint: 1 });
+    await client.stampTicket(second.ticketAddress, second.tokenIds[holder][0]);
+    await client.stampTicket(first.ticketAddress, first.tokenIds[holder][0]);
+    await client.stampTicket(second.ticketAddress, second.tokenIds[friend][0]);
+
+    assert.deepEqual(await client.getBadgesOfHolder(holder, { limit: 1 }), { items: [1], total: 2 });
+    const attended = await pagination.collect(client.attendanceOfHolder(holder, { pageSize: 1 }));
+    assert.deepEqual(attended.map(attendedBadge => attendedBadge.eventId.toString()), [second.eventId, first.eventId].map(String));
+    assert.deepEqual(await pagination.collect(client.attendanceOfHolder(nonStamper)), []);
+
+    const api = new TketsApi({ client });
+    const byHolder = await api.route('GET', '/holders/' + holder + '/attendance');
+    assert.deepEqual(byHolder.map(attendedBadge => [attendedBadge.badgeId, attendedBadge.eventId]), [[1, second.eventId.toString()], [2, first.eventId.toString()]]);
+    const byEvent = await api.route('GET', '/events/' + second.eventId.toString() + '/attendance');
+    assert.deepEqual(byEvent.map(attendedBadge => attendedBadge.holder), [holder, friend]);
+  });
+
+  it('should only take badge mints from the tickets of the factory and the badge contract from admins', async () => {
+    const { eventId } = await eventWithBadges();
+    await truffleAssert.reverts(badge.mintBadge(holder, 1, { from: organizer }));
+    await expectError(client.setAttendanceBadge(ZERO_ADDRESS, { from: organizer }), errors.UnauthorizedError);
+    assert.deepEqual(await client.getBadgesOfEvent(eventId), { items: [], total: 0 });
+    await truffleAssert.reverts(badge.tokenURI(1), '019005');
+  });
+});
@@ -0,0 +1,119 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+const AttendanceBadge = artifacts.require("AttendanceBadge");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { TketsClient, GasBenchmark, GasBaseline, benchmark } = require('../lib');
+const { isolateTests } = require('./helpers');
+
+contract('Gas benchmark', (accounts) => {
+
+  let organizer   = accounts[0];
+  let holder      = accounts[1];
+  let buyer       = accounts[2];
+
+  var client;
+  var dir;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, AttendanceBadge, from: organizer });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tkets-benchmark-'));
+  });
+
+  isolateTests();
+
+  const measured = (results, name, size) => results.find(result => result.name === name && result.size === size);
+
+  it('should measure every function for each size of its parameter', async () => {
+    const gasBenchmark = new GasBenchmark({ client, holder, buyer, sizes: { tickets: [1, 3], tiers: [1, 2] } });
+    const results = await gasBenchmark.run();
+
+    const sized = benchmark.SCENARIOS.filter(scenario => scenario.size).length;
+    assert.equal(results.length, benchmark.SCENARIOS.length + sized);
+    results.forEach(result => assert.isAbove(result.gasUsed, 0, result.name + ' ' + result.error));
+
+    // the loops cost per ticket, the rest of the transaction only once
+    const mintOne = measured(results, 'Ticket.mintTicket', 1).gasUsed;
+    const mintThree = measured(results, 'Ticket.mintTicket', 3).gasUsed;
+    assert.isAbove(mintThree, mintOne);
+    assert.isBelow(mintThree / 3, mintOne);
+    assert.isAbove(measured(results, 'Ticket.refundAll', 3).gasUsed, measured(results, 'Ticket.refundAll', 1).gasUsed);
+    assert.deepInclude(measured(results, 'EventFactory.createTicket', 2), { parameter: 'tiers', transactions: 2 });
+    assert.deepInclude(measured(results, 'Ticket.withdrawBalance', 1), { parameter: null, transactions: 1 });
+    assert.isAbove(measured(results, 'AttendanceBadge.mintBadge', 1).gasUsed, measured(results, 'Ticket.stampTicket', 1).gasUsed);
+
+    const only = await gasBenchmark.run({ only: ['Ticket.stampTicket'] });
+    assert.deepEqual(only.map(result => result.name), ['Ticket.stampTicket']);
+  });
+
+  it('a measurement that fails should be reported without stopping the benchmark', async () => {
+    const scenarios = [
+      { name: 'Broken.cancelEvent', run: async () => [(await client.cancelEvent(1)).tx] },
+      benchmark.SCENARIOS.find(scenario => scenario.name === 'EventFactory.createEvent')
+    ];
+    const results = await new GasBenchmark({ client, scenarios }).run();
+    assert.deepInclude(results[0], { name: 'Broken.cancelEvent', parameter: null, size: 1, gasUsed: null });
+    assert.include(results[0].error, '019001');
+    assert.isAbove(results[1].gasUsed, 0);
+  });
+
+  const results = [
+    { name: 'Ticket.mintTicket', parameter: 'tickets', size: 1, gasUsed: 100000 },
+    { name: 'Ticket.mintTicket', parameter: 'tickets', size: 10, gasUsed: 500000 },
+    { name: 'Ticket.mintTicket', parameter: 'tickets', size: 100, gasUsed: null, error: 'out of gas' },
+    { name: 'Ticket.refundAll', parameter: 'tickets', size: 100, gasUsed: null, error: 'out of gas' },
+    { name: 'Ticket.withdrawBalance', parameter: null, size: 1, gasUsed: 40000 }
+  ];
+
+  it('the baseline should flag the functions that use more gas than the threshold allows', async () => {
+    const baselinePath = path.join(dir, 'gas-baseline.json');
+    new GasBaseline({ path: baselinePath }).load().update(results, { network: 'ganache', blockGasLimit: 6721975 });
+    const baseline = new GasBaseline({ path: baselinePath }).load();
+    assert.equal(baseline.get('Ticket.mintTicket', 10), 500000);
+    assert.isNull(baseline.get('Ticket.mintTicket', 100));
+    assert.isUndefined(baseline.get('Ticket.buyTicket', 1));
+    assert.deepEqual(baseline.data.measuredOn, { network: 'ganache', blockGasLimit: 6721975 });
+
+    const comparison = baseline.compare([
+      { name: 'Ticket.mintTicket', size: 1, gasUsed: 104000 },
+      { name: 'Ticket.mintTicket', size: 10, gasUsed: 530000 },
+      { name: 'Ticket.mintTicket', size: 100, gasUsed: 4000000 },
+      { name: 'Ticket.refundAll', size: 100, gasUsed: null, error: 'out of gas' },
+      { name: 'Ticket.withdrawBalance', size: 1, gasUsed: null, error: 'revert' },
+      { name: 'Ticket.buyTicket', size: 1, gasUsed: 90000 }
+    ]);
+    const keys = (entries) => entries.map(entry => entry.name + ':' + entry.size);
+    assert.deepEqual(keys(comparison.regressions), ['Ticket.mintTicket:10', 'Ticket.withdrawBalance:1']);
+    assert.equal(comparison.regressions[0].change, 6);
+    assert.equal(comparison.regressions[1].error, 'revert');
+    assert.deepEqual(keys(comparison.improvements), ['Ticket.mintTicket:100']);
+    assert.deepEqual(keys(comparison.unchanged), ['Ticket.mintTicket:1', 'Ticket.refundAll:100']);
+    assert.deepEqual(keys(comparison.added), ['Ticket.buyTicket:1']);
+
+    // a larger threshold lets the same change pass
+    assert.deepEqual(keys(baseline.compare([{ name: 'Ticket.mintTicket', size: 10, gasUsed: 530000 }], { threshold: 10 }).unchanged), ['Ticket.mintTicket:10']);
+  });
+
+  it('the report should price the gas and list the regressions', async () => {
+    const baseline = new GasBaseline({ path: null });
+    baseline.data.gas = { 'Ticket.mintTicket': { 1: 80000, 10: 500000 } };
+    const comparison = baseline.compare(results);
+    const report = benchmark.createReport({ results, comparison, threshold: 5, network: 'ganache' });
+    assert.equal(report.gasPrice, benchmark.DEFAULT_GAS_PRICE);
+    assert.equal(report.results[0].cost, '400000000000000000');
+    assert.isNull(report.results[2].cost);
+
+    const out = path.join(dir, 'gas-report');
+    benchmark.writeReport(report, out);
+    assert.deepEqual(JSON.parse(fs.readFileSync(out + '.json', 'utf8')).comparison, JSON.parse(JSON.stringify(comparison)));
+    const markdown = fs.readFileSync(out + '.md', 'utf8');
+    assert.include(markdown, 'Cost at a gas price of 4000 gwei on ganache');
+    assert.include(markdown, '| Ticket.mintTicket | 1 tickets | 100000 | 100000 | 0.4 | 80000 | +25% |');
+    assert.include(markdown, '| Ticket.mintTicket | 10 tickets | 500000 | 50000 | 2 | 500000 | 0% |');
+    assert.include(markdown, '| Ticket.mintTicket | 100 tickets | failed: out of gas |  |  |  | new |');
+    assert.include(markdown, '| Ticket.withdrawBalance |  | 40000 |  | 0.16 |  | new |');
+    assert.include(markdown, '## Regressions over 5%\n\n- Ticket.mintTicket (1): 80000 -> 100000 gas, +25%');
+  });
+});
@@ -0,0 +1,144 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+const AttendanceBadge = artifacts.require("AttendanceBadge");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { TketsClient, cli, networks, events } = require('../lib');
+const { getCurrentBlockTimestamp, increaseTime } = require('./helpers');
+
+contract('tkets CLI', (accounts) => {
+
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let stamper     = accounts[1];
+  let newOwner    = accounts[2];
+
+  var client;
+  var eventIdHex;
+  var ticketAddress;
+
+  const tkets = async (...argv) => {
+    const output = [];
+    const code = await cli.run(argv, { client, log: line => output.push(line) });
+    return { code, output: output.join('\n') };
+  }
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, AttendanceBadge, from: owner });
+  });
+
+  it('create-event should print the new event ID in hex', async () => {
+    const now = await getCurrentBlockTimestamp();
+    const { code, output } = await tkets('create-event', '--start', String(now), '--end', new Date((now + 100) * 1000).toISOString());
+    assert.equal(code, 0, output);
+
+    eventIdHex = /Event created: (0x[0-9a-f]+)/.exec(output)[1];
+    const eventFactoryInstance = await EventFactory.deployed();
+    assert.equal(await eventFactoryInstance.eventToOwner(eventIdHex), owner);
+  });
+
+  it('create-ticket should print the ticket contract address from TicketCreate', async () => {
+    const now = await getCurrentBlockTimestamp();
+    const { code, output } = await tkets('create-ticket', '--event', eventIdHex, '--uri', 'ipfs://tier', '--uri-hash', uriHash, '--max', '5', '--price', '1000', '--sale-start', String(now), '--sale-end', String(now + 50), '--donations');
+    assert.equal(code, 0, output);
+
+    ticketAddress = /Ticket created: (0x[0-9a-fA-F]{40})/.exec(output)[1];
+    const ticketInstance = await Ticket.at(ticketAddress);
+    assert.equal((await ticketInstance.eventId()).toString(16), eventIdHex.slice(2));
+    assert.equal((await ticketInstance.metadata()).acceptDonations, true);
+  });
+
+  it('--dry-run should estimate gas without sending the transaction', async () => {
+    const { code, output } = await tkets('cancel-event', '--event', eventIdHex, '--dry-run');
+    assert.equal(code, 0, output);
+    assert(/estimated gas: [0-9]+/.test(output), output);
+
+    const eventFactoryInstance = await EventFactory.deployed();
+    assert.equal(await eventFactoryInstance.eventToStatus(eventIdHex), false, "Dry run should not cancel the event!");
+  });
+
+  it('add-stamper and remove-stamper should manage the event stampers', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+
+    assert.equal((await tkets('add-stamper', '--event', eventIdHex, '--stamper', stamper)).code, 0);
+    assert.equal(await eventFactoryInstance.isStamperAuthorized(stamper, eventIdHex), true);
+
+    assert.equal((await tkets('remove-stamper', '--event', eventIdHex, '--stamper', stamper)).code, 0);
+    assert.equal(await eventFactoryInstance.isStamperAuthorized(stamper, eventIdHex), false);
+  });
+
+  it('set-event-badge should turn the attendance badges of the event on and off', async () => {
+    const { code, output } = await tkets('set-event-badge', '--event', eventIdHex, '--uri', 'ipfs://badge');
+    assert.equal(code, 0, output);
+    assert.deepEqual(await client.getEventBadge(events.parseEventId(eventIdHex)).then(badge => [badge.enabled, badge.uri]), [true, 'ipfs://badge']);
+
+    assert.equal((await tkets('set-event-badge', '--event', eventIdHex, '--disable')).code, 0);
+    assert.equal((await client.getEventBadge(events.parseEventId(eventIdHex))).enabled, false);
+    assert((await tkets('set-event-badge', '--event', eventIdHex)).output.includes('Missing --uri'));
+  });
+
+  it('set-tier-exchange should let holders exchange tickets for another tier of the event', async () => {
+    const eventId = events.parseEventId(eventIdHex);
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: vipAddress } = await client.createTicket(eventId, { uri: 'ipfs://vip', uriHash, maxTickets: 10, price: 2000, saleStart: now, saleEnd: now + 1000 });
+
+    const { code, output } = await tkets('set-tier-exchange', '--event', eventIdHex, '--from', ticketAddress, '--to', vipAddress);
+    assert.equal(code, 0, output);
+    assert(output.includes('Exchanges from ' + ticketAddress + ' to ' + vipAddress + ' enabled'), output);
+    assert.isTrue(await client.isTierExchangeEnabled(ticketAddress, vipAddress));
+
+    assert.equal((await tkets('set-tier-exchange', '--event', eventIdHex, '--from', ticketAddress, '--to', vipAddress, '--disable')).code, 0);
+    assert.isFalse(await client.isTierExchangeEnabled(ticketAddress, vipAddress));
+  });
+
+  it('withdraw should fail with the decoded reason before the event ended and succeed after', async () => {
+    await client.mintTicket(ticketAddress, 2, { from: stamper });
+
+    const early = await tkets('withdraw', '--ticket', ticketAddress, '--dry-run');
+    assert.equal(early.code, 1);
+    assert(early.output.includes('019007'), early.output);
+
+    await increaseTime(200);
+
+    const { code, output } = await tkets('withdraw', '--ticket', ticketAddress);
+    assert.equal(code, 0, output);
+    assert(output.includes('Withdrawn 2000 wei'), output);
+  });
+
+  it('transfer-ownership should hand the event to the new owner', async () => {
+    const { code } = await tkets('transfer-ownership', '--event', eventIdHex, '--to', newOwner);
+    assert.equal(code, 0);
+
+    const eventFactoryInstance = await EventFactory.deployed();
+    assert.equal(await eventFactoryInstance.eventToOwner(eventIdHex), newOwner);
+
+    const denied = await tkets('cancel-event', '--event', eventIdHex);
+    assert.equal(denied.code, 1);
+    assert(denied.output.includes('019001'), denied.output);
+  });
+
+  it('unknown commands and missing options should print usage or the missing option', async () => {
+    const unknown = await tkets('launch-rocket');
+    assert.equal(unknown.code, 1);
+    assert(unknown.output.includes('Usage: tkets'));
+
+    const missing = await tkets('create-event', '--start', '1');
+    assert.equal(missing.code, 1);
+    assert(missing.output.includes('Missing --end'));
+  });
+
+  it('resolveNetwork should read host and port networks from a truffle config', async () => {
+    const configPath = path.join(os.tmpdir(), 'tkets-truffle-config-' + process.pid + '.js');
+    fs.writeFileSync(configPath, "module.exports = { networks: { local: { host: '127.0.0.1', port: 7545, network_id: '*', gasPrice: 1000 } } };");
+
+    const network = networks.resolveNetwork('local', configPath);
+    assert.equal(network.provider.host, 'http://127.0.0.1:7545');
+    assert.equal(network.gasPrice, 1000);
+    assert.throws(() => networks.resolveNetwork('mainnet', configPath), /not found/);
+
+    fs.unlinkSync(configPath);
+  });
+
+});
@@ -0,0 +1,91 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const chai = require('chai');
+const BN = require('bn.js');
+const { TketsClient } = require('../lib');
+const { getCurrentBlockTimestamp, setCommissionRate } = require('./helpers');
+
+chai.use(require('chai-bn')(BN));
+chai.should()
+
+contract('TketsClient', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd.png"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let nonOwner    = accounts[1];
+  var client;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+  });
+
+  it('createEvent should return the new eventId and stored metadata', async () => {
+    const currentTimestamp = await getCurrentBlockTimestamp();
+
+    const created = await client.createEvent({ start: currentTimestamp + 60, end: currentTimestamp + 120 });
+
+    assert.equal(created.owner, owner, "Wrong event owner!");
+    assert.equal(created.timeStart, currentTimestamp + 60);
+    assert.equal(created.timeEnd, currentTimestamp + 120);
+
+    const stored = await client.getEvent(created.eventId);
+    stored.eventId.should.be.a.bignumber.that.equals(created.eventId);
+    assert.equal(stored.owner, owner);
+    assert.equal(stored.timeStart, created.timeStart);
+    assert.equal(stored.cancelled, false);
+  });
+
+  it('createTicket should return the ticket address and its metadata', async () => {
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    const { eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 });
+
+    const price = new BN('10000000000000000');
+    const created = await client.createTicket(eventId, { uri, uriHash, maxTickets: 10, price, saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000 });
+
+    created.eventId.should.be.a.bignumber.that.equals(eventId);
+    created.price.should.be.a.bignumber.that.equals(price);
+    assert.equal(created.maxTickets, 10);
+    assert.equal(created.uriHash, uriHash);
+    assert.equal(created.useTokenIDInURI, false);
+
+    const ticket = await client.getTicket(created.ticketAddress);
+    ticket.eventId.should.be.a.bignumber.that.equals(eventId);
+    assert.equal(ticket.sold, 0);
+  });
+
+  it('mintTicket should pay the commission and return the minted token IDs', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    await setCommissionRate(eventFactoryInstance, 250, {from: owner});
+
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    const { eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 });
+    const price = new BN('1000000');
+    const { ticketAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 10, price, saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000 });
+
+    const quote = await client.quoteTickets(ticketAddress, 3);
+    quote.should.be.a.bignumber.that.equals(new BN('1025000').muln(3));
+
+    const minted = await client.mintTicket(ticketAddress, 3, { from: nonOwner });
+    assert.equal(minted.holder, nonOwner);
+    assert.deepEqual(minted.tokenIds, [1, 2, 3]);
+
+    const minted2 = await client.mintTicket(ticketAddress, 2, { from: nonOwner });
+    assert.deepEqual(minted2.tokenIds, [4, 5]);
+
+    await eventFactoryInstance.setCommissionRate(0, {from: owner});
+  });
+
+  it('cancelEvent should mark the event as cancelled', async () => {
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    const { eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 });
+
+    const cancelled = await client.cancelEvent(eventId);
+    cancelled.eventId.should.be.a.bignumber.that.equals(eventId);
+
+    const stored = await client.getEvent(eventId);
+    assert.equal(stored.cancelled, true);
+  });
+
+});
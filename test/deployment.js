@@ -0,0 +1,187 @@
+const EventFactory = artifacts.require("EventFactory");
+const TicketDeployer = artifacts.require("TicketDeployer");
+const Forwarder = artifacts.require("Forwarder");
+const Ticket = artifacts.require("Ticket");
+const AttendanceBadge = artifacts.require("AttendanceBadge");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BN = require('bn.js');
+const { TketsClient, deployment, errors, cli } = require('../lib');
+const { FactoryMigration, AddressRegistry } = deployment;
+const { getCurrentBlockTimestamp, isolateTests, createEventFixture } = require('./helpers');
+
+contract('Deployment and factory migration', (accounts) => {
+
+  let owner       = accounts[0];
+  let organizer   = accounts[1];
+  let holder      = accounts[2];
+  let admin       = accounts[3];
+  let treasurer   = accounts[4];
+  let newOwner    = accounts[5];
+
+  const contracts = { EventFactory, TicketDeployer, Forwarder, Ticket, AttendanceBadge };
+
+  var client;
+  var dir;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tkets-deploy-'));
+  });
+
+  isolateTests();
+
+  const deployFactory = async (networkConfig = {}) => {
+    const config = deployment.resolveDeployConfig({ defaults: { commissionRate: 0 }, networks: { local: networkConfig } }, 'local');
+    const deployed = await deployment.deployTkets(contracts, config, { from: owner });
+    return Object.assign(deployed, { config, client: new TketsClient({ factory: deployed.factory, Ticket, from: owner }) });
+  }
+
+  it('should deploy and initialize a factory from the config of the network', async () => {
+    const deployed = await deployFactory({ commissionRate: 250, roles: { admin: [admin], treasurer: [treasurer, owner] }, owner: newOwner, record: true });
+    const factory = deployed.factory;
+    assert.equal((await factory.commissionRate()).toString(), '250');
+    assert.equal(await factory.trustedForwarder(), deployed.forwarder.address);
+    assert.equal(await factory.attendanceBadge(), deployed.attendanceBadge.address);
+    assert.equal(await deployed.attendanceBadge.factory(), factory.address);
+    assert.isTrue(await factory.hasRole(await factory.ADMIN_ROLE(), admin));
+    assert.isTrue(await factory.hasRole(await factory.TREASURER_ROLE(), treasurer));
+    assert.equal(await factory.pendingTKETSOwner(), newOwner);
+    assert.equal(await factory.TKETSOwner(), owner);
+
+    // initializing again sends nothing
+    const again = await deployment.initializeFactory(deployed.client, deployed.config);
+    assert.deepEqual(again, { granted: [], pendingOwner: newOwner });
+
+    // tickets of the new factory trust the forwarder it was deployed with, the existing one can be reused
+    const reused = await deployFactory({ forwarder: deployed.forwarder.address });
+    assert.equal(await reused.factory.trustedForwarder(), deployed.forwarder.address);
+    const { ticket } = await createEventFixture(reused.factory, { owner: organizer });
+    assert.isTrue(await ticket.isTrustedForwarder(deployed.forwarder.address));
+  });
+
+  it('should reject deployment configs that cannot be deployed', async () => {
+    const resolve = (networkConfig) => () => deployment.resolveDeployConfig({ networks: { local: networkConfig } }, 'local');
+    assert.throws(resolve({ commissionRate: 1001 }), errors.InvalidInputError);
+    assert.throws(resolve({ commissionRate: 1.5 }), errors.InvalidInputError);
+    assert.throws(resolve({ owner: '0x1234' }), errors.InvalidInputError);
+    assert.throws(resolve({ roles: { auditor: [admin] } }), errors.InvalidInputError);
+    assert.deepEqual(deployment.resolveDeployConfig({}, 'other'), { commissionRate: 0, forwarder: null, roles: {}, owner: null, record: false, network: 'other' });
+    assert.deepEqual(deployment.resolveDeployConfig({ networks: { local: { roles: { MIGRATOR_ROLE: [admin] } } } }, 'local').roles, { MIGRATOR_ROLE: [admin] });
+  });
+
+  it('the registry should keep the addresses per network and the deployments they replace', async () => {
+    const registryPath = path.join(dir, 'deployments.json');
+    const first = await deployFactory();
+    const second = await deployFactory();
+    const registry = new AddressRegistry({ path: registryPath }).load();
+    deployment.recordDeployment(registry, 'local', first);
+    deployment.recordDeployment(registry, 'local', second);
+
+    const loaded = new AddressRegistry({ path: registryPath }).load();
+    assert.equal(loaded.getAddress('local', 'EventFactory'), second.factory.address);
+    assert.equal(loaded.get('local').blockNumber, second.blockNumber);
+    assert.equal(loaded.get('local').previous[0].contracts.EventFactory, first.factory.address);
+    assert.equal(loaded.findByNetworkId(await web3.eth.net.getId()).network, 'local');
+    assert.isUndefined(loaded.findByNetworkId(1));
+    assert.throws(() => loaded.getAddress('theta_mainnet', 'EventFactory'), errors.NotExistsError);
+  });
+
+  // on the factory of the migrations: an event with two tiers, one moved to the organizer and a cancelled one
+  const oldFactoryFixture = async () => {
+    const startBlock = await web3.eth.getBlockNumber();
+    const first = await createEventFixture(client.factory, { owner, holders: [holder], mint: 2, ticket: { price: 1000 } });
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: secondTier } = await client.createTicket(first.eventId, { uri: 'ipfs://tier', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price: new BN(1000), saleStart: now, saleEnd: now + 1000 });
+    const moved = await createEventFixture(client.factory, { owner });
+    await client.transferOwnership(moved.eventId, organizer);
+    const cancelled = await createEventFixture(client.factory, { owner });
+    await client.cancelEvent(cancelled.eventId);
+    return { startBlock, first, secondTier, moved, cancelled };
+  }
+
+  it('should replay the events and tickets of an old factory onto a new one and verify the result', async () => {
+    const { startBlock, first, secondTier, moved, cancelled } = await oldFactoryFixture();
+    const target = (await deployFactory()).client;
+    const migration = new FactoryMigration({ source: client, target, startBlock, batchSize: 3 });
+
+    const plan = await migration.plan();
+    assert.deepEqual(plan.map(event => event.eventId.toString()), [first.eventId, moved.eventId, cancelled.eventId].map(String));
+    assert.deepEqual(plan[0].tickets, [{ ticketAddress: first.ticketAddress, create: true }, { ticketAddress: secondTier, create: true }]);
+    assert.equal(plan[1].owner, organizer);
+    assert.isTrue(plan[2].cancelled);
+
+    const migrated = await migration.run();
+    assert.include(migrated, { events: 3, tickets: 4 });
+    const verified = await migration.verify();
+    assert.deepEqual(verified.discrepancies, []);
+    assert.include(verified, { events: 3, tickets: 4 });
+    assert.equal(verified.warnings.length, 1);
+
+    assert.equal(await target.factory.eventToOwner(moved.eventId), organizer);
+    assert.deepEqual((await target.getTicketsOfEvent(first.eventId)).items, [first.ticketAddress, secondTier]);
+    assert.deepEqual((await target.getEventsOfOwner(organizer)).items.map(String), [moved.eventId.toString()]);
+    // the tickets keep their holders and go on working with the old factory
+    assert.equal(await first.ticket.ownerOf(1), holder);
+    await client.mintTicket(first.ticketAddress, 1, { from: holder });
+
+    assert.deepEqual(await migration.run(), { events: 0, tickets: 0, txs: [] });
+
+    // nodes differ in the case of the addresses they return
+    const lowercaseFactory = Object.assign(Object.create(client.factory), { eventToOwner: async (eventId) => (await client.factory.eventToOwner(eventId)).toLowerCase() });
+    const lowercaseSource = Object.assign(Object.create(client), { factory: lowercaseFactory });
+    assert.deepEqual((await new FactoryMigration({ source: lowercaseSource, target, startBlock }).verify()).discrepancies, []);
+
+    // changes on the old factory after the migration show up in the verification
+    await client.transferOwnership(first.eventId, organizer);
+    const stale = await migration.verify();
+    assert.deepEqual(stale.discrepancies.map(discrepancy => discrepancy.type), [FactoryMigration.MIGRATION_DISCREPANCIES.OWNER_MISMATCH]);
+  });
+
+  it('the verification should report what an interrupted migration has not moved yet', async () => {
+    const { startBlock, first, secondTier } = await oldFactoryFixture();
+    const target = (await deployFactory()).client;
+    await target.forceCreateEvent(first.eventId, owner, { start: 0, end: 1 });
+    await target.forceCreateTicket(first.eventId, first.ticketAddress);
+
+    const migration = new FactoryMigration({ source: client, target, startBlock });
+    const { discrepancies } = await migration.verify();
+    const types = FactoryMigration.MIGRATION_DISCREPANCIES;
+    assert.deepEqual(discrepancies.map(discrepancy => [discrepancy.type, discrepancy.ticketAddress]), [[types.TIME_MISMATCH, null], [types.MISSING_TICKET, secondTier], [types.MISSING_EVENT, null], [types.MISSING_EVENT, null]]);
+
+    // resuming creates the rest, the event that was created with the wrong times is left as it is
+    assert.include(await migration.run(), { events: 2, tickets: 3 });
+    assert.deepEqual((await migration.verify()).discrepancies.map(discrepancy => discrepancy.type), [types.TIME_MISMATCH]);
+  });
+
+  it('tkets-admin migrate-factory should plan, migrate and verify', async () => {
+    const { startBlock, first } = await oldFactoryFixture();
+    const target = (await deployFactory()).client;
+    const tketsAdmin = async (...argv) => {
+      const output = [];
+      const code = await cli.run(argv, { client: target, log: line => output.push(line), commands: cli.ADMIN_COMMANDS, name: 'tkets-admin' });
+      return { code, output: output.join('\n') };
+    }
+
+    const dryRun = await tketsAdmin('migrate-factory', '--source', client.factory.address, '--start-block', String(startBlock), '--dry-run');
+    assert.equal(dryRun.code, 0, dryRun.output);
+    assert.include(dryRun.output, '3 of 3 events and 4 ticket contracts to create');
+    assert.equal((await target.factory.currentEventCount()).toNumber(), 0);
+
+    const migrated = await tketsAdmin('migrate-factory', '--source', client.factory.address, '--start-block', String(startBlock));
+    assert.equal(migrated.code, 0, migrated.output);
+    assert.include(migrated.output, 'Created 3 events and 4 ticket contracts, 3 events and 4 ticket contracts verified');
+    assert.include(migrated.output, 'warning: Event');
+    assert.isTrue(await target.factory.isEventTicket(first.eventId, first.ticketAddress));
+
+    // without the migrator role nothing can be created
+    const other = (await deployFactory()).client;
+    other.from = organizer;
+    const output = [];
+    const code = await cli.run(['migrate-factory', '--source', client.factory.address, '--start-block', String(startBlock)], { client: other, log: line => output.push(line), commands: cli.ADMIN_COMMANDS });
+    assert.equal(code, 1);
+    assert.include(output.join('\n'), '019001');
+  });
+});
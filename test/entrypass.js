@@ -0,0 +1,178 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const chai = require('chai');
+const BN = require('bn.js');
+const { TketsClient, entrypass, errors } = require('../lib');
+const { getCurrentBlockTimestamp, signTypedData } = require('./helpers');
+
+chai.use(require('chai-bn')(BN));
+chai.should()
+
+contract('entrypass', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd.png"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let nonOwner    = accounts[1];
+
+  // test wallet #1 from truffle-config.js
+  const walletKey = '0x1111111111111111111111111111111111111111111111111111111111111111';
+  const walletAddress = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+
+  var client;
+  var eventId;
+  var ticketAddress;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    ({ eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 }));
+    ({ ticketAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 10, price: new BN('1000'), saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000 }));
+    await client.mintTicket(ticketAddress, 3, { from: nonOwner });
+
+    const ticketInstance = await Ticket.at(ticketAddress);
+    await ticketInstance.transferFrom(nonOwner, walletAddress, 3, {from: nonOwner});
+  });
+
+  it('encodeMsg should match EventFactory.encodeMsg', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    const latestTimestamp = await getCurrentBlockTimestamp();
+
+    const cases = [
+      { eventId, holder: nonOwner, ticket: ticketAddress, ticketId: 1, timestamp: latestTimestamp },
+      { eventId: '0x' + eventId.toString(16), holder: walletAddress, ticket: ticketAddress, ticketId: 3, timestamp: 0 },
+      { eventId: '1', holder: owner, ticket: nonOwner, ticketId: new BN('123456789012345678901234567890'), timestamp: 2 ** 40 }
+    ];
+
+    for (const fields of cases) {
+      const onChain = await eventFactoryInstance.encodeMsg(fields.eventId, fields.holder, fields.ticket, fields.ticketId, fields.timestamp);
+      assert.equal(entrypass.encodeMsg(fields), onChain, "Message encoding differs from the contract!");
+    }
+  });
+
+  it('a pass signed with the holder key should survive the QR round trip and pass validateTicket', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    const latestTimestamp = await getCurrentBlockTimestamp();
+
+    const pass = await entrypass.signEntryPass({ eventId, holder: walletAddress, ticket: ticketAddress, ticketId: 3, timestamp: latestTimestamp }, walletKey);
+    assert(entrypass.verifyEntryPass(pass), "Pass should be signed by the holder!");
+
+    const payload = entrypass.encodeEntryPass(pass);
+    assert(payload.startsWith(entrypass.PAYLOAD_PREFIX));
+
+    const decoded = entrypass.decodeEntryPass(payload);
+    decoded.eventId.should.be.a.bignumber.that.equals(eventId);
+    assert.equal(decoded.holder, walletAddress);
+    assert.equal(decoded.ticket, ticketAddress);
+    assert.equal(decoded.ticketId, 3);
+    assert.equal(decoded.timestamp, latestTimestamp);
+    assert.deepEqual([decoded.v, decoded.r, decoded.s], [pass.v, pass.r, pass.s]);
+
+    const validated = await eventFactoryInstance.validateTicket(decoded.eventId, decoded.holder, decoded.ticket, decoded.ticketId, decoded.timestamp, decoded.v, decoded.r, decoded.s);
+    assert(validated, "Ticket should be marked as valid based on signature!");
+  });
+
+  it('a pass signed through eth_sign should pass validateTicket', async () => {
+    const latestTimestamp = await getCurrentBlockTimestamp();
+
+    const pass = await entrypass.signEntryPass({ eventId, holder: nonOwner, ticket: ticketAddress, ticketId: 1, timestamp: latestTimestamp }, msg => web3.eth.sign(msg, nonOwner));
+    const decoded = entrypass.decodeEntryPass(entrypass.encodeEntryPass(pass));
+
+    assert(await client.validateTicket(decoded), "Ticket should be marked as valid based on signature!");
+  });
+
+  it('hashEntryPass should match EventFactory.hashEntryPass for the domain of the factory', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    const domain = await client.entryPassDomain();
+    assert.equal(domain.name, 'TKETS');
+    assert.equal(domain.verifyingContract, eventFactoryInstance.address);
+
+    const fields = { eventId, holder: walletAddress, ticket: ticketAddress, ticketId: 3, timestamp: 1000, nonce: entrypass.createNonce() };
+    const onChain = await eventFactoryInstance.hashEntryPass([eventId.toString(), walletAddress, ticketAddress, 3, 1000, fields.nonce]);
+    assert.equal(entrypass.hashEntryPass(fields, domain), onChain, "Typed data hash differs from the contract!");
+    assert.notEqual(entrypass.hashEntryPass(fields, Object.assign({}, domain, { chainId: domain.chainId + 1 })), onChain);
+    assert.throws(() => entrypass.hashEntryPass(fields), errors.InvalidInputError);
+
+    const typedData = entrypass.entryPassTypedData(fields, domain);
+    assert.equal(typedData.primaryType, 'EntryPass');
+    assert.equal(typedData.message.eventId, eventId.toString());
+    assert.equal(typedData.message.ticket, ticketAddress);
+  });
+
+  it('an EIP-712 pass should survive the QR round trip with its nonce and pass validateEntryPass', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    const domain = await client.entryPassDomain();
+    const latestTimestamp = await getCurrentBlockTimestamp();
+    const nonce = entrypass.createNonce();
+
+    const pass = await entrypass.signTypedEntryPass({ eventId, holder: walletAddress, ticket: ticketAddress, ticketId: 3, timestamp: latestTimestamp, nonce }, walletKey, domain);
+    assert(entrypass.verifyEntryPass(pass, domain), "Pass should be signed by the holder!");
+    assert.isFalse(entrypass.verifyEntryPass(Object.assign({}, pass, { nonce: entrypass.createNonce() }), domain), "Pass should be bound to its nonce!");
+
+    const payload = entrypass.encodeEntryPass(pass);
+    const decoded = entrypass.decodeEntryPass(payload);
+    assert.equal(decoded.nonce, nonce);
+    assert.equal(decoded.ticketId, 3);
+
+    const validated = await eventFactoryInstance.validateEntryPass([decoded.eventId.toString(), decoded.holder, decoded.ticket, decoded.ticketId, decoded.timestamp, decoded.nonce], decoded.v, decoded.r, decoded.s);
+    assert(validated, "Ticket should be marked as valid based on signature!");
+    assert(await client.validateTicket(decoded));
+  });
+
+  it('an EIP-712 pass signed by the wallet should pass, a pass with a swapped nonce should not', async () => {
+    const domain = await client.entryPassDomain();
+    const latestTimestamp = await getCurrentBlockTimestamp();
+
+    const pass = await entrypass.signTypedEntryPass({ eventId, holder: nonOwner, ticket: ticketAddress, ticketId: 1, timestamp: latestTimestamp, nonce: entrypass.createNonce() }, signTypedData(nonOwner), domain);
+    assert(await client.validateTicket(entrypass.decodeEntryPass(entrypass.encodeEntryPass(pass))));
+
+    let error;
+    try {
+      await client.validateTicket(Object.assign({}, pass, { nonce: entrypass.createNonce() }));
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, errors.InvalidTicketError);
+    assert.equal(error.reason, errors.INVALID_TICKET_REASONS.INVALID_SIGNATURE);
+  });
+
+  it('legacy passes should still be encoded as version 1 without a nonce', async () => {
+    const pass = await entrypass.signEntryPass({ eventId, holder: walletAddress, ticket: ticketAddress, ticketId: 3, timestamp: 1000 }, walletKey);
+    const decoded = entrypass.decodeEntryPass(entrypass.encodeEntryPass(pass));
+    assert.isUndefined(decoded.nonce);
+    assert(entrypass.verifyEntryPass(decoded));
+
+    const data = Buffer.from(entrypass.encodeEntryPass(pass).slice(entrypass.PAYLOAD_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    assert.equal(data[0], entrypass.LEGACY_PAYLOAD_VERSION);
+  });
+
+  it('decodeEntryPass should reject foreign, tampered and unknown version payloads', async () => {
+    const pass = await entrypass.signEntryPass({ eventId, holder: walletAddress, ticket: ticketAddress, ticketId: 3, timestamp: 1000 }, walletKey);
+    const payload = entrypass.encodeEntryPass(pass);
+
+    const expectInvalid = (text) => {
+      assert.throws(() => entrypass.decodeEntryPass(text), errors.InvalidPayloadError);
+    }
+
+    expectInvalid('https://tkets.io');
+    expectInvalid(payload.slice(0, -4));
+
+    const data = Buffer.from(payload.slice(entrypass.PAYLOAD_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    const reencode = (buffer) => entrypass.PAYLOAD_PREFIX + buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    const tampered = Buffer.from(data);
+    tampered[100] ^= 1;
+    expectInvalid(reencode(tampered));
+
+    const wrongVersion = Buffer.from(data);
+    wrongVersion[0] = 2;
+    expectInvalid(reencode(wrongVersion));
+
+    // a valid checksum over fields that do not fit a number
+    expectInvalid(entrypass.encodeEntryPass(Object.assign({}, pass, { ticketId: '0x' + 'ff'.repeat(32) })));
+    expectInvalid(entrypass.encodeEntryPass(Object.assign({}, pass, { timestamp: '0x20000000000000' })));
+  });
+
+});
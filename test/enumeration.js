@@ -0,0 +1,121 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, pagination, errors } = require('../lib');
+const { getCurrentBlockTimestamp, isolateTests, createEventFixture } = require('./helpers');
+
+contract('Enumeration', (accounts) => {
+
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let friend      = accounts[2];
+  let newOwner    = accounts[3];
+  let stampers    = accounts.slice(4, 9);
+
+  const price = new BN('1000');
+
+  var client;
+  var factory;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  const addTier = async (eventId) => {
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress } = await client.createTicket(eventId, { uri: 'ipfs://tier', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price, saleStart: now, saleEnd: now + 1000 });
+    return ticketAddress;
+  }
+
+  it('should page through the tiers and stampers of an event', async () => {
+    const { eventId, ticketAddress } = await createEventFixture(factory, { owner });
+    const tiers = [ticketAddress, await addTier(eventId), await addTier(eventId)];
+
+    const first = await client.getTicketsOfEvent(eventId, { offset: 0, limit: 2 });
+    assert.deepEqual(first, { items: tiers.slice(0, 2), total: 3 });
+    assert.deepEqual(await client.getTicketsOfEvent(eventId, { offset: 2, limit: 2 }), { items: tiers.slice(2), total: 3 });
+    assert.deepEqual(await client.getTicketsOfEvent(eventId, { offset: 5, limit: 2 }), { items: [], total: 3 });
+    assert.deepEqual(await pagination.collect(client.ticketsOfEvent(eventId, { pageSize: 2 })), tiers);
+
+    for (const stamper of stampers) {
+      await client.addStamper(eventId, stamper);
+    }
+    await client.removeStamper(eventId, stampers[1]);
+    const listed = await pagination.collect(client.stampersOfEvent(eventId, { pageSize: 2 }));
+    assert.sameMembers(listed, stampers.filter(stamper => stamper !== stampers[1]));
+    assert.equal((await client.getStampersOfEvent(eventId, { limit: 0 })).total, 4);
+  });
+
+  it('should list the events of each owner through transfers and forced creation', async () => {
+    const { eventId: firstId } = await createEventFixture(factory, { owner: newOwner });
+    const { eventId: secondId } = await createEventFixture(factory, { owner: newOwner });
+    assert.deepEqual((await pagination.collect(client.eventsOfOwner(newOwner))).map(String), [firstId, secondId].map(String));
+
+    await client.transferOwnership(firstId, friend, { from: newOwner });
+    assert.deepEqual((await client.getEventsOfOwner(newOwner)).items.map(String), [secondId.toString()]);
+    assert.deepEqual((await client.getEventsOfOwner(friend)).items.map(String), [firstId.toString()]);
+
+    const now = await getCurrentBlockTimestamp();
+    await factory.forceCreateEvent(1234, friend, [now, now + 100], { from: owner });
+    assert.deepEqual((await pagination.collect(client.eventsOfOwner(friend, { pageSize: 1 }))).map(String), [firstId.toString(), '1234']);
+  });
+
+  it('should keep the ticket contracts of each holder through mints, transfers and burns', async () => {
+    const { eventId, ticketAddress, ticket } = await createEventFixture(factory, { owner, ticket: { price } });
+    const otherAddress = await addTier(eventId);
+    const holdings = async (address) => pagination.collect(client.ticketContractsOfHolder(address));
+
+    await client.mintTicket(ticketAddress, 2, { from: holder });
+    await client.mintTicket(otherAddress, 1, { from: holder });
+    assert.deepEqual(await holdings(holder), [ticketAddress, otherAddress]);
+
+    // moving one of two tickets, and moving a ticket to its own holder, keep the holder listed
+    await ticket.transferFrom(holder, friend, 1, { from: holder });
+    await ticket.transferFrom(holder, holder, 2, { from: holder });
+    assert.sameMembers(await holdings(holder), [ticketAddress, otherAddress]);
+    assert.deepEqual(await holdings(friend), [ticketAddress]);
+
+    await ticket.transferFrom(holder, friend, 2, { from: holder });
+    assert.deepEqual(await holdings(holder), [otherAddress]);
+
+    await client.cancelEvent(eventId);
+    await client.refundAll(ticketAddress, { from: friend });
+    assert.deepEqual(await holdings(friend), []);
+    assert.equal((await client.getTicketContractsOfHolder(holder)).total, 1);
+  });
+
+  it('only tickets of the factory should update the holder index', async () => {
+    await truffleAssert.reverts(factory.setTicketHolder(holder, true, { from: holder }));
+    await truffleAssert.reverts(factory.setTicketHolder(holder, true, { from: owner }));
+    assert.equal((await client.getTicketContractsOfHolder(holder)).total, 0);
+  });
+
+  it('iterators should read every page at the block of the first one', async () => {
+    const { eventId } = await createEventFixture(factory, { owner });
+    for (const stamper of stampers.slice(0, 3)) {
+      await client.addStamper(eventId, stamper);
+    }
+
+    const iterator = client.stampersOfEvent(eventId, { pageSize: 2 });
+    const seen = [(await iterator.next()).value];
+    // removing a member moves the last one into its place, a live second page would skip it
+    await client.removeStamper(eventId, stampers[0]);
+    for await (const stamper of iterator) {
+      seen.push(stamper);
+    }
+    assert.deepEqual(seen, stampers.slice(0, 3));
+
+    let error;
+    try {
+      await pagination.collect(client.stampersOfEvent(eventId, { pageSize: 0 }));
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, errors.InvalidInputError);
+  });
+});
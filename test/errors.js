@@ -0,0 +1,101 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const { TketsClient, errors } = require('../lib');
+const { getCurrentBlockTimestamp, getSignature } = require('./helpers');
+
+const expectError = async (promise, ErrorClass, reason) => {
+  try {
+    await promise;
+  } catch (err) {
+    assert(err instanceof ErrorClass, "Expected " + ErrorClass.name + " but got " + err.name + ": " + err.message);
+    if (reason !== undefined) {
+      assert.equal(err.reason, reason, "Wrong error reason!");
+    }
+    return err;
+  }
+  assert.fail("Expected " + ErrorClass.name + " to be thrown");
+}
+
+contract('errors', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd.png"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let nonOwner    = accounts[1];
+  var client;
+  var eventId;
+  var ticketAddress;
+  const price = new BN('100000');
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    ({ eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 }));
+    ({ ticketAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 5, price, saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000 }));
+    await client.mintTicket(ticketAddress, 2, { from: nonOwner });
+  });
+
+  const signPass = async (holder, ticketId, timestamp) => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    const msg = await eventFactoryInstance.encodeMsg(eventId, holder, ticketAddress, ticketId, timestamp);
+    const sig = await getSignature(msg, holder);
+    return { eventId, holder, ticketAddress, ticketId, timestamp, v: sig.v, r: sig.r, s: sig.s };
+  }
+
+  it('decodeError should map revert codes to typed errors', async () => {
+    const unauthorized = errors.decodeError({ reason: '019001' });
+    assert(unauthorized instanceof errors.UnauthorizedError);
+    assert.equal(unauthorized.code, errors.CODES.UNAUTHORIZED);
+
+    const saleError = errors.decodeError(new Error('Returned error: VM Exception while processing transaction: revert 019006'));
+    assert(saleError instanceof errors.TicketSaleError);
+
+    const reasonless = errors.decodeError(new Error('Returned error: VM Exception while processing transaction: revert'));
+    assert(reasonless instanceof errors.TketsError);
+    assert.equal(reasonless.reason, undefined);
+
+    const other = new Error('connection refused');
+    assert.equal(errors.decodeError(other), other, "Non revert errors should be returned untouched!");
+  });
+
+  it('contract reverts should surface as typed errors', async () => {
+    const currentTimestamp = await getCurrentBlockTimestamp();
+
+    await expectError(client.createTicket(eventId, { uri, uriHash, maxTickets: 5, price, saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000 }, { from: nonOwner }), errors.UnauthorizedError);
+    await expectError(client.cancelEvent(eventId, { from: nonOwner }), errors.UnauthorizedError);
+    await expectError(client.mintTicket(ticketAddress, 10, { from: nonOwner }), errors.TicketSaleError);
+  });
+
+  it('reason-less validateTicket reverts should be explained', async () => {
+    const latestTimestamp = await getCurrentBlockTimestamp();
+
+    const valid = await signPass(nonOwner, 1, latestTimestamp);
+    assert(await client.validateTicket(valid), "Ticket should be valid!");
+
+    const expired = await signPass(nonOwner, 1, latestTimestamp - 70);
+    await expectError(client.validateTicket(expired), errors.InvalidTicketError, errors.INVALID_TICKET_REASONS.SIGNATURE_EXPIRED);
+
+    const future = await signPass(nonOwner, 1, latestTimestamp + 30);
+    await expectError(client.validateTicket(future), errors.InvalidTicketError, errors.INVALID_TICKET_REASONS.SIGNATURE_NOT_YET_VALID);
+
+    const notHolder = await signPass(owner, 1, latestTimestamp);
+    await expectError(client.validateTicket(notHolder), errors.InvalidTicketError, errors.INVALID_TICKET_REASONS.NOT_HOLDER);
+
+    const forged = Object.assign(await signPass(owner, 1, latestTimestamp), { holder: nonOwner });
+    await expectError(client.validateTicket(forged), errors.InvalidTicketError, errors.INVALID_TICKET_REASONS.INVALID_SIGNATURE);
+
+    const notMinted = await signPass(nonOwner, 4, latestTimestamp);
+    await expectError(client.validateTicket(notMinted), errors.NotExistsError);
+  });
+
+  it('stampTicket should pre-flight unauthorized stampers and already stamped tickets', async () => {
+    await expectError(client.stampTicket(ticketAddress, 1, { from: nonOwner }), errors.UnauthorizedError);
+
+    await client.stampTicket(ticketAddress, 1);
+    await expectError(client.stampTicket(ticketAddress, 1), errors.AlreadyStampedError);
+  });
+
+});
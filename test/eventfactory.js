@@ -4,58 +4,45 @@ const Ticket = artifacts.require("Ticket");
 const chai = require('chai');
 const BN = require('bn.js');
 const truffleAssert = require('truffle-assertions');
+const { uri, uriHash, getCurrentBlockTimestamp, increaseTime, isolateTests, setCommissionRate, signTicket, createEventFixture, transactionFee } = require('./helpers');
 
 // Enable and inject BN dependency
 chai.use(require('chai-bn')(BN));
 chai.should()
 
-const getCurrentBlockTimestamp = async () => {
-  return web3.eth.getBlockNumber().then(blocknumber => web3.eth.getBlock(blocknumber)).then(result => { return result.timestamp });
-}
-
-const getSignature = async (_msg, _owner) => {
-  return web3.eth.sign(_msg, _owner).then(signature => {
-    var _r = signature.slice(0, 66);
-    var _s = "0x" + signature.slice(66, 130);
-    var _v = "0x" + signature.slice(130, 132);
-    _v = web3.utils.hexToNumber(_v);
-
-    return {r: _r, s: _s, v: _v};
-  });
-}
-
-const timeout = (ms) =>{
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-var testTicketStruct;
-
-var testTicketStruct2;
-
 contract('EventFactory', (accounts) => {
 
-  const uri = "https://www.testimguri.com/asdasd.png"
-  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
   let owner       = accounts[0];
   let nonOwner    = accounts[1];
-  var eventId;
-  var ticketAddress;
+  const numTicketsMinted = 7;
 
-  it('creating an event should emit EventCreate event and return metadata correctly', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
+  var eventFactoryInstance;
+
+  before(async () => {
+    eventFactoryInstance = await EventFactory.deployed();
     console.log("    INFO: EventFactory instance address: " + eventFactoryInstance.address);
+  });
+
+  // every test gets its own event and ticket, and the chain (and clock) is reset after it
+  isolateTests();
 
+  // event with one ticket tier of which nonOwner holds numTicketsMinted tickets, at 1 ether each
+  const soldOutFixture = ({ event, ticket } = {}) => {
+    return createEventFixture(eventFactoryInstance, { owner, holders: [nonOwner], mint: numTicketsMinted, event, ticket: Object.assign({ price: new BN('1000000000000000000') }, ticket) });
+  }
+
+  it('creating an event should emit EventCreate event and return metadata correctly', async () => {
     const currentTimestamp = await getCurrentBlockTimestamp();
 
     const testEventStruct = [
-      currentTimestamp + 60, 
+      currentTimestamp + 60,
       currentTimestamp + 65];
 
     const tx = await eventFactoryInstance.createEvent(testEventStruct, {from: owner});
 
     assert.equal(tx.logs.length, 1, "No EventCreate event emitted!");
 
-    eventId = tx.logs[0].args.eventId.valueOf();
+    const eventId = tx.logs[0].args.eventId.valueOf();
 
     console.log("    INFO: EventId: " + eventId.toString(16));
 
@@ -69,12 +56,13 @@ contract('EventFactory', (accounts) => {
   });
 
   it('creating a ticket should emit TicketCreate event and return metadata correctly', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    const tx = await eventFactoryInstance.createEvent([currentTimestamp, currentTimestamp + 10000], {from: owner});
+    const eventId = tx.logs[0].args.eventId.valueOf();
 
-    const currentTimestampForTestStruct = await getCurrentBlockTimestamp();
-    testTicketStruct = [10, new BN('10000000000000000000'), currentTimestampForTestStruct, currentTimestampForTestStruct + 1000000, false];
+    const testTicketStruct = [10, new BN('10000000000000000000'), currentTimestamp, currentTimestamp + 1000000, false];
 
-    const tx2 = await eventFactoryInstance.createTicket(eventId, uri, uriHash, testTicketStruct, {from: owner});
+    const tx2 = await eventFactoryInstance.createTicket(eventId, uri, uriHash, false, testTicketStruct, {from: owner});
 
     console.log("    INFO: Gas used for ticket creation: " + tx2.receipt.gasUsed);
 
@@ -83,7 +71,7 @@ contract('EventFactory', (accounts) => {
 
     tx2.logs[0].args.eventId.valueOf().should.be.a.bignumber.that.equals(eventId);
 
-    ticketAddress = tx2.logs[0].args.ticketAddress.valueOf();
+    const ticketAddress = tx2.logs[0].args.ticketAddress.valueOf();
 
     console.log("    INFO: Ticket instance address: " + ticketAddress);
 
@@ -100,41 +88,30 @@ contract('EventFactory', (accounts) => {
   });
 
   it('creating a ticket from non-owner address should revert', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    const tx = await eventFactoryInstance.createEvent([currentTimestamp, currentTimestamp + 10000], {from: owner});
+    const eventId = tx.logs[0].args.eventId.valueOf();
 
-    const currentTimestampForTestStruct = await getCurrentBlockTimestamp();
-    testTicketStruct2 = [10, new BN('10000000000000000000'), currentTimestampForTestStruct, currentTimestampForTestStruct + 1000000, false];
+    const testTicketStruct2 = [10, new BN('10000000000000000000'), currentTimestamp, currentTimestamp + 1000000, false];
 
-    await truffleAssert.reverts(eventFactoryInstance.createTicket(eventId, uri, uriHash, testTicketStruct2, {from: nonOwner}));
+    await truffleAssert.reverts(eventFactoryInstance.createTicket(eventId, uri, uriHash, false, testTicketStruct2, {from: nonOwner}));
   });
 
-  var ticketMintedIdStart;
-  const numTicketsMinted = 7;
-
   it('minting a ticket should take payment and add to balance', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-    const ticketGAInstance = await Ticket.at(ticketAddress);
+    const { ticketAddress, ticket: ticketGAInstance, ticketStruct: testTicketStruct } = await createEventFixture(eventFactoryInstance, { owner });
 
     let ticketPurchaserStartingBalance = await web3.eth.getBalance(nonOwner);
     const ticketPurchaserStartingBalanceBN = new BN(ticketPurchaserStartingBalance);
     const ticketPurchaserStartingTickets = (await ticketGAInstance.balanceOf.call(nonOwner)).toNumber();
     const ticketContractStartingBalance = parseInt(await web3.eth.getBalance(ticketAddress));
-    
-    // const gasEstimate = await ticketGAInstance.mintTicket.estimateGas(numTicketsMinted, {from: nonOwner, value: testTicketStruct[1].mul(new BN(numTicketsMinted))});
-    // console.log("    INFO: Gas estimate for minting 7 tickets: " + gasEstimate.toString())
 
     const tx4 = await ticketGAInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: testTicketStruct[1].mul(new BN(numTicketsMinted))});
 
     assert.equal(tx4.logs.length, numTicketsMinted * 2, "No TicketMint event emitted!");
-    ticketMintedIdStart = tx4.logs[numTicketsMinted].args.ticketId.valueOf();
     console.log("    INFO: Gas used for minting 7 tickets: " + tx4.receipt.gasUsed);
 
-    const gasUsedBN = new BN(tx4.receipt.gasUsed);
-    const txRaw = await web3.eth.getTransaction(tx4.tx);
-    const gasPriceBN = new BN(txRaw.gasPrice);
-    const transactionFee = gasPriceBN.mul(gasUsedBN);
     const ticketCosts = testTicketStruct[1].mul(new BN(numTicketsMinted));
-    const diffBalance = transactionFee.add(ticketCosts);
+    const diffBalance = (await transactionFee(tx4)).add(ticketCosts);
 
     let ticketPurchaserEndingBalance = await web3.eth.getBalance(nonOwner);
     const ticketPurchaserEndingBalanceBN = new BN(ticketPurchaserEndingBalance);
@@ -146,16 +123,13 @@ contract('EventFactory', (accounts) => {
 
     const ticketContractEndingBalance = parseInt(await web3.eth.getBalance(ticketAddress));
     assert.equal(numTicketsMinted * testTicketStruct[1], ticketContractEndingBalance - ticketContractStartingBalance, "Wrong balance sent to Ticket smart contract!");
-
-    // let nonOwnerTotalTickets = await eventFactoryInstance.getTotalTicketsOfSender({from: nonOwner});
-    // assert.equal(nonOwnerTotalTickets, 1);
   });
 
   it('minting a ticket with incorrect funds should revert', async () => {
-    const ticketGAInstance = await Ticket.at(ticketAddress);
+    const { ticket: ticketGAInstance, ticketStruct: testTicketStruct } = await createEventFixture(eventFactoryInstance, { owner });
 
     const ticketPurchaserStartingTickets = (await ticketGAInstance.balanceOf.call(nonOwner)).toNumber();
-    
+
     await truffleAssert.reverts(ticketGAInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: testTicketStruct[1].mul(new BN(numTicketsMinted - 1))})); // funds sent for one less ticket than ordered
     await truffleAssert.reverts(ticketGAInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: testTicketStruct[1].mul(new BN(numTicketsMinted + 1))})); // funds sent for one more ticket than ordered
 
@@ -165,11 +139,11 @@ contract('EventFactory', (accounts) => {
   });
 
   it('minting a ticket above max ticket count should revert', async () => {
-    const ticketGAInstance = await Ticket.at(ticketAddress);
+    const { ticket: ticketGAInstance, ticketStruct: testTicketStruct } = await soldOutFixture();
 
     const ticketPurchaserStartingTickets = (await ticketGAInstance.balanceOf.call(nonOwner)).toNumber();
-    
-    await truffleAssert.reverts(ticketGAInstance.mintTicket(numTicketsMinted * 10, {from: nonOwner, value: testTicketStruct[1].mul(new BN(numTicketsMinted * 10))})); // funds sent for one less ticket than ordered
+
+    await truffleAssert.reverts(ticketGAInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: testTicketStruct[1].mul(new BN(numTicketsMinted))})); // only 3 of 10 tickets left
 
     const ticketPurchaserEndingTickets = (await ticketGAInstance.balanceOf.call(nonOwner)).toNumber();
 
@@ -177,18 +151,13 @@ contract('EventFactory', (accounts) => {
   });
 
   it('minting a ticket outside ticket sale timeslot should revert', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
     const currentTimestamp = await getCurrentBlockTimestamp();
-
-    const testTicketTimeslot = [10, 100000, currentTimestamp + 15, currentTimestamp + 30, false];
-    const ticketMintTx = await eventFactoryInstance.createTicket(eventId, uri, uriHash, testTicketTimeslot, {from: owner});
-    const ticketTimeslotAddress = ticketMintTx.logs[0].args.ticketAddress.valueOf();
-    const ticketTSInstance = await Ticket.at(ticketTimeslotAddress);
+    const { ticket: ticketTSInstance, ticketStruct: testTicketTimeslot } = await createEventFixture(eventFactoryInstance, { owner, ticket: { price: 100000, saleStart: currentTimestamp + 100, saleEnd: currentTimestamp + 130 } });
 
     const ticketPurchaserStartingTickets = (await ticketTSInstance.balanceOf.call(nonOwner)).toNumber();
     await truffleAssert.reverts(ticketTSInstance.mintTicket(1, {from: nonOwner, value: testTicketTimeslot[1]})); // before ticket sales started
 
-    await timeout(30000);
+    await increaseTime(200);
 
     await truffleAssert.reverts(ticketTSInstance.mintTicket(1, {from: nonOwner, value: testTicketTimeslot[1]})); // after ticket sales ended
     const ticketPurchaserEndingTickets = (await ticketTSInstance.balanceOf.call(nonOwner)).toNumber();
@@ -197,28 +166,25 @@ contract('EventFactory', (accounts) => {
   });
 
   it('transferring a ticket should transfer ownership to new address', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-    const ticketGAInstance = await Ticket.at(ticketAddress);
+    const { ticket: ticketGAInstance, tokenIds } = await soldOutFixture();
 
     let nonTicketOwnerStartingTickets = (await ticketGAInstance.balanceOf.call(owner)).toNumber();
-    
-    const tx = await ticketGAInstance.transferFrom(nonOwner, owner, ticketMintedIdStart, {from: nonOwner});
+
+    const tx = await ticketGAInstance.transferFrom(nonOwner, owner, tokenIds[nonOwner][0], {from: nonOwner});
     console.log("    INFO: Gas used for ticket transfer: " + tx.receipt.gasUsed);
 
     let nonTicketOwnerEndingTickets = (await ticketGAInstance.balanceOf.call(owner)).toNumber();
 
     assert.equal(nonTicketOwnerEndingTickets, nonTicketOwnerStartingTickets + 1, 'Wrong number of tickets transfered to non ticket owner!');
-
-    // let ownerTotalTickets = await eventFactoryInstance.getTotalTicketsOfSender({from: owner});
-    // assert.equal(ownerTotalTickets, 1);
+    assert.equal(await ticketGAInstance.ownerOf(tokenIds[nonOwner][0]), owner, 'Ticket should be owned by the new address!');
   });
 
   it('transferring a ticket should not be allowed for non owners', async () => {
-    const ticketGAInstance = await Ticket.at(ticketAddress);
+    const { ticket: ticketGAInstance, tokenIds } = await soldOutFixture();
 
     let nonTicketOwnerStartingTickets = (await ticketGAInstance.balanceOf.call(owner)).toNumber();
-    
-    await truffleAssert.reverts(ticketGAInstance.transferFrom(nonOwner, owner, ticketMintedIdStart + 1, {from: owner}));
+
+    await truffleAssert.reverts(ticketGAInstance.transferFrom(nonOwner, owner, tokenIds[nonOwner][1], {from: owner}));
 
     let nonTicketOwnerEndingTickets = (await ticketGAInstance.balanceOf.call(owner)).toNumber();
 
@@ -226,74 +192,67 @@ contract('EventFactory', (accounts) => {
   });
 
   it('validateTicket should return true for ticket holder signature regardless of who sends it', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
+    const { eventId, ticketAddress, tokenIds } = await soldOutFixture();
+    const ticketId = tokenIds[nonOwner][0];
 
     const latestTimestamp = await getCurrentBlockTimestamp();
+    const sig = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId, timestamp: latestTimestamp });
 
-    const msg = await eventFactoryInstance.encodeMsg(eventId, owner, ticketAddress, ticketMintedIdStart, latestTimestamp);
-    const sig = await getSignature(msg, owner);
-
-    let validated = await eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketMintedIdStart, latestTimestamp, sig.v, sig.r, sig.s, {from: owner});
+    let validated = await eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp, sig.v, sig.r, sig.s, {from: owner});
     assert(validated, 'Ticket should be marked as valid based on signature!');
 
-    let validated2 = await eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketMintedIdStart, latestTimestamp, sig.v, sig.r, sig.s, {from: nonOwner});
+    let validated2 = await eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp, sig.v, sig.r, sig.s, {from: nonOwner});
     assert(validated2, 'Ticket should be marked as valid based on signature!');
   });
 
   it('validateTicket should return when not expired, and revert with the same signature after expiry', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-
-    const latestTimestamp = await getCurrentBlockTimestamp() - 50;
+    const { eventId, ticketAddress, tokenIds } = await soldOutFixture();
+    const ticketId = tokenIds[nonOwner][0];
+    const validationTimeout = (await eventFactoryInstance.VALIDATION_TIMEOUT()).toNumber();
 
-    const msg = await eventFactoryInstance.encodeMsg(eventId, owner, ticketAddress, ticketMintedIdStart, latestTimestamp);
-    const sig = await getSignature(msg, owner);
+    const latestTimestamp = await getCurrentBlockTimestamp() - (validationTimeout - 10);
+    const sig = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId, timestamp: latestTimestamp });
 
-    let validated = await eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketMintedIdStart, latestTimestamp, sig.v, sig.r, sig.s, {from: owner});
+    let validated = await eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp, sig.v, sig.r, sig.s, {from: owner});
     assert(validated, 'Ticket should be marked as valid based on signature!');
 
-    await timeout(15000);
+    await increaseTime(15);
 
-    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketMintedIdStart, latestTimestamp, sig.v, sig.r, sig.s, {from: owner}));
+    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp, sig.v, sig.r, sig.s, {from: owner}));
   });
 
   it('validateTicket should revert on invalid tickets', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
+    const { eventId, ticketAddress, tokenIds } = await soldOutFixture();
+    const ticketId = tokenIds[nonOwner][2];
+    const validationTimeout = (await eventFactoryInstance.VALIDATION_TIMEOUT()).toNumber();
 
     const latestTimestamp = await getCurrentBlockTimestamp();
-    const msg = await eventFactoryInstance.encodeMsg(eventId, owner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp); // ticketMintedIdStart + 2 is not owned by owner
-    const sig = await getSignature(msg, owner);
-    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp, sig.v, sig.r, sig.s, {from: owner}));
+    const sig = await signTicket(eventFactoryInstance, { eventId, holder: owner, ticketAddress, ticketId, timestamp: latestTimestamp }); // ticketId is not owned by owner
+    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketId, latestTimestamp, sig.v, sig.r, sig.s, {from: owner}));
 
     const latestTimestamp2 = await getCurrentBlockTimestamp();
-    const msg2 = await eventFactoryInstance.encodeMsg(eventId, nonOwner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp2);
-    const sig2 = await getSignature(msg2, owner);  // ticketMintedIdStart + 2 is not owned by owner but we sign it with owner here
-    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp2, sig2.v, sig2.r, sig2.s, {from: owner}));
+    const sig2 = await signTicket(eventFactoryInstance, { eventId, holder: owner, ticketAddress, ticketId, timestamp: latestTimestamp2 }); // signed by owner for the ticket of nonOwner
+    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp2, sig2.v, sig2.r, sig2.s, {from: owner}));
 
     const latestTimestamp3 = await getCurrentBlockTimestamp();
-    const msg3 = await eventFactoryInstance.encodeMsg(eventId, owner, ticketAddress, ticketMintedIdStart + 10, latestTimestamp3); // ticketMintedIdStart + 10 is not minted yet
-    const sig3 = await getSignature(msg3, owner);
-    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, owner, ticketAddress, ticketMintedIdStart + 10, latestTimestamp3, sig3.v, sig3.r, sig3.s, {from: owner}));
-
-    const latestTimestamp4 = await getCurrentBlockTimestamp() - 70; // timestamp is outside range
-    const msg4 = await eventFactoryInstance.encodeMsg(eventId, nonOwner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp4);
-    const sig4 = await getSignature(msg4, nonOwner);
-    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp4, sig4.v, sig4.r, sig4.s, {from: owner}));
-
-    const latestTimestamp5 = await getCurrentBlockTimestamp() + 10; // timestamp is in the future
-    const msg5 = await eventFactoryInstance.encodeMsg(eventId, nonOwner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp5);
-    const sig5 = await getSignature(msg5, nonOwner);
-    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketMintedIdStart + 2, latestTimestamp5, sig5.v, sig5.r, sig5.s, {from: owner}));
+    const sig3 = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId: numTicketsMinted + 1, timestamp: latestTimestamp3 }); // not minted yet
+    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, numTicketsMinted + 1, latestTimestamp3, sig3.v, sig3.r, sig3.s, {from: owner}));
+
+    const latestTimestamp4 = await getCurrentBlockTimestamp() - (validationTimeout + 10); // timestamp is outside range
+    const sig4 = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId, timestamp: latestTimestamp4 });
+    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp4, sig4.v, sig4.r, sig4.s, {from: owner}));
+
+    const latestTimestamp5 = await getCurrentBlockTimestamp() + 30; // timestamp is in the future
+    const sig5 = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId, timestamp: latestTimestamp5 });
+    await truffleAssert.reverts(eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketId, latestTimestamp5, sig5.v, sig5.r, sig5.s, {from: owner}));
   });
 
   it('stampTicket should return true only once and false after', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-    const ticketGAInstance = await Ticket.at(ticketAddress);
-
-    const ticketIdToStamp = parseInt(ticketMintedIdStart) + 1;
+    const { eventId, ticketAddress, ticket: ticketGAInstance, tokenIds } = await soldOutFixture();
+    const ticketIdToStamp = tokenIds[nonOwner][1];
 
     const latestTimestamp = await getCurrentBlockTimestamp();
-    const msg = await eventFactoryInstance.encodeMsg(eventId, nonOwner, ticketAddress, ticketIdToStamp, latestTimestamp);
-    const sig = await getSignature(msg, nonOwner);
+    const sig = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId: ticketIdToStamp, timestamp: latestTimestamp });
     let valid = await eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketIdToStamp, latestTimestamp, sig.v, sig.r, sig.s, {from: owner});
     assert(valid, "Ticket should be marked as not stamped!");
 
@@ -308,14 +267,11 @@ contract('EventFactory', (accounts) => {
   });
 
   it('stampTicket should revert on non stampers', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-    const ticketGAInstance = await Ticket.at(ticketAddress);
-
-    const ticketIdToStamp = parseInt(ticketMintedIdStart) + 2;
+    const { eventId, ticketAddress, ticket: ticketGAInstance, tokenIds } = await soldOutFixture();
+    const ticketIdToStamp = tokenIds[nonOwner][2];
 
     const latestTimestamp = await getCurrentBlockTimestamp();
-    const msg = await eventFactoryInstance.encodeMsg(eventId, nonOwner, ticketAddress, ticketIdToStamp, latestTimestamp);
-    const sig = await getSignature(msg, nonOwner);
+    const sig = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId: ticketIdToStamp, timestamp: latestTimestamp });
     let valid = await eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketIdToStamp, latestTimestamp, sig.v, sig.r, sig.s, {from: nonOwner});
     assert(valid, "Ticket should be marked as not stamped!");
 
@@ -326,10 +282,8 @@ contract('EventFactory', (accounts) => {
   });
 
   it('addresses can be added as stampers to each event and be able to stampTicket successfully', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-    const ticketGAInstance = await Ticket.at(ticketAddress);
-
-    const ticketIdToStamp = parseInt(ticketMintedIdStart) + 2;
+    const { eventId, ticketAddress, ticket: ticketGAInstance, tokenIds } = await soldOutFixture();
+    const ticketIdToStamp = tokenIds[nonOwner][2];
 
     const stamperAddtx = await eventFactoryInstance.addStamperToEvent(nonOwner, eventId, {from: owner});
 
@@ -337,8 +291,7 @@ contract('EventFactory', (accounts) => {
     console.log("    INFO: Gas used for adding ticket stamper: " + stamperAddtx.receipt.gasUsed);
 
     const latestTimestamp = await getCurrentBlockTimestamp();
-    const msg = await eventFactoryInstance.encodeMsg(eventId, nonOwner, ticketAddress, ticketIdToStamp, latestTimestamp);
-    const sig = await getSignature(msg, nonOwner);
+    const sig = await signTicket(eventFactoryInstance, { eventId, holder: nonOwner, ticketAddress, ticketId: ticketIdToStamp, timestamp: latestTimestamp });
     let valid = await eventFactoryInstance.validateTicket(eventId, nonOwner, ticketAddress, ticketIdToStamp, latestTimestamp, sig.v, sig.r, sig.s, {from: nonOwner});
     assert(valid, "Ticket should be marked as not stamped!");
 
@@ -351,7 +304,8 @@ contract('EventFactory', (accounts) => {
   });
 
   it('non owners should revert when trying to add or remove stampers to event', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
+    const { eventId } = await createEventFixture(eventFactoryInstance, { owner });
+    await eventFactoryInstance.addStamperToEvent(nonOwner, eventId, {from: owner});
 
     await truffleAssert.reverts(eventFactoryInstance.removeStamperFromEvent(nonOwner, eventId, {from: nonOwner}));
     const stamperRemovetx = await eventFactoryInstance.removeStamperFromEvent(nonOwner, eventId, {from: owner});
@@ -361,26 +315,10 @@ contract('EventFactory', (accounts) => {
   });
 
   it('withdrawing ticket funds from event should send correct balance to owner', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-
     const currentTimestamp = await getCurrentBlockTimestamp();
+    const { ticket: withdrawTicketInstance, ticketStruct: withdrawTicketStruct } = await soldOutFixture({ event: { start: currentTimestamp, end: currentTimestamp + 1 }, ticket: { price: new BN("3000000000000000000") } });
 
-    const testEventStruct = [
-      currentTimestamp, 
-      currentTimestamp + 1];
-
-    const tx = await eventFactoryInstance.createEvent(testEventStruct, {from: owner});
-    assert.equal(tx.logs.length, 1, "No EventCreate event emitted!");
-
-    const withdrawEventId = tx.logs[0].args.eventId.valueOf();
-    const withdrawTicketStruct = [10, new BN("3000000000000000000"), currentTimestamp, currentTimestamp + 1000000, false];
-    const tx2 = await eventFactoryInstance.createTicket(withdrawEventId, uri, uriHash, withdrawTicketStruct, {from: owner});
-    assert.equal(tx2.logs.length, 1, "No TicketCreate event emitted!");
-
-    const withdrawTicketAddress = tx2.logs[0].args.ticketAddress.valueOf();
-    const withdrawTicketInstance = await Ticket.at(withdrawTicketAddress);
-    const tx3 = await withdrawTicketInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: withdrawTicketStruct[1].muln(numTicketsMinted)});
-    assert.equal(tx3.logs.length, numTicketsMinted * 2, "No TicketMint event emitted!");
+    await increaseTime(10);
 
     let ownerStartingBalance = await web3.eth.getBalance(owner);
     const ownerStartingBalanceeBN = new BN(ownerStartingBalance);
@@ -389,12 +327,8 @@ contract('EventFactory', (accounts) => {
     console.log("    INFO: Gas used for withdraw ticket funds: " + tx4.receipt.gasUsed);
     assert.equal(tx4.logs.length, 1, "No WithdrawBalance event emitted!");
 
-    const gasUsedBN = new BN(tx4.receipt.gasUsed);
-    const txRaw = await web3.eth.getTransaction(tx4.tx);
-    const gasPriceBN = new BN(txRaw.gasPrice);
-    const transactionFee = gasPriceBN.mul(gasUsedBN);
     const ticketRevenue = withdrawTicketStruct[1].muln(numTicketsMinted);
-    const diffBalance = ticketRevenue.sub(transactionFee);
+    const diffBalance = ticketRevenue.sub(await transactionFee(tx4));
 
     let ownerEndingBalance = await web3.eth.getBalance(owner);
     const ownerEndingBalanceeBN = new BN(ownerEndingBalance);
@@ -403,56 +337,22 @@ contract('EventFactory', (accounts) => {
   });
 
   it('withdrawing ticket funds from event should revert before end time or if nonOwner tries to withdraw', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-
     const currentTimestamp = await getCurrentBlockTimestamp();
-
-    const testEventStruct = [
-      currentTimestamp, 
-      currentTimestamp + 30];
-
-    const tx = await eventFactoryInstance.createEvent(testEventStruct, {from: owner});
-    assert.equal(tx.logs.length, 1, "No EventCreate event emitted!");
-
-    const withdrawEventId = tx.logs[0].args.eventId.valueOf();
-    const withdrawTicketStruct = [10, new BN('100000'), currentTimestamp, currentTimestamp + 1000000, false];
-    const tx2 = await eventFactoryInstance.createTicket(withdrawEventId, uri, uriHash, withdrawTicketStruct, {from: owner});
-    assert.equal(tx2.logs.length, 1, "No TicketCreate event emitted!");
-
-    const withdrawTicketAddress = tx2.logs[0].args.ticketAddress.valueOf();
-    const withdrawTicketInstance = await Ticket.at(withdrawTicketAddress);
-    const tx3 = await withdrawTicketInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: withdrawTicketStruct[1].mul(new BN(numTicketsMinted))});
-    assert.equal(tx3.logs.length, numTicketsMinted * 2, "No TicketMint event emitted!");
+    const { ticket: withdrawTicketInstance } = await soldOutFixture({ event: { start: currentTimestamp, end: currentTimestamp + 30 }, ticket: { price: 100000 } });
 
     await truffleAssert.reverts(withdrawTicketInstance.withdrawBalance({from: owner}));
-    await timeout(10000);
+    await increaseTime(60);
     await truffleAssert.reverts(withdrawTicketInstance.withdrawBalance({from: nonOwner})); // nonOwner should not be able to withdraw ticket
+
+    const tx = await withdrawTicketInstance.withdrawBalance({from: owner});
+    assert.equal(tx.logs.length, 1, "No WithdrawBalance event emitted!");
   });
 
   // // ** ticket cancel tests
 
   it('holders should be able to issue refunds for cancelled events', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-
-    const currentTimestamp = await getCurrentBlockTimestamp();
-
-    const testEventStruct = [
-      currentTimestamp, 
-      currentTimestamp + 10000];
-
-    const tx = await eventFactoryInstance.createEvent(testEventStruct, {from: owner});
-    assert.equal(tx.logs.length, 1, "No EventCreate event emitted!");
-
-    const cancelledEventId = tx.logs[0].args.eventId.valueOf();
-    const cancelledTicketStruct = [100, new BN("3000000000000000000"), currentTimestamp, currentTimestamp + 1000000, false];
-    const tx2 = await eventFactoryInstance.createTicket(cancelledEventId, uri, uriHash, cancelledTicketStruct, {from: owner});
-    assert.equal(tx2.logs.length, 1, "No TicketCreate event emitted!");
-
-    const cancelledTicketAddress = tx2.logs[0].args.ticketAddress.valueOf();
-    const cancelledTicketInstance = await Ticket.at(cancelledTicketAddress);
-    const tx3 = await cancelledTicketInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: cancelledTicketStruct[1].muln(numTicketsMinted)});
-    assert.equal(tx3.logs.length, numTicketsMinted * 2, "No TicketMint event emitted!");
-    const cancelledTicketMintedIdStart = tx3.logs[numTicketsMinted].args.ticketId.valueOf();
+    const { eventId: cancelledEventId, ticketAddress: cancelledTicketAddress, ticket: cancelledTicketInstance, ticketStruct: cancelledTicketStruct, tokenIds } = await soldOutFixture({ ticket: { maxTickets: 100, price: new BN("3000000000000000000") } });
+    const cancelledTicketMintedIdStart = tokenIds[nonOwner][0];
 
     let cancelTicketStartingBalance = await web3.eth.getBalance(cancelledTicketAddress);
     const cancelTicketStartingBalanceBN = new BN(cancelTicketStartingBalance);
@@ -468,11 +368,6 @@ contract('EventFactory', (accounts) => {
     console.log("    INFO: Gas used for refund one ticket: " + tx4.receipt.gasUsed);
     assert.equal(tx4.logs.length, 3, "No burn Transfer event emitted!");
 
-    const gasUsedBN = new BN(tx4.receipt.gasUsed);
-    const txRaw = await web3.eth.getTransaction(tx4.tx);
-    const gasPriceBN = new BN(txRaw.gasPrice);
-    const transactionFee1 = gasPriceBN.mul(gasUsedBN);
-
     let checkBalance = await cancelledTicketInstance.balanceOf(nonOwner, {from: nonOwner});
     assert.equal(checkBalance, numTicketsMinted - 1);
 
@@ -484,11 +379,8 @@ contract('EventFactory', (accounts) => {
     let checkBalance2 = await cancelledTicketInstance.balanceOf(nonOwner, {from: nonOwner});
     assert.equal(checkBalance2, 0);
 
-    const gasUsedBN2 = new BN(tx5.receipt.gasUsed);
-    const txRaw2 = await web3.eth.getTransaction(tx5.tx);
-    const gasPriceBN2 = new BN(txRaw2.gasPrice);
-    const transactionFee2 = gasPriceBN2.mul(gasUsedBN2);
-    const diffBalance = (cancelledTicketStruct[1].muln(numTicketsMinted)).sub(transactionFee1.add(transactionFee2));
+    const transactionFees = (await transactionFee(tx4)).add(await transactionFee(tx5));
+    const diffBalance = (cancelledTicketStruct[1].muln(numTicketsMinted)).sub(transactionFees);
 
     let nonOwnerEndingBalance = await web3.eth.getBalance(nonOwner);
     const nonOwnerEndingBalanceeBN = new BN(nonOwnerEndingBalance);
@@ -502,29 +394,8 @@ contract('EventFactory', (accounts) => {
   });
 
   it('holders should not be able to issue refunds for non-cancelled events, and non-owners should not be able to cancel events', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-
-    const currentTimestamp = await getCurrentBlockTimestamp();
-
-    const testEventStruct = [
-      currentTimestamp, 
-      currentTimestamp + 10000];
-
-    const tx = await eventFactoryInstance.createEvent(testEventStruct, {from: owner});
-    assert.equal(tx.logs.length, 1, "No EventCreate event emitted!");
-
-    const cancelledEventId = tx.logs[0].args.eventId.valueOf();
-    const cancelledTicketStruct = [10, new BN("3000000000000000000"), currentTimestamp, currentTimestamp + 1000000, false];
-
-    const tx2 = await eventFactoryInstance.createTicket(cancelledEventId, uri, uriHash, cancelledTicketStruct, {from: owner});
-    assert.equal(tx2.logs.length, 1, "No TicketCreate event emitted!");
-
-    const cancelledTicketAddress = tx2.logs[0].args.ticketAddress.valueOf();
-    const cancelledTicketInstance = await Ticket.at(cancelledTicketAddress);
-
-    const tx3 = await cancelledTicketInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: cancelledTicketStruct[1].muln(numTicketsMinted)});
-    assert.equal(tx3.logs.length, numTicketsMinted * 2, "No TicketMint event emitted!");
-    const cancelledTicketMintedIdStart = tx3.logs[numTicketsMinted].args.ticketId.valueOf();
+    const { eventId: cancelledEventId, ticket: cancelledTicketInstance, tokenIds } = await soldOutFixture({ ticket: { price: new BN("3000000000000000000") } });
+    const cancelledTicketMintedIdStart = tokenIds[nonOwner][0];
 
     await truffleAssert.reverts(cancelledTicketInstance.refundTicket(cancelledTicketMintedIdStart, {from: nonOwner}));
     await truffleAssert.reverts(cancelledTicketInstance.refundAll({from: nonOwner}));
@@ -533,30 +404,10 @@ contract('EventFactory', (accounts) => {
   });
 
   it('if we set commission, ticket sale value must include it or else revert', async () => {
-    const eventFactoryInstance = await EventFactory.deployed();
-
-    const tx = await eventFactoryInstance.setCommissionRate(100, {from: owner})
+    await setCommissionRate(eventFactoryInstance, 100, {from: owner});
+    assert.equal(await eventFactoryInstance.commissionRate(), 100);
 
-    assert.equal(tx.logs.length, 1, "No CommissionRateChange event emitted!");
-
-    const currentTimestamp = await getCurrentBlockTimestamp();
-
-    const testCommissionEventStruct = [
-      currentTimestamp, 
-      currentTimestamp + 10000];
-
-    const tx2 = await eventFactoryInstance.createEvent(testCommissionEventStruct, {from: owner});
-    assert.equal(tx2.logs.length, 1, "No EventCreate event emitted!");
-    
-    const commissionEventId = tx2.logs[0].args.eventId.valueOf();
-    
-    const commissionTicketStruct = [100, new BN("1000000000000000000"), currentTimestamp, currentTimestamp + 1000000, false];
-
-    const tx3 = await eventFactoryInstance.createTicket(commissionEventId, uri, uriHash, commissionTicketStruct, {from: owner});
-    assert.equal(tx3.logs.length, 1, "No TicketCreate event emitted!");
-
-    const commissionTicketAddress = tx3.logs[0].args.ticketAddress.valueOf();
-    const commissionTicketInstance = await Ticket.at(commissionTicketAddress);
+    const { ticket: commissionTicketInstance, ticketStruct: commissionTicketStruct } = await createEventFixture(eventFactoryInstance, { owner, ticket: { maxTickets: 100, price: new BN("1000000000000000000") } });
 
     const ticketCommission = (commissionTicketStruct[1].mul(new BN(100))).div(new BN(10000))
     const ticketPriceWithCommission = commissionTicketStruct[1].add(ticketCommission)
@@ -567,6 +418,13 @@ contract('EventFactory', (accounts) => {
 
     await truffleAssert.reverts(commissionTicketInstance.mintTicket(numTicketsMinted, {from: nonOwner, value: commissionTicketStruct[1].mul(new BN(numTicketsMinted))}));
 
+    // the commission stays in the ticket until the event is over
+    assert.equal(await web3.eth.getBalance(eventFactoryInstance.address), '0');
+    (ticketCommission.muln(numTicketsMinted)).should.be.a.bignumber.that.equals(await commissionTicketInstance.escrowedCommission());
+    await truffleAssert.reverts(commissionTicketInstance.releaseCommission({from: nonOwner}), '019007');
+    await increaseTime(20000);
+    await commissionTicketInstance.releaseCommission({from: nonOwner});
+
     let factoryBalance = await web3.eth.getBalance(eventFactoryInstance.address);
     let factoryBalanceBN = new BN(factoryBalance);
 
@@ -577,16 +435,20 @@ contract('EventFactory', (accounts) => {
 
     const txWithdraw = await eventFactoryInstance.withdrawCommissions({from: owner})
 
-    const gasUsedBN = new BN(txWithdraw.receipt.gasUsed);
-    const txRawWithdraw = await web3.eth.getTransaction(txWithdraw.tx);
-    const gasPriceBN = new BN(txRawWithdraw.gasPrice);
-    const transactionFee = gasPriceBN.mul(gasUsedBN);
-
     let ownerEndingBalance = await web3.eth.getBalance(owner);
     const ownerEndingBalanceBN = new BN(ownerEndingBalance);
-    const actualCommissionPaid = (ownerEndingBalanceBN.sub(ownerStartingBalanceBN)).add(transactionFee);
+    const actualCommissionPaid = (ownerEndingBalanceBN.sub(ownerStartingBalanceBN)).add(await transactionFee(txWithdraw));
 
     (factoryBalanceBN).should.be.a.bignumber.that.equals(actualCommissionPaid);
   });
-  
+
+  it('tokenURI should append the token ID when useTokenIDInURI is set', async () => {
+    const { ticket: ticketInstance, tokenIds } = await soldOutFixture({ ticket: { useTokenIDInURI: true } });
+    const { ticket: sharedURIInstance, tokenIds: sharedTokenIds } = await soldOutFixture();
+
+    assert.equal(await ticketInstance.tokenURI(tokenIds[nonOwner][6]), uri + "/7");
+    assert.equal(await sharedURIInstance.tokenURI(sharedTokenIds[nonOwner][6]), uri);
+    await truffleAssert.reverts(ticketInstance.tokenURI(numTicketsMinted + 1));
+  });
+
 });
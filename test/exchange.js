@@ -0,0 +1,191 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, Indexer, Reconciler, errors } = require('../lib');
+const { uriHash, getCurrentBlockTimestamp, increaseTime, isolateTests, setCommissionRate, createEventFixture, transactionFee } = require('./helpers');
+
+contract('TierExchange', (accounts) => {
+
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let buyer       = accounts[2];
+  let stranger    = accounts[3];
+
+  const price = new BN('1000000000000000000');
+  const vipPrice = price.muln(3);
+
+  var client;
+  var factory;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  const balanceOf = async (address) => {
+    return new BN(await web3.eth.getBalance(address));
+  }
+
+  const withCommission = (amount, rate) => {
+    return amount.add(amount.muln(rate).divn(10000));
+  }
+
+  const expectError = async (promise, errorClass) => {
+    try {
+      await promise;
+    } catch (err) {
+      assert.instanceOf(err, errorClass, err.message);
+      return err;
+    }
+    assert.fail('Expected ' + errorClass.name);
+  }
+
+  // the change of balance of `address` in a transaction it sent, without the transaction fee
+  const received = async (address, send) => {
+    const before = await balanceOf(address);
+    const result = await send();
+    const fee = await transactionFee({ tx: result.tx, receipt: await web3.eth.getTransactionReceipt(result.tx) });
+    return { result, amount: (await balanceOf(address)).sub(before).add(fee) };
+  }
+
+  // at 2.5% commission: a standard tier at 1 ether where holder owns tickets 1 and 2, a VIP tier at 3 ether
+  const tieredFixture = async ({ vip = {} } = {}) => {
+    await setCommissionRate(factory, 250, { from: owner });
+    const fixture = await createEventFixture(factory, { owner, holders: [holder], mint: 2, ticket: { price } });
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: vipAddress } = await client.createTicket(fixture.eventId, Object.assign({ uri: 'ipfs://vip', uriHash, maxTickets: 5, price: vipPrice, saleStart: now, saleEnd: now + 1000000 }, vip));
+    return Object.assign(fixture, { vipAddress, vipTicket: await client.ticketAt(vipAddress) });
+  }
+
+  it('only the event owner should enable exchanges, one direction at a time and between its own tiers', async () => {
+    const { eventId, ticketAddress, vipAddress } = await tieredFixture();
+    const other = await createEventFixture(factory, { owner, ticket: { price } });
+
+    const enabled = await client.setTierExchange(eventId, ticketAddress, vipAddress);
+    assert.isTrue(enabled.enabled);
+    assert.isTrue(await client.isTierExchangeEnabled(ticketAddress, vipAddress));
+    assert.isFalse(await client.isTierExchangeEnabled(vipAddress, ticketAddress));
+
+    await expectError(client.setTierExchange(eventId, vipAddress, ticketAddress, true, { from: stranger }), errors.UnauthorizedError);
+    await expectError(client.setTierExchange(eventId, ticketAddress, ticketAddress), errors.InvalidInputError);
+    await expectError(client.setTierExchange(eventId, ticketAddress, other.ticketAddress), errors.InvalidInputError);
+
+    const tx = await factory.setTierExchange(eventId, ticketAddress, vipAddress, false, { from: owner });
+    truffleAssert.eventEmitted(tx, 'TierExchangeChange', ev => ev.from === ticketAddress && ev.to === vipAddress && !ev.enabled);
+    assert.isFalse(await client.isTierExchangeEnabled(ticketAddress, vipAddress));
+  });
+
+  it('should upgrade a ticket for the difference of the sale prices', async () => {
+    const { eventId, ticketAddress, ticket, vipAddress, vipTicket } = await tieredFixture();
+    await client.setTierExchange(eventId, ticketAddress, vipAddress);
+
+    const quote = await client.quoteExchange(ticketAddress, 1, vipAddress);
+    assert.equal(quote.refund.toString(), withCommission(price, 250).toString());
+    assert.equal(quote.salePrice.toString(), withCommission(vipPrice, 250).toString());
+    assert.equal(quote.payment.toString(), withCommission(vipPrice.sub(price), 250).toString());
+    assert.equal(quote.credit.toString(), '0');
+
+    const ticketBalance = await balanceOf(ticketAddress);
+    const { result, amount } = await received(holder, () => client.exchangeTicket(ticketAddress, 1, vipAddress, { from: holder }));
+    assert.equal(amount.neg().toString(), quote.payment.toString());
+    assert.equal(result.eventId.toString(), eventId.toString());
+    assert.deepEqual([result.holder, result.from, result.fromTicketId, result.to, result.toTicketId], [holder, ticketAddress, 1, vipAddress, 1]);
+    assert.equal(result.paid.toString(), quote.payment.toString());
+    const returned = await truffleAssert.createTransactionResult(ticket, result.tx);
+    truffleAssert.eventEmitted(returned, 'TicketExchangeOut', ev => ev.holder === holder && ev.ticketId.toNumber() === 1 && ev.amount.toString() === quote.refund.toString());
+    truffleAssert.eventNotEmitted(returned, 'TicketRefund');
+
+    // the old ticket is gone with what was paid for it, the new one holds its sale price and commission
+    await truffleAssert.reverts(ticket.ownerOf(1));
+    assert.equal(await vipTicket.ownerOf(1), holder);
+    assert.equal((await balanceOf(ticketAddress)).toString(), ticketBalance.sub(quote.refund).toString());
+    assert.equal((await balanceOf(vipAddress)).toString(), quote.salePrice.toString());
+    assert.equal((await client.getRefund(vipAddress, 1)).toString(), quote.salePrice.toString());
+    assert.equal((await vipTicket.escrowedCommission()).toString(), vipPrice.muln(250).divn(10000).toString());
+    assert.equal((await ticket.escrowedCommission()).toString(), price.muln(250).divn(10000).toString());
+    assert.equal((await balanceOf(factory.address)).toString(), '0');
+
+    // the exact difference only
+    await truffleAssert.reverts(factory.exchangeTicket(ticketAddress, 2, vipAddress, { from: holder, value: quote.payment.subn(1) }), '019006');
+  });
+
+  it('should credit a downgrade with the difference of the sale prices', async () => {
+    const { eventId, ticketAddress, vipAddress, vipTicket } = await tieredFixture();
+    await client.setTierExchange(eventId, vipAddress, ticketAddress);
+    await client.mintTicket(vipAddress, 1, { from: buyer });
+
+    // paid at 2.5%, a later rate change only applies to the new ticket
+    await factory.setCommissionRate(100, { from: owner });
+    const quote = await client.quoteExchange(vipAddress, 1, ticketAddress);
+    assert.equal(quote.payment.toString(), '0');
+    assert.equal(quote.credit.toString(), withCommission(vipPrice, 250).sub(withCommission(price, 100)).toString());
+
+    await truffleAssert.reverts(factory.exchangeTicket(vipAddress, 1, ticketAddress, { from: buyer, value: 1 }), '019006');
+    const { result, amount } = await received(buyer, () => client.exchangeTicket(vipAddress, 1, ticketAddress, { from: buyer }));
+    assert.equal(amount.toString(), quote.credit.toString());
+    assert.equal(result.credit.toString(), quote.credit.toString());
+    assert.equal(result.toTicketId, 3);
+    assert.equal((await client.getRefund(ticketAddress, 3)).toString(), withCommission(price, 100).toString());
+    assert.equal((await vipTicket.totalSupply()).toString(), '0');
+    assert.equal((await vipTicket.escrowedCommission()).toString(), '0');
+  });
+
+  it('should only exchange tickets of the sender that are not stamped, for tiers that are on sale', async () => {
+    const { eventId, ticketAddress, ticket, vipAddress } = await tieredFixture({ vip: { maxTickets: 1 } });
+    await expectError(client.exchangeTicket(ticketAddress, 1, vipAddress, { from: holder }), errors.InvalidActionError);
+    await client.setTierExchange(eventId, ticketAddress, vipAddress);
+
+    await expectError(client.exchangeTicket(ticketAddress, 1, vipAddress, { from: stranger }), errors.UnauthorizedError);
+    await ticket.stampTicket(2, { from: owner });
+    await expectError(client.exchangeTicket(ticketAddress, 2, vipAddress, { from: holder }), errors.InvalidActionError);
+
+    // maxTickets of the target tier
+    await client.mintTicket(vipAddress, 1, { from: buyer });
+    await expectError(client.exchangeTicket(ticketAddress, 1, vipAddress, { from: holder }), errors.TicketSaleError);
+    assert.equal(await ticket.ownerOf(1), holder);
+
+    // only the tickets of the factory, only through the factory
+    const other = await createEventFixture(factory, { owner, ticket: { price } });
+    await truffleAssert.reverts(factory.exchangeTicket(ticketAddress, 1, other.ticketAddress, { from: holder }), '019005');
+    await truffleAssert.reverts(ticket.exchangeOut(holder, 1, { from: holder }), '019001');
+    await truffleAssert.reverts(ticket.exchangeIn(holder, 0, { from: holder, value: price }), '019001');
+  });
+
+  it('should respect the sale window and the presale of the target tier', async () => {
+    const { eventId, ticketAddress, vipAddress, vipTicket } = await tieredFixture();
+    await client.setTierExchange(eventId, ticketAddress, vipAddress);
+
+    const now = await getCurrentBlockTimestamp();
+    await vipTicket.setPresale('0x' + '11'.repeat(32), now + 100, { from: owner });
+    await expectError(client.exchangeTicket(ticketAddress, 1, vipAddress, { from: holder }), errors.TicketSaleError);
+    await increaseTime(200);
+    await client.exchangeTicket(ticketAddress, 1, vipAddress, { from: holder });
+
+    await increaseTime(1000000);
+    await expectError(client.exchangeTicket(ticketAddress, 2, vipAddress, { from: holder }), errors.TicketSaleError);
+  });
+
+  it('should refund exchanged tickets of a cancelled event and reconcile them', async () => {
+    const { eventId, ticketAddress, vipAddress } = await tieredFixture();
+    await client.setTierExchange(eventId, ticketAddress, vipAddress);
+    const exchanged = await client.exchangeTicket(ticketAddress, 1, vipAddress, { from: holder });
+
+    await client.cancelEvent(eventId);
+    await expectError(client.exchangeTicket(ticketAddress, 2, vipAddress, { from: holder }), errors.InvalidActionError);
+    const { amount } = await received(holder, () => client.refundTicket(vipAddress, exchanged.toTicketId, { from: holder }));
+    assert.equal(amount.toString(), withCommission(vipPrice, 250).toString());
+
+    const indexer = Indexer.fromClient(client);
+    await indexer.sync();
+    const report = await new Reconciler({ client, indexer }).reconcileEvent(eventId);
+    const [standard, vip] = report.tiers;
+    assert.deepEqual([standard.sold, standard.refunded, vip.sold, vip.refunded], [2, 1, 1, 1]);
+    assert.deepEqual([indexer.getTicket(ticketAddress).exchanges, indexer.getTicket(ticketAddress).refunds], [1, 0]);
+    assert.equal(vip.grossSales.toString(), vipPrice.toString());
+    assert.deepEqual(report.discrepancies, []);
+  });
+});
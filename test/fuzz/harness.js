@@ -0,0 +1,166 @@
+// Property-based testing for the truffle tests: random step sequences from a seeded generator are run against the
+// chain from a snapshot, a failing sequence is shrunk to a minimal one and reported with the seed that found it.
+const { snapshot, revert } = require('../helpers');
+
+class InvariantViolation extends Error {
+  constructor(invariant, message) {
+    super(invariant + ': ' + message);
+    this.name = 'InvariantViolation';
+    this.invariant = invariant;
+  }
+}
+
+// mulberry32, small and good enough to make a sequence reproducible from its seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[Math.floor(next() * items.length)];
+  // `{ name: weight }`, returns one of the names
+  const weighted = (weights) => {
+    const entries = Object.entries(weights);
+    let rest = next() * entries.reduce((total, [, weight]) => total + weight, 0);
+    for (const [name, weight] of entries) {
+      rest -= weight;
+      if (rest < 0) {
+        return name;
+      }
+    }
+    return entries[entries.length - 1][0];
+  }
+  return { next, int, pick, weighted };
+}
+
+/**
+* @dev Runs the steps against the chain and reverts it afterwards, so the next sequence starts from the same state.
+* A property is `{ setup(), generate(random), simplify(step), execute(state, step), check(state, step) }`:
+* setup creates the fixture of a sequence and resolves to its state, steps are plain data so they can be printed
+* and replayed, check throws an InvariantViolation.
+* Resolves to `{ failed, index, error }` with the index of the failing step.
+*/
+const replay = async (property, steps) => {
+  const snapshotId = await snapshot();
+  try {
+    const state = await property.setup();
+    for (let index = 0; index < steps.length; index++) {
+      try {
+        await property.execute(state, steps[index]);
+        await property.check(state, steps[index]);
+      } catch (error) {
+        return { failed: true, index, error };
+      }
+    }
+    return { failed: false };
+  } finally {
+    await revert(snapshotId);
+  }
+}
+
+// a shrunk sequence has to break the same invariant, not just fail somehow
+const sameFailure = (a, b) => {
+  return (a.error.invariant || a.error.name) === (b.error.invariant || b.error.name);
+}
+
+/**
+* @dev Shrinks a failing sequence: drops chunks of steps, halving the chunk size down to single steps, then tries the
+* simpler variants of each step, until nothing can be removed or simplified anymore or maxReplays is reached.
+* Resolves to `{ steps, failure, replays }`.
+*/
+const shrink = async (property, steps, failure, { maxReplays = 200 } = {}) => {
+  let current = steps.slice(0, failure.index + 1);
+  let replays = 0;
+
+  const attempt = async (candidate) => {
+    replays++;
+    const result = await replay(property, candidate);
+    if (result.failed && sameFailure(result, failure)) {
+      current = candidate.slice(0, result.index + 1);
+      failure = result;
+      return true;
+    }
+    return false;
+  }
+
+  let progressed = true;
+  while (progressed && replays < maxReplays) {
+    progressed = false;
+    for (let size = Math.max(1, Math.floor(current.length / 2)); size >= 1 && replays < maxReplays; size = Math.floor(size / 2)) {
+      for (let start = 0; start < current.length && current.length > 1 && replays < maxReplays;) {
+        if (await attempt(current.slice(0, start).concat(current.slice(start + size)))) {
+          progressed = true;
+        } else {
+          start += size;
+        }
+      }
+    }
+    for (let index = 0; index < current.length && replays < maxReplays; index++) {
+      for (const variant of property.simplify(current[index])) {
+        if (replays >= maxReplays) {
+          break;
+        }
+        if (await attempt(current.slice(0, index).concat([variant], current.slice(index + 1)))) {
+          progressed = true;
+          break;
+        }
+      }
+    }
+  }
+  return { steps: current, failure, replays };
+}
+
+const formatSteps = (steps) => {
+  return steps.map((step, index) => '  ' + (index + 1) + '. ' + JSON.stringify(step)).join('\n');
+}
+
+// FUZZ_SEED, FUZZ_RUNS and FUZZ_STEPS override the defaults, e.g. to replay the seed of a failure.
+// The default seed keeps test runs reproducible, FUZZ_SEED=random explores new sequences.
+const optionsFromEnv = ({ seed, runs, steps }) => {
+  const fromEnv = process.env.FUZZ_SEED;
+  return {
+    seed: fromEnv === 'random' ? Math.floor(Math.random() * 4294967296) : Number(fromEnv || seed),
+    runs: Number(process.env.FUZZ_RUNS || runs),
+    steps: Number(process.env.FUZZ_STEPS || steps)
+  };
+}
+
+/**
+* @dev Generates `runs` sequences of `steps` random steps from the seed and replays each one.
+* The first failing sequence is shrunk and thrown as an error naming the seed and the minimal steps, it carries
+* them as `seed`, `run` and `steps` with the broken `invariant` and the original error as `cause`.
+* Resolves to `{ runs, steps }` when every sequence passed.
+*/
+const checkProperty = async (property, { seed, runs = 5, steps = 25, maxReplays, log = () => {} }) => {
+  for (let run = 0; run < runs; run++) {
+    const random = createRandom((seed + Math.imul(run, 0x9E3779B9)) >>> 0);
+    const sequence = [];
+    for (let i = 0; i < steps; i++) {
+      sequence.push(property.generate(random));
+    }
+    const result = await replay(property, sequence);
+    if (result.failed) {
+      log('Run ' + run + ' of seed ' + seed + ' failed at step ' + (result.index + 1) + ', shrinking');
+      const shrunk = await shrink(property, sequence, result, { maxReplays });
+      const cause = shrunk.failure.error;
+      const error = new Error(cause.message + '\nSeed ' + seed + ', run ' + run + ', minimal sequence of ' + shrunk.steps.length + ' steps:\n' + formatSteps(shrunk.steps));
+      Object.assign(error, { invariant: cause.invariant, seed, run, steps: shrunk.steps, cause });
+      throw error;
+    }
+  }
+  return { runs, steps };
+}
+
+module.exports = {
+  InvariantViolation,
+  createRandom,
+  replay,
+  shrink,
+  formatSteps,
+  optionsFromEnv,
+  checkProperty
+};
@@ -0,0 +1,320 @@
+// The ticket economics as a property for the harness: random mints, transfers, stamps, cancellations, refunds,
+// withdrawals, commission rate changes and time jumps on one ticket tier, with the invariants checked after each step.
+const BN = require('bn.js');
+const { InvariantViolation } = require('./harness');
+const { getCurrentBlockTimestamp, increaseTime, setCommissionRate, createEventFixture, transactionFee } = require('../helpers');
+
+const INVARIANTS = {
+  // totalSupply never exceeds maxTickets and counts the tickets that were minted and not refunded
+  SUPPLY: 'SUPPLY',
+  // until the organizer withdraws, the balance of the ticket contract covers the refund of every ticket
+  SOLVENCY: 'SOLVENCY',
+  // once the event is cancelled, holders get their tickets refunded until the organizer withdrew
+  REFUNDABLE: 'REFUNDABLE',
+  SINGLE_STAMP: 'SINGLE_STAMP',
+  NO_WITHDRAWAL_AFTER_CANCEL: 'NO_WITHDRAWAL_AFTER_CANCEL',
+  // every account holds what it had, less what it paid and its transaction fees, plus what it was paid back
+  FUNDS: 'FUNDS'
+};
+
+const STEP_WEIGHTS = {
+  mintTicket: 8,
+  transferFrom: 4,
+  stampTicket: 2,
+  cancelEvent: 1,
+  refundTicket: 3,
+  refundAll: 3,
+  withdrawBalance: 2,
+  releaseCommission: 1,
+  setCommissionRate: 1,
+  applyCommissionRate: 1,
+  time: 3
+};
+
+// the sale ends 2000s and the event 3000s after the start of a sequence, a rate increase takes 2 days
+const TIME_JUMPS = [60, 300, 1000, 3600, 2 * 86400];
+const COMMISSION_RATES = [0, 100, 250, 1000];
+// steps the organizer sends most of the time
+const ORGANIZER_STEPS = ['stampTicket', 'cancelEvent', 'withdrawBalance'];
+
+/**
+* @dev The property of one ticket tier of a fresh event on the factory.
+* Steps name their sender and ticket by index, `actor` into `[organizer, ...holders]` and `token` into the tickets
+* of the sender, or all tickets if it has none, when the step runs, refundAll is sent by one of the actors that hold
+* tickets. So they stay meaningful when the shrinker removes the steps before them.
+* Every step is dry-run first, the steps the contracts reject are skipped.
+* @param accounts The factory admin, the organizer and the holders
+* @param ticket `{ maxTickets, price }` of the tier
+* @param commissionRate Rate of the factory when a sequence starts
+*/
+const ticketEconomics = ({ factory, accounts, ticket: { maxTickets = 8, price = new BN('1000000000000000000') } = {}, commissionRate = 250 }) => {
+  const [admin, organizer, ...holders] = accounts;
+  const actors = [organizer].concat(holders);
+
+  const generate = (random) => {
+    const action = random.weighted(STEP_WEIGHTS);
+    const actor = ORGANIZER_STEPS.includes(action) && random.next() < 0.8 ? 0 : random.int(0, actors.length - 1);
+    switch (action) {
+      case 'mintTicket':
+        return { action, actor, count: random.int(1, 3) };
+      case 'transferFrom':
+        return { action, actor, token: random.int(0, 99), to: random.int(0, actors.length - 1) };
+      case 'stampTicket':
+      case 'refundTicket':
+        return { action, actor, token: random.int(0, 99) };
+      case 'setCommissionRate':
+        return { action, rate: random.pick(COMMISSION_RATES) };
+      case 'time':
+        return { action, seconds: random.pick(TIME_JUMPS) };
+      default:
+        return { action, actor };
+    }
+  }
+
+  const simplify = (step) => {
+    const variants = [];
+    if (step.count > 1) {
+      variants.push(Object.assign({}, step, { count: step.count - 1 }));
+    }
+    if (step.token > 0) {
+      variants.push(Object.assign({}, step, { token: 0 }));
+    }
+    if (step.seconds > TIME_JUMPS[0]) {
+      variants.push(Object.assign({}, step, { seconds: TIME_JUMPS[TIME_JUMPS.indexOf(step.seconds) - 1] }));
+    }
+    if (step.rate > 0) {
+      variants.push(Object.assign({}, step, { rate: 0 }));
+    }
+    return variants;
+  }
+
+  const setup = async () => {
+    await setCommissionRate(factory, commissionRate, { from: admin });
+    const now = await getCurrentBlockTimestamp();
+    const fixture = await createEventFixture(factory, { owner: organizer, event: { end: now + 3000 }, ticket: { maxTickets, price, saleEnd: now + 2000 } });
+
+    const state = {
+      eventId: fixture.eventId,
+      ticket: fixture.ticket,
+      ticketAddress: fixture.ticketAddress,
+      // ticket ID => { owner, paid }, the tickets that were minted and not refunded
+      tokens: new Map(),
+      lastTicketId: 0,
+      stampCounts: new Map(),
+      cancelled: false,
+      released: false,
+      withdrawn: false,
+      start: {},
+      delta: {},
+      last: null
+    };
+    for (const address of new Set(accounts.concat([factory.address, fixture.ticketAddress]))) {
+      state.start[address] = new BN(await web3.eth.getBalance(address));
+      state.delta[address] = new BN(0);
+    }
+    return state;
+  }
+
+  const credit = (state, address, amount) => {
+    state.delta[address] = state.delta[address].add(amount);
+  }
+
+  // dry-runs the transaction, a step the contracts reject is skipped and costs no fee to account for
+  const send = async (state, method, args, from, value = new BN(0)) => {
+    try {
+      await method.call(...args, { from, value });
+    } catch (error) {
+      return null;
+    }
+    const tx = await method(...args, { from, value });
+    credit(state, from, (await transactionFee(tx)).add(value).neg());
+    return tx;
+  }
+
+  const tokenIds = (state) => [...state.tokens.keys()].sort((a, b) => a - b);
+
+  // one of the tickets of the sender, one of another holder if it has none, or the next ID if there are none
+  const tokenAt = (state, index, from) => {
+    const ids = tokenIds(state);
+    const owned = ids.filter(tokenId => state.tokens.get(tokenId).owner === from);
+    const candidates = owned.length > 0 ? owned : ids;
+    return candidates.length > 0 ? candidates[index % candidates.length] : state.lastTicketId + 1;
+  }
+
+  const escrowOf = (state) => {
+    if (state.released) {
+      return new BN(0);
+    }
+    return [...state.tokens.values()].reduce((total, token) => total.add(token.paid.sub(price)), new BN(0));
+  }
+
+  // once the commission was released, a refund is the ticket price
+  const refund = (state, tokenId, to) => {
+    const amount = state.released ? price : state.tokens.get(tokenId).paid;
+    credit(state, to, amount);
+    credit(state, state.ticketAddress, amount.neg());
+    state.tokens.delete(tokenId);
+  }
+
+  const execute = async (state, step) => {
+    const { ticket } = state;
+    const from = actors[step.actor];
+    let tx = null;
+    state.last = { step, tx, cancelledBefore: state.cancelled, refundable: false };
+
+    switch (step.action) {
+      case 'mintTicket': {
+        const salePrice = price.add(price.mul(await factory.commissionRate()).divn(10000));
+        const value = salePrice.muln(step.count);
+        tx = await send(state, ticket.mintTicket, [step.count], from, value);
+        if (tx) {
+          for (const log of tx.logs.filter(log => log.event === 'TicketMint')) {
+            state.tokens.set(log.args.ticketId.toNumber(), { owner: from, paid: salePrice });
+          }
+          state.lastTicketId += step.count;
+          credit(state, state.ticketAddress, value);
+        }
+        break;
+      }
+      case 'transferFrom': {
+        const tokenId = tokenAt(state, step.token, from);
+        const token = state.tokens.get(tokenId);
+        tx = await send(state, ticket.transferFrom, [token ? token.owner : from, actors[step.to], tokenId], from);
+        if (tx) {
+          token.owner = actors[step.to];
+        }
+        break;
+      }
+      case 'stampTicket': {
+        // stamps are tried on refunded tickets too
+        const tokenId = state.lastTicketId > 0 ? step.token % state.lastTicketId + 1 : 1;
+        tx = await send(state, ticket.stampTicket, [tokenId], from);
+        break;
+      }
+      case 'cancelEvent':
+        tx = await send(state, factory.cancelEvent, [state.eventId], from);
+        state.cancelled = state.cancelled || Boolean(tx);
+        break;
+      case 'refundTicket': {
+        const tokenId = tokenAt(state, step.token, from);
+        state.last.refundable = state.cancelled && !state.withdrawn && state.tokens.has(tokenId) && state.tokens.get(tokenId).owner === from;
+        tx = await send(state, ticket.refundTicket, [tokenId], from);
+        if (tx) {
+          refund(state, tokenId, from);
+        }
+        break;
+      }
+      case 'refundAll': {
+        const ticketHolders = actors.filter(actor => [...state.tokens.values()].some(token => token.owner === actor));
+        const holder = ticketHolders.length > 0 ? ticketHolders[step.actor % ticketHolders.length] : from;
+        const owned = tokenIds(state).filter(tokenId => state.tokens.get(tokenId).owner === holder);
+        state.last.refundable = state.cancelled && !state.withdrawn && owned.length > 0;
+        tx = await send(state, ticket.refundAll, [], holder);
+        if (tx) {
+          owned.forEach(tokenId => refund(state, tokenId, holder));
+        }
+        break;
+      }
+      case 'withdrawBalance': {
+        const escrow = escrowOf(state);
+        const balance = state.start[state.ticketAddress].add(state.delta[state.ticketAddress]);
+        tx = await send(state, ticket.withdrawBalance, [], from);
+        if (tx) {
+          credit(state, factory.address, escrow);
+          credit(state, from, balance.sub(escrow));
+          credit(state, state.ticketAddress, balance.neg());
+          state.released = true;
+          state.withdrawn = true;
+        }
+        break;
+      }
+      case 'releaseCommission': {
+        const escrow = escrowOf(state);
+        tx = await send(state, ticket.releaseCommission, [], from);
+        if (tx) {
+          credit(state, factory.address, escrow);
+          credit(state, state.ticketAddress, escrow.neg());
+          state.released = true;
+        }
+        break;
+      }
+      case 'setCommissionRate':
+        tx = await send(state, factory.setCommissionRate, [step.rate], admin);
+        break;
+      case 'applyCommissionRate':
+        tx = await send(state, factory.applyCommissionRate, [], admin);
+        break;
+      case 'time':
+        await increaseTime(step.seconds);
+        break;
+    }
+    state.last.tx = tx;
+  }
+
+  // what refunding every ticket would pay, in the order of the contract, read from the contract
+  const outstandingRefunds = async (ticket, supply) => {
+    let escrow = await ticket.escrowedCommission();
+    let outstanding = new BN(0);
+    for (let index = 0; index < supply; index++) {
+      const paid = await ticket.tokenToPaid(await ticket.tokenByIndex(index));
+      const commission = paid.sub(price);
+      if (commission.lte(escrow)) {
+        escrow = escrow.sub(commission);
+        outstanding = outstanding.add(paid);
+      } else {
+        outstanding = outstanding.add(price);
+      }
+    }
+    return outstanding;
+  }
+
+  const check = async (state, step) => {
+    const { ticket } = state;
+    const { tx, cancelledBefore, refundable } = state.last;
+
+    const supply = (await ticket.totalSupply()).toNumber();
+    if (supply > maxTickets || supply !== state.tokens.size) {
+      throw new InvariantViolation(INVARIANTS.SUPPLY, 'totalSupply is ' + supply + ' with ' + state.tokens.size + ' tickets outstanding and maxTickets ' + maxTickets);
+    }
+
+    if (refundable && !tx) {
+      throw new InvariantViolation(INVARIANTS.REFUNDABLE, step.action + ' was rejected after the event was cancelled');
+    }
+
+    for (const log of tx ? tx.logs.filter(log => log.event === 'TicketStamped') : []) {
+      const tokenId = log.args.ticketId.toNumber();
+      state.stampCounts.set(tokenId, (state.stampCounts.get(tokenId) || 0) + 1);
+      if (state.stampCounts.get(tokenId) > 1) {
+        throw new InvariantViolation(INVARIANTS.SINGLE_STAMP, 'ticket ' + tokenId + ' was stamped ' + state.stampCounts.get(tokenId) + ' times');
+      }
+    }
+
+    if (step.action === 'withdrawBalance' && tx && cancelledBefore) {
+      throw new InvariantViolation(INVARIANTS.NO_WITHDRAWAL_AFTER_CANCEL, 'the balance was withdrawn from a cancelled event');
+    }
+
+    // a withdrawn tier is settled, cancelling it afterwards leaves nothing to refund
+    if (!state.withdrawn) {
+      const balance = new BN(await web3.eth.getBalance(state.ticketAddress));
+      const outstanding = await outstandingRefunds(ticket, supply);
+      if (balance.lt(outstanding)) {
+        throw new InvariantViolation(INVARIANTS.SOLVENCY, 'the balance ' + balance + ' does not cover the refunds of ' + outstanding);
+      }
+    }
+
+    for (const address of Object.keys(state.start)) {
+      const balance = new BN(await web3.eth.getBalance(address));
+      const expected = state.start[address].add(state.delta[address]);
+      if (!balance.eq(expected)) {
+        throw new InvariantViolation(INVARIANTS.FUNDS, address + ' holds ' + balance + ' instead of ' + expected);
+      }
+    }
+  }
+
+  return { generate, simplify, setup, execute, check };
+}
+
+module.exports = {
+  INVARIANTS,
+  ticketEconomics
+};
@@ -0,0 +1,227 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, OfflineGate, AdmissionLog, STATUS, gate, entrypass, cli } = require('../lib');
+const { getCurrentBlockTimestamp, isolateTests, createEventFixture, signTypedData } = require('./helpers');
+
+contract('Batch stamping and offline gates', (accounts) => {
+
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let friend      = accounts[2];
+  let stamper     = accounts[3];
+  let stranger    = accounts[4];
+
+  const price = new BN('1000');
+
+  var client;
+  var factory;
+  var now;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  beforeEach(async () => {
+    now = await getCurrentBlockTimestamp();
+  });
+
+  const addTier = async (eventId) => {
+    const { ticketAddress } = await client.createTicket(eventId, { uri: 'ipfs://tier', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price, saleStart: now, saleEnd: now + 1000 });
+    return ticketAddress;
+  }
+
+  // an event with two tiers, holder has tickets 1-3 of the first and 1-2 of the second, friend has ticket 4 of the first
+  const gateFixture = async () => {
+    const fixture = await createEventFixture(factory, { owner, holders: [holder], mint: 3, ticket: { price } });
+    const otherAddress = await addTier(fixture.eventId);
+    await client.mintTicket(otherAddress, 2, { from: holder });
+    await client.mintTicket(fixture.ticketAddress, 1, { from: friend });
+    await client.addStamper(fixture.eventId, stamper);
+    return Object.assign(fixture, { otherAddress, other: await Ticket.at(otherAddress) });
+  }
+
+  const newGate = (snapshot, name) => {
+    return new OfflineGate({ snapshot, log: new AdmissionLog({ gate: name }), clock: () => now });
+  }
+
+  // an EIP-712 pass of the holder answering a challenge of the gate
+  const scanPass = async (offlineGate, { eventId, ticket, ticketId, from = holder }) => {
+    const nonce = await offlineGate.issueChallenge();
+    const pass = await entrypass.signTypedEntryPass({ eventId, holder: from, ticket, ticketId, timestamp: now, nonce }, signTypedData(from), offlineGate.snapshot.domain);
+    return offlineGate.scan(entrypass.encodeEntryPass(pass));
+  }
+
+  it('stampTickets should stamp a batch of a tier and skip stamped and burnt tickets', async () => {
+    const { eventId, ticketAddress, ticket } = await gateFixture();
+    await truffleAssert.reverts(ticket.stampTickets([1, 2], { from: stranger }), '019001');
+
+    await client.stampTicket(ticketAddress, 2, { from: stamper });
+    const stamped = await client.stampTickets(ticketAddress, [1, 2, 3, 9], { from: stamper });
+    assert.deepEqual(stamped.stamped, [1, 3]);
+    assert.isTrue(await ticket.tokenToStamped(1));
+    assert.isFalse(await ticket.tokenToStamped(9));
+
+    // submitting the same batch again stamps nothing
+    assert.deepEqual((await client.stampTickets(ticketAddress, [1, 3], { from: owner })).stamped, []);
+    assert.isFalse(await ticket.tokenToStamped(4));
+    assert.equal(await factory.eventToOwner(eventId), owner);
+  });
+
+  it('the factory should stamp tickets of several tiers of an event in one transaction', async () => {
+    const { eventId, ticketAddress, otherAddress, other } = await gateFixture();
+    const { ticketAddress: foreignAddress } = await createEventFixture(factory, { owner, holders: [holder], mint: 1 });
+
+    await truffleAssert.reverts(factory.stampTickets(eventId, [ticketAddress], [[1]], { from: stranger }), '019001');
+    await truffleAssert.reverts(factory.stampTickets(eventId, [ticketAddress, otherAddress], [[1]], { from: stamper }), '019002');
+    await truffleAssert.reverts(factory.stampTickets(eventId, [ticketAddress, foreignAddress], [[1], [1]], { from: stamper }), '019005');
+
+    const batch = await client.stampTicketBatch(eventId, [{ ticketAddress, ticketIds: [1, 4] }, { ticketAddress: otherAddress, ticketIds: [2] }], { from: stamper });
+    assert.deepEqual(batch.stamped, [{ ticketAddress, ticketId: 1 }, { ticketAddress, ticketId: 4 }, { ticketAddress: otherAddress, ticketId: 2 }]);
+    assert.isTrue(await other.tokenToStamped(2));
+    assert.isFalse(await other.tokenToStamped(1));
+  });
+
+  it('an offline gate should admit each ticket of the snapshot once, without the chain', async () => {
+    const { eventId, ticketAddress, otherAddress } = await gateFixture();
+    await client.stampTicket(ticketAddress, 3, { from: stamper });
+    const snapshot = JSON.parse(JSON.stringify(await gate.createSnapshot(client, eventId)));
+    assert.equal(snapshot.validationTimeout, 60);
+    assert.deepEqual(Object.keys(snapshot.tickets), [ticketAddress.toLowerCase(), otherAddress.toLowerCase()]);
+
+    const north = newGate(snapshot, 'north');
+    const admitted = await scanPass(north, { eventId, ticket: ticketAddress, ticketId: 1 });
+    assert.equal(admitted.status, STATUS.ADMIT, admitted.reason);
+    assert.equal(admitted.admission.id, 'north:1');
+    assert.equal((await scanPass(north, { eventId, ticket: ticketAddress, ticketId: 1 })).status, STATUS.ALREADY_STAMPED);
+    assert.equal((await scanPass(north, { eventId, ticket: ticketAddress, ticketId: 3 })).status, STATUS.ALREADY_STAMPED);
+    assert.equal((await scanPass(north, { eventId, ticket: ticketAddress, ticketId: 4 })).status, STATUS.INVALID);
+    assert.equal((await scanPass(north, { eventId, ticket: ticketAddress, ticketId: 7 })).status, STATUS.INVALID);
+    assert.equal((await scanPass(north, { eventId, ticket: otherAddress, ticketId: 1 })).status, STATUS.ADMIT);
+
+    // once the gates have exchanged their logs, tickets admitted at one are rejected at the other
+    const south = newGate(snapshot, 'south');
+    assert.equal(south.log.merge(north.log), 2);
+    const rejected = await scanPass(south, { eventId, ticket: otherAddress, ticketId: 1 });
+    assert.equal(rejected.status, STATUS.ALREADY_STAMPED);
+    assert.include(rejected.reason, 'north');
+    assert.equal((await scanPass(south, { eventId, ticket: ticketAddress, ticketId: 4, from: friend })).status, STATUS.ADMIT);
+    assert.equal(north.log.merge(south.log.data), 1);
+    assert.equal(north.log.merge(south.log), 0);
+    assert.deepEqual(north.log.admissions().map(admission => admission.id), south.log.admissions().map(admission => admission.id));
+    assert.isFalse(await (await Ticket.at(ticketAddress)).tokenToStamped(1));
+  });
+
+  it('a snapshot should skip burnt tickets but fail when the node does', async () => {
+    const { eventId, ticketAddress } = await gateFixture();
+    await client.cancelEvent(eventId);
+    await client.refundTicket(ticketAddress, 2, { from: holder });
+    const snapshot = await gate.createSnapshot(client, eventId);
+    assert.deepEqual(Object.keys(snapshot.tickets[ticketAddress.toLowerCase()]), ['1', '3', '4']);
+
+    // as if the connection dropped while ticket 3 was read
+    const flaky = Object.assign(Object.create(client), {
+      ticketAt: async (address) => {
+        const ticket = await client.ticketAt(address);
+        return Object.assign(Object.create(ticket), {
+          ownerOf: (ticketId, block) => Number(ticketId) === 3 ? Promise.reject(new Error('CONNECTION ERROR: Couldn\'t connect to node')) : ticket.ownerOf(ticketId, block)
+        });
+      }
+    });
+    try {
+      await gate.createSnapshot(flaky, eventId);
+      assert.fail('Snapshot was created');
+    } catch (err) {
+      assert.include(err.message, 'CONNECTION ERROR');
+    }
+  });
+
+  it('syncing should stamp the admissions in batches and report double entries', async () => {
+    const { eventId, ticketAddress, otherAddress, ticket } = await gateFixture();
+    const snapshot = await gate.createSnapshot(client, eventId);
+    const north = newGate(snapshot, 'north');
+    const south = newGate(snapshot, 'south');
+    const stamperClient = await TketsClient.deployed({ EventFactory, Ticket, from: stamper });
+
+    for (const ticketId of [1, 2]) {
+      assert.equal((await scanPass(north, { eventId, ticket: ticketAddress, ticketId })).status, STATUS.ADMIT);
+    }
+    assert.equal((await scanPass(north, { eventId, ticket: otherAddress, ticketId: 1 })).status, STATUS.ADMIT);
+    // gates that cannot reach each other both admit ticket 2, an online scanner stamps ticket 4 admitted by south
+    assert.equal((await scanPass(south, { eventId, ticket: ticketAddress, ticketId: 2 })).status, STATUS.ADMIT);
+    assert.equal((await scanPass(south, { eventId, ticket: ticketAddress, ticketId: 4, from: friend })).status, STATUS.ADMIT);
+    await client.stampTicket(ticketAddress, 4, { from: stamper });
+
+    const first = await gate.syncAdmissions({ client: stamperClient, log: north.log, eventId, batchSize: 2 });
+    assert.equal(first.txs.length, 2);
+    assert.sameDeepMembers(first.stamped.map(({ ticket, ticketId }) => [ticket, ticketId]), [[ticketAddress, 1], [ticketAddress, 2], [otherAddress, 1]]);
+    assert.deepEqual(first.doubleEntries, []);
+    assert.isTrue(await ticket.tokenToStamped(2));
+
+    const second = await gate.syncAdmissions({ client: stamperClient, log: south.log, eventId });
+    assert.deepEqual(second.stamped, []);
+    assert.deepEqual(second.doubleEntries.map(entry => [entry.ticketId, entry.reason]), [[2, gate.DOUBLE_ENTRY.STAMPED_ELSEWHERE], [4, gate.DOUBLE_ENTRY.STAMPED_ELSEWHERE]]);
+
+    // merged, the logs know the ticket 2 was admitted at both gates and stamped by the first sync
+    north.log.merge(south.log);
+    const merged = await gate.syncAdmissions({ client: stamperClient, log: north.log, eventId });
+    assert.deepEqual(merged.txs, []);
+    const twice = merged.doubleEntries.find(entry => entry.ticketId === 2);
+    assert.equal(twice.reason, gate.DOUBLE_ENTRY.ADMITTED_TWICE);
+    assert.deepEqual(twice.admissions.map(admission => admission.gate), ['north', 'south']);
+    assert.equal(north.log.getSynced(ticketAddress, 2).tx, first.txs[0]);
+  });
+
+  it('syncing should report admitted tickets that were burnt since the snapshot', async () => {
+    const { eventId, ticketAddress } = await gateFixture();
+    const north = newGate(await gate.createSnapshot(client, eventId), 'north');
+    assert.equal((await scanPass(north, { eventId, ticket: ticketAddress, ticketId: 3 })).status, STATUS.ADMIT);
+    await client.cancelEvent(eventId);
+    await client.refundTicket(ticketAddress, 3, { from: holder });
+
+    const synced = await gate.syncAdmissions({ client, log: north.log, eventId });
+    assert.deepEqual(synced.stamped, []);
+    assert.deepEqual(synced.missing, [{ ticket: ticketAddress, ticketId: 3 }]);
+    assert.isTrue(north.log.getSynced(ticketAddress, 3).missing);
+  });
+
+  it('gate-snapshot and gate-sync should write the snapshot and stamp the merged gate logs', async () => {
+    const { eventId, ticketAddress } = await gateFixture();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tkets-gate-'));
+    const tkets = async (...argv) => {
+      const output = [];
+      const code = await cli.run(argv, { client, log: line => output.push(line) });
+      return { code, output: output.join('\n') };
+    }
+
+    const snapshotPath = path.join(dir, 'snapshot.json');
+    const snapshotted = await tkets('gate-snapshot', '--event', eventId.toString(), '--out', snapshotPath);
+    assert.equal(snapshotted.code, 0, snapshotted.output);
+    assert.include(snapshotted.output, '2 tiers, 6 tickets');
+
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    const gates = ['north', 'south'].map(name => new OfflineGate({ snapshot, log: new AdmissionLog({ path: path.join(dir, name + '.json'), gate: name }).load(), clock: () => now }));
+    await scanPass(gates[0], { eventId, ticket: ticketAddress, ticketId: 1 });
+    await scanPass(gates[1], { eventId, ticket: ticketAddress, ticketId: 1 });
+    await scanPass(gates[1], { eventId, ticket: ticketAddress, ticketId: 2 });
+
+    const logPath = path.join(dir, 'north.json');
+    const dryRun = await tkets('gate-sync', '--event', eventId.toString(), '--log', logPath, '--merge', path.join(dir, 'south.json'), '--dry-run');
+    assert.equal(dryRun.code, 0, dryRun.output);
+    assert.include(dryRun.output, '2 admitted tickets to stamp in 1 transactions');
+
+    const synced = await tkets('gate-sync', '--event', eventId.toString(), '--log', logPath, '--merge', path.join(dir, 'south.json'));
+    assert.equal(synced.code, 0, synced.output);
+    assert.include(synced.output, 'Stamped 2 tickets in 1 transactions');
+    assert.include(synced.output, 'ADMITTED_TWICE ' + ticketAddress + ' #1');
+    assert.equal(Object.keys(new AdmissionLog({ path: logPath }).load().data.synced).length, 2);
+  });
+});
@@ -0,0 +1,153 @@
+// Shared helpers for the truffle tests, `web3` and `artifacts` are the globals injected by `truffle test`.
+const BN = require('bn.js');
+
+const uri = "https://www.testimguri.com/asdasd.png"
+const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+
+const rpc = (method, params = []) => {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({ jsonrpc: '2.0', method, params, id: Date.now() }, (err, res) => err ? reject(err) : resolve(res.result));
+  });
+}
+
+// ganache keeps the clock moved by evm_increaseTime across evm_revert (also the one truffle runs between
+// contract blocks), so the latest block can lag behind it, a freshly mined block carries the current time
+const getCurrentBlockTimestamp = async () => {
+  await rpc('evm_mine');
+  return web3.eth.getBlockNumber().then(blocknumber => web3.eth.getBlock(blocknumber)).then(result => { return Number(result.timestamp) });
+}
+
+/* Time control, instead of waiting for real time to pass */
+
+// moves the chain clock forward and mines a block at the new time
+const increaseTime = async (seconds) => {
+  await rpc('evm_increaseTime', [seconds]);
+  await rpc('evm_mine');
+}
+
+const increaseTimeTo = async (timestamp) => {
+  const now = await getCurrentBlockTimestamp();
+  if (timestamp > now) {
+    await increaseTime(timestamp - now);
+  }
+}
+
+// commission rate increases are timelocked, this moves the clock past the delay and applies them
+const setCommissionRate = async (factory, rate, options) => {
+  await factory.setCommissionRate(rate, options);
+  const changeTime = Number(await factory.commissionRateChangeTime());
+  if (changeTime !== 0) {
+    await increaseTimeTo(changeTime);
+    await factory.applyCommissionRate(options);
+  }
+}
+
+const snapshot = () => {
+  return rpc('evm_snapshot');
+}
+
+const revert = (snapshotId) => {
+  return rpc('evm_revert', [snapshotId]);
+}
+
+/**
+* @dev Reverts the chain after every test of the enclosing describe/contract block,
+* so each test starts from the state its before() hooks left and can move the clock forward freely.
+*/
+const isolateTests = () => {
+  let snapshotId;
+  beforeEach(async () => {
+    snapshotId = await snapshot();
+  });
+  afterEach(async () => {
+    await revert(snapshotId);
+  });
+}
+
+/* Signatures */
+
+// ganache signs with v = 0/1, ecrecover expects 27/28
+const getSignature = async (_msg, _owner) => {
+  return web3.eth.sign(_msg, _owner).then(signature => {
+    var _r = signature.slice(0, 66);
+    var _s = "0x" + signature.slice(66, 130);
+    var _v = web3.utils.hexToNumber("0x" + signature.slice(130, 132));
+    if (_v < 27) {
+      _v += 27;
+    }
+    return {r: _r, s: _s, v: _v};
+  });
+}
+
+// signature of the holder over EventFactory.encodeMsg, as created by the holder app
+const signTicket = async (eventFactoryInstance, { eventId, holder, ticketAddress, ticketId, timestamp }) => {
+  const msg = await eventFactoryInstance.encodeMsg(eventId, holder, ticketAddress, ticketId, timestamp);
+  return getSignature(msg, holder);
+}
+
+// signer for lib/entrypass.js signTypedEntryPass, the node signs the typed data like a wallet would
+const signTypedData = (address) => {
+  return (typedData) => rpc('eth_signTypedData', [address, typedData]);
+}
+
+/* Fixtures */
+
+/**
+* @dev Creates a fresh event with one ticket tier and mints tickets to the holders.
+* Times default to relative to the current block: the event lasts 10000s, the sale 1000000s.
+* Resolves to `{ eventId, ticketAddress, ticket, ticketStruct, tokenIds }`, tokenIds maps each holder to its token IDs.
+*
+* @param event `{ start, end }`
+* @param ticket `{ maxTickets, price, saleStart, saleEnd, acceptDonations, useTokenIDInURI }`
+* @param mint Number of tickets minted to each of the holders
+*/
+const createEventFixture = async (eventFactoryInstance, { owner, holders = [], mint = 0, event = {}, ticket = {} }) => {
+  const Ticket = artifacts.require("Ticket");
+  const currentTimestamp = await getCurrentBlockTimestamp();
+
+  const { start = currentTimestamp, end = currentTimestamp + 10000 } = event;
+  const eventTx = await eventFactoryInstance.createEvent([start, end], {from: owner});
+  const eventId = eventTx.logs[0].args.eventId;
+
+  const { maxTickets = 10, price = new BN('10000000000000000000'), saleStart = currentTimestamp, saleEnd = currentTimestamp + 1000000, acceptDonations = false, useTokenIDInURI = false } = ticket;
+  const ticketStruct = [maxTickets, new BN(price), saleStart, saleEnd, acceptDonations];
+  const ticketTx = await eventFactoryInstance.createTicket(eventId, uri, uriHash, useTokenIDInURI, ticketStruct, {from: owner});
+  const ticketAddress = ticketTx.logs[0].args.ticketAddress;
+  const ticketInstance = await Ticket.at(ticketAddress);
+
+  const tokenIds = {};
+  if (mint > 0) {
+    const commissionRate = await eventFactoryInstance.commissionRate();
+    const salePrice = ticketStruct[1].add(ticketStruct[1].mul(commissionRate).divn(10000));
+    for (const holder of holders) {
+      const mintTx = await ticketInstance.mintTicket(mint, {from: holder, value: salePrice.muln(mint)});
+      tokenIds[holder] = mintTx.logs.filter(log => log.event === 'TicketMint').map(log => log.args.ticketId.toNumber());
+    }
+  }
+
+  return { eventId, ticketAddress, ticket: ticketInstance, ticketStruct, tokenIds };
+}
+
+// fee paid for a mined transaction, to compare account balances before and after it
+const transactionFee = async (tx) => {
+  const txRaw = await web3.eth.getTransaction(tx.tx);
+  return new BN(txRaw.gasPrice).mul(new BN(tx.receipt.gasUsed));
+}
+
+module.exports = {
+  uri,
+  uriHash,
+  rpc,
+  getCurrentBlockTimestamp,
+  increaseTime,
+  increaseTimeTo,
+  setCommissionRate,
+  snapshot,
+  revert,
+  isolateTests,
+  getSignature,
+  signTicket,
+  signTypedData,
+  createEventFixture,
+  transactionFee
+};
@@ -0,0 +1,213 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BN = require('bn.js');
+const { TketsClient, cli, errors } = require('../lib');
+const importer = require('../lib/importer');
+const { getCurrentBlockTimestamp } = require('./helpers');
+
+contract('Importer', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+
+  var client;
+  var now;
+  var directory;
+
+  const header = importer.CSV_COLUMNS.join(',');
+
+  // two events, the second one with its times only on its first line
+  const manifestCsv = () => [
+    header,
+    ['Festival', now, now + 1000, 'Early bird', uri, uriHash, 'false', '100', '1000', now, now + 500, 'false'].join(','),
+    ['Festival', now, now + 1000, 'VIP', uri + '/vip', uriHash, 'true', '10', '5000', now, now + 900, 'yes'].join(','),
+    ['Afterparty', now + 1000, now + 2000, 'Entry', uri, uriHash, '', '0', '0', now, now + 1500, ''].join(','),
+    ['Afterparty', '', '', '"Entry, late"', uri, uriHash, '', '0', '200', now + 1000, now + 2000, ''].join(',')
+  ].join('\n');
+
+  const countTicketCreates = async () => {
+    const factory = await EventFactory.deployed();
+    return (await factory.getPastEvents('TicketCreate', { fromBlock: 0 })).length;
+  }
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    now = await getCurrentBlockTimestamp();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tkets-import-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('parses a CSV manifest into events and tiers', () => {
+    const manifest = importer.parseManifest(manifestCsv(), 'csv');
+    assert.deepEqual(manifest.events.map(event => event.name), ['Festival', 'Afterparty']);
+    assert.deepEqual(manifest.events[1].tiers.map(tier => tier.name), ['Entry', 'Entry, late']);
+    assert.equal(manifest.events[1].start, now + 1000);
+
+    const vip = manifest.events[0].tiers[1];
+    assert.equal(vip.row, 3);
+    assert.equal(vip.useTokenIDInURI, true);
+    assert.equal(vip.acceptDonations, true);
+    assert.equal(vip.maxTickets, 10);
+    assert.isTrue(vip.price.eq(new BN('5000')));
+  });
+
+  it('parses a JSON manifest with ISO times', () => {
+    const manifest = importer.parseManifest(JSON.stringify({ events: [{ name: 'Festival', start: '2030-06-01T18:00:00Z', end: '2030-06-02T02:00:00Z', tiers: [
+      { name: 'GA', uri, uriHash, maxTickets: 500, price: '10000000000000000000', saleStart: '2030-05-01T00:00:00Z', saleEnd: '2030-06-01T18:00:00Z', acceptDonations: true }
+    ] }] }), 'json');
+    const [event] = manifest.events;
+    assert.equal(event.start, 1906567200);
+    assert.equal(event.tiers[0].row, 'events[0].tiers[0]');
+    assert.equal(event.tiers[0].price.toString(), '10000000000000000000');
+    assert.equal(event.tiers[0].useTokenIDInURI, false);
+  });
+
+  it('reports every problem of an invalid manifest with its line', () => {
+    const text = [
+      header,
+      ['Festival', now, now + 1000, 'GA', uri, uriHash, 'false', '100', '-1', now, now + 500, 'false'].join(','),
+      ['Festival', now, now + 1000, 'GA', uri, '0x1234', 'maybe', '1.5', '1000', now + 500, now + 2000, 'false'].join(','),
+      ['Festival', now + 1, now + 1000, 'Late', uri, uriHash, 'false', '100', '1000', now + 500, now, 'false'].join(','),
+      ['Broken', now + 1000, now, 'GA', '', uriHash, 'false', '100', '1000', now, now + 500, 'false'].join(',')
+    ].join('\n');
+
+    let error;
+    try {
+      importer.parseManifest(text, 'csv');
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, errors.InvalidInputError);
+    const messages = error.problems.map(problem => problem.row + ' ' + problem.message);
+    assert.includeMembers(messages, [
+      '2 price must be a non-negative integer',
+      '3 uriHash must be a 0x prefixed 32 byte hex string',
+      '3 useTokenIDInURI must be true or false',
+      '3 maxTickets must be a non-negative integer',
+      '3 saleEnd must not be after the end of event Festival',
+      '3 Duplicate tier GA in event Festival',
+      '4 Times of event Festival differ from line 2',
+      '4 saleStart must be before saleEnd',
+      '5 start must be before end',
+      '5 uri is missing'
+    ]);
+  });
+
+  it('creates all events and tiers and reports their addresses', async () => {
+    const journal = new importer.ImportJournal({ path: path.join(directory, 'journal.json') });
+    const report = await new importer.Importer({ client, journal, concurrency: 2 }).run(importer.parseManifest(manifestCsv(), 'csv'));
+
+    assert.deepEqual(report.map(row => row.status), ['CREATED', 'CREATED', 'CREATED', 'CREATED']);
+    assert.deepEqual(report.map(row => row.row), [2, 3, 4, 5]);
+    assert.equal(report[0].eventId, report[1].eventId);
+    assert.notEqual(report[0].eventId, report[2].eventId);
+
+    const vip = await client.getTicket(report[1].ticketAddress);
+    assert.equal(vip.eventId.toString(16), report[1].eventId.slice(2));
+    assert.equal(vip.maxTickets, 10);
+    assert.isTrue(vip.price.eq(new BN('5000')));
+    assert.equal(vip.saleEnd, now + 900);
+    assert.equal(vip.acceptDonations, true);
+
+    const saved = JSON.parse(fs.readFileSync(journal.path, 'utf8'));
+    assert.equal(saved.events['Afterparty'].tickets['Entry, late'].ticketAddress, report[3].ticketAddress);
+
+    const csvReport = importer.formatReport(report).split('\n');
+    assert.equal(csvReport[0], 'row,event,tier,eventId,ticketAddress,status,tx,error');
+    assert.match(csvReport[4], /^5,Afterparty,"Entry, late",0x[0-9a-f]+,0x[0-9a-fA-F]{40},CREATED,0x[0-9a-f]{64},$/);
+  });
+
+  it('resumes after a failed tier without creating anything twice', async () => {
+    const journal = new importer.ImportJournal({ path: path.join(directory, 'resume.json') });
+    const manifest = importer.parseManifest(manifestCsv(), 'csv');
+    const createTicket = client.createTicket;
+    client.createTicket = function (eventId, tier, options) {
+      if (tier.name === 'VIP') {
+        return Promise.reject(new Error('connection reset'));
+      }
+      return createTicket.call(this, eventId, tier, options);
+    };
+    let first;
+    try {
+      first = await new importer.Importer({ client, journal }).run(manifest);
+    } finally {
+      client.createTicket = createTicket;
+    }
+    assert.deepEqual(first.map(row => row.status), ['CREATED', 'FAILED', 'CREATED', 'CREATED']);
+    assert.equal(first[1].error, 'connection reset');
+
+    const created = await countTicketCreates();
+    const second = await new importer.Importer({ client, journal: new importer.ImportJournal({ path: journal.path }).load() }).run(manifest);
+    assert.deepEqual(second.map(row => row.status), ['EXISTING', 'CREATED', 'EXISTING', 'EXISTING']);
+    assert.equal(second[0].ticketAddress, first[0].ticketAddress);
+    assert.equal(await countTicketCreates(), created + 1);
+  });
+
+  it('recovers events and tiers that were created but not recorded', async () => {
+    const journal = new importer.ImportJournal({ path: path.join(directory, 'recover.json') });
+    const manifest = importer.parseManifest(manifestCsv(), 'csv');
+    const first = await new importer.Importer({ client, journal }).run(manifest);
+
+    // as if the process died before the journal was written
+    const saved = JSON.parse(fs.readFileSync(journal.path, 'utf8'));
+    delete saved.events['Festival'];
+    delete saved.events['Afterparty'].tickets['Entry'];
+    fs.writeFileSync(journal.path, JSON.stringify(saved));
+
+    const created = await countTicketCreates();
+    const second = await new importer.Importer({ client, journal: new importer.ImportJournal({ path: journal.path }).load() }).run(manifest);
+    assert.deepEqual(second.map(row => row.status), ['RECOVERED', 'RECOVERED', 'RECOVERED', 'EXISTING']);
+    assert.deepEqual(second.map(row => row.ticketAddress), first.map(row => row.ticketAddress));
+    assert.deepEqual(second.map(row => row.eventId), first.map(row => row.eventId));
+    assert.equal(await countTicketCreates(), created);
+  });
+
+  it('refuses to resume an event whose times changed', async () => {
+    const journal = new importer.ImportJournal();
+    const manifest = importer.parseManifest(manifestCsv(), 'csv');
+    manifest.events = [manifest.events[1]];
+    await new importer.Importer({ client, journal }).run(manifest);
+
+    manifest.events[0].end += 1;
+    const report = await new importer.Importer({ client, journal }).run(manifest);
+    assert.deepEqual(report.map(row => row.status), ['FAILED', 'FAILED']);
+    assert.match(report[0].error, /already created with different times/);
+  });
+
+  it('tkets import should validate with --dry-run and write the report', async () => {
+    const manifestPath = path.join(directory, 'manifest.csv');
+    fs.writeFileSync(manifestPath, manifestCsv());
+    const run = async (...argv) => {
+      const output = [];
+      const code = await cli.run(argv, { client, log: line => output.push(line) });
+      return { code, output: output.join('\n') };
+    }
+
+    const dryRun = await run('import', '--manifest', manifestPath, '--dry-run');
+    assert.equal(dryRun.code, 0, dryRun.output);
+    assert.include(dryRun.output, 'Manifest is valid: 2 events, 4 tiers');
+    assert.isFalse(fs.existsSync(manifestPath + '.journal.json'));
+
+    const imported = await run('import', '--manifest', manifestPath);
+    assert.equal(imported.code, 0, imported.output);
+    assert.include(imported.output, 'Imported 4 of 4 tiers, report written to ' + manifestPath + '.report.csv');
+    assert.equal(fs.readFileSync(manifestPath + '.report.csv', 'utf8').split('\n').filter(line => line.includes(',CREATED,')).length, 4);
+
+    const again = await run('import', '--manifest', manifestPath);
+    assert.equal(again.code, 0, again.output);
+    assert.equal(fs.readFileSync(manifestPath + '.report.csv', 'utf8').split('\n').filter(line => line.includes(',EXISTING,')).length, 4);
+
+    fs.writeFileSync(manifestPath, manifestCsv().replace('Early bird', 'Early bird,extra'));
+    const invalid = await run('import', '--manifest', manifestPath, '--dry-run');
+    assert.equal(invalid.code, 1);
+    assert.include(invalid.output, 'Invalid manifest');
+  });
+});
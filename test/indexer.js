@@ -0,0 +1,168 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+const TicketDeployer = artifacts.require("TicketDeployer");
+const Forwarder = artifacts.require("Forwarder");
+const AttendanceBadge = artifacts.require("AttendanceBadge");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BN = require('bn.js');
+const { TketsClient, Indexer, JsonStore, deployment } = require('../lib');
+const { getCurrentBlockTimestamp, rpc } = require('./helpers');
+
+contract('Indexer', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd.png"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let otherHolder = accounts[2];
+  let stamper     = accounts[3];
+  let newOwner    = accounts[4];
+
+  const storePath = path.join(os.tmpdir(), 'tkets-indexer-test-' + process.pid + '.json');
+
+  var client;
+  var startBlock;
+  var eventId;
+  var gaAddress;
+  var vipAddress;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    startBlock = await web3.eth.getBlockNumber();
+
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    ({ eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 }));
+    ({ ticketAddress: gaAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 100, price: new BN('1000'), saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000 }));
+    ({ ticketAddress: vipAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 10, price: new BN('5000'), saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000, acceptDonations: true }));
+
+    await client.mintTicket(gaAddress, 3, { from: holder });
+    await client.mintTicket(vipAddress, 1, { from: holder });
+
+    const gaInstance = await Ticket.at(gaAddress);
+    await gaInstance.transferFrom(holder, otherHolder, 2, {from: holder});
+    await client.stampTicket(gaAddress, 1);
+
+    const eventFactoryInstance = await EventFactory.deployed();
+    await eventFactoryInstance.addStamperToEvent(stamper, eventId, {from: owner});
+    await eventFactoryInstance.addStamperToEvent(otherHolder, eventId, {from: owner});
+    await eventFactoryInstance.removeStamperFromEvent(otherHolder, eventId, {from: owner});
+  });
+
+  after(() => {
+    if (fs.existsSync(storePath)) {
+      fs.unlinkSync(storePath);
+    }
+  });
+
+  it('sync should index events, ticket types, holdings and stampers', async () => {
+    const indexer = Indexer.fromClient(client, { store: new JsonStore({ path: storePath }), startBlock, batchSize: 3 });
+    const result = await indexer.sync();
+    assert(result.indexed > 0, "No logs indexed!");
+    assert.equal(result.reorg, false);
+
+    const event = indexer.getEvent(eventId);
+    assert.equal(event.owner, owner);
+    assert.equal(event.cancelled, false);
+
+    const ticketTypes = indexer.ticketTypesOfEvent(eventId);
+    assert.deepEqual(ticketTypes.map(ticket => ticket.ticketAddress), [gaAddress, vipAddress]);
+    assert.equal(ticketTypes[0].sold, 3);
+    assert.equal(ticketTypes[0].stamped, 1);
+    assert.equal(ticketTypes[1].price, '5000');
+    assert.equal(ticketTypes[1].acceptDonations, true);
+
+    const holderTickets = indexer.ticketsOfHolder(holder);
+    assert.deepEqual(holderTickets.map(token => [token.ticketAddress, token.ticketId]).sort(), [[gaAddress, 1], [gaAddress, 3], [vipAddress, 1]].sort());
+    assert.equal(indexer.getToken(gaAddress, 1).stamped, true);
+    assert.equal(indexer.getToken(gaAddress, 3).stamped, false);
+
+    assert.deepEqual(indexer.ticketsOfHolder(otherHolder).map(token => token.ticketId), [2]);
+    assert.deepEqual(indexer.stampersOfEvent(eventId), [stamper]);
+  });
+
+  it('a new indexer on the same store should resume where the last one stopped', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    await eventFactoryInstance.transferOwnership(eventId, newOwner, {from: owner});
+    await eventFactoryInstance.cancelEvent(eventId, {from: newOwner});
+    const vipInstance = await Ticket.at(vipAddress);
+    await vipInstance.refundTicket(1, {from: holder});
+
+    const store = new JsonStore({ path: storePath }).load();
+    const lastBlock = store.data.lastBlock;
+    const indexer = Indexer.fromClient(client, { store, startBlock });
+    assert.equal(indexer.getTicket(gaAddress).sold, 3, "State should be rebuilt from the stored logs!");
+
+    const result = await indexer.sync();
+    assert.equal(result.indexed, 5, "Only the logs after the last indexed block should be fetched!");
+    assert(store.data.lastBlock > lastBlock);
+
+    const event = indexer.getEvent(eventId);
+    assert.equal(event.owner, newOwner);
+    assert.equal(event.cancelled, true);
+    assert.deepEqual(indexer.eventsOfOwner(newOwner).map(ownedEvent => ownedEvent.eventId), [eventId.toString()]);
+
+    assert.equal(indexer.getTicket(vipAddress).refunds, 1);
+    assert.equal(indexer.getTicket(vipAddress).outstanding, 0);
+    assert.equal(indexer.getToken(vipAddress, 1), undefined);
+    assert.deepEqual(indexer.ticketsOfHolder(holder).map(token => token.ticketAddress), [gaAddress, gaAddress]);
+  });
+
+  it('sync should roll back blocks that are no longer part of the chain', async () => {
+    const indexer = Indexer.fromClient(client, { store: new JsonStore(), startBlock });
+    await indexer.sync();
+
+    const snapshotId = await rpc('evm_snapshot');
+    const gaInstance = await Ticket.at(gaAddress);
+    await gaInstance.transferFrom(holder, otherHolder, 3, {from: holder});
+    await indexer.sync();
+    assert.deepEqual(indexer.ticketsOfHolder(otherHolder).map(token => token.ticketId).sort(), [2, 3]);
+
+    // replace the block with a different one at the same height
+    await rpc('evm_revert', [snapshotId]);
+    await rpc('evm_mine');
+    await rpc('evm_mine');
+
+    const result = await indexer.sync();
+    assert.equal(result.reorg, true, "Reorg not detected!");
+    assert.deepEqual(indexer.ticketsOfHolder(otherHolder).map(token => token.ticketId), [2]);
+    assert.deepEqual(indexer.ticketsOfHolder(holder).map(token => token.ticketId).sort(), [1, 3]);
+  });
+
+  it('sync should index the events and tickets a migration moved onto another factory', async () => {
+    const config = deployment.resolveDeployConfig({ defaults: { commissionRate: 0 }, networks: { local: {} } }, 'local');
+    const deployed = await deployment.deployTkets({ EventFactory, TicketDeployer, Forwarder, Ticket, AttendanceBadge }, config, { from: owner });
+    const target = new TketsClient({ factory: deployed.factory, Ticket, from: owner });
+    const targetStart = await web3.eth.getBlockNumber();
+    await new deployment.FactoryMigration({ source: client, target, startBlock }).run();
+
+    const source = Indexer.fromClient(client, { store: new JsonStore(), startBlock });
+    await source.sync();
+    const indexer = Indexer.fromClient(target, { store: new JsonStore(), startBlock: targetStart, batchSize: 3 });
+    await indexer.sync();
+
+    assert.equal(indexer.getEvent(eventId).owner, source.getEvent(eventId).owner);
+    assert.deepEqual(indexer.ticketTypesOfEvent(eventId).map(ticket => ticket.ticketAddress), [gaAddress, vipAddress]);
+    const ga = indexer.getTicket(gaAddress);
+    assert.equal(ga.maxTickets, 100);
+    assert.equal(ga.price, '1000');
+    assert.equal(ga.uri, uri);
+    assert.equal(ga.uriHash, null);
+    for (const field of ['sold', 'outstanding', 'stamped']) {
+      assert.equal(ga[field], source.getTicket(gaAddress)[field], field);
+    }
+    for (const account of [holder, otherHolder]) {
+      assert.deepEqual(indexer.ticketsOfHolder(account), source.ticketsOfHolder(account));
+    }
+
+    // the replayed logs come before the ones the ticket emits after the migration
+    const gaInstance = await Ticket.at(gaAddress);
+    await gaInstance.transferFrom(holder, otherHolder, 3, {from: holder});
+    await indexer.sync();
+    assert.deepEqual(indexer.ticketsOfHolder(otherHolder).map(token => token.ticketId).sort(), [2, 3]);
+    assert.deepEqual(indexer.ticketsOfHolder(holder).map(token => token.ticketId), [1]);
+  });
+
+});
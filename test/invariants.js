@@ -0,0 +1,93 @@
+const EventFactory = artifacts.require("EventFactory");
+
+const { InvariantViolation, checkProperty, optionsFromEnv, replay, shrink, formatSteps } = require('./fuzz/harness');
+const { ticketEconomics } = require('./fuzz/ticketEconomics');
+
+contract('Ticket economics invariants', (accounts) => {
+
+  let admin       = accounts[0];
+  let organizer   = accounts[1];
+  let holders     = accounts.slice(2, 5);
+
+  var property;
+
+  before(async () => {
+    const factory = await EventFactory.deployed();
+    property = ticketEconomics({ factory, accounts: [admin, organizer].concat(holders) });
+  });
+
+  const assertPasses = async (steps) => {
+    const result = await replay(property, steps);
+    assert.isFalse(result.failed, result.failed && result.error.message + '\nat step ' + (result.index + 1) + ' of\n' + formatSteps(steps));
+  }
+
+  it('random sequences of sales, refunds and withdrawals should keep the invariants', async () => {
+    // FUZZ_SEED=<seed of a failure> truffle test test/invariants.js replays it, FUZZ_SEED=random FUZZ_RUNS=50 explores more
+    await checkProperty(property, optionsFromEnv({ seed: 20221, runs: 4, steps: 25 }));
+  });
+
+  it('refundAll should pay back every ticket of a holder who bought and was given several', async () => {
+    await assertPasses([
+      { action: 'mintTicket', actor: 1, count: 3 },
+      { action: 'mintTicket', actor: 2, count: 2 },
+      { action: 'transferFrom', actor: 2, token: 3, to: 1 },
+      { action: 'stampTicket', actor: 0, token: 1 },
+      { action: 'cancelEvent', actor: 0 },
+      { action: 'refundAll', actor: 1 },
+      { action: 'refundAll', actor: 2 },
+      { action: 'refundAll', actor: 1 },
+      { action: 'withdrawBalance', actor: 0 }
+    ]);
+  });
+
+  it('tickets of an event cancelled after the commission was released should refund the price', async () => {
+    await assertPasses([
+      { action: 'mintTicket', actor: 1, count: 2 },
+      { action: 'setCommissionRate', rate: 1000 },
+      { action: 'time', seconds: 2 * 86400 },
+      { action: 'releaseCommission', actor: 2 },
+      { action: 'applyCommissionRate' },
+      { action: 'cancelEvent', actor: 0 },
+      { action: 'refundTicket', actor: 1, token: 0 },
+      { action: 'withdrawBalance', actor: 0 },
+      { action: 'refundAll', actor: 1 }
+    ]);
+  });
+
+  // a stand-in property without transactions, its shortest failing sequences are known
+  const sumBelow = (limit) => ({
+    generate: (random) => ({ add: random.int(0, 6) }),
+    simplify: (step) => step.add > 0 ? [{ add: step.add - 1 }] : [],
+    setup: async () => ({ total: 0 }),
+    execute: async (state, step) => {
+      state.total += step.add;
+    },
+    check: async (state) => {
+      if (state.total >= limit) {
+        throw new InvariantViolation('SUM', 'the total reached ' + state.total);
+      }
+    }
+  });
+
+  it('a failing sequence should shrink to a minimal one and name the seed it was found with', async () => {
+    const steps = [2, 0, 5, 1, 6, 3, 4].map(add => ({ add }));
+    const failure = await replay(sumBelow(10), steps);
+    assert.include(failure, { failed: true, index: 4 });
+    const shrunk = await shrink(sumBelow(10), steps, failure);
+    // steps adding up to the limit exactly, none of them can be dropped or lowered
+    const assertMinimal = (steps) => {
+      assert.isBelow(steps.length, 5);
+      assert.equal(steps.reduce((total, step) => total + step.add, 0), 10);
+      assert.isTrue(steps.every(step => step.add > 0));
+    }
+    assertMinimal(shrunk.steps);
+
+    const error = await checkProperty(sumBelow(10), { seed: 42, runs: 3, steps: 10 }).then(() => null, error => error);
+    assert.isNotNull(error);
+    assert.equal(error.invariant, 'SUM');
+    assert.equal(error.seed, 42);
+    assertMinimal(error.steps);
+    assert.include(error.message, 'the total reached 10');
+    assert.include(error.message, 'Seed 42, run 0, minimal sequence of ' + error.steps.length + ' steps');
+  });
+});
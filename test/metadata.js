@@ -0,0 +1,149 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const BN = require('bn.js');
+const { TketsClient, errors } = require('../lib');
+const metadata = require('../lib/metadata');
+const { getCurrentBlockTimestamp } = require('./helpers');
+
+contract('Metadata', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd"
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+
+  var client;
+  var eventId;
+  var currentTimestamp;
+  var directory;
+
+  const event = () => ({ name: 'Open Air', description: 'Open air festival', image: 'https://www.testimguri.com/asdasd.png', venue: 'Zurich', start: currentTimestamp, end: currentTimestamp + 100, eventId });
+  const tier = (maxTickets) => ({ name: 'VIP', price: new BN('1000'), maxTickets });
+
+  const createTicket = async (built, maxTickets) => {
+    return client.createTicket(eventId, { uri, uriHash: built.uriHash, useTokenIDInURI: built.useTokenIDInURI, maxTickets, price: new BN('1000'), saleStart: currentTimestamp, saleEnd: currentTimestamp + 50 });
+  }
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    currentTimestamp = await getCurrentBlockTimestamp();
+    ({ eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 100 }));
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tkets-metadata-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('canonicalizes independent of key order', () => {
+    assert.equal(metadata.canonicalize({ b: [1, { d: 'x', c: null }], a: true, e: undefined }), '{"a":true,"b":[1,{"c":null,"d":"x"}]}');
+    assert.equal(metadata.canonicalize({ a: 1, b: 2 }), metadata.canonicalize({ b: 2, a: 1 }));
+  });
+
+  it('builds a single ERC-721 document', () => {
+    const built = metadata.buildTicketMetadata({ event: event(), tier: tier(0) });
+    assert.equal(built.files.length, 1);
+    const document = JSON.parse(built.files[0].content);
+    assert.equal(document.name, 'Open Air - VIP');
+    assert.equal(document.description, 'Open air festival');
+    assert.equal(document.image, 'https://www.testimguri.com/asdasd.png');
+    assert.deepEqual(document.attributes.find(attribute => attribute.trait_type === 'Price (wei)'), { trait_type: 'Price (wei)', value: '1000' });
+    assert.equal(built.uriHash, web3.utils.keccak256(built.files[0].content));
+  });
+
+  it('builds one document per token', () => {
+    const built = metadata.buildTicketMetadata({ event: event(), tier: tier(3), useTokenIDInURI: true });
+    assert.deepEqual(built.files.map(file => file.tokenId), [1, 2, 3]);
+    assert.equal(JSON.parse(built.files[1].content).name, 'Open Air - VIP #2');
+    const hashes = built.files.map(file => web3.utils.keccak256(file.content).slice(2)).join('');
+    assert.equal(built.uriHash, web3.utils.keccak256('0x' + hashes));
+  });
+
+  it('rejects per-token metadata for unlimited tiers and missing fields', () => {
+    assert.throws(() => metadata.buildTicketMetadata({ event: event(), tier: tier(0), useTokenIDInURI: true }), errors.InvalidInputError);
+    assert.throws(() => metadata.buildTicketMetadata({ event: { start: 1, end: 2 }, tier: tier(0) }), errors.InvalidInputError, /event.name/);
+  });
+
+  it('verifies per-token metadata against TicketCreate', async () => {
+    const built = metadata.buildTicketMetadata({ event: event(), tier: tier(3), useTokenIDInURI: true });
+    const target = path.join(directory, 'per-token');
+    assert.equal(metadata.writeTicketMetadata(target, built).length, 3);
+    const { ticketAddress } = await createTicket(built, 3);
+    await client.mintTicket(ticketAddress, 2, { from: holder });
+
+    const ticket = await client.ticketAt(ticketAddress);
+    assert.equal(await ticket.tokenURI(2), uri + '/2');
+
+    const verified = await metadata.verifyTicketMetadata({ client, ticketAddress, fetch: metadata.localFetcher(uri, target) });
+    assert.isTrue(verified.valid);
+    assert.equal(verified.computedHash, built.uriHash);
+    assert.deepEqual(verified.uris, [uri + '/1', uri + '/2', uri + '/3']);
+
+    fs.writeFileSync(path.join(target, '3'), built.files[2].content.replace('#3', '#4'));
+    const tampered = await metadata.verifyTicketMetadata({ client, ticketAddress, fetch: metadata.localFetcher(uri, target) });
+    assert.isFalse(tampered.valid);
+    assert.equal(tampered.uriHash, built.uriHash);
+  });
+
+  it('does not mint token IDs without a document after an opt-out', async () => {
+    const now = await getCurrentBlockTimestamp();
+    const { eventId: rescheduled } = await client.createEvent({ start: now, end: now + 1000 });
+    const built = metadata.buildTicketMetadata({ event: Object.assign(event(), { eventId: rescheduled }), tier: tier(2), useTokenIDInURI: true });
+    const target = path.join(directory, 'opt-out');
+    metadata.writeTicketMetadata(target, built);
+    const { ticketAddress } = await client.createTicket(rescheduled, { uri, uriHash: built.uriHash, useTokenIDInURI: true, maxTickets: 2, price: new BN('1000'), saleStart: now, saleEnd: now + 500 });
+    await client.mintTicket(ticketAddress, 2, { from: holder });
+
+    await client.rescheduleEvent(rescheduled, { start: now + 2000, end: now + 3000, optOutWindow: 24 * 60 * 60 });
+    await client.optOutTicket(ticketAddress, 1, { from: holder });
+    try {
+      await client.mintTicket(ticketAddress, 1, { from: holder });
+      assert.fail('Minted token ID 3');
+    } catch (err) {
+      assert.instanceOf(err, errors.TicketSaleError);
+    }
+
+    const verified = await metadata.verifyTicketMetadata({ client, ticketAddress, fetch: metadata.localFetcher(uri, target) });
+    assert.isTrue(verified.valid);
+    assert.deepEqual(verified.uris, [uri + '/1', uri + '/2']);
+  });
+
+  it('verifies a single document served over http', async () => {
+    const built = metadata.buildTicketMetadata({ event: event(), tier: tier(0) });
+    const { ticketAddress } = await createTicket(built, 0);
+    const server = http.createServer((req, res) => {
+      if (req.url === '/asdasd') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(built.files[0].content);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const served = 'http://127.0.0.1:' + server.address().port + '/asdasd';
+    // the token URI is fixed on chain, point it at the mock server
+    const fetch = (tokenURI) => metadata.httpFetcher()(tokenURI.replace(uri, served));
+    try {
+      const verified = await metadata.verifyTicketMetadata({ client, ticketAddress, fetch });
+      assert.isTrue(verified.valid);
+      assert.deepEqual(verified.uris, [uri]);
+
+      let error;
+      await metadata.httpFetcher()(served + '/missing').catch(err => { error = err; });
+      assert.match(error.message, /status 404/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('does not verify tickets without TicketCreate', async () => {
+    let error;
+    await metadata.verifyTicketMetadata({ client, ticketAddress: holder }).catch(err => { error = err; });
+    assert.instanceOf(error, errors.NotExistsError);
+  });
+});
@@ -0,0 +1,160 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, allowlist, cli, errors } = require('../lib');
+const { getCurrentBlockTimestamp, increaseTime, isolateTests, createEventFixture } = require('./helpers');
+
+contract('Presale', (accounts) => {
+
+  let owner       = accounts[0];
+  let fans        = accounts.slice(1, 6);
+  let outsider    = accounts[6];
+
+  const price = new BN('1000');
+
+  var client;
+  var factory;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  // sale from now until now + 1000, presale for the fans until now + 100
+  const presaleFixture = async () => {
+    const now = await getCurrentBlockTimestamp();
+    const fixture = await createEventFixture(factory, { owner, ticket: { price, maxTickets: 0, saleStart: now, saleEnd: now + 1000 } });
+    const built = allowlist.buildAllowlist(fans);
+    await client.setPresale(fixture.ticketAddress, { root: built.root, end: now + 100 });
+    return Object.assign(fixture, { allowlist: built });
+  }
+
+  it('buildAllowlist should give every address a proof for the same root regardless of order', () => {
+    const built = allowlist.buildAllowlist(fans.concat([fans[0].toLowerCase()]));
+    assert.equal(Object.keys(built.proofs).length, fans.length);
+    assert.equal(allowlist.buildAllowlist(fans.slice().reverse()).root, built.root);
+    fans.forEach(fan => assert.isTrue(allowlist.verifyProof(built.root, fan, allowlist.getProof(built, fan.toLowerCase()))));
+    assert.isFalse(allowlist.verifyProof(built.root, outsider, allowlist.getProof(built, fans[0])));
+
+    const single = allowlist.buildAllowlist([fans[0]]);
+    assert.deepEqual(single.proofs[fans[0]], []);
+    assert.isTrue(allowlist.verifyProof(single.root, fans[0], []));
+
+    assert.throws(() => allowlist.getProof(built, outsider), errors.NotExistsError);
+    assert.throws(() => allowlist.buildAllowlist([fans[0], '0x1234']), errors.InvalidInputError, /0x1234/);
+    assert.throws(() => allowlist.buildAllowlist([]), errors.InvalidInputError);
+    assert.deepEqual(allowlist.parseAddresses(fans[0] + ', ' + fans[1] + ' # vip\n\n# team\n' + fans[2] + '\n'), fans.slice(0, 3));
+  });
+
+  it('only allowlisted addresses should mint during the presale, everyone after it', async () => {
+    const { ticketAddress, ticket, allowlist: built } = await presaleFixture();
+
+    for (const fan of fans) {
+      const minted = await client.mintPresaleTicket(ticketAddress, 1, { from: fan, proof: allowlist.getProof(built, fan) });
+      assert.equal(minted.tokenIds.length, 1);
+    }
+    await truffleAssert.reverts(ticket.mintPresaleTicket(1, allowlist.getProof(built, fans[0]), { from: outsider, value: price }), '019001');
+    await truffleAssert.reverts(ticket.mintTicket(1, { from: outsider, value: price }), '019006');
+    await truffleAssert.reverts(ticket.mintTicket(1, { from: fans[0], value: price }), '019006');
+
+    await increaseTime(200);
+
+    await truffleAssert.reverts(ticket.mintPresaleTicket(1, allowlist.getProof(built, fans[0]), { from: fans[0], value: price }), '019006');
+    const minted = await client.mintTicket(ticketAddress, 2, { from: outsider });
+    assert.deepEqual(minted.tokenIds, [fans.length + 1, fans.length + 2]);
+  });
+
+  it('the presale should not open before the ticket sale starts', async () => {
+    const now = await getCurrentBlockTimestamp();
+    const { ticket } = await createEventFixture(factory, { owner, ticket: { price, saleStart: now + 500, saleEnd: now + 1000 } });
+    const built = allowlist.buildAllowlist(fans);
+    await ticket.setPresale(built.root, now + 700, { from: owner });
+
+    await truffleAssert.reverts(ticket.mintPresaleTicket(1, allowlist.getProof(built, fans[0]), { from: fans[0], value: price }), '019006');
+    await increaseTime(500);
+    await ticket.mintPresaleTicket(1, allowlist.getProof(built, fans[0]), { from: fans[0], value: price });
+  });
+
+  it('only the event owner should set the presale, ending at the latest with the ticket sale', async () => {
+    const { ticketAddress, ticket, allowlist: built } = await presaleFixture();
+    const { saleEnd } = await client.getTicket(ticketAddress);
+
+    await truffleAssert.reverts(ticket.setPresale(built.root, saleEnd, { from: outsider }), '019001');
+    await truffleAssert.reverts(ticket.setPresale(built.root, saleEnd + 1, { from: owner }), '019002');
+
+    const tx = await ticket.setPresale(built.root, saleEnd, { from: owner });
+    truffleAssert.eventEmitted(tx, 'PresaleChange', ev => ev.merkleRoot === built.root && ev.presaleEndTime.toNumber() === saleEnd);
+    assert.equal((await client.getTicket(ticketAddress)).presaleEnd, saleEnd);
+
+    // ending the presale right away opens the public sale
+    await ticket.setPresale(built.root, 0, { from: owner });
+    await client.mintTicket(ticketAddress, 1, { from: outsider });
+  });
+
+  it('the per-address limit should hold across mint calls, transfers and the presale', async () => {
+    const { ticketAddress, ticket, allowlist: built } = await presaleFixture();
+    const fan = fans[0];
+
+    await truffleAssert.reverts(ticket.setMaxTicketsPerAddress(3, { from: fan }), '019001');
+    const tx = await ticket.setMaxTicketsPerAddress(3, { from: owner });
+    truffleAssert.eventEmitted(tx, 'MaxTicketsPerAddressChange', ev => ev.maxTicketsPerAddress.toNumber() === 3);
+    assert.equal(await client.remainingTicketsOf(ticketAddress, fan), 3);
+
+    await client.mintPresaleTicket(ticketAddress, 2, { from: fan, proof: allowlist.getProof(built, fan) });
+    await truffleAssert.reverts(ticket.mintPresaleTicket(2, allowlist.getProof(built, fan), { from: fan, value: price.muln(2) }), '019006');
+
+    await increaseTime(200);
+    await ticket.transferFrom(fan, outsider, 1, { from: fan });
+    await client.mintTicket(ticketAddress, 1, { from: fan });
+    assert.equal(await client.remainingTicketsOf(ticketAddress, fan), 0);
+    await truffleAssert.reverts(ticket.mintTicket(1, { from: fan, value: price }), '019006');
+
+    // the outsider still has its own 3 tickets to mint
+    await client.mintTicket(ticketAddress, 3, { from: outsider });
+
+    await client.setMaxTicketsPerAddress(ticketAddress, 0);
+    assert.isUndefined(await client.remainingTicketsOf(ticketAddress, fan));
+    await client.mintTicket(ticketAddress, 5, { from: fan });
+  });
+
+  it('tkets set-presale should set the root and write the proofs, set-wallet-limit the limit', async () => {
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress } = await createEventFixture(factory, { owner, ticket: { price, saleStart: now, saleEnd: now + 1000 } });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tkets-presale-'));
+    const allowlistPath = path.join(directory, 'fans.txt');
+    fs.writeFileSync(allowlistPath, '# presale\n' + fans.join('\n') + '\n');
+    const tkets = async (...argv) => {
+      const output = [];
+      const code = await cli.run(argv, { client, log: line => output.push(line) });
+      return { code, output: output.join('\n') };
+    }
+
+    try {
+      const dryRun = await tkets('set-presale', '--ticket', ticketAddress, '--allowlist', allowlistPath, '--end', String(now + 100), '--dry-run');
+      assert.equal(dryRun.code, 0, dryRun.output);
+      assert.include(dryRun.output, fans.length + ' addresses');
+      assert.equal((await client.getTicket(ticketAddress)).presaleEnd, 0);
+      assert.isFalse(fs.existsSync(allowlistPath + '.proofs.json'));
+
+      const set = await tkets('set-presale', '--ticket', ticketAddress, '--allowlist', allowlistPath, '--end', String(now + 100));
+      assert.equal(set.code, 0, set.output);
+      const written = JSON.parse(fs.readFileSync(allowlistPath + '.proofs.json', 'utf8'));
+      assert.equal(await (await Ticket.at(ticketAddress)).presaleMerkleRoot(), written.root);
+      await client.mintPresaleTicket(ticketAddress, 1, { from: fans[4], proof: allowlist.getProof(written, fans[4]) });
+
+      const limit = await tkets('set-wallet-limit', '--ticket', ticketAddress, '--max', '2');
+      assert.equal(limit.code, 0, limit.output);
+      assert.equal((await client.getTicket(ticketAddress)).maxTicketsPerAddress, 2);
+      assert.equal((await tkets('set-wallet-limit', '--ticket', ticketAddress, '--max', '-1')).code, 1);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,169 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BN = require('bn.js');
+const { TketsClient, Indexer, Reconciler, cli } = require('../lib');
+const { DISCREPANCY, formatReport } = require('../lib/reconciliation');
+const { getCurrentBlockTimestamp, increaseTime, setCommissionRate } = require('./helpers');
+
+contract('Reconciliation', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let holder2     = accounts[2];
+
+  var client;
+  var factory;
+  var indexer;
+  var reconciler;
+  var sold;
+  var refunded;
+  var withdrawnFirst;
+
+  const createEvent = async (tiers) => {
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    const { eventId } = await client.createEvent({ start: currentTimestamp, end: currentTimestamp + 100 });
+    const ticketAddresses = [];
+    for (const { price, acceptDonations } of tiers) {
+      const { ticketAddress } = await client.createTicket(eventId, { uri, uriHash, maxTickets: 10, price: new BN(price), saleStart: currentTimestamp, saleEnd: currentTimestamp + 50, acceptDonations });
+      ticketAddresses.push(ticketAddress);
+    }
+    return { eventId, ticketAddresses };
+  }
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+
+    // sold: two tiers, minted at two commission rates, with a donation.
+    // Lowering the rate applies at once, raising it waits for the timelock, which would close the sale
+    await setCommissionRate(factory, 500, { from: owner });
+    sold = await createEvent([{ price: '1000', acceptDonations: true }, { price: '2000', acceptDonations: false }]);
+    await client.mintTicket(sold.ticketAddresses[0], 1, { from: holder2 });
+    await factory.setCommissionRate(250, { from: owner });
+    await client.mintTicket(sold.ticketAddresses[0], 2, { from: holder, donation: 500 });
+    await setCommissionRate(factory, 500, { from: owner });
+
+    // refunded: cancelled, one refundTicket and one refundAll, the donation stays in the ticket
+    refunded = await createEvent([{ price: '1000', acceptDonations: true }]);
+    await client.mintTicket(refunded.ticketAddresses[0], 1, { from: holder, donation: 300 });
+    await client.mintTicket(refunded.ticketAddresses[0], 2, { from: holder2 });
+    await client.cancelEvent(refunded.eventId);
+    const refundedTicket = await client.ticketAt(refunded.ticketAddresses[0]);
+    await refundedTicket.refundTicket(1, { from: holder });
+    await refundedTicket.refundAll({ from: holder2 });
+
+    // withdrawnFirst: the organizer withdrew before cancelling, the holders cannot be refunded
+    withdrawnFirst = await createEvent([{ price: '1000', acceptDonations: false }]);
+    await client.mintTicket(withdrawnFirst.ticketAddresses[0], 2, { from: holder });
+
+    await increaseTime(200);
+    await client.withdrawBalance(sold.ticketAddresses[0]);
+    await client.withdrawBalance(withdrawnFirst.ticketAddresses[0]);
+    await client.cancelEvent(withdrawnFirst.eventId);
+
+    indexer = Indexer.fromClient(client);
+    await indexer.sync();
+    reconciler = new Reconciler({ client, indexer });
+  });
+
+  it('should account sales, commission at the rate of the mint, donations and withdrawals per tier', async () => {
+    const report = await reconciler.reconcileEvent(sold.eventId);
+    assert.equal(report.eventIdHex, '0x' + sold.eventId.toString(16));
+    assert.equal(report.tiers.length, 2);
+
+    const [tier, empty] = report.tiers;
+    assert.equal(tier.sold, 3);
+    assert.equal(tier.grossSales.toString(), '3000');
+    assert.equal(tier.commission.toString(), String(2 * 25 + 50));
+    assert.equal(tier.donations.toString(), '500');
+    assert.equal(tier.withdrawn.toString(), '3500');
+    assert.equal(tier.expectedBalance.toString(), '0');
+    assert.equal(tier.balance.toString(), '0');
+    assert.equal(empty.sold, 0);
+    assert.equal(empty.grossSales.toString(), '0');
+
+    assert.equal(report.totals.commission.toString(), '100');
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  it('should account refunds of a cancelled event', async () => {
+    const report = await reconciler.reconcileEvent(refunded.eventId);
+    assert.isTrue(report.cancelled);
+    const [tier] = report.tiers;
+    assert.equal(tier.sold, 3);
+    assert.equal(tier.refunded, 3);
+    assert.equal(tier.outstanding, 0);
+    // the commission at the rate of the mint is refunded with the price, the donation is left for the donor
+    assert.equal(tier.refunds.toString(), String(3 * 1050));
+    assert.equal(tier.commission.toString(), '0');
+    assert.equal(tier.donations.toString(), '300');
+    assert.equal(tier.balance.toString(), '300');
+    assert.equal(tier.balance.toString(), await web3.eth.getBalance(refunded.ticketAddresses[0]));
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  it('should flag a cancelled event that cannot refund its tickets', async () => {
+    const report = await reconciler.reconcileEvent(withdrawnFirst.eventId);
+    assert.equal(report.tiers[0].withdrawn.toString(), '2000');
+    assert.deepEqual(report.discrepancies.map(discrepancy => discrepancy.type), [DISCREPANCY.REFUND_SHORTFALL]);
+    assert.equal(report.discrepancies[0].ticketAddress, withdrawnFirst.ticketAddresses[0]);
+  });
+
+  it('should flag balances that do not match the logs', async () => {
+    // as if the refund logs were missing
+    const store = { data: Object.assign({}, indexer.store.data, { logs: indexer.store.data.logs.filter(log => log.event !== 'TicketRefund') }) };
+    const report = await new Reconciler({ client, indexer: Object.assign(Object.create(indexer), { store }) }).reconcileEvent(refunded.eventId);
+    assert.deepEqual(report.discrepancies.map(discrepancy => discrepancy.type), [DISCREPANCY.BALANCE_MISMATCH, DISCREPANCY.REFUND_SHORTFALL]);
+    assert.match(report.discrepancies[0].message, /Balance is 300 wei, the logs add up to 3450 wei/);
+  });
+
+  it('should resolve to undefined for events that are not indexed', async () => {
+    assert.isUndefined(await reconciler.reconcileEvent(12345));
+  });
+
+  it('should reconcile the factory balance with the accrued commissions', async () => {
+    // the commission of the refunded event was paid back, the others were released by withdrawBalance
+    const accrued = 100 + 2 * 50;
+    let commissions = await reconciler.reconcileCommissions();
+    assert.equal(commissions.accrued.toString(), String(accrued));
+    assert.equal(commissions.escrowed.toString(), '0');
+    assert.equal(commissions.balance.toString(), String(accrued));
+    assert.equal(commissions.withdrawn.toString(), '0');
+
+    await factory.withdrawCommissions({ from: owner });
+    await indexer.sync();
+    commissions = await reconciler.reconcileCommissions();
+    assert.equal(commissions.balance.toString(), '0');
+    assert.equal(commissions.withdrawn.toString(), String(accrued));
+    assert.deepEqual(commissions.discrepancies, []);
+  });
+
+  it('should export one CSV line per tier and a totals line per event', async () => {
+    const csv = formatReport([await reconciler.reconcileEvent(sold.eventId), await reconciler.reconcileEvent(withdrawnFirst.eventId)]).trim().split('\n');
+    assert.equal(csv[0], 'eventId,tier,ticketAddress,price,sold,refunded,outstanding,grossSales,commission,donations,refunds,withdrawn,expectedBalance,balance,discrepancies');
+    assert.equal(csv.length, 1 + 3 + 2);
+    assert.equal(csv[1], ['0x' + sold.eventId.toString(16), 1, sold.ticketAddresses[0], 1000, 3, 0, 3, 3000, 100, 500, 0, 3500, 0, 0, ''].join(','));
+    assert.equal(csv[3], ['0x' + sold.eventId.toString(16), 'total', '', '', 3, 0, 3, 3000, 100, 500, 0, 3500, 0, 0, 0].join(','));
+    assert.match(csv[4], /,REFUND_SHORTFALL$/);
+  });
+
+  it('tkets report should print the totals and write the CSV', async () => {
+    const csvPath = path.join(os.tmpdir(), 'tkets-report-' + Date.now() + '.csv');
+    const output = [];
+    const code = await cli.run(['report', '--event', '0x' + withdrawnFirst.eventId.toString(16), '--csv', csvPath], { client, log: line => output.push(line) });
+    try {
+      assert.equal(code, 0, output.join('\n'));
+      assert.include(output.join('\n'), 'gross sales 2000, commission 100, donations 0, refunds 0, withdrawn 2000, balance 0 wei');
+      assert.include(output.join('\n'), 'REFUND_SHORTFALL ' + withdrawnFirst.ticketAddresses[0]);
+      assert.equal(fs.readFileSync(csvPath, 'utf8').trim().split('\n').length, 3);
+    } finally {
+      fs.rmSync(csvPath, { force: true });
+    }
+  });
+});
@@ -0,0 +1,176 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, Indexer, Reconciler } = require('../lib');
+const { increaseTime, isolateTests, setCommissionRate, createEventFixture, transactionFee } = require('./helpers');
+
+contract('Refunds', (accounts) => {
+
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let donor       = accounts[2];
+  let buyer       = accounts[3];
+  let stranger    = accounts[4];
+
+  const price = new BN('1000000000000000000');
+  const donation = new BN('300000000000000000');
+
+  var client;
+  var factory;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  const balanceOf = async (address) => {
+    return new BN(await web3.eth.getBalance(address));
+  }
+
+  const withCommission = (rate) => {
+    return price.add(price.muln(rate).divn(10000));
+  }
+
+  // the change of balance of `address` in a transaction it sent, without the transaction fee
+  const received = async (address, send) => {
+    const before = await balanceOf(address);
+    const result = await send();
+    const fee = await transactionFee({ tx: result.tx, receipt: await web3.eth.getTransactionReceipt(result.tx) });
+    return { result, amount: (await balanceOf(address)).sub(before).add(fee) };
+  }
+
+  // holder mints 2 tickets at 2.5% commission, donor 1 at 1% with a donation and gives it to holder
+  const mixedFixture = async () => {
+    await setCommissionRate(factory, 250, { from: owner });
+    const fixture = await createEventFixture(factory, { owner, ticket: { price, maxTickets: 10, acceptDonations: true } });
+    await client.mintTicket(fixture.ticketAddress, 2, { from: holder });
+    await factory.setCommissionRate(100, { from: owner });
+    await client.mintTicket(fixture.ticketAddress, 1, { from: donor, donation });
+    await fixture.ticket.transferFrom(donor, holder, 3, { from: donor });
+    return fixture;
+  }
+
+  it('should record what was paid per token at the commission rate of its mint', async () => {
+    const { ticketAddress, ticket } = await mixedFixture();
+
+    assert.equal((await client.getRefund(ticketAddress, 1)).toString(), withCommission(250).toString());
+    assert.equal((await client.getRefund(ticketAddress, 2)).toString(), withCommission(250).toString());
+    assert.equal((await client.getRefund(ticketAddress, 3)).toString(), withCommission(100).toString());
+    assert.equal((await ticket.addressToDonation(donor)).toString(), donation.toString());
+
+    // the commission is held by the ticket, not forwarded to the factory
+    const commission = withCommission(250).muln(2).add(withCommission(100)).sub(price.muln(3));
+    assert.equal((await ticket.escrowedCommission()).toString(), commission.toString());
+    assert.equal(await web3.eth.getBalance(factory.address), '0');
+    assert.equal((await balanceOf(ticketAddress)).toString(), price.muln(3).add(commission).add(donation).toString());
+  });
+
+  it('refunds of a cancelled event should pay back the price, the commission and the donation', async () => {
+    const startBlock = await web3.eth.getBlockNumber();
+    const { eventId, ticketAddress, ticket } = await mixedFixture();
+    await client.cancelEvent(eventId);
+
+    const single = await received(holder, () => client.refundTicket(ticketAddress, 1, { from: holder }));
+    assert.equal(single.amount.toString(), withCommission(250).toString());
+    assert.equal(single.result.amount.toString(), withCommission(250).toString());
+    assert.equal(single.result.ticketId, 1);
+
+    // ticket 3 was minted by the donor, its holder gets the ticket, the donor the donation
+    const all = await received(holder, () => client.refundAll(ticketAddress, { from: holder }));
+    assert.sameMembers(all.result.tokenIds, [2, 3]);
+    assert.equal(all.amount.toString(), withCommission(250).add(withCommission(100)).toString());
+    assert.equal(all.result.amount.toString(), all.amount.toString());
+    assert.equal((await ticket.escrowedCommission()).toString(), '0');
+    assert.equal((await balanceOf(ticketAddress)).toString(), donation.toString());
+
+    await truffleAssert.reverts(ticket.refundDonation({ from: holder }), '019007');
+    const donated = await received(donor, () => client.refundDonation(ticketAddress, { from: donor }));
+    assert.equal(donated.amount.toString(), donation.toString());
+    assert.equal(await web3.eth.getBalance(ticketAddress), '0');
+    await truffleAssert.reverts(ticket.refundDonation({ from: donor }), '019007');
+    assert.equal(await web3.eth.getBalance(factory.address), '0');
+
+    const indexer = Indexer.fromClient(client, { startBlock });
+    await indexer.sync();
+    const report = await new Reconciler({ client, indexer }).reconcileEvent(eventId);
+    const [tier] = report.tiers;
+    assert.equal(tier.commission.toString(), '0');
+    assert.equal(tier.refunds.toString(), withCommission(250).muln(2).add(withCommission(100)).add(donation).toString());
+    assert.equal(tier.balance.toString(), '0');
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  it('refundAll should report the amount of a client without a default sender', async () => {
+    const { eventId, ticketAddress } = await createEventFixture(factory, { owner, ticket: { price, maxTickets: 10 } });
+    // the provider sends from its first account, the event owner
+    const defaultClient = await TketsClient.deployed({ EventFactory, Ticket });
+    await defaultClient.mintTicket(ticketAddress, 2);
+    await client.cancelEvent(eventId);
+
+    const all = await received(owner, () => defaultClient.refundAll(ticketAddress));
+    assert.sameMembers(all.result.tokenIds, [1, 2]);
+    assert.equal(all.result.amount.toString(), price.muln(2).toString());
+    assert.equal(all.amount.toString(), all.result.amount.toString());
+  });
+
+  it('donations should only be refunded for cancelled events', async () => {
+    const { ticket } = await mixedFixture();
+    await truffleAssert.reverts(ticket.refundDonation({ from: donor }), '019007');
+  });
+
+  it('the commission should be released to the factory once the event is over', async () => {
+    const { ticketAddress, ticket } = await mixedFixture();
+    const commission = await ticket.escrowedCommission();
+    await truffleAssert.reverts(ticket.releaseCommission({ from: stranger }), '019007');
+
+    await increaseTime(20000);
+    const released = await client.releaseCommission(ticketAddress, { from: stranger });
+    assert.equal(released.amount.toString(), commission.toString());
+    assert.equal((await balanceOf(factory.address)).toString(), commission.toString());
+    await truffleAssert.reverts(ticket.releaseCommission({ from: stranger }), '019007');
+
+    // the organizer gets the price and the donation
+    const withdrawn = await received(owner, () => client.withdrawBalance(ticketAddress));
+    assert.equal(withdrawn.amount.toString(), price.muln(3).add(donation).toString());
+    assert.equal(withdrawn.result.amount.toString(), withdrawn.amount.toString());
+  });
+
+  it('withdrawBalance should send the escrowed commission to the factory and the rest to the organizer', async () => {
+    const { ticketAddress, ticket } = await mixedFixture();
+    const commission = await ticket.escrowedCommission();
+    await increaseTime(20000);
+
+    const withdrawn = await received(owner, () => client.withdrawBalance(ticketAddress));
+    truffleAssert.eventEmitted(await truffleAssert.createTransactionResult(ticket, withdrawn.result.tx), 'CommissionRelease', ev => ev.amount.eq(commission));
+    assert.equal(withdrawn.amount.toString(), price.muln(3).add(donation).toString());
+    assert.equal(withdrawn.result.commission.toString(), commission.toString());
+    assert.equal((await balanceOf(factory.address)).toString(), commission.toString());
+    assert.equal(await web3.eth.getBalance(ticketAddress), '0');
+  });
+
+  it('tickets of events cancelled after the commission was released should refund the price', async () => {
+    const { eventId, ticketAddress, ticket } = await mixedFixture();
+    await increaseTime(20000);
+    await client.releaseCommission(ticketAddress);
+    await client.cancelEvent(eventId);
+
+    const refunded = await received(holder, () => client.refundTicket(ticketAddress, 1, { from: holder }));
+    assert.equal(refunded.amount.toString(), price.toString());
+    await ticket.refundDonation({ from: donor });
+  });
+
+  it('a ticket bought through resale should be refunded at what was paid at its mint', async () => {
+    const { eventId, ticketAddress } = await mixedFixture();
+    await client.setResaleTerms(ticketAddress, { maxMarkup: 2000, royaltyRate: 0 });
+    await client.listTicket(ticketAddress, 1, price.muln(12).divn(10), { from: holder });
+    await client.buyTicket(ticketAddress, 1, { from: buyer });
+    await client.cancelEvent(eventId);
+
+    const refunded = await received(buyer, () => client.refundTicket(ticketAddress, 1, { from: buyer }));
+    assert.equal(refunded.amount.toString(), withCommission(250).toString());
+  });
+});
@@ -0,0 +1,338 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+const Forwarder = artifacts.require("Forwarder");
+
+const http = require('http');
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, Indexer, Reconciler, Relayer, createRelayerServer, relayer: { request }, errors } = require('../lib');
+const { getCurrentBlockTimestamp, increaseTime, isolateTests, createEventFixture, signTypedData } = require('./helpers');
+
+contract('Relayer', (accounts) => {
+
+  let owner       = accounts[0];
+  let sponsor     = accounts[1];
+  let stranger    = accounts[2];
+  let buyer       = accounts[3];
+
+  const price = new BN('1000000000000000000');
+  const budget = new BN('100000000000000000000');
+
+  var client;
+  var factory;
+  var forwarder;
+  var domain;
+  // holder apps without any THETA/TFUEL, they only sign
+  var fan;
+  var friend;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+    forwarder = await Forwarder.deployed();
+    domain = await request.forwarderDomain(forwarder);
+    fan = web3.eth.accounts.create();
+    friend = web3.eth.accounts.create();
+  });
+
+  isolateTests();
+
+  const newRelayer = (options = {}) => {
+    return new Relayer(Object.assign({ client, forwarder, from: sponsor }, options));
+  }
+
+  // a sponsored event with a free and a paid tier
+  const sponsoredFixture = async (relayer) => {
+    const fixture = await createEventFixture(factory, { owner, ticket: { price: 0 } });
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: paidAddress } = await client.createTicket(fixture.eventId, { uri: 'ipfs://paid', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price, saleStart: now, saleEnd: now + 1000 });
+    relayer.setBudget(fixture.eventId, budget);
+    return Object.assign(fixture, { paidAddress, paidTicket: await Ticket.at(paidAddress) });
+  }
+
+  const relayError = async (relayer, body) => {
+    try {
+      await relayer.relay(body);
+    } catch (err) {
+      return err;
+    }
+    assert.fail('Request was relayed');
+  }
+
+  const signed = async (account, { ticket, method, args, value, gas, validFor }) => {
+    const req = await request.buildTicketRequest({ forwarder, ticket, from: account.address, method, args, value, gas, validFor });
+    return { request: req, signature: await request.signForwardRequest(req, account.privateKey, domain) };
+  }
+
+  it('request hashes and signatures should match the forwarder, also when signed with eth_signTypedData', async () => {
+    const { ticket } = await createEventFixture(factory, { owner });
+    const req = await request.buildTicketRequest({ forwarder, ticket, from: stranger, method: 'mintTicket', args: [1], value: 5 });
+    assert.equal(request.hashForwardRequest(req, domain), await forwarder.hashRequest(request.toTuple(req)));
+
+    const sig = await request.signForwardRequest(req, signTypedData(stranger), domain);
+    assert.isTrue(request.verifyForwardRequest(req, sig, domain));
+    assert.isTrue(await forwarder.verify(request.toTuple(req), sig.v, sig.r, sig.s));
+    const tampered = Object.assign({}, req, { value: '6' });
+    assert.isFalse(request.verifyForwardRequest(tampered, sig, domain));
+    assert.isFalse(await forwarder.verify(request.toTuple(tampered), sig.v, sig.r, sig.s));
+
+    assert.isTrue(await ticket.isTrustedForwarder(forwarder.address));
+    assert.equal(await factory.trustedForwarder(), forwarder.address);
+    assert.throws(() => request.normalizeRequest(Object.assign({}, req, { to: '0x1234' })), errors.InvalidInputError);
+  });
+
+  it('fans without gas should mint, transfer and refund tickets through the relayer', async () => {
+    const relayer = newRelayer({ sponsorValue: true });
+    const { eventId, ticket, paidAddress, paidTicket } = await sponsoredFixture(relayer);
+
+    const minted = await relayer.relay(await signed(fan, { ticket, method: 'mintTicket', args: [2] }));
+    assert.equal(minted.method, 'mintTicket');
+    assert.equal(await ticket.ownerOf(1), fan.address);
+    assert.equal(await ticket.ownerOf(2), fan.address);
+    truffleAssert.eventEmitted(await truffleAssert.createTransactionResult(ticket, minted.tx), 'TicketMint', ev => ev.mintedAddress === fan.address);
+
+    // the sponsor pays the price of the paid tier along with the gas
+    const paid = await relayer.relay(await signed(fan, { ticket: paidTicket, method: 'mintTicket', args: [1], value: price }));
+    assert.equal(await paidTicket.ownerOf(1), fan.address);
+    assert.isTrue(paid.cost.gt(price));
+    assert.equal((await client.getRefund(paidAddress, 1)).toString(), price.toString());
+
+    const transferred = await relayer.relay(await signed(fan, { ticket, method: 'transferFrom', args: [fan.address, friend.address, 2] }));
+    assert.equal(await ticket.ownerOf(2), friend.address);
+
+    // the sponsored price goes back to the relayer account, the fan did not pay it
+    assert.equal(await paidTicket.tokenToSponsor(1), sponsor);
+    await client.cancelEvent(eventId);
+    const sponsorBalance = new BN(await web3.eth.getBalance(sponsor));
+    const refunded = await relayer.relay(await signed(fan, { ticket: paidTicket, method: 'refundTicket', args: [1] }));
+    assert.equal(await web3.eth.getBalance(fan.address), '0');
+    assert.equal(new BN(await web3.eth.getBalance(sponsor)).sub(sponsorBalance).add(refunded.cost).toString(), price.toString());
+    await truffleAssert.reverts(paidTicket.ownerOf(1), 'nonexistent token');
+
+    const spent = relayer.getBudget(eventId);
+    assert.equal(spent.relayed, 4);
+    assert.equal(spent.spent.toString(), [minted, paid, transferred, refunded].reduce((total, relayed) => total.add(relayed.cost), new BN(0)).toString());
+    assert.equal(spent.remaining.toString(), budget.sub(spent.spent).toString());
+    assert.isTrue(spent.reserved.isZero());
+    assert.equal(await web3.eth.getBalance(friend.address), '0');
+  });
+
+  it('should only sponsor gas unless told to sponsor the value of mints', async () => {
+    const relayer = newRelayer();
+    const { eventId, paidTicket } = await sponsoredFixture(relayer);
+    const paidMint = await signed(fan, { ticket: paidTicket, method: 'mintTicket', args: [1], value: price });
+    assert.instanceOf(await relayError(relayer, paidMint), errors.UnauthorizedError);
+    assert.equal(relayer.getBudget(eventId).relayed, 0);
+
+    // the value of mints only, and not above the sale price of the tickets
+    const valueRelayer = newRelayer({ sponsorValue: true });
+    valueRelayer.setBudget(eventId, budget);
+    await client.cancelEvent(eventId);
+    assert.instanceOf(await relayError(valueRelayer, await signed(fan, { ticket: paidTicket, method: 'refundAll', args: [], value: 1 })), errors.UnauthorizedError);
+    assert.equal(await web3.eth.getBalance(paidTicket.address), '0');
+  });
+
+  it('sponsored value should neither become a donation nor a refund of the fan', async () => {
+    const relayer = newRelayer({ sponsorValue: true });
+    const { eventId } = await sponsoredFixture(relayer);
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress } = await client.createTicket(eventId, { uri: 'ipfs://donations', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price, saleStart: now, saleEnd: now + 1000, acceptDonations: true });
+    const ticket = await Ticket.at(ticketAddress);
+
+    const error = await relayError(relayer, await signed(fan, { ticket, method: 'mintTicket', args: [1], value: price.muln(50) }));
+    assert.instanceOf(error, errors.UnauthorizedError);
+    assert.include(error.message, 'sale price');
+    await relayer.relay(await signed(fan, { ticket, method: 'mintTicket', args: [2], value: price.muln(2) }));
+    assert.equal(await ticket.tokenToSponsor(1), sponsor);
+    assert.equal((await ticket.addressToDonation(fan.address)).toString(), '0');
+
+    // what the relayer account gets back besides paying for the relayed request
+    const sponsorReceives = async (send) => {
+      const before = new BN(await web3.eth.getBalance(sponsor));
+      const relayed = await send();
+      return new BN(await web3.eth.getBalance(sponsor)).sub(before).add(relayed.cost).toString();
+    }
+
+    // opting out of a rescheduled event pays the sponsor
+    await client.rescheduleEvent(eventId, { start: now + 20000, end: now + 30000, optOutWindow: 24 * 60 * 60 });
+    assert.equal(await sponsorReceives(async () => relayer.relay(await signed(fan, { ticket, method: 'optOutTicket', args: [1] }))), price.toString());
+
+    // and so does a refund of the ticket after it was given away
+    await relayer.relay(await signed(fan, { ticket, method: 'transferFrom', args: [fan.address, friend.address, 2] }));
+    await client.cancelEvent(eventId);
+    assert.equal(await sponsorReceives(async () => relayer.relay(await signed(friend, { ticket, method: 'refundAll', args: [] }))), price.toString());
+    assert.equal(await web3.eth.getBalance(fan.address), '0');
+    assert.equal(await web3.eth.getBalance(friend.address), '0');
+  });
+
+  it('only another payer than the holder should be a sponsor, and a resale should end the sponsorship', async () => {
+    const relayer = newRelayer({ sponsorValue: true });
+    const { eventId, paidAddress, paidTicket } = await sponsoredFixture(relayer);
+
+    // the holder sends the request and pays its value itself
+    const req = await request.buildTicketRequest({ forwarder, ticket: paidTicket, from: stranger, method: 'mintTicket', args: [1], value: price });
+    const sig = await request.signForwardRequest(req, signTypedData(stranger), domain);
+    await forwarder.execute(request.toTuple(req), sig.v, sig.r, sig.s, { from: stranger, value: price });
+    assert.equal(await paidTicket.ownerOf(1), stranger);
+    assert.equal(await paidTicket.tokenToSponsor(1), '0x' + '00'.repeat(20));
+    assert.equal(await forwarder.payer(), '0x' + '00'.repeat(20));
+
+    // a sponsored ticket given away and sold on the native market, the buyer paid for it
+    await relayer.relay(await signed(fan, { ticket: paidTicket, method: 'mintTicket', args: [1], value: price }));
+    await relayer.relay(await signed(fan, { ticket: paidTicket, method: 'transferFrom', args: [fan.address, stranger, 2] }));
+    assert.equal(await paidTicket.tokenToSponsor(2), sponsor);
+    await client.listTicket(paidAddress, 2, price, { from: stranger });
+    await client.buyTicket(paidAddress, 2, { from: buyer });
+    assert.equal(await paidTicket.tokenToSponsor(2), '0x' + '00'.repeat(20));
+    assert.equal((await client.quoteExchange(paidAddress, 2, paidAddress)).refund.toString(), price.toString());
+
+    await client.cancelEvent(eventId);
+    const refunded = await client.refundTicket(paidAddress, 2, { from: buyer });
+    assert.equal(refunded.holder, buyer);
+    assert.equal(refunded.amount.toString(), price.toString());
+    const all = await client.refundAll(paidAddress, { from: stranger });
+    assert.equal(all.amount.toString(), price.toString());
+  });
+
+  it('the reconciliation should count the value of mints relayed through the forwarder', async () => {
+    const relayer = newRelayer({ sponsorValue: true });
+    const { eventId } = await sponsoredFixture(relayer);
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress } = await client.createTicket(eventId, { uri: 'ipfs://donations', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price, saleStart: now, saleEnd: now + 1000, acceptDonations: true });
+    const ticket = await Ticket.at(ticketAddress);
+    await relayer.relay(await signed(fan, { ticket, method: 'mintTicket', args: [1], value: price }));
+
+    // a sponsor outside of the relayer may pay more than the sale price
+    const donation = price.divn(2);
+    const { request: req, signature } = await signed(friend, { ticket, method: 'mintTicket', args: [1], value: price.add(donation) });
+    const tx = await forwarder.execute(request.toTuple(req), signature.v, signature.r, signature.s, { from: stranger, value: req.value });
+    const relayed = request.decodeExecuteCall(web3.eth.abi, (await web3.eth.getTransaction(tx.tx)).input);
+    assert.deepEqual(relayed, req);
+    assert.isUndefined(request.decodeExecuteCall(web3.eth.abi, ticket.contract.methods.mintTicket(1).encodeABI()));
+
+    const indexer = Indexer.fromClient(client);
+    await indexer.sync();
+    const report = await new Reconciler({ client, indexer }).reconcileEvent(eventId);
+    const tier = report.tiers.find(row => row.ticketAddress === ticketAddress);
+    assert.equal(tier.sold, 2);
+    assert.equal(tier.grossSales.toString(), price.muln(2).toString());
+    assert.equal(tier.donations.toString(), donation.toString());
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  it('stampers without gas should stamp tickets through the relayer', async () => {
+    const relayer = newRelayer();
+    const { eventId, ticket } = await sponsoredFixture(relayer);
+    await relayer.relay(await signed(fan, { ticket, method: 'mintTicket', args: [1] }));
+
+    const stamper = web3.eth.accounts.create();
+    assert.instanceOf(await relayError(relayer, await signed(stamper, { ticket, method: 'stampTicket', args: [1] })), errors.UnauthorizedError);
+    await client.addStamper(eventId, stamper.address);
+    await relayer.relay(await signed(stamper, { ticket, method: 'stampTicket', args: [1] }));
+    assert.isTrue(await ticket.tokenToStamped(1));
+  });
+
+  it('should reject replayed, expired, forged and unsponsored requests without sending them', async () => {
+    const relayer = newRelayer();
+    const { ticket } = await sponsoredFixture(relayer);
+    const rejects = async (body, ErrorClass) => {
+      assert.instanceOf(await relayError(relayer, body), ErrorClass);
+    }
+
+    const mint = await signed(fan, { ticket, method: 'mintTicket', args: [1] });
+    await relayer.relay(mint);
+    const sent = await web3.eth.getTransactionCount(sponsor);
+    await rejects(mint, errors.UnauthorizedError);
+
+    const forged = await signed(fan, { ticket, method: 'mintTicket', args: [1] });
+    forged.signature = await request.signForwardRequest(forged.request, friend.privateKey, domain);
+    await rejects(forged, errors.UnauthorizedError);
+
+    await rejects(await signed(fan, { ticket, method: 'listTicket', args: [1, 100] }), errors.UnauthorizedError);
+    await rejects(await signed(fan, { ticket, method: 'mintTicket', args: [1], gas: 2000000 }), errors.InvalidInputError);
+
+    const { ticket: unsponsored } = await createEventFixture(factory, { owner, ticket: { price: 0 } });
+    const notATicket = await signed(fan, { ticket: unsponsored, method: 'mintTicket', args: [1] });
+    notATicket.request.to = factory.address;
+    await rejects(notATicket, errors.NotExistsError);
+
+    // failing calls are caught by the simulation, the sale of this tier has not started
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: laterAddress } = await client.createTicket(await ticket.eventId(), { uri: 'ipfs://later', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price: 0, saleStart: now + 5000, saleEnd: now + 9000 });
+    await rejects(await signed(fan, { ticket: await Ticket.at(laterAddress), method: 'mintTicket', args: [1] }), errors.TicketSaleError);
+
+    const expiring = await signed(fan, { ticket, method: 'mintTicket', args: [1], validFor: 10 });
+    await increaseTime(100);
+    await rejects(expiring, errors.UnauthorizedError);
+    assert.equal(await ticket.balanceOf(fan.address), 1);
+    assert.equal(await web3.eth.getTransactionCount(sponsor), sent);
+  });
+
+  it('should stop relaying for an event once its budget is spent', async () => {
+    const relayer = newRelayer();
+    const { eventId, ticket } = await sponsoredFixture(relayer);
+    const first = await relayer.relay(await signed(fan, { ticket, method: 'mintTicket', args: [1] }));
+    relayer.setBudget(eventId, first.cost.muln(3).divn(2));
+
+    const error = await relayError(relayer, await signed(fan, { ticket, method: 'mintTicket', args: [1] }));
+    assert.instanceOf(error, errors.InvalidActionError);
+    assert.include(error.message, 'budget');
+    assert.equal(await ticket.balanceOf(fan.address), 1);
+    assert.equal(relayer.getBudget(eventId).relayed, 1);
+
+    // the budget of one event does not pay for another
+    const other = await createEventFixture(factory, { owner, ticket: { price: 0 } });
+    assert.instanceOf(await relayError(relayer, await signed(fan, { ticket: other.ticket, method: 'mintTicket', args: [1] })), errors.InvalidActionError);
+  });
+
+  it('only the trusted forwarder should be able to act for another address', async () => {
+    const { ticket } = await createEventFixture(factory, { owner, holders: [owner], mint: 1 });
+    const data = ticket.contract.methods.transferFrom(owner, stranger, 1).encodeABI() + owner.slice(2).toLowerCase();
+    // nodes report a reverted transaction differently, what counts is that it failed and the ticket stayed
+    const status = await web3.eth.sendTransaction({ from: stranger, to: ticket.address, data, gas: 300000 }).then(receipt => receipt.status, () => false);
+    assert.isFalse(status);
+    assert.equal(await ticket.ownerOf(1), owner);
+  });
+
+  it('the HTTP relayer should relay POST /relay and report the budgets', async () => {
+    const relayer = newRelayer();
+    const { eventId, ticket } = await sponsoredFixture(relayer);
+    const server = createRelayerServer({ relayer });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const send = (method, path, body) => {
+      return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers: { 'Content-Type': 'application/json' } }, res => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+      });
+    }
+
+    try {
+      const served = await send('GET', '/domain');
+      assert.equal(served.body.verifyingContract, forwarder.address);
+
+      const mint = await signed(fan, { ticket, method: 'mintTicket', args: [1] });
+      const relayed = await send('POST', '/relay', mint);
+      assert.equal(relayed.status, 200, JSON.stringify(relayed.body));
+      assert.equal(relayed.body.method, 'mintTicket');
+      assert.equal(relayed.body.eventId, eventId.toString());
+      assert.equal(await ticket.ownerOf(1), fan.address);
+
+      const replayed = await send('POST', '/relay', mint);
+      assert.equal(replayed.status, 400);
+      assert.equal(replayed.body.code, '019001');
+      assert.equal((await send('POST', '/relay', 'not a request')).status, 400);
+
+      const report = await send('GET', '/events/0x' + eventId.toString(16) + '/budget');
+      assert.equal(report.body.budget, budget.toString());
+      assert.equal(report.body.spent, relayed.body.cost);
+      assert.equal(report.body.relayed, 1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
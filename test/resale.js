@@ -0,0 +1,197 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, Indexer, Reconciler, errors } = require('../lib');
+const { increaseTime, isolateTests, setCommissionRate, createEventFixture, transactionFee } = require('./helpers');
+
+contract('Resale', (accounts) => {
+
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let buyer       = accounts[2];
+  let stranger    = accounts[3];
+
+  const price = new BN('1000000000000000000');
+
+  var client;
+  var factory;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  // one ticket tier at 1 ether, holder owns tickets 1 and 2, resale up to +20% with 5% royalty
+  const listedFixture = async () => {
+    const fixture = await createEventFixture(factory, { owner, holders: [holder], mint: 2, ticket: { price } });
+    await client.setResaleTerms(fixture.ticketAddress, { maxMarkup: 2000, royaltyRate: 500 });
+    await client.listTicket(fixture.ticketAddress, 1, price.muln(12).divn(10), { from: holder });
+    return fixture;
+  }
+
+  const balanceOf = async (address) => {
+    return new BN(await web3.eth.getBalance(address));
+  }
+
+  it('only the event owner should set the resale terms, with a royalty of at most 100%', async () => {
+    const { ticketAddress, ticket } = await createEventFixture(factory, { owner, ticket: { price } });
+
+    const tx = await ticket.setResaleTerms(1000, 250, { from: owner });
+    truffleAssert.eventEmitted(tx, 'ResaleTermsChange', ev => ev.maxResaleMarkup.toNumber() === 1000 && ev.royaltyRate.toNumber() === 250);
+
+    const terms = await client.getResaleTerms(ticketAddress);
+    assert.equal(terms.maxMarkup, 1000);
+    assert.equal(terms.royaltyRate, 250);
+    assert.equal(terms.maxPrice.toString(), price.muln(11).divn(10).toString());
+    assert.isTrue(terms.open);
+
+    await truffleAssert.reverts(ticket.setResaleTerms(1000, 250, { from: stranger }), '019001');
+    await truffleAssert.reverts(ticket.setResaleTerms(1000, 10001, { from: owner }), '019002');
+  });
+
+  it('listing should be capped at the maximum markup and only allowed for the holder', async () => {
+    const { ticketAddress, ticket } = await createEventFixture(factory, { owner, holders: [holder], mint: 1, ticket: { price } });
+
+    // without terms tickets can be resold at face value at most
+    await truffleAssert.reverts(ticket.listTicket(1, price.addn(1), { from: holder }), '019002');
+    await truffleAssert.reverts(ticket.listTicket(1, 0, { from: holder }), '019002');
+    await truffleAssert.reverts(ticket.listTicket(1, price, { from: stranger }), 'not owner nor approved');
+
+    const tx = await ticket.listTicket(1, price, { from: holder });
+    truffleAssert.eventEmitted(tx, 'TicketList', ev => ev.ticketId.toNumber() === 1 && ev.price.eq(price));
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), price.toString());
+
+    await truffleAssert.reverts(ticket.cancelListing(1, { from: stranger }), 'not owner nor approved');
+    const cancelTx = await ticket.cancelListing(1, { from: holder });
+    truffleAssert.eventEmitted(cancelTx, 'TicketListingCancel');
+    await truffleAssert.reverts(ticket.cancelListing(1, { from: holder }), '019005');
+  });
+
+  it('buying a listed ticket should pay the seller, the royalty to the event owner and the commission to the factory', async () => {
+    await setCommissionRate(factory, 100, { from: owner });
+    const { ticketAddress, ticket } = await listedFixture();
+    const resalePrice = price.muln(12).divn(10);
+    const royalty = resalePrice.muln(500).divn(10000);
+    const commission = resalePrice.muln(100).divn(10000);
+
+    const sellerBalance = await balanceOf(holder);
+    const ownerBalance = await balanceOf(owner);
+    const factoryBalance = await balanceOf(factory.address);
+    const ticketBalance = await balanceOf(ticketAddress);
+    const buyerBalance = await balanceOf(buyer);
+
+    assert.equal((await client.quoteResale(ticketAddress, 1)).toString(), resalePrice.add(commission).toString());
+    const bought = await client.buyTicket(ticketAddress, 1, { from: buyer });
+    assert.equal(bought.seller, holder);
+    assert.equal(bought.buyer, buyer);
+    assert.equal(bought.price.toString(), resalePrice.toString());
+
+    assert.equal(await ticket.ownerOf(1), buyer);
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), '0');
+    assert.equal((await balanceOf(holder)).sub(sellerBalance).toString(), resalePrice.sub(royalty).toString());
+    assert.equal((await balanceOf(owner)).sub(ownerBalance).toString(), royalty.toString());
+    assert.equal((await balanceOf(factory.address)).sub(factoryBalance).toString(), commission.toString());
+    assert.equal((await balanceOf(ticketAddress)).toString(), ticketBalance.toString());
+    const spent = buyerBalance.sub(await balanceOf(buyer));
+    assert.equal(spent.sub(await transactionFee({ tx: bought.tx, receipt: await web3.eth.getTransactionReceipt(bought.tx) })).toString(), resalePrice.add(commission).toString());
+  });
+
+  it('buying should revert with the wrong value or for tickets that are not listed', async () => {
+    const { ticket } = await listedFixture();
+    const resalePrice = price.muln(12).divn(10);
+
+    await truffleAssert.reverts(ticket.buyTicket(1, { from: buyer, value: resalePrice.subn(1) }), '019006');
+    await truffleAssert.reverts(ticket.buyTicket(1, { from: buyer, value: resalePrice.addn(1) }), '019006');
+    await truffleAssert.reverts(ticket.buyTicket(2, { from: buyer, value: resalePrice }), '019006');
+
+    let error;
+    try {
+      await client.buyTicket(ticket.address, 2, { from: buyer });
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, errors.TicketSaleError);
+  });
+
+  it('transferring a listed ticket should cancel its listing', async () => {
+    const { ticketAddress, ticket } = await listedFixture();
+
+    const tx = await ticket.transferFrom(holder, stranger, 1, { from: holder });
+    truffleAssert.eventEmitted(tx, 'TicketListingCancel', ev => ev.ticketId.toNumber() === 1);
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), '0');
+    await truffleAssert.reverts(ticket.buyTicket(1, { from: buyer, value: price.muln(12).divn(10) }), '019006');
+  });
+
+  it('stamping a listed ticket should cancel its listing, stamped tickets cannot be listed', async () => {
+    const { ticketAddress, ticket } = await listedFixture();
+
+    const tx = await ticket.stampTicket(1, { from: owner });
+    truffleAssert.eventEmitted(tx, 'TicketListingCancel', ev => ev.ticketId.toNumber() === 1);
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), '0');
+    await truffleAssert.reverts(ticket.listTicket(1, price, { from: holder }), '019007');
+  });
+
+  it('cancelling the event should close its listings, refunding a listed ticket should cancel its listing', async () => {
+    const { eventId, ticketAddress, ticket } = await listedFixture();
+
+    await client.cancelEvent(eventId);
+    assert.isFalse((await client.getResaleTerms(ticketAddress)).open);
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), '0');
+    await truffleAssert.reverts(ticket.buyTicket(1, { from: buyer, value: price.muln(12).divn(10) }), '019006');
+    await truffleAssert.reverts(ticket.listTicket(2, price, { from: holder }), '019007');
+
+    const tx = await ticket.refundTicket(1, { from: holder });
+    truffleAssert.eventEmitted(tx, 'TicketListingCancel', ev => ev.ticketId.toNumber() === 1);
+  });
+
+  it('listings should close after the event and when the markup is lowered below their price', async () => {
+    const { ticketAddress, ticket } = await listedFixture();
+
+    await client.setResaleTerms(ticketAddress, { maxMarkup: 1000, royaltyRate: 500 });
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), '0');
+    await truffleAssert.reverts(ticket.buyTicket(1, { from: buyer, value: price.muln(12).divn(10) }), '019006');
+
+    await client.setResaleTerms(ticketAddress, { maxMarkup: 2000, royaltyRate: 500 });
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), price.muln(12).divn(10).toString());
+
+    await increaseTime(20000);
+    assert.equal((await client.getListing(ticketAddress, 1)).price.toString(), '0');
+    await truffleAssert.reverts(ticket.listTicket(2, price, { from: holder }), '019007');
+  });
+
+  it('royaltyInfo should implement ERC-2981 with the event owner as receiver', async () => {
+    const { ticket } = await listedFixture();
+
+    const info = await ticket.royaltyInfo(1, 10000);
+    assert.equal(info.receiver, owner);
+    assert.equal(info.royaltyAmount.toNumber(), 500);
+    assert.isTrue(await ticket.supportsInterface('0x2a55205a'));
+    assert.isTrue(await ticket.supportsInterface('0x80ac58cd'));
+  });
+
+  it('indexer and reconciliation should follow listings, resales and their commission', async () => {
+    await setCommissionRate(factory, 100, { from: owner });
+    const startBlock = await web3.eth.getBlockNumber();
+    const { eventId, ticketAddress } = await listedFixture();
+    await client.listTicket(ticketAddress, 2, price, { from: holder });
+    await client.buyTicket(ticketAddress, 1, { from: buyer });
+
+    const indexer = Indexer.fromClient(client, { startBlock });
+    await indexer.sync();
+    assert.isNull(indexer.getToken(ticketAddress, 1).listingPrice);
+    assert.equal(indexer.getToken(ticketAddress, 1).owner, buyer);
+    assert.equal(indexer.getToken(ticketAddress, 2).listingPrice, price.toString());
+    assert.equal(indexer.getTicket(ticketAddress).resales, 1);
+
+    const report = await new Reconciler({ client, indexer }).reconcileEvent(eventId);
+    const mintCommission = price.muln(100).divn(10000).muln(2);
+    const resaleCommission = price.muln(12).divn(10).muln(100).divn(10000);
+    assert.equal(report.tiers[0].resales, 1);
+    assert.equal(report.tiers[0].commission.toString(), mintCommission.add(resaleCommission).toString());
+    assert.deepEqual(report.discrepancies, []);
+  });
+});
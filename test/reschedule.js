@@ -0,0 +1,157 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const truffleAssert = require('truffle-assertions');
+const { TketsClient, Indexer, Reconciler, cli } = require('../lib');
+const { getCurrentBlockTimestamp, increaseTime, isolateTests, createEventFixture, transactionFee } = require('./helpers');
+
+contract('Rescheduling and tier cancellation', (accounts) => {
+
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let stranger    = accounts[2];
+
+  const price = new BN('1000000000000000000');
+  const day = 24 * 60 * 60;
+
+  var client;
+  var factory;
+
+  before(async () => {
+    client = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+    factory = client.factory;
+  });
+
+  isolateTests();
+
+  // the event runs from now until now + 10000, holder owns tickets 1 and 2 of the tier
+  const fixture = () => {
+    return createEventFixture(factory, { owner, holders: [holder], mint: 2, ticket: { price } });
+  }
+
+  it('only the owner should reschedule an event that is not over or cancelled', async () => {
+    const { eventId } = await fixture();
+    const now = await getCurrentBlockTimestamp();
+
+    await truffleAssert.reverts(factory.rescheduleEvent(eventId, [now + 20000, now + 30000], day, { from: stranger }), '019001');
+    await truffleAssert.reverts(factory.rescheduleEvent(eventId, [now + 30000, now + 20000], day, { from: owner }), '019002');
+    await truffleAssert.reverts(factory.rescheduleEvent(eventId, [now + 20000, now + 30000], day - 1, { from: owner }), '019002');
+
+    const tx = await factory.rescheduleEvent(eventId, [now + 20000, now + 30000], 2 * day, { from: owner });
+    truffleAssert.eventEmitted(tx, 'EventRescheduled', ev => ev.eventId.eq(eventId) && ev.timeStart.toNumber() === now + 20000 && ev.timeEnd.toNumber() === now + 30000);
+    const event = await client.getEvent(eventId);
+    assert.equal(event.timeStart, now + 20000);
+    assert.equal(event.timeEnd, now + 30000);
+    assert.isAtLeast(event.optOutEnd, now + 2 * day);
+    assert.isTrue(await factory.isOptOutOpen(eventId));
+
+    await client.cancelEvent(eventId);
+    assert.isFalse(await factory.isOptOutOpen(eventId));
+    await truffleAssert.reverts(factory.rescheduleEvent(eventId, [now + 20000, now + 40000], day, { from: owner }), '019007');
+
+    const { eventId: pastEventId } = await fixture();
+    await increaseTime(20000);
+    const later = await getCurrentBlockTimestamp();
+    await truffleAssert.reverts(factory.rescheduleEvent(pastEventId, [later, later + 100], day, { from: owner }), '019007');
+  });
+
+  it('holders should opt out for a full refund only during the opt-out window', async () => {
+    const { eventId, ticketAddress, ticket } = await fixture();
+    const now = await getCurrentBlockTimestamp();
+    await truffleAssert.reverts(ticket.optOutTicket(1, { from: holder }), '019007');
+
+    await client.rescheduleEvent(eventId, { start: now + 20000, end: now + 30000, optOutWindow: day });
+    await truffleAssert.reverts(ticket.optOutTicket(1, { from: stranger }), 'not owner nor approved');
+
+    const before = new BN(await web3.eth.getBalance(holder));
+    const optedOut = await client.optOutTicket(ticketAddress, 1, { from: holder });
+    const fee = await transactionFee({ tx: optedOut.tx, receipt: await web3.eth.getTransactionReceipt(optedOut.tx) });
+    assert.equal(new BN(await web3.eth.getBalance(holder)).sub(before).add(fee).toString(), price.toString());
+    assert.equal(optedOut.amount.toString(), price.toString());
+    await truffleAssert.reverts(ticket.ownerOf(1), 'nonexistent token');
+
+    // stamped tickets were used, they cannot be returned
+    await ticket.stampTicket(2, { from: owner });
+    await truffleAssert.reverts(ticket.optOutTicket(2, { from: holder }), '019007');
+
+    await client.mintTicket(ticketAddress, 1, { from: holder });
+    await increaseTime(day);
+    await truffleAssert.reverts(ticket.optOutTicket(3, { from: holder }), '019007');
+  });
+
+  it('the organizer should only withdraw once the opt-out window is over', async () => {
+    const { eventId, ticketAddress, ticket } = await fixture();
+    const now = await getCurrentBlockTimestamp();
+    await client.rescheduleEvent(eventId, { start: now, end: now + 100, optOutWindow: day });
+
+    await increaseTime(200);
+    assert.isFalse(await factory.isEventWithdrawable(eventId));
+    await truffleAssert.reverts(ticket.withdrawBalance({ from: owner }), '019007');
+    await client.optOutTicket(ticketAddress, 1, { from: holder });
+
+    await increaseTime(day);
+    assert.isTrue(await factory.isEventWithdrawable(eventId));
+    const withdrawn = await client.withdrawBalance(ticketAddress);
+    assert.equal(withdrawn.amount.toString(), price.toString());
+  });
+
+  it('cancelling a tier should refund its holders and leave the other tiers of the event on sale', async () => {
+    const { eventId, ticketAddress, ticket } = await fixture();
+    const now = await getCurrentBlockTimestamp();
+    const { ticketAddress: otherAddress } = await client.createTicket(eventId, { uri: 'ipfs://other', uriHash: '0x' + '00'.repeat(32), maxTickets: 10, price, saleStart: now, saleEnd: now + 1000 });
+
+    await truffleAssert.reverts(ticket.cancelTier({ from: stranger }), '019001');
+    const tx = await ticket.cancelTier({ from: owner });
+    truffleAssert.eventEmitted(tx, 'TierCancel');
+    assert.isTrue((await client.getTicket(ticketAddress)).cancelled);
+    await truffleAssert.reverts(ticket.cancelTier({ from: owner }), '019007');
+
+    await truffleAssert.reverts(ticket.mintTicket(1, { from: holder, value: price }), '019006');
+    assert.isFalse((await client.getResaleTerms(ticketAddress)).open);
+    const refunded = await client.refundAll(ticketAddress, { from: holder });
+    assert.deepEqual(refunded.tokenIds.sort(), [1, 2]);
+    assert.equal(refunded.amount.toString(), price.muln(2).toString());
+
+    await client.mintTicket(otherAddress, 1, { from: holder });
+    await truffleAssert.reverts((await Ticket.at(otherAddress)).refundTicket(1, { from: holder }), '019007');
+
+    await increaseTime(20000);
+    await truffleAssert.reverts(ticket.withdrawBalance({ from: owner }), '019007');
+    const withdrawn = await client.withdrawBalance(otherAddress);
+    assert.equal(withdrawn.amount.toString(), price.toString());
+  });
+
+  it('the indexer, the report and the CLI should follow reschedules, opt-outs and tier cancellations', async () => {
+    const startBlock = await web3.eth.getBlockNumber();
+    const { eventId, ticketAddress } = await fixture();
+    const eventIdHex = '0x' + eventId.toString(16);
+    const now = await getCurrentBlockTimestamp();
+    const tkets = async (...argv) => {
+      const output = [];
+      const code = await cli.run(argv, { client, log: line => output.push(line) });
+      return { code, output: output.join('\n') };
+    }
+
+    const rescheduled = await tkets('reschedule-event', '--event', eventIdHex, '--start', String(now + 20000), '--end', String(now + 30000), '--opt-out-window', String(day));
+    assert.equal(rescheduled.code, 0, rescheduled.output);
+    assert.include(rescheduled.output, 'opt-out: until');
+    await client.optOutTicket(ticketAddress, 1, { from: holder });
+    const cancelled = await tkets('cancel-tier', '--ticket', ticketAddress);
+    assert.equal(cancelled.code, 0, cancelled.output);
+
+    const indexer = Indexer.fromClient(client, { startBlock });
+    await indexer.sync();
+    const event = indexer.getEvent(eventId.toString());
+    assert.equal(event.timeStart, now + 20000);
+    assert.isAtLeast(event.optOutEnd, now + day);
+    assert.isTrue(indexer.getTicket(ticketAddress).cancelled);
+    assert.equal(indexer.getTicket(ticketAddress).optOuts, 1);
+    assert.equal(indexer.getTicket(ticketAddress).refunds, 1);
+
+    // the second ticket of the cancelled tier is still owed
+    const report = await new Reconciler({ client, indexer }).reconcileEvent(eventId);
+    assert.equal(report.tiers[0].refunded, 1);
+    assert.deepEqual(report.discrepancies, []);
+  });
+});
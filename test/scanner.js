@@ -0,0 +1,148 @@
+const EventFactory = artifacts.require("EventFactory");
+const Ticket = artifacts.require("Ticket");
+
+const BN = require('bn.js');
+const { TketsClient, Scanner, STATUS, entrypass } = require('../lib');
+const { getCurrentBlockTimestamp, signTypedData } = require('./helpers');
+
+contract('Scanner', (accounts) => {
+
+  const uri = "https://www.testimguri.com/asdasd.png"
+  const uriHash = '0x81da7abb5c9c7515f57dab2fc946f01217ab52f3bd8958bc36bd55894451a93c'
+  let owner       = accounts[0];
+  let holder      = accounts[1];
+  let stamper     = accounts[2];
+
+  var eventId;
+  var ticketAddress;
+  var scanner;
+  var now;
+
+  const scanPayload = async (ticketId, timestamp) => {
+    const pass = await entrypass.signEntryPass({ eventId, holder, ticket: ticketAddress, ticketId, timestamp }, msg => web3.eth.sign(msg, holder));
+    return entrypass.encodeEntryPass(pass);
+  }
+
+  // an EIP-712 pass answering the given gate challenge
+  const typedScanPayload = async (ticketId, timestamp, nonce) => {
+    const domain = await scanner.client.entryPassDomain();
+    const pass = await entrypass.signTypedEntryPass({ eventId, holder, ticket: ticketAddress, ticketId, timestamp, nonce }, signTypedData(holder), domain);
+    return entrypass.encodeEntryPass(pass);
+  }
+
+  before(async () => {
+    const ownerClient = await TketsClient.deployed({ EventFactory, Ticket, from: owner });
+
+    const currentTimestamp = await getCurrentBlockTimestamp();
+    ({ eventId } = await ownerClient.createEvent({ start: currentTimestamp, end: currentTimestamp + 10000 }));
+    ({ ticketAddress } = await ownerClient.createTicket(eventId, { uri, uriHash, maxTickets: 10, price: new BN('1000'), saleStart: currentTimestamp, saleEnd: currentTimestamp + 1000000 }));
+    await ownerClient.mintTicket(ticketAddress, 8, { from: holder });
+
+    const eventFactoryInstance = await EventFactory.deployed();
+    await eventFactoryInstance.addStamperToEvent(stamper, eventId, {from: owner});
+
+    // the scanner clock follows the chain so the local checks agree with validateTicket
+    scanner = new Scanner({ client: await TketsClient.deployed({ EventFactory, Ticket, from: stamper }), clock: () => now });
+  });
+
+  beforeEach(async () => {
+    now = await getCurrentBlockTimestamp();
+  });
+
+  it('a fresh pass should be admitted once and then reported as already stamped', async () => {
+    const payload = await scanPayload(1, now);
+
+    const first = await scanner.scan(payload);
+    assert.equal(first.status, STATUS.ADMIT, first.reason);
+    assert.equal(first.pass.ticketId, 1);
+
+    const ticketInstance = await Ticket.at(ticketAddress);
+    assert(await ticketInstance.tokenToStamped(1), "Ticket should be stamped on-chain!");
+
+    const second = await scanner.scan(payload);
+    assert.equal(second.status, STATUS.ALREADY_STAMPED);
+  });
+
+  it('passes outside of the validation window should be rejected before hitting the chain', async () => {
+    const expired = await scanner.scan(await scanPayload(2, now - 60));
+    assert.equal(expired.status, STATUS.EXPIRED);
+
+    const future = await scanner.scan(await scanPayload(2, now + 11));
+    assert.equal(future.status, STATUS.INVALID);
+
+    const withinLeeway = await scanner.scan(await scanPayload(2, now + 5));
+    assert.equal(withinLeeway.status, STATUS.ADMIT, withinLeeway.reason);
+  });
+
+  it('passes that are not signed by the holder or not decodable should be invalid', async () => {
+    const pass = await entrypass.signEntryPass({ eventId, holder: owner, ticket: ticketAddress, ticketId: 3, timestamp: now }, msg => web3.eth.sign(msg, owner));
+    const notHolder = await scanner.scan(entrypass.encodeEntryPass(pass));
+    assert.equal(notHolder.status, STATUS.INVALID);
+
+    const forged = await scanner.scan(entrypass.encodeEntryPass(Object.assign({}, pass, { holder })));
+    assert.equal(forged.status, STATUS.INVALID);
+
+    const garbage = await scanner.scan('not a ticket');
+    assert.equal(garbage.status, STATUS.INVALID);
+
+    const outOfRange = await scanner.scan(entrypass.encodeEntryPass(Object.assign({}, pass, { ticketId: '0x' + 'ff'.repeat(32) })));
+    assert.equal(outOfRange.status, STATUS.INVALID);
+  });
+
+  it('two gates scanning the same ticket at once should admit only one of them', async () => {
+    const payload = await scanPayload(4, now);
+
+    const results = await Promise.all([scanner.scan(payload), scanner.scan(payload)]);
+    const statuses = results.map(result => result.status).sort();
+
+    assert.deepEqual(statuses, [STATUS.ADMIT, STATUS.ALREADY_STAMPED]);
+  });
+
+  it('an EIP-712 pass answering a challenge should be admitted, showing it again should be reported as replayed', async () => {
+    const payload = await typedScanPayload(6, now, await scanner.issueChallenge());
+
+    const first = await scanner.scan(payload);
+    assert.equal(first.status, STATUS.ADMIT, first.reason);
+    assert.equal(first.pass.ticketId, 6);
+
+    const second = await scanner.scan(payload);
+    assert.equal(second.status, STATUS.REPLAYED);
+  });
+
+  it('EIP-712 passes with unknown or expired challenges should be reported as replayed', async () => {
+    const unknown = await scanner.scan(await typedScanPayload(7, now, entrypass.createNonce()));
+    assert.equal(unknown.status, STATUS.REPLAYED);
+
+    // a challenge left open for longer than the validation timeout, answered with a fresh pass
+    const challenge = await scanner.issueChallenge();
+    now += await scanner.validationTimeout();
+    const expired = await scanner.scan(await typedScanPayload(7, now, challenge));
+    assert.equal(expired.status, STATUS.REPLAYED);
+
+    // the pass is not stamped, a fresh challenge still admits the ticket
+    now = await getCurrentBlockTimestamp();
+    const admitted = await scanner.scan(await typedScanPayload(7, now, await scanner.issueChallenge()));
+    assert.equal(admitted.status, STATUS.ADMIT, admitted.reason);
+  });
+
+  it('scanners rejecting legacy passes should only admit EIP-712 passes', async () => {
+    const strict = new Scanner({ client: scanner.client, clock: () => now, acceptLegacyPasses: false });
+
+    const legacy = await strict.scan(await scanPayload(8, now));
+    assert.equal(legacy.status, STATUS.INVALID);
+
+    const typed = await strict.scan(await typedScanPayload(8, now, await strict.issueChallenge()));
+    assert.equal(typed.status, STATUS.ADMIT, typed.reason);
+  });
+
+  it('stampers removed from the event should not be able to admit', async () => {
+    const eventFactoryInstance = await EventFactory.deployed();
+    await eventFactoryInstance.removeStamperFromEvent(stamper, eventId, {from: owner});
+
+    const result = await scanner.scan(await scanPayload(5, now));
+    assert.equal(result.status, STATUS.INVALID);
+
+    await eventFactoryInstance.addStamperToEvent(stamper, eventId, {from: owner});
+  });
+
+});